@@ -1,39 +1,484 @@
 import ../src/yatexml
 
 when defined(js):
-  proc latexToMathML*(latex: cstring, displayStyle: bool): cstring {.exportc.} =
+  import std/[jsffi, tables]
+
+  proc errorToJs(e: CompileError, source: string): JsObject =
+    ## Convert a CompileError into a plain JS object
+    ##
+    ## Positions are reported in UTF-16 code units so they index directly
+    ## into the JavaScript string that was passed in.
+    let (line, column) = lineAndColumn(source, e.position, utf16 = true)
+    result = newJsObject()
+    result.kind = cstring(errorCode(e.kind))
+    result.message = cstring(e.message)
+    result.position = utf16Offset(source, e.position)
+    result.line = line
+    result.column = column
+    result.context = cstring(e.context)
+
+  proc diagnosticToJs(d: Diagnostic, source: string): JsObject =
+    ## Convert a Diagnostic into a plain JS object, with UTF-16 positions
+    let (line, column) = lineAndColumn(source, d.position, utf16 = true)
+    result = newJsObject()
+    result.severity = cstring(severityName(d.severity))
+    result.code = cstring(d.code)
+    result.message = cstring(d.message)
+    result.position = utf16Offset(source, d.position)
+    result.endPosition = utf16Offset(source, d.endPosition)
+    result.line = line
+    result.column = column
+
+  proc diagnosticsToJs(diagnostics: seq[Diagnostic], source: string): JsObject =
+    ## Convert diagnostics into a JS array
+    var items: seq[JsObject] = @[]
+    for d in diagnostics:
+      items.add(diagnosticToJs(d, source))
+    items.toJs
+
+  proc equationsToJs(equations: seq[EquationLine]): JsObject =
+    ## Convert the numbered rows of display environments into a JS array
+    ## of { number, label, row, tagged }
+    var items: seq[JsObject] = @[]
+    for line in equations:
+      let item = newJsObject()
+      item.number = cstring(line.number)
+      item.label = cstring(line.label)
+      item.row = line.row
+      item.tagged = line.tagged
+      items.add(item)
+    items.toJs
+
+  proc optionsFromJs(displayStyle: bool, options: JsObject): MathMLOptions =
+    ## Build MathMLOptions from an optional JS options object
+    ## Recognised fields: prettyPrint, indentSize, annotateTex, altText,
+    ## sourcePositions, equationNumbers, firstEquationNumber
+    result = defaultOptions()
+    result.displayStyle = displayStyle
+    # Positions index into the JavaScript (UTF-16) string
+    result.utf16Positions = true
+    if options.isUndefined or options.isNull:
+      return
+    if not options.prettyPrint.isUndefined:
+      result.prettyPrint = options.prettyPrint.to(bool)
+    if not options.indentSize.isUndefined:
+      result.indentSize = options.indentSize.to(int)
+    if not options.annotateTex.isUndefined:
+      result.annotateTex = options.annotateTex.to(bool)
+    if not options.altText.isUndefined:
+      result.altText = options.altText.to(bool)
+    if not options.sourcePositions.isUndefined:
+      result.sourcePositions = options.sourcePositions.to(bool)
+    if not options.equationNumbers.isUndefined:
+      result.equationNumbers = options.equationNumbers.to(bool)
+    if not options.firstEquationNumber.isUndefined:
+      result.firstEquationNumber = options.firstEquationNumber.to(int)
+
+  proc newJsError(message: cstring): JsObject {.importjs: "new Error(#)".}
+  proc parseJsonJs(text: cstring): JsObject {.importjs: "JSON.parse(#)".}
+  proc stringifyJs(value: JsObject): cstring {.importjs: "JSON.stringify(#)".}
+  proc throwJs(error: JsObject) {.importjs: "(function(e) { throw e; })(#)".}
+
+  proc recoverFromJs(options: JsObject): bool =
+    ## Whether an optional JS options object asks for error recovery
+    not options.isUndefined and not options.isNull and
+      not options.recover.isUndefined and options.recover.to(bool)
+
+  proc convertToJs(ctx: ParseContext, latex: cstring, displayStyle: bool, options: JsObject): JsObject =
+    ## Convert LaTeX with a context and wrap the outcome in a result object
+    let source = $latex
+    let mathmlOptions = optionsFromJs(displayStyle, options)
+    result = newJsObject()
+    if recoverFromJs(options):
+      let res = latexToMathMLRecovering(ctx, source, mathmlOptions)
+      if res.isOk():
+        var errors: seq[JsObject] = @[]
+        for e in res.value.errors:
+          errors.add(errorToJs(e, source))
+        result.ok = true
+        result.mathml = cstring(res.value.mathml)
+        result.errors = errors.toJs
+        result.diagnostics = diagnosticsToJs(res.value.diagnostics, source)
+        result.equations = equationsToJs(res.value.equations)
+      else:
+        result.ok = false
+        result.error = errorToJs(res.error, source)
+        result.diagnostics = diagnosticsToJs(ctx.diagnostics & toDiagnostic(res.error), source)
+      return
+
+    let res = latexToMathMLWithDiagnostics(ctx, source, mathmlOptions)
+    if res.isOk():
+      result.ok = true
+      result.mathml = cstring(res.value.mathml)
+      result.diagnostics = diagnosticsToJs(res.value.diagnostics, source)
+      result.equations = equationsToJs(res.value.equations)
+    else:
+      result.ok = false
+      result.error = errorToJs(res.error, source)
+      result.diagnostics = diagnosticsToJs(ctx.diagnostics & toDiagnostic(res.error), source)
+
+  proc astJsonToJs(ctx: ParseContext, latex: cstring): JsObject =
+    ## Parse LaTeX with a context into { ok, ast } or { ok: false, error }
+    let source = $latex
+    let res = latexToAstJson(ctx, source)
+    result = newJsObject()
+    if res.isOk():
+      result.ok = true
+      result.ast = parseJsonJs(cstring(res.value))
+    else:
+      result.ok = false
+      result.error = errorToJs(res.error, source)
+
+  proc textToJs(ctx: ParseContext, latex: cstring): JsObject =
+    ## Convert LaTeX with a context into { ok, text } or { ok: false, error }
+    let source = $latex
+    let res = latexToText(ctx, source)
+    result = newJsObject()
+    if res.isOk():
+      result.ok = true
+      result.text = cstring(res.value)
+    else:
+      result.ok = false
+      result.error = errorToJs(res.error, source)
+
+  proc speechToJs(ctx: ParseContext, latex: cstring): JsObject =
+    ## Convert LaTeX with a context into { ok, speech } or { ok: false, error }
+    let source = $latex
+    let res = latexToSpeech(ctx, source)
+    result = newJsObject()
+    if res.isOk():
+      result.ok = true
+      result.speech = cstring(res.value)
+    else:
+      result.ok = false
+      result.error = errorToJs(res.error, source)
+
+  proc brailleToJs(ctx: ParseContext, latex: cstring, options: JsObject): JsObject =
+    ## Convert LaTeX with a context into { ok, braille } or { ok: false, error }
+    ## options.code picks the braille code: "nemeth" (default) or "ueb"
+    let source = $latex
+    result = newJsObject()
+    var code = bcNemeth
+    if not options.isUndefined and not options.isNull and not options.code.isUndefined:
+      let codeResult = parseBrailleCode($options.code.to(cstring))
+      if not codeResult.isOk:
+        result.ok = false
+        result.error = errorToJs(codeResult.error, source)
+        return
+      code = codeResult.value
+    let res = latexToBraille(ctx, source, code)
+    if res.isOk():
+      result.ok = true
+      result.braille = cstring(res.value)
+    else:
+      result.ok = false
+      result.error = errorToJs(res.error, source)
+
+  proc normalizeToJs(ctx: ParseContext, latex: cstring): JsObject =
+    ## Normalise LaTeX with a context into { ok, latex } or { ok: false, error }
+    let source = $latex
+    let res = normalizeLatex(ctx, source)
+    result = newJsObject()
+    if res.isOk():
+      result.ok = true
+      result.latex = cstring(res.value)
+    else:
+      result.ok = false
+      result.error = errorToJs(res.error, source)
+
+  proc ommlToJs(ctx: ParseContext, latex: cstring, displayStyle: bool): JsObject =
+    ## Convert LaTeX with a context into { ok, omml } or { ok: false, error }
+    let source = $latex
+    let res = latexToOMML(ctx, source, displayStyle)
+    result = newJsObject()
+    if res.isOk():
+      result.ok = true
+      result.omml = cstring(res.value)
+    else:
+      result.ok = false
+      result.error = errorToJs(res.error, source)
+
+  proc contentToJs(ctx: ParseContext, latex: cstring): JsObject =
+    ## Convert LaTeX with a context into { ok, mathml } or { ok: false, error }
+    let source = $latex
+    let res = latexToContentMathML(ctx, source)
+    result = newJsObject()
+    if res.isOk():
+      result.ok = true
+      result.mathml = cstring(res.value)
+    else:
+      result.ok = false
+      result.error = errorToJs(res.error, source)
+
+  proc evaluateToJs(ctx: ParseContext, latex: cstring, bindings: JsObject): JsObject =
+    ## Evaluate LaTeX with a context into { ok, value } or { ok: false, error }
+    let source = $latex
+    result = newJsObject()
+    var values = initTable[string, float]()
+    if not bindings.isUndefined and not bindings.isNull:
+      for name, value in bindings.pairs:
+        if jsTypeOf(value) != "number":
+          result.ok = false
+          result.error = errorToJs(newError(ekInvalidArgument, "Value of " & $name & " is not a number"), "")
+          return
+        values[$name] = value.to(float)
+    let res = evaluateLatex(ctx, source, values)
+    if res.isOk():
+      result.ok = true
+      result.value = res.value
+    else:
+      result.ok = false
+      result.error = errorToJs(res.error, source)
+
+  proc latexToMathML*(latex: cstring, displayStyle: bool, options: JsObject): cstring {.exportc.} =
     ## Convert LaTeX to MathML with configurable display style
     ##
     ## Parameters:
     ##   latex: LaTeX math expression
     ##   displayStyle: true for block/display math ($$...$$, \[...\])
     ##                 false for inline math ($...$, \(...\))
-    let options = MathMLOptions(displayStyle: displayStyle, prettyPrint: false, indentSize: 2)
-    let res = latexToMathML($latex, options)
-    if res.isOk():
-      result = cstring(res.value)
+    ##   options: optional { prettyPrint, indentSize, annotateTex, altText,
+    ##            sourcePositions, equationNumbers, firstEquationNumber,
+    ##            recover }
+    ##
+    ## Returns the string "ERROR" on failure; use latexToMathMLResult
+    ## to find out what went wrong.
+    let res = convertToJs(newParseContext(), latex, displayStyle, options)
+    if res.ok.to(bool):
+      result = res.mathml.to(cstring)
     else:
       result = cstring"ERROR"
 
+  proc latexToMathMLResult*(latex: cstring, displayStyle: bool, options: JsObject): JsObject {.exportc.} =
+    ## Convert LaTeX to MathML, returning a structured result
+    ##
+    ## Returns { ok: true, mathml, diagnostics, equations } on success, or
+    ## { ok: false, error: { kind, message, position, line, column, context },
+    ## diagnostics } where kind is a stable error code such as
+    ## "unexpected_token". diagnostics lists warnings and errors as
+    ## { severity, code, message, position, endPosition, line, column }.
+    ## options is the same optional object latexToMathML accepts. With
+    ## options.recover set, unparseable parts are rendered as <merror> and
+    ## the result is { ok: true, mathml, errors: [...] }. equations lists the
+    ## rows of display environments with an equation number, a \tag or a
+    ## \label as { number, label, row, tagged }; number is "" for a row with
+    ## only a label, and tagged is set when it comes from \tag. Automatic
+    ## numbers start at options.firstEquationNumber (default 1).
+    convertToJs(newParseContext(), latex, displayStyle, options)
+
+  proc latexToAstJson*(latex: cstring): JsObject {.exportc.} =
+    ## Parse LaTeX to an AST document (see AST_JSON.md)
+    ##
+    ## Returns { ok: true, ast } where ast is a plain object that can be
+    ## stored with JSON.stringify or transformed, or { ok: false, error }.
+    astJsonToJs(newParseContext(), latex)
+
+  proc latexToText*(latex: cstring): JsObject {.exportc.} =
+    ## Convert LaTeX to readable Unicode text (x², √(x+1), H₂O)
+    ##
+    ## Returns { ok: true, text } or { ok: false, error }.
+    textToJs(newParseContext(), latex)
+
+  proc latexToSpeech*(latex: cstring): JsObject {.exportc.} =
+    ## Convert LaTeX to an English speech string for screen readers
+    ##
+    ## Returns { ok: true, speech } or { ok: false, error }.
+    speechToJs(newParseContext(), latex)
+
+  proc latexToBraille*(latex: cstring, options: JsObject): JsObject {.exportc.} =
+    ## Convert LaTeX to mathematical braille (Unicode braille cells)
+    ##
+    ## options.code is "nemeth" (default) or "ueb". Returns
+    ## { ok: true, braille } or { ok: false, error }.
+    brailleToJs(newParseContext(), latex, options)
+
+  proc normalizeLatex*(latex: cstring): JsObject {.exportc.} =
+    ## Print LaTeX math in canonical form (macros expanded, arguments braced)
+    ##
+    ## Returns { ok: true, latex } or { ok: false, error }.
+    normalizeToJs(newParseContext(), latex)
+
+  proc latexToOMML*(latex: cstring, displayStyle: bool): JsObject {.exportc.} =
+    ## Convert LaTeX to OMML for embedding in Word documents
+    ##
+    ## displayStyle wraps the <m:oMath> element in an <m:oMathPara>.
+    ## Returns { ok: true, omml } or { ok: false, error }.
+    ommlToJs(newParseContext(), latex, displayStyle)
+
+  proc latexToContentMathML*(latex: cstring): JsObject {.exportc.} =
+    ## Convert LaTeX to Content MathML, encoding what the formula means
+    ##
+    ## Returns { ok: true, mathml } or { ok: false, error }.
+    contentToJs(newParseContext(), latex)
+
+  proc evaluateLatex*(latex: cstring, bindings: JsObject): JsObject {.exportc.} =
+    ## Evaluate LaTeX to a number, with variables bound by bindings
+    ## ({ x: 2 })
+    ##
+    ## Returns { ok: true, value } or { ok: false, error }; errors from
+    ## evaluation rather than parsing have the kind "evaluation_error".
+    evaluateToJs(newParseContext(), latex, bindings)
+
+  proc asciiMathToMathML*(source: cstring, displayStyle: bool, options: JsObject): JsObject {.exportc.} =
+    ## Convert AsciiMath to MathML
+    ##
+    ## options is the same optional object latexToMathML accepts (recover
+    ## is ignored). Returns { ok: true, mathml } or { ok: false, error }.
+    let text = $source
+    let res = asciiMathToMathML(text, optionsFromJs(displayStyle, options))
+    result = newJsObject()
+    if res.isOk():
+      result.ok = true
+      result.mathml = cstring(res.value)
+    else:
+      result.ok = false
+      result.error = errorToJs(res.error, text)
+
+  proc astJsonToMathML*(ast: JsObject, displayStyle: bool, options: JsObject): JsObject {.exportc.} =
+    ## Convert an AST document (object or JSON string) to MathML
+    ##
+    ## Returns { ok: true, mathml } or { ok: false, error }; a malformed
+    ## document gives an "invalid_argument" error.
+    let document = if jsTypeOf(ast) == "string": $ast.to(cstring) else: $stringifyJs(ast)
+    let res = astJsonToMathML(document, optionsFromJs(displayStyle, options))
+    result = newJsObject()
+    if res.isOk():
+      result.ok = true
+      result.mathml = cstring(res.value)
+    else:
+      result.ok = false
+      result.error = errorToJs(res.error, "")
+
+  proc createContext*(options: JsObject): JsObject {.exportc.} =
+    ## Create a conversion context with its own macros
+    ##
+    ## options.macros may hold a preamble of \newcommand/\def definitions,
+    ## parsed once. The returned object has latexToMathML,
+    ## latexToMathMLResult, latexToText, latexToSpeech, latexToBraille,
+    ## normalizeLatex, latexToOMML, latexToContentMathML, evaluateLatex,
+    ## latexToAstJson, defineMacros and resetMacros methods;
+    ## macros defined while converting are only visible to later conversions
+    ## through the same context. Throws an Error (with
+    ## the structured error as its `details`) if the preamble is invalid.
+    var preamble = ""
+    if not options.isUndefined and not options.isNull and not options.macros.isUndefined:
+      preamble = $options.macros.to(cstring)
+
+    let ctxResult = newContext(preamble)
+    if not ctxResult.isOk:
+      let error = newJsError(cstring("Invalid macro preamble: " & ctxResult.error.message))
+      error.details = errorToJs(ctxResult.error, preamble)
+      throwJs(error)
+    let ctx = ctxResult.value
+
+    result = newJsObject()
+    result.latexToMathML = proc (latex: cstring, displayStyle: bool, options: JsObject): cstring =
+      let res = convertToJs(ctx, latex, displayStyle, options)
+      if res.ok.to(bool): res.mathml.to(cstring) else: cstring"ERROR"
+    result.latexToMathMLResult = proc (latex: cstring, displayStyle: bool, options: JsObject): JsObject =
+      convertToJs(ctx, latex, displayStyle, options)
+    result.latexToText = proc (latex: cstring): JsObject =
+      textToJs(ctx, latex)
+    result.latexToSpeech = proc (latex: cstring): JsObject =
+      speechToJs(ctx, latex)
+    result.latexToBraille = proc (latex: cstring, options: JsObject): JsObject =
+      brailleToJs(ctx, latex, options)
+    result.normalizeLatex = proc (latex: cstring): JsObject =
+      normalizeToJs(ctx, latex)
+    result.latexToOMML = proc (latex: cstring, displayStyle: bool): JsObject =
+      ommlToJs(ctx, latex, displayStyle)
+    result.latexToContentMathML = proc (latex: cstring): JsObject =
+      contentToJs(ctx, latex)
+    result.evaluateLatex = proc (latex: cstring, bindings: JsObject): JsObject =
+      evaluateToJs(ctx, latex, bindings)
+    result.latexToAstJson = proc (latex: cstring): JsObject =
+      astJsonToJs(ctx, latex)
+    result.defineMacros = proc (macros: cstring): JsObject =
+      let res = ctx.loadPreamble($macros)
+      result = newJsObject()
+      result.ok = res.isOk
+      if not res.isOk:
+        result.error = errorToJs(res.error, $macros)
+    result.resetMacros = proc () =
+      ctx.resetMacros()
+
 else:
-  proc latexToMathML*(latex: string, displayStyle: bool): string  =
+  proc latexToMathML*(latex: string, displayStyle: bool, prettyPrint: bool = false): string  =
     ## Convert LaTeX to MathML with configurable display style
     ##
     ## Parameters:
     ##   latex: LaTeX math expression
     ##   displayStyle: true for block/display math ($$...$$, \[...\])
     ##                 false for inline math ($...$, \(...\))
-    let options = MathMLOptions(displayStyle: displayStyle, prettyPrint: false, indentSize: 2)
+    ##   prettyPrint: indent the output, one element per line
+    var options = defaultOptions()
+    options.displayStyle = displayStyle
+    options.prettyPrint = prettyPrint
     let res = latexToMathML($latex, options)
     if res.isOk():
       result = res.value
     else:
       result = "ERROR"
 
-  proc main(tex: string, asBlock: bool = false) =
+  import std/[asyncdispatch, asynchttpserver, json, strutils]
+  import ../src/yatexml/server
+
+  proc serveStdio(session: ServerSession) =
+    ## Answer newline-delimited JSON requests on stdin until it is closed
+    var line: string
+    while stdin.readLine(line):
+      if line.strip().len == 0:
+        continue
+      stdout.writeLine(session.handleLine(line))
+      stdout.flushFile()
+
+  proc serveHttp(sessions: SessionTable, port: int) =
+    ## Answer JSON requests POSTed to http://127.0.0.1:port/
+    let httpServer = newAsyncHttpServer()
+    proc handler(req: Request) {.async, gcsafe.} =
+      if req.reqMethod != HttpPost:
+        await req.respond(Http405, "Send requests as POST\n")
+        return
+      var status = Http200
+      var body: string
+      try:
+        # The server runs on one thread, so sessions are never shared
+        {.cast(gcsafe).}:
+          body = sessions.handleBody(req.body)
+      except CatchableError as e:
+        # Answer the failed request and keep serving the others
+        status = Http500
+        body = $(%*{"id": newJNull(), "ok": false,
+                    "error": {"kind": "internal_error", "message": e.msg}})
+      await req.respond(status, body, newHttpHeaders({"Content-Type": "application/json"}))
+    waitFor httpServer.serve(Port(port), handler, address = "127.0.0.1")
+
+  proc main(tex: string = "", asBlock: bool = false, pretty: bool = false,
+            server: bool = false, http: int = 0, macros: string = "") =
     ## Converts the given input latex to MathML and prints the generated MathML code.
-    echo latexToMathML(tex, asBlock)
+    ## With --server or --http, keeps running and answers JSON requests instead.
+    if not server and http == 0:
+      echo latexToMathML(tex, asBlock, pretty)
+      return
+
+    var options = defaultOptions()
+    options.displayStyle = asBlock
+    options.prettyPrint = pretty
+    let preamble = if macros.len > 0: readFile(macros) else: ""
+    if http > 0:
+      let sessions = newSessionTable(options, preamble)
+      if not sessions.isOk:
+        quit("Invalid macros: " & $sessions.error, 1)
+      serveHttp(sessions.value, http)
+    else:
+      let session = newServerSession(options, preamble)
+      if not session.isOk:
+        quit("Invalid macros: " & $session.error, 1)
+      serveStdio(session.value)
 
   when isMainModule:
     import cligen
-    dispatch main, noAutoEcho=true
+    dispatch main, noAutoEcho=true, help={
+      "server": "answer newline-delimited JSON requests on stdin",
+      "http": "answer JSON requests POSTed to this port on 127.0.0.1",
+      "macros": "file of \\newcommand/\\def definitions for server sessions"}
@@ -5,7 +5,8 @@
  * Supports: $...$, $$...$$, \(...\), \[...\], \begin{equation}...\end{equation}
  *
  * Features:
- * - Automatic equation numbering for numbered environments
+ * - Automatic equation numbering for numbered environments, row by row
+ *   in align and gather, with \tag, \notag and \nonumber
  * - Label support with \label{...}
  * - Reference support with \ref{...} and \eqref{...}
  *
@@ -25,6 +26,10 @@
   // Global state for equation numbering and labels
   let equationCounter = 0;
   const labelMap = {}; // Maps label names to equation numbers
+  // Display math converted by the prescan, by conversionKey, for the
+  // rendering pass to reuse: each formula is converted (and runs its
+  // \def) once
+  const prescanResults = new Map();
 
   // Default configuration
   const defaultConfig = {
@@ -33,6 +38,10 @@
       { left: '\\begin{equation}', right: '\\end{equation}', display: true, numbered: true },
       { left: '\\begin{align}', right: '\\end{align}', display: true, numbered: true },
       { left: '\\begin{gather}', right: '\\end{gather}', display: true, numbered: true },
+      { left: '\\begin{multline}', right: '\\end{multline}', display: true, numbered: true },
+      { left: '\\begin{flalign}', right: '\\end{flalign}', display: true, numbered: true },
+      { left: '\\begin{alignat}', right: '\\end{alignat}', display: true, numbered: true },
+      { left: '\\begin{eqnarray}', right: '\\end{eqnarray}', display: true, numbered: true },
 
       // Display math (block-level) - unnumbered environments
       { left: '$$', right: '$$', display: true, numbered: false },
@@ -43,6 +52,10 @@
       { left: '\\begin{aligned*}', right: '\\end{aligned*}', display: true, numbered: false },
       { left: '\\begin{gather*}', right: '\\end{gather*}', display: true, numbered: false },
       { left: '\\begin{gathered}', right: '\\end{gathered}', display: true, numbered: false },
+      { left: '\\begin{multline*}', right: '\\end{multline*}', display: true, numbered: false },
+      { left: '\\begin{flalign*}', right: '\\end{flalign*}', display: true, numbered: false },
+      { left: '\\begin{alignat*}', right: '\\end{alignat*}', display: true, numbered: false },
+      { left: '\\begin{eqnarray*}', right: '\\end{eqnarray*}', display: true, numbered: false },
 
       // Inline math
       { left: '$', right: '$', display: false, numbered: false },
@@ -58,7 +71,26 @@
     // Enable equation numbering
     equationNumbering: true,
 
+    // Keep the TeX source in the output as an application/x-tex annotation
+    // (for copy/paste and re-editing)
+    annotateTex: true,
+
+    // Also set the alttext attribute on <math> to the TeX source
+    altText: false,
+
+    // Render the parts of an equation that fail to parse as <merror>
+    // instead of passing the whole equation to onError
+    recover: false,
+
+    // Put an English speech string of each equation in the aria-label of
+    // its container (and hide the inner <math> from screen readers)
+    ariaLabel: false,
+
+    // Also render AsciiMath between backticks (`sqrt(x)/2`) as inline math
+    asciimath: false,
+
     // Error handling
+    // error is an Error with kind, position, line, column and context fields
     onError: (latex, error) => {
       console.error('yatexml conversion error:', error, '\nLaTeX:', latex);
       return null; // Return null to leave original text, or return error HTML
@@ -66,8 +98,129 @@
 
     // Element to render into (if null, renders in-place)
     targetElement: null,
+
+    // Conversion context from createContext() (if null, every equation
+    // is converted on its own and macros don't carry over)
+    context: null,
   };
 
+  // Delimiters added by the asciimath option
+  const asciimathDelimiters = [
+    { left: '`', right: '`', display: false, numbered: false, asciimath: true },
+  ];
+
+  /**
+   * Get the converter options ({ annotateTex, altText, recover }) from the config
+   * Equation numbers are left to numberingOptions, which continues the
+   * page's numbering; every other conversion hides them
+   */
+  function converterOptions(config) {
+    return {
+      annotateTex: config.annotateTex,
+      altText: config.altText,
+      recover: config.recover,
+      equationNumbers: false
+    };
+  }
+
+  /**
+   * Get the converter options that number the rows of a display
+   * environment, continuing from the equations rendered so far
+   */
+  function numberingOptions(config) {
+    return {
+      equationNumbers: config.equationNumbering,
+      firstEquationNumber: equationCounter + 1
+    };
+  }
+
+  /**
+   * Count the rows of a converted environment that took an automatic
+   * number (rather than a \tag)
+   */
+  function countNumbered(equations) {
+    return equations.filter(line => line.number !== '' && !line.tagged).length;
+  }
+
+  /**
+   * Convert LaTeX to MathML using the structured entry point
+   * Uses the macros of `config.context` (from createContext) when given
+   * Returns { ok: true, mathml, equations } or { ok: false, error };
+   * older builds leave out equations
+   */
+  function convertLatex(latex, displayStyle, config, extraOptions = {}) {
+    const options = { ...converterOptions(config), ...extraOptions };
+    if (config.context) {
+      return config.context.latexToMathMLResult(latex, displayStyle, options);
+    }
+    if (typeof latexToMathMLResult === 'function') {
+      return latexToMathMLResult(latex, displayStyle, options);
+    }
+
+    // Older builds only provide the string API
+    const mathml = latexToMathML(latex, displayStyle);
+    if (mathml === 'ERROR' || !mathml || typeof mathml !== 'string') {
+      return {
+        ok: false,
+        error: { kind: 'unknown', message: 'Conversion failed', position: 0, line: 1, column: 1, context: '' },
+      };
+    }
+    return { ok: true, mathml };
+  }
+
+  /**
+   * Convert AsciiMath to MathML
+   * Returns { ok: true, mathml } or { ok: false, error }
+   */
+  function convertAsciiMath(source, displayStyle, config) {
+    if (typeof asciiMathToMathML !== 'function') {
+      return {
+        ok: false,
+        error: { kind: 'unknown', message: 'asciiMathToMathML function not found', position: 0, line: 1, column: 1, context: '' },
+      };
+    }
+    return asciiMathToMathML(source, displayStyle, converterOptions(config));
+  }
+
+  /**
+   * Get the speech string of an equation, or null if it is not available
+   * Uses the macros of `config.context` (from createContext) when given
+   */
+  function speakLatex(latex, config) {
+    let result = null;
+    if (config.context && typeof config.context.latexToSpeech === 'function') {
+      result = config.context.latexToSpeech(latex);
+    } else if (typeof latexToSpeech === 'function') {
+      result = latexToSpeech(latex);
+    }
+    return result && result.ok ? result.speech : null;
+  }
+
+  /**
+   * Label a rendered container with the speech string of its equation
+   * The <math> inside is hidden from screen readers so it is not read twice
+   */
+  function applyAriaLabel(container, latex, config) {
+    const speech = speakLatex(latex, config);
+    if (speech === null) {
+      return;
+    }
+    container.setAttribute('role', 'math');
+    container.setAttribute('aria-label', speech);
+    const math = container.querySelector('math');
+    if (math) {
+      math.setAttribute('aria-hidden', 'true');
+    }
+  }
+
+  /**
+   * Turn a structured conversion error into an Error object
+   * The diagnostic fields (kind, position, line, column, context) are kept on the Error
+   */
+  function conversionError(error) {
+    return Object.assign(new Error(error.message), error);
+  }
+
   /**
    * Escape special regex characters
    */
@@ -115,44 +268,68 @@
     return text;
   }
 
+  /**
+   * Convert display math with the rows of its environments, and any
+   * \tag, numbered by the converter
+   * Returns the conversion result, or null when the conversion fails or
+   * the build numbers environments as a whole (no equations in the result)
+   */
+  function convertNumberedRows(match, config) {
+    if (!match.display || match.asciimath) {
+      return null;
+    }
+    const result = convertLatex(match.latex, match.display, config, numberingOptions(config));
+    return result.ok && result.equations ? result : null;
+  }
+
+  /**
+   * Key of a display formula's conversion: its source and the number its
+   * rows start from, which the prescan and the rendering pass agree on
+   */
+  function conversionKey(match) {
+    return `${equationCounter + 1}\n${match.latex}`;
+  }
+
+  /**
+   * Take the prescan's conversion of a display formula, if there is one
+   */
+  function takePrescanResult(match) {
+    const results = prescanResults.get(conversionKey(match));
+    return results && results.length > 0 ? results.shift() : null;
+  }
+
   /**
    * Pre-scan document to collect all labels and assign equation numbers
    * This must be done in a first pass before rendering
    *
-   * IMPORTANT: We must find all numbered environments and sort by position
-   * to assign numbers in document order, not by delimiter type order.
+   * Matches are visited in document order, and display math is
+   * converted to find the number of each of its rows, so the numbers
+   * agree with the rendering pass.
    */
   function prescanForLabels(element, config) {
     const text = element.textContent || element.innerText || '';
-    const allMatches = [];
-
-    // Collect all numbered environment matches with their positions
-    for (const delim of config.delimiters) {
-      if (!delim.numbered) continue;
-
-      const leftEsc = escapeRegex(delim.left);
-      const rightEsc = escapeRegex(delim.right);
-      const pattern = new RegExp(`${leftEsc}([\\s\\S]*?)${rightEsc}`, 'g');
-
-      let match;
-      while ((match = pattern.exec(text)) !== null) {
-        allMatches.push({
-          start: match.index,
-          content: match[1]
-        });
-      }
-    }
 
-    // Sort by position in document
-    allMatches.sort((a, b) => a.start - b.start);
-
-    // Assign equation numbers in document order
-    for (const match of allMatches) {
-      equationCounter++;
-      const labelInfo = extractLabel(match.content);
-
-      if (labelInfo.label) {
-        labelMap[labelInfo.label] = equationCounter;
+    for (const match of findMathInText(text, config.delimiters)) {
+      const rows = convertNumberedRows(match, config);
+      if (rows) {
+        const key = conversionKey(match);
+        if (!prescanResults.has(key)) {
+          prescanResults.set(key, []);
+        }
+        prescanResults.get(key).push(rows);
+        for (const line of rows.equations) {
+          if (line.label && line.number) {
+            labelMap[line.label] = line.number;
+          }
+        }
+        equationCounter += countNumbered(rows.equations);
+      } else if (match.numbered) {
+        // Numbered as a whole
+        equationCounter++;
+        const labelInfo = extractLabel(match.latex);
+        if (labelInfo.label) {
+          labelMap[labelInfo.label] = equationCounter;
+        }
       }
     }
 
@@ -193,6 +370,8 @@
           end: match.index + match[0].length,
           display: delim.display,
           numbered: delim.numbered,
+          environment: isEnvironment,
+          asciimath: Boolean(delim.asciimath),
           fullMatch: match[0],
         });
       }
@@ -269,16 +448,28 @@
         }
       }
 
-      // Extract label and prepare latex
-      const labelInfo = extractLabel(match.latex);
+      // Display math is numbered row by row by the converter, which also
+      // gives each labelled row its eq:label id
+      let result = takePrescanResult(match) || convertNumberedRows(match, config);
+      let labelInfo = { label: null, latex: match.latex };
       let eqNumber = null;
-      let eqLabel = labelInfo.label;
+      if (result) {
+        equationCounter += countNumbered(result.equations);
+      } else {
+        // Extract label and prepare latex (AsciiMath has no labels)
+        if (!match.asciimath) {
+          labelInfo = extractLabel(match.latex);
+        }
 
-      // Assign equation number for numbered environments
-      if (match.numbered && config.equationNumbering) {
-        equationCounter++;
-        eqNumber = equationCounter;
+        // Assign equation number for numbered environments
+        if (match.numbered) {
+          equationCounter++;
+          if (config.equationNumbering) {
+            eqNumber = equationCounter;
+          }
+        }
       }
+      const eqLabel = labelInfo.label;
 
       // Convert LaTeX to MathML
       try {
@@ -287,12 +478,16 @@
         }
 
         // Pass displayStyle parameter: true for block math ($$...$$), false for inline ($...$)
-        let mathml = latexToMathML(labelInfo.latex, match.display);
+        if (!result) {
+          result = match.asciimath
+            ? convertAsciiMath(labelInfo.latex, match.display, config)
+            : convertLatex(labelInfo.latex, match.display, config);
+        }
 
-        // Handle ERROR response
-        if (mathml === 'ERROR' || !mathml || typeof mathml !== 'string') {
-          throw new Error('Conversion returned error');
+        if (!result.ok) {
+          throw conversionError(result.error);
         }
+        const mathml = result.mathml;
 
         if (match.display && eqNumber !== null) {
           // Create equation container with number
@@ -314,6 +509,9 @@
 
           container.appendChild(eqContent);
           container.appendChild(eqNumSpan);
+          if (config.ariaLabel && !match.asciimath) {
+            applyAriaLabel(container, labelInfo.latex, config);
+          }
           fragment.appendChild(container);
         } else {
           // Regular display or inline math (no number)
@@ -336,6 +534,10 @@
 
           // Insert the MathML
           span.innerHTML = mathml;
+          // Speech strings are generated from LaTeX only
+          if (config.ariaLabel && !match.asciimath) {
+            applyAriaLabel(span, labelInfo.latex, config);
+          }
           fragment.appendChild(span);
         }
 
@@ -411,6 +613,7 @@
     for (const key in labelMap) {
       delete labelMap[key];
     }
+    prescanResults.clear();
   }
 
   /**
@@ -418,6 +621,9 @@
    */
   function autoRender(element, userConfig = {}) {
     const config = { ...defaultConfig, ...userConfig };
+    if (config.asciimath) {
+      config.delimiters = [...config.delimiters, ...asciimathDelimiters];
+    }
 
     if (!element) {
       console.error('yatexml.autoRender: No element provided');
@@ -455,18 +661,29 @@
       }
 
       // Pass displayStyle parameter to control inline vs block rendering
-      const mathml = latexToMathML(latex, displayStyle);
+      const result = convertLatex(latex, displayStyle, config);
 
-      if (mathml === 'ERROR' || !mathml) {
-        throw new Error('Conversion failed');
+      if (!result.ok) {
+        throw conversionError(result.error);
       }
 
-      return mathml;
+      return result.mathml;
     } catch (err) {
       return config.onError(latex, err) || '';
     }
   }
 
+  /**
+   * Create a conversion context with its own macros
+   * options.macros is a preamble of \newcommand/\def definitions
+   */
+  function createMacroContext(options = {}) {
+    if (typeof createContext !== 'function') {
+      throw new Error('createContext function not found. Make sure latexToMathML.js is loaded.');
+    }
+    return createContext(options);
+  }
+
   /**
    * Get the current label map (for debugging)
    */
@@ -480,6 +697,7 @@
     renderToString,
     resetNumbering,
     getLabels,
+    createContext: createMacroContext,
     version: '1.1.0',
   };
 
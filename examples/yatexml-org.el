@@ -26,12 +26,15 @@
 ;; 3. Export your Org file to HTML (C-c C-e h h)
 ;;
 ;; The LaTeX fragments will be converted to MathML natively, with no
-;; JavaScript dependencies required during export.
+;; JavaScript dependencies required during export.  By default one
+;; `latexToMathML --server' process converts all fragments; set
+;; `yatexml-use-server' to nil to run the binary once per fragment.
 
 ;;; Code:
 
 (require 'ox-html)
 (require 'subr-x)
+(require 'json)
 
 (defgroup yatexml nil
   "Convert LaTeX to MathML using yatexml during Org export."
@@ -52,6 +55,29 @@ This should be the compiled executable from examples/latexToMathML.nim"
                  (const :tag "No conversion" none))
   :group 'yatexml)
 
+(defcustom yatexml-use-server t
+  "Keep one latexToMathML process running for all conversions.
+When non-nil, the binary is started once with --server and every
+fragment is sent to it as a JSON request, so macros defined in one
+fragment are available in later ones.  When nil, the binary is run
+once per fragment."
+  :type 'boolean
+  :group 'yatexml)
+
+(defcustom yatexml-server-timeout 10
+  "Seconds to wait for the conversion server to answer a request."
+  :type 'number
+  :group 'yatexml)
+
+(defvar yatexml--server-process nil
+  "The running `latexToMathML --server' process, if any.")
+
+(defvar yatexml--server-output ""
+  "Output of the conversion server not yet read as a response.")
+
+(defvar yatexml--server-request-id 0
+  "Id of the last request sent to the conversion server.")
+
 (defvar yatexml--conversion-cache (make-hash-table :test 'equal)
   "Cache for LaTeX to MathML conversions to avoid redundant calls.")
 
@@ -86,6 +112,78 @@ This is more robust than `shell-quote-argument' for complex LaTeX strings."
   ;; Use single quotes and escape any single quotes in the string
   (concat "'" (replace-regexp-in-string "'" "'\\\\''" arg) "'"))
 
+(defun yatexml--server-filter (_process output)
+  "Collect OUTPUT of the conversion server."
+  (setq yatexml--server-output (concat yatexml--server-output output)))
+
+(defun yatexml--server-start ()
+  "Return the conversion server process, starting it if needed."
+  (unless (process-live-p yatexml--server-process)
+    (yatexml--ensure-binary-path)
+    (setq yatexml--server-output "")
+    (setq yatexml--server-process
+          (make-process :name "yatexml-server"
+                        :command (list yatexml-binary-path "--server")
+                        :connection-type 'pipe
+                        :coding 'utf-8
+                        :noquery t
+                        :stderr (get-buffer-create " *yatexml-server-stderr*")
+                        :filter #'yatexml--server-filter)))
+  yatexml--server-process)
+
+(defun yatexml--server-read-line (process)
+  "Wait for the next response line from PROCESS and parse it.
+Returns the response as an alist, or nil if the server did not answer."
+  (while (and (not (string-match-p "\n" yatexml--server-output))
+              (process-live-p process)
+              (accept-process-output process yatexml-server-timeout)))
+  (let ((newline (string-match "\n" yatexml--server-output)))
+    (when newline
+      (prog1 (json-read-from-string (substring yatexml--server-output 0 newline))
+        (setq yatexml--server-output
+              (substring yatexml--server-output (1+ newline)))))))
+
+(defun yatexml--server-read-response (process id)
+  "Wait for the response to request ID from PROCESS and parse it.
+Late answers to earlier requests, which timed out, are discarded.
+Returns the response as an alist, or nil if the server did not answer."
+  (let (response)
+    (while (and (setq response (yatexml--server-read-line process))
+                (not (equal (alist-get 'id response) id))))
+    response))
+
+(defun yatexml--server-convert (latex display-style)
+  "Convert LATEX with the conversion server.
+If DISPLAY-STYLE is non-nil, use block/display math mode.
+Returns the MathML string or nil on error."
+  (let* ((process (yatexml--server-start))
+         (id (setq yatexml--server-request-id (1+ yatexml--server-request-id)))
+         (request (json-encode `((id . ,id)
+                                 (latex . ,latex)
+                                 (display . ,(if display-style t :json-false))))))
+    (process-send-string process (concat request "\n"))
+    (let ((response (yatexml--server-read-response process id)))
+      (cond
+       ((null response)
+        (message "yatexml server did not answer for: %s"
+                 (substring latex 0 (min 50 (length latex))))
+        nil)
+       ((eq (alist-get 'ok response) t)
+        (alist-get 'mathml response))
+       (t
+        (message "yatexml conversion failed for: %s (%s)"
+                 (substring latex 0 (min 50 (length latex)))
+                 (alist-get 'message (alist-get 'error response)))
+        nil)))))
+
+(defun yatexml-stop-server ()
+  "Stop the conversion server, if it is running."
+  (interactive)
+  (when (process-live-p yatexml--server-process)
+    (delete-process yatexml--server-process))
+  (setq yatexml--server-process nil
+        yatexml--server-output ""))
+
 (defun yatexml--convert-latex (latex &optional display-style)
   "Convert LATEX string to MathML using yatexml native binary.
 If DISPLAY-STYLE is non-nil, use block/display math mode.
@@ -93,8 +191,14 @@ Returns the MathML string or nil on error."
   (yatexml--ensure-binary-path)
   (let* ((cache-key (cons latex display-style))
          (cached (gethash cache-key yatexml--conversion-cache)))
-    (if cached
-        cached
+    (cond
+     (cached cached)
+     (yatexml-use-server
+      (let ((mathml (yatexml--server-convert latex display-style)))
+        (when mathml
+          (puthash cache-key mathml yatexml--conversion-cache))
+        mathml))
+     (t
       (let* ((output-buffer (generate-new-buffer " *yatexml-output*"))
              (stderr-file (make-temp-file "yatexml-stderr"))
              (args (list (concat "--tex=" latex))))
@@ -137,7 +241,7 @@ Returns the MathML string or nil on error."
           (when (buffer-live-p output-buffer)
             (kill-buffer output-buffer))
           (when (and stderr-file (file-exists-p stderr-file))
-            (delete-file stderr-file)))))))
+            (delete-file stderr-file))))))))
 
 (defun yatexml--is-display-math-p (html-fragment)
   "Determine if HTML-FRAGMENT represents display math.
@@ -251,6 +355,7 @@ BACKEND and INFO are provided by the Org export system."
         (add-to-list 'org-export-filter-final-output-functions
                      #'yatexml--add-mathml-css)
         (message "yatexml-org-mode enabled (native binary mode)"))
+    (yatexml-stop-server)
     ;; Disable filters
     (setq org-export-filter-latex-fragment-functions
           (remove #'yatexml--latex-fragment-filter
@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+/**
+ * yatexml command-line tool
+ *
+ * Converts LaTeX math to MathML with the JS build.
+ *
+ * Usage:
+ *   yatexml [options] [latex]
+ *
+ * The expression is taken from the argument, from --file, or from stdin.
+ * With --batch, every input line is a JSON object {id, latex, display} and
+ * every output line is {id, mathml} or {id, error}.
+ *
+ * With --server or --http, the tool keeps running and answers requests of
+ * the conversion server protocol (see the README), keeping macros per
+ * session.
+ */
+
+import { createReadStream, createWriteStream, readFileSync, writeFileSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { createInterface } from 'node:readline';
+import { parseArgs } from 'node:util';
+import * as yatexml from '../dist/yatexml.mjs';
+
+const usage = `Usage: yatexml [options] [latex]
+
+Convert LaTeX math to MathML. The expression is read from the argument,
+from --file, or from stdin.
+
+Options:
+  -d, --display        Display (block) math instead of inline math
+  -p, --pretty         Indent the output, one element per line
+      --annotate       Keep the TeX source as an application/x-tex annotation
+      --macros <file>  Load \\newcommand/\\def definitions before converting
+  -f, --file <file>    Read the input from a file instead of stdin
+  -o, --output <file>  Write the output to a file instead of stdout
+      --batch          Read JSON Lines of {id, latex, display}, write
+                       {id, mathml} or {id, error} per line
+      --strict         Exit with status 1 if any conversion fails
+      --server         Keep running and answer JSON requests on stdin, one
+                       per line, with macros kept between requests
+      --http <port>    Like --server, but answer JSON requests POSTed to
+                       http://127.0.0.1:<port>/
+  -h, --help           Show this help
+  -v, --version        Show the version
+`;
+
+const optionSpec = {
+  display: { type: 'boolean', short: 'd', default: false },
+  pretty: { type: 'boolean', short: 'p', default: false },
+  annotate: { type: 'boolean', default: false },
+  macros: { type: 'string' },
+  file: { type: 'string', short: 'f' },
+  output: { type: 'string', short: 'o' },
+  batch: { type: 'boolean', default: false },
+  strict: { type: 'boolean', default: false },
+  server: { type: 'boolean', default: false },
+  http: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false },
+  version: { type: 'boolean', short: 'v', default: false },
+};
+
+/**
+ * Read all of stdin as a string
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Format a structured conversion error for the terminal
+ */
+function formatError(error) {
+  return `error: ${error.message} (line ${error.line}, column ${error.column})`;
+}
+
+/**
+ * Create the converter: a context when --macros is given, so every
+ * conversion sees those definitions, otherwise the plain functions
+ * runBatch resets the context's macros before each request, so batch
+ * lines do not see each other's definitions.
+ */
+function createConverter(values) {
+  if (!values.macros) {
+    return yatexml;
+  }
+  return yatexml.createContext({ macros: readFileSync(values.macros, 'utf8') });
+}
+
+/**
+ * Convert one batch request to a response object
+ * Requests without a display field use the --display setting.
+ */
+function convertRequest(converter, request, display, options) {
+  if (request === null || typeof request !== 'object' || typeof request.latex !== 'string') {
+    return {
+      id: request?.id ?? null,
+      error: { kind: 'invalid_request', message: 'Expected an object with a "latex" string' },
+    };
+  }
+  const result = converter.latexToMathMLResult(request.latex, Boolean(request.display ?? display), options);
+  return result.ok
+    ? { id: request.id ?? null, mathml: result.mathml }
+    : { id: request.id ?? null, error: result.error };
+}
+
+/**
+ * Convert JSON Lines from input to output, one response per request
+ * Returns the number of failed requests.
+ */
+async function runBatch(converter, input, output, display, options) {
+  const lines = createInterface({ input, crlfDelay: Infinity });
+  let failures = 0;
+
+  for await (const line of lines) {
+    if (line.trim() === '') {
+      continue;
+    }
+    let response;
+    // Every request starts from the --macros preamble alone
+    converter.resetMacros?.();
+    try {
+      response = convertRequest(converter, JSON.parse(line), display, options);
+    } catch (err) {
+      response = { id: null, error: { kind: 'invalid_json', message: err.message } };
+    }
+    if (response.error) {
+      failures++;
+    }
+    output.write(JSON.stringify(response) + '\n');
+  }
+  return failures;
+}
+
+/** Request fields that override the command-line conversion options */
+const requestOptionNames = [
+  'prettyPrint', 'indentSize', 'annotateTex', 'altText', 'sourcePositions', 'equationNumbers', 'firstEquationNumber', 'recover',
+];
+
+// Most HTTP sessions kept at once; the least recently used is dropped first
+const maxSessions = 64;
+
+/**
+ * Create a server session: a context with the --macros preamble
+ */
+function createSession(values) {
+  return yatexml.createContext({ macros: values.macros ? readFileSync(values.macros, 'utf8') : '' });
+}
+
+/**
+ * Answer one server request with a session
+ * Commands: convert (the default), define, reset and ping.
+ */
+function handleRequest(session, request, display, options) {
+  if (request === null || typeof request !== 'object' || Array.isArray(request)) {
+    return { id: null, ok: false, error: { kind: 'invalid_request', message: 'Expected a JSON object' } };
+  }
+  const id = request.id ?? null;
+  const command = request.command ?? 'convert';
+
+  switch (command) {
+    case 'convert': {
+      if (typeof request.latex !== 'string') {
+        return { id, ok: false, error: { kind: 'invalid_request', message: 'Expected a "latex" string' } };
+      }
+      const requestOptions = { ...options };
+      for (const name of requestOptionNames) {
+        if (request[name] !== undefined) {
+          requestOptions[name] = request[name];
+        }
+      }
+      return { id, ...session.latexToMathMLResult(request.latex, Boolean(request.display ?? display), requestOptions) };
+    }
+    case 'define':
+      return { id, ...session.defineMacros(String(request.macros ?? '')) };
+    case 'reset':
+      session.resetMacros();
+      return { id, ok: true };
+    case 'ping':
+      return { id, ok: true };
+    default:
+      return { id, ok: false, error: { kind: 'invalid_request', message: `Unknown command: ${command}` } };
+  }
+}
+
+/**
+ * Answer one server request given as JSON text
+ */
+function handleJson(session, text, display, options) {
+  let request;
+  try {
+    request = JSON.parse(text);
+  } catch (err) {
+    return { id: null, ok: false, error: { kind: 'invalid_json', message: err.message } };
+  }
+  return handleRequest(session, request, display, options);
+}
+
+/**
+ * Answer JSON requests on stdin, one per line, until stdin is closed
+ */
+async function runServer(values, options) {
+  const session = createSession(values);
+  const lines = createInterface({ input: process.stdin, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line.trim() === '') {
+      continue;
+    }
+    process.stdout.write(JSON.stringify(handleJson(session, line, values.display, options)) + '\n');
+  }
+}
+
+/**
+ * Get the named session, creating it on first use
+ * Beyond maxSessions, the least recently used session other than
+ * "default" is dropped, along with its macros.
+ */
+function useSession(sessions, name, values) {
+  let session = sessions.get(name);
+  if (session === undefined) {
+    session = createSession(values);
+  }
+  // Map keeps insertion order: move the session to the end
+  sessions.delete(name);
+  sessions.set(name, session);
+  for (const oldest of sessions.keys()) {
+    if (sessions.size <= maxSessions) {
+      break;
+    }
+    if (oldest !== 'default') {
+      sessions.delete(oldest);
+    }
+  }
+  return session;
+}
+
+/**
+ * Answer JSON requests POSTed to 127.0.0.1:port until the process is stopped
+ * The "session" field of a request picks its session; sessions are
+ * created on first use. A request that fails unexpectedly gets a 500
+ * response and the server keeps running.
+ */
+async function runHttp(values, options) {
+  const port = Number(values.http);
+  if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+    throw new Error(`invalid port: ${values.http}`);
+  }
+  const sessions = new Map([['default', createSession(values)]]);
+
+  const server = createServer(async (req, res) => {
+    try {
+      if (req.method !== 'POST') {
+        res.writeHead(405, { 'Content-Type': 'text/plain' });
+        res.end('Send requests as POST\n');
+        return;
+      }
+      const chunks = [];
+      for await (const chunk of req) {
+        chunks.push(chunk);
+      }
+      const body = Buffer.concat(chunks).toString('utf8');
+
+      let name = 'default';
+      try {
+        name = String(JSON.parse(body)?.session ?? 'default');
+      } catch {
+        // handleJson reports the invalid JSON
+      }
+      const response = handleJson(useSession(sessions, name, values), body, values.display, options);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response) + '\n');
+    } catch (err) {
+      if (!res.headersSent) {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+      }
+      const error = { kind: 'internal_error', message: err instanceof Error ? err.message : String(err) };
+      res.end(JSON.stringify({ id: null, ok: false, error }) + '\n');
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+  console.error(`yatexml: listening on http://127.0.0.1:${port}/`);
+  await new Promise((resolve) => server.once('close', resolve));
+}
+
+/**
+ * Convert a single expression
+ * Returns the number of failures (0 or 1).
+ */
+async function runSingle(converter, values, positionals, options) {
+  let latex;
+  if (positionals.length > 0) {
+    latex = positionals.join(' ');
+  } else if (values.file) {
+    latex = readFileSync(values.file, 'utf8');
+  } else {
+    latex = await readStdin();
+  }
+
+  const result = converter.latexToMathMLResult(latex.trim(), values.display, options);
+  if (!result.ok) {
+    console.error(formatError(result.error));
+    return 1;
+  }
+  if (values.output) {
+    writeFileSync(values.output, result.mathml + '\n');
+  } else {
+    process.stdout.write(result.mathml + '\n');
+  }
+  return 0;
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: optionSpec, allowPositionals: true });
+  } catch (err) {
+    console.error(`yatexml: ${err.message}\n\n${usage}`);
+    return 2;
+  }
+  const { values, positionals } = parsed;
+
+  if (values.help) {
+    process.stdout.write(usage);
+    return 0;
+  }
+  if (values.version) {
+    const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+    console.log(pkg.version);
+    return 0;
+  }
+
+  const options = { prettyPrint: values.pretty, annotateTex: values.annotate };
+  if (values.http !== undefined) {
+    await runHttp(values, options);
+    return 0;
+  }
+  if (values.server) {
+    await runServer(values, options);
+    return 0;
+  }
+  const converter = createConverter(values);
+
+  let failures;
+  if (values.batch) {
+    const input = values.file ? createReadStream(values.file) : process.stdin;
+    const output = values.output ? createWriteStream(values.output) : process.stdout;
+    failures = await runBatch(converter, input, output, values.display, options);
+    if (output !== process.stdout) {
+      await new Promise((resolve) => output.end(resolve));
+    }
+  } else {
+    failures = await runSingle(converter, values, positionals, options);
+  }
+  return values.strict && failures > 0 ? 1 : 0;
+}
+
+main().then(
+  (status) => {
+    process.exitCode = status;
+  },
+  (err) => {
+    console.error(`yatexml: ${err.message}`);
+    process.exitCode = 1;
+  },
+);
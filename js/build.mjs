@@ -0,0 +1,115 @@
+/**
+ * build.mjs
+ *
+ * Builds the npm package: compiles examples/latexToMathML.nim with the Nim
+ * JS backend and wraps the output, together with yatexml-autorender.js, in
+ * a factory function. Everything the Nim runtime declares (NTI..., framePtr,
+ * rawEcho, ...) stays local to that function, so loading the package adds no
+ * globals and has no side effects.
+ *
+ * Outputs:
+ *   dist/yatexml.mjs  ES module
+ *   dist/yatexml.cjs  CommonJS module
+ *
+ * Usage:
+ *   node build.mjs
+ */
+
+import { execFileSync } from 'node:child_process';
+import { mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const here = dirname(fileURLToPath(import.meta.url));
+const root = join(here, '..');
+const dist = join(here, 'dist');
+const nimOutput = join(dist, 'latexToMathML.nim.js');
+
+// Functions exported by examples/latexToMathML.nim
+const converterExports = [
+  'latexToMathML',
+  'latexToMathMLResult',
+  'latexToText',
+  'latexToSpeech',
+  'latexToBraille',
+  'normalizeLatex',
+  'latexToOMML',
+  'latexToContentMathML',
+  'evaluateLatex',
+  'latexToAstJson',
+  'astJsonToMathML',
+  'asciiMathToMathML',
+  'createContext',
+];
+
+// Functions exported by yatexml-autorender.js
+const autorenderExports = ['autoRender', 'renderToString', 'resetNumbering', 'getLabels'];
+
+/**
+ * Compile the JS glue module with the Nim JS backend
+ */
+function compileNim() {
+  mkdirSync(dist, { recursive: true });
+  execFileSync('nim', [
+    'js',
+    '-d:release',
+    '--hints:off',
+    `--out:${nimOutput}`,
+    join(root, 'examples', 'latexToMathML.nim'),
+  ], { stdio: 'inherit' });
+
+  const code = readFileSync(nimOutput, 'utf8');
+  rmSync(nimOutput);
+
+  for (const name of converterExports) {
+    if (!new RegExp(`^function ${name}\\(`, 'm').test(code)) {
+      throw new Error(`Nim output does not define ${name}()`);
+    }
+  }
+  return code;
+}
+
+/**
+ * Wrap the Nim output and the auto-renderer in a factory function
+ * The auto-renderer finds the converter functions through the enclosing
+ * scope; it gets a local object in place of window/module to export to.
+ */
+function factory(nimCode, autorenderCode) {
+  return `function createYatexml() {
+${nimCode}
+
+const autorender = {};
+(function (module, window, global) {
+${autorenderCode}
+})(undefined, undefined, autorender);
+
+return Object.freeze({
+${converterExports.map((name) => `  ${name}: ${name},`).join('\n')}
+${autorenderExports.map((name) => `  ${name}: autorender.yatexml.${name},`).join('\n')}
+});
+}
+
+const yatexml = createYatexml();
+`;
+}
+
+function build() {
+  const { version } = JSON.parse(readFileSync(join(here, 'package.json'), 'utf8'));
+  const banner = `/*! yatexml ${version} | MIT License */\n`;
+  const body = factory(
+    compileNim(),
+    readFileSync(join(root, 'examples', 'yatexml-autorender.js'), 'utf8'),
+  );
+  const names = [...converterExports, ...autorenderExports];
+
+  const esm = banner + body + '\n' +
+    names.map((name) => `export const ${name} = yatexml.${name};`).join('\n') + '\n' +
+    'export default yatexml;\n';
+  const cjs = banner + '\'use strict\';\n\n' + body + '\nmodule.exports = yatexml;\n';
+
+  writeFileSync(join(dist, 'yatexml.mjs'), esm);
+  writeFileSync(join(dist, 'yatexml.cjs'), cjs);
+  console.log(`Built dist/yatexml.mjs and dist/yatexml.cjs (${version})`);
+}
+
+build();
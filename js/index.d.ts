@@ -0,0 +1,326 @@
+/**
+ * Type declarations for the yatexml package
+ *
+ * Positions in errors and diagnostics are UTF-16 code unit offsets, so they
+ * index directly into the string that was converted. Lines and columns are
+ * 1-based.
+ */
+
+/** Options accepted by every conversion function */
+export interface ConvertOptions {
+  /** Indent the output, one element per line (default: false) */
+  prettyPrint?: boolean;
+  /** Indentation size for prettyPrint (default: 2) */
+  indentSize?: number;
+  /** Keep the TeX source as an application/x-tex annotation (default: false) */
+  annotateTex?: boolean;
+  /** Set alttext on <math> to the TeX source (default: false) */
+  altText?: boolean;
+  /** Add data-src-start/data-src-end attributes to every element (default: false) */
+  sourcePositions?: boolean;
+  /** Render unparseable parts as <merror> instead of failing (default: false) */
+  recover?: boolean;
+  /** Show equation numbers and tags beside display environment rows (default: true) */
+  equationNumbers?: boolean;
+  /** Number of the first automatically numbered row (default: 1) */
+  firstEquationNumber?: number;
+}
+
+/** Stable code of a conversion error */
+export type ErrorKind =
+  | 'unexpected_token'
+  | 'unexpected_eof'
+  | 'invalid_command'
+  | 'mismatched_braces'
+  | 'invalid_argument'
+  | 'missing_argument'
+  | 'invalid_number'
+  | 'internal_error'
+  | 'evaluation_error';
+
+/** A conversion error */
+export interface ConversionError {
+  kind: ErrorKind;
+  message: string;
+  position: number;
+  line: number;
+  column: number;
+  context: string;
+}
+
+export type Severity = 'error' | 'warning' | 'info';
+
+/** A problem found in the input, fatal or not */
+export interface Diagnostic {
+  severity: Severity;
+  /** Stable code: an ErrorKind for errors, e.g. "unknown_color" otherwise */
+  code: string;
+  message: string;
+  position: number;
+  /** End of the flagged source (exclusive) */
+  endPosition: number;
+  line: number;
+  column: number;
+}
+
+/** A row of a display environment with an equation number, a \tag or a \label */
+export interface EquationLine {
+  /** Number or tag as shown, without parentheses ("" for none) */
+  number: string;
+  /** Name given by \label ("" for none) */
+  label: string;
+  /** Index of the row in its environment */
+  row: number;
+  /** The number is a \tag rather than an automatic number */
+  tagged: boolean;
+}
+
+export interface ConversionSuccess {
+  ok: true;
+  mathml: string;
+  diagnostics: Diagnostic[];
+  /** Errors recovered from; only present when options.recover is set */
+  errors?: ConversionError[];
+  /** Numbered, tagged and labelled rows, in document order */
+  equations: EquationLine[];
+}
+
+export interface ConversionFailure {
+  ok: false;
+  error: ConversionError;
+  diagnostics: Diagnostic[];
+}
+
+export type ConversionResult = ConversionSuccess | ConversionFailure;
+
+/**
+ * Convert LaTeX math to MathML
+ * @param displayStyle true for display (block) math, false for inline math
+ * @returns The MathML, or the string "ERROR" on failure
+ */
+export function latexToMathML(latex: string, displayStyle: boolean, options?: ConvertOptions): string;
+
+/** Convert LaTeX math to MathML, returning a structured result */
+export function latexToMathMLResult(latex: string, displayStyle: boolean, options?: ConvertOptions): ConversionResult;
+
+export type TextResult =
+  | { ok: true; text: string }
+  | { ok: false; error: ConversionError };
+
+/** Convert LaTeX math to readable Unicode text, such as "x²" or "√(x+1)" */
+export function latexToText(latex: string): TextResult;
+
+export type SpeechResult =
+  | { ok: true; speech: string }
+  | { ok: false; error: ConversionError };
+
+/** Convert LaTeX math to an English speech string, such as "x squared minus 1" */
+export function latexToSpeech(latex: string): SpeechResult;
+
+export interface BrailleOptions {
+  /** Braille code (default: "nemeth") */
+  code?: 'nemeth' | 'ueb';
+}
+
+export type BrailleResult =
+  | { ok: true; braille: string }
+  | { ok: false; error: ConversionError };
+
+/**
+ * Convert LaTeX math to mathematical braille as Unicode braille cells
+ * Matrix rows are separated by newlines; an unknown code gives an
+ * "invalid_argument" error
+ */
+export function latexToBraille(latex: string, options?: BrailleOptions): BrailleResult;
+
+export type NormalizeResult =
+  | { ok: true; latex: string }
+  | { ok: false; error: ConversionError };
+
+/**
+ * Print LaTeX math in canonical form: macros expanded, Unicode input
+ * written as commands, every argument braced and consistent spacing
+ */
+export function normalizeLatex(latex: string): NormalizeResult;
+
+export type OMMLResult =
+  | { ok: true; omml: string }
+  | { ok: false; error: ConversionError };
+
+/**
+ * Convert LaTeX math to OMML (Office Math Markup Language) for Word
+ * documents: an <m:oMath> element, wrapped in <m:oMathPara> when
+ * displayStyle is true
+ */
+export function latexToOMML(latex: string, displayStyle?: boolean): OMMLResult;
+
+/**
+ * Convert LaTeX math to Content MathML, which encodes what the formula
+ * means (<apply><plus/>...) for computer algebra and grading tools
+ */
+export function latexToContentMathML(
+  latex: string,
+): { ok: true; mathml: string } | { ok: false; error: ConversionError };
+
+export type EvaluateResult =
+  | { ok: true; value: number }
+  | { ok: false; error: ConversionError };
+
+/**
+ * Evaluate LaTeX math to a number with the values of its variables
+ * (`{ x: 2 }`); e is Euler's number unless bound. Errors from evaluation
+ * (an unbound variable, division by zero) have the kind "evaluation_error"
+ */
+export function evaluateLatex(latex: string, bindings?: Record<string, number>): EvaluateResult;
+
+/** A node of the JSON AST; see AST_JSON.md for the fields of each kind */
+export interface AstNodeJson {
+  kind: string;
+  /** Byte offsets (UTF-8) of the node's source, when known */
+  start?: number;
+  end?: number;
+  [field: string]: unknown;
+}
+
+/** A JSON AST document */
+export interface AstDocument {
+  format: 'yatexml-ast';
+  version: 1;
+  /** The LaTeX the AST was parsed from */
+  source: string;
+  root: AstNodeJson;
+}
+
+export type AstResult =
+  | { ok: true; ast: AstDocument }
+  | { ok: false; error: ConversionError };
+
+/** Parse LaTeX to a JSON AST document */
+export function latexToAstJson(latex: string): AstResult;
+
+/**
+ * Convert a JSON AST document (object or JSON string) to MathML
+ * A malformed document gives an "invalid_argument" error
+ */
+export function astJsonToMathML(
+  ast: AstDocument | string,
+  displayStyle: boolean,
+  options?: ConvertOptions,
+): { ok: true; mathml: string } | { ok: false; error: ConversionError };
+
+/**
+ * Convert AsciiMath (such as `sum_(i=1)^n i^2`) to MathML
+ * options.recover is ignored
+ */
+export function asciiMathToMathML(
+  source: string,
+  displayStyle: boolean,
+  options?: ConvertOptions,
+): { ok: true; mathml: string } | { ok: false; error: ConversionError };
+
+export interface ContextOptions {
+  /** Preamble of \newcommand/\def definitions */
+  macros?: string;
+}
+
+/** A conversion context; macros defined through it persist between calls */
+export interface Context {
+  latexToMathML(latex: string, displayStyle: boolean, options?: ConvertOptions): string;
+  latexToMathMLResult(latex: string, displayStyle: boolean, options?: ConvertOptions): ConversionResult;
+  latexToText(latex: string): TextResult;
+  latexToSpeech(latex: string): SpeechResult;
+  latexToBraille(latex: string, options?: BrailleOptions): BrailleResult;
+  normalizeLatex(latex: string): NormalizeResult;
+  latexToOMML(latex: string, displayStyle?: boolean): OMMLResult;
+  latexToContentMathML(latex: string): { ok: true; mathml: string } | { ok: false; error: ConversionError };
+  evaluateLatex(latex: string, bindings?: Record<string, number>): EvaluateResult;
+  latexToAstJson(latex: string): AstResult;
+  /** Add \newcommand/\def definitions to the preamble */
+  defineMacros(macros: string): { ok: true } | { ok: false; error: ConversionError };
+  /** Drop macros defined by conversions, keeping the preamble */
+  resetMacros(): void;
+}
+
+/**
+ * Create a conversion context with its own macros
+ * @throws Error with the ConversionError as `details` if the preamble is invalid
+ */
+export function createContext(options?: ContextOptions): Context;
+
+/** A pair of math delimiters recognised by autoRender */
+export interface Delimiter {
+  left: string;
+  right: string;
+  /** Display (block) math rather than inline math */
+  display: boolean;
+  /** Give the equation a number */
+  numbered?: boolean;
+  /** The math is AsciiMath rather than LaTeX */
+  asciimath?: boolean;
+}
+
+/** The Error passed to onError: a ConversionError with Error's fields */
+export type RenderError = Error & Partial<ConversionError>;
+
+export interface AutoRenderConfig {
+  delimiters?: Delimiter[];
+  /** Elements whose content is not scanned for math */
+  ignoreTags?: string[];
+  /** Class added to processed elements */
+  processedClass?: string;
+  equationNumbering?: boolean;
+  /** Default: true */
+  annotateTex?: boolean;
+  altText?: boolean;
+  recover?: boolean;
+  /**
+   * Set aria-label on each rendered container to a speech string of the
+   * equation and hide the inner <math> from screen readers (default: false)
+   */
+  ariaLabel?: boolean;
+  /** Also render AsciiMath between backticks as inline math (default: false) */
+  asciimath?: boolean;
+  /**
+   * Called when an equation fails to convert
+   * Return HTML to show in its place, or null to leave the source text
+   */
+  onError?: (latex: string, error: RenderError) => string | null;
+  /** Element to render into (if null, renders in-place) */
+  targetElement?: Element | null;
+  /** Context whose macros all equations share */
+  context?: Context | null;
+}
+
+/** Find math in the text of element and replace it with MathML */
+export function autoRender(element: Element, config?: AutoRenderConfig): void;
+
+/** Convert one equation, using the auto-render configuration */
+export function renderToString(latex: string, displayStyle?: boolean, config?: AutoRenderConfig): string;
+
+/** Reset equation numbering (call before re-rendering) */
+export function resetNumbering(): void;
+
+/** Map of \label names to equation numbers from the last autoRender */
+export function getLabels(): Record<string, number>;
+
+declare const yatexml: {
+  latexToMathML: typeof latexToMathML;
+  latexToMathMLResult: typeof latexToMathMLResult;
+  latexToText: typeof latexToText;
+  latexToSpeech: typeof latexToSpeech;
+  latexToBraille: typeof latexToBraille;
+  normalizeLatex: typeof normalizeLatex;
+  latexToOMML: typeof latexToOMML;
+  latexToContentMathML: typeof latexToContentMathML;
+  evaluateLatex: typeof evaluateLatex;
+  latexToAstJson: typeof latexToAstJson;
+  astJsonToMathML: typeof astJsonToMathML;
+  asciiMathToMathML: typeof asciiMathToMathML;
+  createContext: typeof createContext;
+  autoRender: typeof autoRender;
+  renderToString: typeof renderToString;
+  resetNumbering: typeof resetNumbering;
+  getLabels: typeof getLabels;
+};
+
+export default yatexml;
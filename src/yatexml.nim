@@ -19,9 +19,10 @@
 ##   const equation = latexToMathMLStatic(r"E = mc^2")
 ##   echo equation
 
-import yatexml/[error_handling, ast, lexer, parser, mathml_generator]
+import yatexml/[error_handling, ast, lexer, parser, mathml_generator, text_generator, speech_generator, braille_generator, latex_generator, omml_generator, content_generator, semantic, evaluator, asciimath, colors, ast_json]
+import algorithm, json, tables
 
-export error_handling, ast, mathml_generator, lexer, parser
+export error_handling, ast, mathml_generator, text_generator, speech_generator, braille_generator, latex_generator, omml_generator, content_generator, semantic, evaluator, asciimath, lexer, parser, colors, ast_json
 export ErrorKind, CompileError, Result
 export ok, err, isOk, isErr, get, getOrDefault
 export AstNode, AstNodeKind
@@ -29,6 +30,50 @@ export MathMLOptions, defaultOptions
 export TokenKind, Token, lex, parse
 export newNumber, newIdentifier, newFrac, newSqrt, newSup, newSub, generateMathML
 
+proc newContext*(preamble: string = ""): Result[ParseContext] =
+  ## Create a conversion context with its own macro registry
+  ##
+  ## Macros defined while converting with a context (and the optional
+  ## preamble of \newcommand/\def definitions) are only visible to later
+  ## conversions that use the same context.
+  ##
+  ## Example:
+  ##
+  ## .. code-block:: nim
+  ##   let ctx = newContext(r"\newcommand{\R}{\mathbb{R}}").get()
+  ##   let result = ctx.latexToMathML(r"f: \R \to \R")
+  let ctx = newParseContext()
+  if preamble.len > 0:
+    let preambleResult = ctx.loadPreamble(preamble)
+    if not preambleResult.isOk:
+      return err[ParseContext](preambleResult.error)
+  return ok(ctx)
+
+proc latexToMathML*(ctx: ParseContext, latex: string, options: MathMLOptions = defaultOptions()): Result[string] =
+  ## Convert LaTeX math to MathML using the macros of a context
+  ##
+  ## Macros defined in latex are added to the context. In display style a
+  ## \tag outside any environment is shown beside the formula.
+
+  # Lex and parse to AST
+  let wasDisplayMath = ctx.displayMath
+  ctx.displayMath = options.displayStyle
+  let parseResult = parse(latex, ctx)
+  ctx.displayMath = wasDisplayMath
+  if not parseResult.isOk:
+    return err[string](parseResult.error)
+
+  # Generate MathML
+  let mathml = generateMathML(parseResult.value, options, latex)
+  return ok(mathml)
+
+proc latexToMathML*(ctx: ParseContext, latex: string, displayStyle: bool, options: MathMLOptions = defaultOptions()): Result[string] =
+  ## Convert LaTeX math to MathML using the macros of a context,
+  ## with explicit display style control
+  var opts = options
+  opts.displayStyle = displayStyle
+  return latexToMathML(ctx, latex, opts)
+
 proc latexToMathML*(latex: string, options: MathMLOptions = defaultOptions()): Result[string] =
   ## Convert LaTeX math to MathML
   ##
@@ -49,20 +94,11 @@ proc latexToMathML*(latex: string, options: MathMLOptions = defaultOptions()): R
   ##     echo result.value  # Prints MathML
   ##   else:
   ##     echo result.error.message
+  ##
+  ## Each call uses a fresh context, so macros defined in one call are not
+  ## visible to the next; use newContext to share macros between calls.
 
-  # Lex the input
-  let lexResult = lex(latex)
-  if not lexResult.isOk:
-    return err[string](lexResult.error)
-
-  # Parse tokens to AST
-  let parseResult = parse(lexResult.value)
-  if not parseResult.isOk:
-    return err[string](parseResult.error)
-
-  # Generate MathML
-  let mathml = generateMathML(parseResult.value, options)
-  return ok(mathml)
+  return latexToMathML(newParseContext(), latex, options)
 
 proc latexToMathML*(latex: string, displayStyle: bool, options: MathMLOptions = defaultOptions()): Result[string] =
   ## Convert LaTeX math to MathML with explicit display style control
@@ -90,6 +126,116 @@ proc latexToMathML*(latex: string, displayStyle: bool, options: MathMLOptions =
   opts.displayStyle = displayStyle
   return latexToMathML(latex, opts)
 
+proc asciiMathToMathML*(source: string, options: MathMLOptions = defaultOptions()): Result[string] =
+  ## Convert AsciiMath to MathML
+  ##
+  ## AsciiMath is parsed into the same AST as the equivalent LaTeX, so
+  ## `sum_(i=1)^n i^2` gives the same MathML as `\sum_{i=1}^{n} i^2`. With
+  ## annotateTex the source is kept as a text/x-asciimath annotation.
+  ##
+  ## Example:
+  ##
+  ## .. code-block:: nim
+  ##   let result = asciiMathToMathML("sqrt(x)/2")
+  let astResult = parseAsciiMath(source)
+  if not astResult.isOk:
+    return err[string](astResult.error)
+  return ok(generateMathML(astResult.value, options, source, "text/x-asciimath"))
+
+proc asciiMathToMathML*(source: string, displayStyle: bool, options: MathMLOptions = defaultOptions()): Result[string] =
+  ## Convert AsciiMath to MathML with explicit display style control
+  var opts = options
+  opts.displayStyle = displayStyle
+  return asciiMathToMathML(source, opts)
+
+type
+  ConversionOutput* = object
+    ## MathML together with the problems found while converting
+    mathml*: string
+    errors*: seq[CompileError]       ## Errors recovered from (recovery mode only)
+    diagnostics*: seq[Diagnostic]    ## Errors, warnings and notes, in source order
+    equations*: seq[EquationLine]    ## Numbered, tagged and labelled rows of display environments
+
+proc collectDiagnostics(ctx: ParseContext): seq[Diagnostic] =
+  ## Gather the recovered errors and warnings of the last parse
+  for e in ctx.recoveredErrors:
+    result.add(toDiagnostic(e))
+  result.add(ctx.diagnostics)
+  result.sort(proc (a, b: Diagnostic): int = cmp(a.position, b.position))
+
+proc latexToMathMLWithDiagnostics*(ctx: ParseContext, latex: string, options: MathMLOptions = defaultOptions()): Result[ConversionOutput] =
+  ## Convert LaTeX math to MathML, also returning non-fatal diagnostics
+  ##
+  ## Input that converts, but probably not as intended, is reported with a
+  ## warning or info diagnostic: unknown colors ("unknown_color"), units
+  ## rendered as plain text ("unknown_unit"), ignored \label commands
+  ## ("label_ignored") and unsupported options ("unsupported_option").
+  ## Errors still fail the conversion; see latexToMathMLRecovering.
+  ##
+  ## The rows of display environments that have an equation number, a
+  ## \tag or a \label are listed in equations, so that callers can link
+  ## \ref{...} to individual lines:
+  ##
+  ## .. code-block:: nim
+  ##   let output = latexToMathMLWithDiagnostics(
+  ##     r"\begin{align} a &= b \label{first} \\ c &= d \end{align}").get()
+  ##   echo output.equations[0].label, " ", output.equations[0].number  # first 1
+  ##
+  ## In display style a \tag outside any environment tags the whole
+  ## formula, and is listed in equations too.
+  let wasDisplayMath = ctx.displayMath
+  ctx.displayMath = options.displayStyle
+  let parseResult = parse(latex, ctx)
+  ctx.displayMath = wasDisplayMath
+  if not parseResult.isOk:
+    return err[ConversionOutput](parseResult.error)
+
+  var equations: seq[EquationLine] = @[]
+  let mathml = generateMathML(parseResult.value, options, latex, "application/x-tex", equations)
+  return ok(ConversionOutput(mathml: mathml, diagnostics: collectDiagnostics(ctx), equations: equations))
+
+proc latexToMathMLWithDiagnostics*(latex: string, options: MathMLOptions = defaultOptions()): Result[ConversionOutput] =
+  ## Convert LaTeX math to MathML with diagnostics, using a fresh context
+  return latexToMathMLWithDiagnostics(newParseContext(), latex, options)
+
+proc latexToMathMLRecovering*(ctx: ParseContext, latex: string, options: MathMLOptions = defaultOptions()): Result[ConversionOutput] =
+  ## Convert LaTeX math to MathML, rendering the parts that cannot be
+  ## parsed as <merror> elements instead of failing
+  ##
+  ## Unknown commands and environments, stray characters, missing arguments
+  ## and unbalanced closers each become an <merror> holding the offending
+  ## source; the rest of the formula is rendered normally. The errors are
+  ## returned alongside the MathML, and as error diagnostics together with
+  ## any warnings.
+  ##
+  ## Example:
+  ##
+  ## .. code-block:: nim
+  ##   let output = latexToMathMLRecovering(r"x + \foo + y").get()
+  ##   echo output.errors.len  # 1
+  let wasRecovering = ctx.recover
+  let wasDisplayMath = ctx.displayMath
+  ctx.recover = true
+  ctx.displayMath = options.displayStyle
+  let parseResult = parse(latex, ctx)
+  ctx.recover = wasRecovering
+  ctx.displayMath = wasDisplayMath
+  if not parseResult.isOk:
+    return err[ConversionOutput](parseResult.error)
+
+  var equations: seq[EquationLine] = @[]
+  let mathml = generateMathML(parseResult.value, options, latex, "application/x-tex", equations)
+  return ok(ConversionOutput(
+    mathml: mathml,
+    errors: ctx.recoveredErrors,
+    diagnostics: collectDiagnostics(ctx),
+    equations: equations
+  ))
+
+proc latexToMathMLRecovering*(latex: string, options: MathMLOptions = defaultOptions()): Result[ConversionOutput] =
+  ## Convert LaTeX math to MathML in error-recovery mode with a fresh context
+  return latexToMathMLRecovering(newParseContext(), latex, options)
+
 proc latexToMathMLStatic*(latex: static[string]): string =
   ## Compile-time conversion of LaTeX to MathML
   ##
@@ -129,17 +275,18 @@ proc latexToAst*(latex: string): Result[AstNode] =
   ##   if astResult.isOk:
   ##     echo astResult.value  # Prints AST structure
 
-  let lexResult = lex(latex)
-  if not lexResult.isOk:
-    return err[AstNode](lexResult.error)
+  return parse(latex)
 
-  return parse(lexResult.value)
+proc latexToAst*(ctx: ParseContext, latex: string): Result[AstNode] =
+  ## Parse LaTeX to AST using the macros of a context
+  return parse(latex, ctx)
 
-proc astToMathML*(ast: AstNode, options: MathMLOptions = defaultOptions()): string =
+proc astToMathML*(ast: AstNode, options: MathMLOptions = defaultOptions(), source: string = ""): string =
   ## Convert an AST to MathML
   ##
   ## Useful if you've already parsed LaTeX to an AST and want to
-  ## generate MathML from it.
+  ## generate MathML from it. Pass the original LaTeX as source to use
+  ## the annotateTex and altText options.
   ##
   ## Example:
   ##
@@ -149,7 +296,200 @@ proc astToMathML*(ast: AstNode, options: MathMLOptions = defaultOptions()): stri
   ##     let mathml = astToMathML(astResult.value)
   ##     echo mathml
 
-  generateMathML(ast, options)
+  generateMathML(ast, options, source)
+
+proc latexToText*(ctx: ParseContext, latex: string): Result[string] =
+  ## Convert LaTeX math to readable Unicode text using the macros of a context
+  let astResult = parse(latex, ctx)
+  if not astResult.isOk:
+    return err[string](astResult.error)
+  return ok(generatePlainText(astResult.value))
+
+proc latexToText*(latex: string): Result[string] =
+  ## Convert LaTeX math to readable Unicode text, for places that cannot
+  ## show MathML (plain-text email, search snippets)
+  ##
+  ## Scripts use Unicode superscripts and subscripts where they exist and a
+  ## linear ^{...} / _{...} form otherwise.
+  ##
+  ## Example:
+  ##
+  ## .. code-block:: nim
+  ##   echo latexToText(r"\sqrt{x+1} + y^2").get()       # √(x+1) + y²
+  ##   echo latexToText(r"\sum_{i=0}^{n} \frac{a}{b}").get()  # ∑_{i=0}^{n} (a)/(b)
+  return latexToText(newParseContext(), latex)
+
+proc astToText*(ast: AstNode): string =
+  ## Convert an AST to readable Unicode text
+  generatePlainText(ast)
+
+proc latexToSpeech*(ctx: ParseContext, latex: string): Result[string] =
+  ## Convert LaTeX math to an English speech string using the macros of a context
+  let astResult = parse(latex, ctx)
+  if not astResult.isOk:
+    return err[string](astResult.error)
+  return ok(generateSpeech(astResult.value))
+
+proc latexToSpeech*(latex: string): Result[string] =
+  ## Convert LaTeX math to an English speech string for screen readers,
+  ## e.g. as the aria-label of rendered math
+  ##
+  ## Fractions, roots and complex scripts are closed with "end fraction",
+  ## "end root", etc., so the extent of each construct is unambiguous.
+  ##
+  ## Example:
+  ##
+  ## .. code-block:: nim
+  ##   echo latexToSpeech(r"\frac{a}{b}").get()  # fraction a over b end fraction
+  ##   echo latexToSpeech(r"x^2 - 1").get()     # x squared minus 1
+  return latexToSpeech(newParseContext(), latex)
+
+proc astToSpeech*(ast: AstNode): string =
+  ## Convert an AST to an English speech string
+  generateSpeech(ast)
+
+proc latexToBraille*(ctx: ParseContext, latex: string, code: BrailleCode = bcNemeth): Result[string] =
+  ## Convert LaTeX math to mathematical braille using the macros of a context
+  let astResult = parse(latex, ctx)
+  if not astResult.isOk:
+    return err[string](astResult.error)
+  return ok(generateBraille(astResult.value, code))
+
+proc latexToBraille*(latex: string, code: BrailleCode = bcNemeth): Result[string] =
+  ## Convert LaTeX math to mathematical braille as Unicode braille cells,
+  ## in Nemeth Code or UEB technical
+  ##
+  ## Example:
+  ##
+  ## .. code-block:: nim
+  ##   echo latexToBraille(r"\frac{1}{2}").get()         # ⠹⠂⠌⠆⠼
+  ##   echo latexToBraille(r"\frac{1}{2}", bcUEB).get()  # ⠼⠁⠌⠃
+  return latexToBraille(newParseContext(), latex, code)
+
+proc astToBraille*(ast: AstNode, code: BrailleCode = bcNemeth): string =
+  ## Convert an AST to mathematical braille
+  generateBraille(ast, code)
+
+proc normalizeLatex*(ctx: ParseContext, latex: string): Result[string] =
+  ## Print LaTeX math in canonical form using the macros of a context
+  let astResult = parse(latex, ctx)
+  if not astResult.isOk:
+    return err[string](astResult.error)
+  return ok(generateLatex(astResult.value))
+
+proc normalizeLatex*(latex: string): Result[string] =
+  ## Print LaTeX math in canonical form: macros expanded, Unicode input as
+  ## commands, every argument braced and consistent spacing
+  ##
+  ## Formulas that render the same way usually normalise to the same
+  ## string, which makes this useful for deduplication.
+  ##
+  ## Example:
+  ##
+  ## .. code-block:: nim
+  ##   echo normalizeLatex(r"α^2+\frac{1}{2}").get()  # \alpha^{2} + \frac{1}{2}
+  return normalizeLatex(newParseContext(), latex)
+
+proc astToLatex*(ast: AstNode): string =
+  ## Print an AST as canonical LaTeX
+  generateLatex(ast)
+
+proc latexToOMML*(ctx: ParseContext, latex: string, display: bool = false): Result[string] =
+  ## Convert LaTeX math to OMML using the macros of a context
+  let astResult = parse(latex, ctx)
+  if not astResult.isOk:
+    return err[string](astResult.error)
+  return ok(generateOMML(astResult.value, display))
+
+proc latexToOMML*(latex: string, display: bool = false): Result[string] =
+  ## Convert LaTeX math to Office Math Markup Language, the equation
+  ## format of Word documents
+  ##
+  ## The result is an <m:oMath> element (an <m:oMathPara> paragraph when
+  ## display is true) that can be placed in a paragraph of document.xml.
+  ##
+  ## Example:
+  ##
+  ## .. code-block:: nim
+  ##   echo latexToOMML(r"\frac{a}{b}").get()
+  ##   # <m:oMath xmlns:m="..."><m:f><m:num>...</m:num><m:den>...</m:den></m:f></m:oMath>
+  return latexToOMML(newParseContext(), latex, display)
+
+proc astToOMML*(ast: AstNode, display: bool = false): string =
+  ## Convert an AST to OMML
+  generateOMML(ast, display)
+
+proc latexToContentMathML*(ctx: ParseContext, latex: string): Result[string] =
+  ## Convert LaTeX math to Content MathML using the macros of a context
+  let astResult = parse(latex, ctx)
+  if not astResult.isOk:
+    return err[string](astResult.error)
+  return ok(generateContentMathML(astResult.value))
+
+proc latexToContentMathML*(latex: string): Result[string] =
+  ## Convert LaTeX math to Content MathML, which encodes the meaning of a
+  ## formula (operators applied to operands) for computer algebra systems
+  ##
+  ## Example:
+  ##
+  ## .. code-block:: nim
+  ##   echo latexToContentMathML("a + 2b").get()
+  ##   # <math xmlns="..."><apply><plus/><ci>a</ci><apply><times/><cn>2</cn><ci>b</ci></apply></apply></math>
+  return latexToContentMathML(newParseContext(), latex)
+
+proc astToContentMathML*(ast: AstNode): string =
+  ## Convert an AST to Content MathML
+  generateContentMathML(ast)
+
+proc evaluateLatex*(ctx: ParseContext, latex: string, bindings: Bindings = initTable[string, float]()): Result[float] =
+  ## Evaluate LaTeX math to a number using the macros of a context
+  let astResult = parse(latex, ctx)
+  if not astResult.isOk:
+    return err[float](astResult.error)
+  return evaluate(astResult.value, bindings)
+
+proc evaluateLatex*(latex: string, bindings: Bindings = initTable[string, float]()): Result[float] =
+  ## Evaluate LaTeX math to a number, with the values of its variables
+  ##
+  ## Errors that come from evaluation rather than parsing (an unbound
+  ## variable, division by zero, an unsupported operator) have the kind
+  ## ekEvaluationError.
+  ##
+  ## Example:
+  ##
+  ## .. code-block:: nim
+  ##   echo evaluateLatex(r"\sum_{i=1}^{n} i^2", {"n": 3.0}.toTable).get()  # 14.0
+  return evaluateLatex(newParseContext(), latex, bindings)
+
+proc latexToAstJson*(ctx: ParseContext, latex: string): Result[string] =
+  ## Parse LaTeX to a JSON AST document using the macros of a context
+  let astResult = parse(latex, ctx)
+  if not astResult.isOk:
+    return err[string](astResult.error)
+  return ok($astToJson(astResult.value, latex))
+
+proc latexToAstJson*(latex: string): Result[string] =
+  ## Parse LaTeX to a JSON AST document
+  ##
+  ## The document format is described in AST_JSON.md. It can be stored or
+  ## transformed and then turned into MathML with astJsonToMathML.
+  ##
+  ## Example:
+  ##
+  ## .. code-block:: nim
+  ##   let doc = latexToAstJson("x^2").get()
+  ##   echo astJsonToMathML(doc).get()
+  return latexToAstJson(newParseContext(), latex)
+
+proc astJsonToMathML*(document: string, options: MathMLOptions = defaultOptions()): Result[string] =
+  ## Convert a JSON AST document to MathML
+  ##
+  ## The source stored in the document is used for the annotateTex and
+  ## altText options. Malformed documents give an ekInvalidArgument error.
+  let docResult = astFromJson(document)
+  if not docResult.isOk:
+    return err[string](docResult.error)
+  return ok(generateMathML(docResult.value.ast, options, docResult.value.source))
 
 # Version information
 
@@ -157,8 +497,9 @@ const
   yatexmlVersion* = "0.1.0"
   yatexmlAuthor* = "yatexml contributors"
 
-when isMainModule:
+when isMainModule and not defined(js):
   # Simple test when run directly
+  # (not in JS builds, where loading the script must have no side effects)
   echo "yatexml version ", yatexmlVersion
   echo ""
 
@@ -0,0 +1,559 @@
+## AsciiMath front-end for yatexml
+##
+## This module reads AsciiMath (`sum_(i=1)^n i^2`, `sqrt(x)/2`,
+## `[[a,b],[c,d]]`) into the same AST the LaTeX parser builds, so every
+## generator works on it unchanged. Symbols are looked up by their LaTeX
+## equivalent (`alpha` is parsed as \alpha, `<=` as \leq), which gives
+## exactly the nodes the LaTeX parser gives for them.
+##
+## The grammar follows the AsciiMath reference:
+##
+## - a simple expression is a symbol, a bracketed expression, or a command
+##   applied to simple expressions (`sqrt x`, `frac(a)(b)`)
+## - an intermediate expression is a simple expression with optional `_`
+##   and `^` scripts
+## - an expression is a sequence of intermediate expressions, where `a/b`
+##   is a fraction
+##
+## Brackets around a script, a fraction part or a command argument are
+## dropped: `x^(2n)` is x^{2n}. A bracket that is never closed stays
+## unmatched: `(x + 1` is an opening parenthesis followed by x + 1. Bracketed rows separated by commas make a
+## matrix: `[[a,b],[c,d]]` is a bmatrix, `{(x, x >= 0),(-x, x < 0):}` is
+## a cases environment.
+
+import error_handling, ast, parser
+import strutils, unicode
+
+type
+  AsciiTokenKind = enum
+    atConstant       ## Symbol with a LaTeX equivalent: alpha, <=, sum
+    atNumber         ## Number literal
+    atIdentifier     ## Single letter
+    atText           ## "quoted text", text(...) or the raw argument of color
+    atUnary          ## Command with one argument: sqrt, hat, bb
+    atBinary         ## Command with two arguments: frac, root, color
+    atLeftBracket    ## ( [ { (: {:
+    atRightBracket   ## ) ] } :) :}
+    atVert           ## | (a bracket when it has a partner, \mid otherwise)
+    atSub            ## _
+    atSup            ## ^
+    atSlash          ## / (fraction)
+
+  AsciiToken = object
+    kind: AsciiTokenKind
+    value: string        ## The symbol as written (the content for atText)
+    latex: string        ## LaTeX equivalent, command name or bracket character
+    position: int        ## Byte offset of the token in the source
+    endPosition: int     ## Byte offset just past the token
+
+  AsciiParser = object
+    source: string
+    tokens: seq[AsciiToken]
+    position: int
+    depth: int           ## Number of open brackets
+    inVert: bool         ## Inside |...|, where | closes
+
+const symbols = [
+  # Operators
+  ("+", atConstant, "+"), ("-", atConstant, "-"), ("*", atConstant, "\\cdot"),
+  ("**", atConstant, "\\ast"), ("***", atConstant, "\\star"), ("//", atConstant, "/"),
+  ("\\\\", atConstant, "\\backslash"), ("setminus", atConstant, "\\setminus"),
+  ("xx", atConstant, "\\times"), ("|><", atConstant, "\\ltimes"), ("><|", atConstant, "\\rtimes"),
+  ("-:", atConstant, "\\div"), ("divide", atConstant, "\\div"), ("@", atConstant, "\\circ"),
+  ("o+", atConstant, "\\oplus"), ("ox", atConstant, "\\otimes"), ("o.", atConstant, "\\odot"),
+  ("^^", atConstant, "\\wedge"), ("vv", atConstant, "\\vee"),
+  ("nn", atConstant, "\\cap"), ("uu", atConstant, "\\cup"),
+  ("+-", atConstant, "\\pm"), ("-+", atConstant, "\\mp"), ("mod", atConstant, "\\bmod"),
+  # Big operators
+  ("sum", atConstant, "\\sum"), ("prod", atConstant, "\\prod"),
+  ("^^^", atConstant, "\\bigwedge"), ("vvv", atConstant, "\\bigvee"),
+  ("nnn", atConstant, "\\bigcap"), ("uuu", atConstant, "\\bigcup"),
+  ("int", atConstant, "\\int"), ("iint", atConstant, "\\iint"),
+  ("iiint", atConstant, "\\iiint"), ("oint", atConstant, "\\oint"),
+  ("lim", atConstant, "\\lim"), ("Lim", atConstant, "\\lim"),
+  ("max", atConstant, "\\max"), ("min", atConstant, "\\min"),
+  # Relations
+  ("=", atConstant, "="), ("!=", atConstant, "\\neq"), ("<", atConstant, "<"), (">", atConstant, ">"),
+  ("lt", atConstant, "<"), ("gt", atConstant, ">"),
+  ("<=", atConstant, "\\leq"), ("le", atConstant, "\\leq"), (">=", atConstant, "\\geq"), ("ge", atConstant, "\\geq"),
+  ("mlt", atConstant, "\\ll"), ("mgt", atConstant, "\\gg"),
+  ("-<", atConstant, "\\prec"), ("-<=", atConstant, "\\preceq"),
+  (">-", atConstant, "\\succ"), (">-=", atConstant, "\\succeq"),
+  ("in", atConstant, "\\in"), ("!in", atConstant, "\\notin"),
+  ("sub", atConstant, "\\subset"), ("sup", atConstant, "\\supset"),
+  ("sube", atConstant, "\\subseteq"), ("supe", atConstant, "\\supseteq"),
+  ("-=", atConstant, "\\equiv"), ("~=", atConstant, "\\cong"), ("~~", atConstant, "\\approx"),
+  ("~", atConstant, "\\sim"), ("prop", atConstant, "\\propto"), ("mid", atConstant, "\\mid"),
+  # Logic
+  ("and", atText, " and "), ("or", atText, " or "), ("if", atText, " if "),
+  ("not", atConstant, "\\neg"), ("=>", atConstant, "\\Rightarrow"), ("<=>", atConstant, "\\Leftrightarrow"),
+  ("AA", atConstant, "\\forall"), ("EE", atConstant, "\\exists"),
+  ("_|_", atConstant, "\\bot"), ("TT", atConstant, "\\top"),
+  ("|--", atConstant, "\\vdash"), ("|==", atConstant, "\\models"),
+  # Miscellaneous symbols
+  ("del", atConstant, "\\partial"), ("grad", atConstant, "\\nabla"), ("oo", atConstant, "\\infty"),
+  ("O/", atConstant, "\\emptyset"), ("aleph", atConstant, "\\aleph"), ("/_", atConstant, "\\angle"),
+  (":.", atConstant, "\\therefore"), (":'", atConstant, "\\because"),
+  ("...", atConstant, "\\ldots"), ("cdots", atConstant, "\\cdots"),
+  ("vdots", atConstant, "\\vdots"), ("ddots", atConstant, "\\ddots"),
+  ("diamond", atConstant, "\\diamond"), ("square", atConstant, "\\square"),
+  ("quad", atConstant, "\\quad"), ("qquad", atConstant, "\\qquad"), ("\\ ", atConstant, "\\;"),
+  ("CC", atConstant, "\\mathbb{C}"), ("NN", atConstant, "\\mathbb{N}"), ("QQ", atConstant, "\\mathbb{Q}"),
+  ("RR", atConstant, "\\mathbb{R}"), ("ZZ", atConstant, "\\mathbb{Z}"),
+  # Arrows
+  ("uarr", atConstant, "\\uparrow"), ("darr", atConstant, "\\downarrow"),
+  ("rarr", atConstant, "\\rightarrow"), ("->", atConstant, "\\to"),
+  ("->>", atConstant, "\\twoheadrightarrow"), (">->", atConstant, "\\rightarrowtail"),
+  ("|->", atConstant, "\\mapsto"), ("larr", atConstant, "\\leftarrow"), ("harr", atConstant, "\\leftrightarrow"),
+  ("rArr", atConstant, "\\Rightarrow"), ("lArr", atConstant, "\\Leftarrow"), ("hArr", atConstant, "\\Leftrightarrow"),
+  # Functions
+  ("sin", atConstant, "\\sin"), ("cos", atConstant, "\\cos"), ("tan", atConstant, "\\tan"),
+  ("cot", atConstant, "\\cot"), ("sec", atConstant, "\\sec"), ("csc", atConstant, "\\csc"),
+  ("arcsin", atConstant, "\\arcsin"), ("arccos", atConstant, "\\arccos"), ("arctan", atConstant, "\\arctan"),
+  ("sinh", atConstant, "\\sinh"), ("cosh", atConstant, "\\cosh"), ("tanh", atConstant, "\\tanh"),
+  ("coth", atConstant, "\\coth"), ("exp", atConstant, "\\exp"), ("log", atConstant, "\\log"),
+  ("ln", atConstant, "\\ln"), ("det", atConstant, "\\det"), ("dim", atConstant, "\\dim"),
+  ("gcd", atConstant, "\\gcd"), ("lcm", atConstant, "\\lcm"),
+  # Brackets
+  ("(", atLeftBracket, "("), ("[", atLeftBracket, "["), ("{", atLeftBracket, "{"),
+  ("(:", atLeftBracket, "⟨"), ("<<", atLeftBracket, "⟨"), ("langle", atLeftBracket, "⟨"),
+  ("{:", atLeftBracket, ""),
+  (")", atRightBracket, ")"), ("]", atRightBracket, "]"), ("}", atRightBracket, "}"),
+  (":)", atRightBracket, "⟩"), (">>", atRightBracket, "⟩"), ("rangle", atRightBracket, "⟩"),
+  (":}", atRightBracket, ""),
+  ("|", atVert, "|"), ("_", atSub, "_"), ("^", atSup, "^"), ("/", atSlash, "/"),
+  # Commands
+  ("sqrt", atUnary, "sqrt"), ("abs", atUnary, "abs"), ("floor", atUnary, "floor"),
+  ("ceil", atUnary, "ceil"), ("norm", atUnary, "norm"),
+  ("hat", atUnary, "hat"), ("bar", atUnary, "bar"), ("overline", atUnary, "overline"),
+  ("ul", atUnary, "underline"), ("underline", atUnary, "underline"), ("vec", atUnary, "vec"),
+  ("tilde", atUnary, "tilde"), ("dot", atUnary, "dot"), ("ddot", atUnary, "ddot"),
+  ("obrace", atUnary, "overbrace"), ("ubrace", atUnary, "underbrace"), ("cancel", atUnary, "cancel"),
+  ("bb", atUnary, "mathbf"), ("bbb", atUnary, "mathbb"), ("cc", atUnary, "mathcal"),
+  ("tt", atUnary, "mathtt"), ("fr", atUnary, "mathfrak"), ("sf", atUnary, "mathsf"),
+  ("frac", atBinary, "frac"), ("root", atBinary, "root"), ("stackrel", atBinary, "overset"),
+  ("overset", atBinary, "overset"), ("underset", atBinary, "underset"), ("color", atBinary, "color")
+]
+  ## AsciiMath symbols: (input, token kind, LaTeX equivalent)
+
+const greekLetters = [
+  "alpha", "beta", "gamma", "Gamma", "delta", "Delta", "epsilon", "varepsilon",
+  "zeta", "eta", "theta", "Theta", "vartheta", "iota", "kappa", "lambda", "Lambda",
+  "mu", "nu", "xi", "Xi", "pi", "Pi", "rho", "sigma", "Sigma", "tau", "upsilon",
+  "phi", "Phi", "varphi", "chi", "psi", "Psi", "omega", "Omega"
+]
+
+const rawArgumentCommands = ["text", "mbox", "color"]
+  ## Commands whose first argument, in parentheses, is read as raw text
+
+# Lexer
+
+proc closingParen(source: string, open: int): int =
+  ## Find the ) matching the ( at open, or source.len if there is none
+  var depth = 0
+  for i in open ..< source.len:
+    case source[i]
+    of '(': inc depth
+    of ')':
+      dec depth
+      if depth == 0:
+        return i
+    else: discard
+  source.len
+
+proc longestSymbol(source: string, position: int): tuple[input: string, kind: AsciiTokenKind, latex: string] =
+  ## Find the longest symbol that starts at position
+  for (input, kind, latex) in symbols:
+    if input.len > result.input.len and source.continuesWith(input, position):
+      result = (input, kind, latex)
+  for name in greekLetters:
+    if name.len > result.input.len and source.continuesWith(name, position):
+      result = (name, atConstant, "\\" & name)
+
+proc lexAsciiMath(source: string): seq[AsciiToken] =
+  ## Split AsciiMath into tokens
+  ##
+  ## Letters that do not start a symbol are single-letter identifiers, so
+  ## `xy` is x times y and `sinx` is sin x.
+  var i = 0
+  while i < source.len:
+    let c = source[i]
+    let start = i
+    if c in Whitespace:
+      inc i
+      continue
+
+    if c in Digits:
+      while i < source.len and source[i] in Digits:
+        inc i
+      if i + 1 < source.len and source[i] == '.' and source[i + 1] in Digits:
+        inc i
+        while i < source.len and source[i] in Digits:
+          inc i
+      result.add(AsciiToken(kind: atNumber, value: source[start ..< i], position: start, endPosition: i))
+      continue
+
+    if c == '"':
+      let close = source.find('"', i + 1)
+      let stop = if close < 0: source.len else: close
+      i = min(stop + 1, source.len)
+      result.add(AsciiToken(kind: atText, value: source[start + 1 ..< stop], position: start, endPosition: i))
+      continue
+
+    # text(...), mbox(...) and color(...) take raw text in parentheses
+    var matchedRaw = false
+    for command in rawArgumentCommands:
+      if source.continuesWith(command, i):
+        var open = i + command.len
+        while open < source.len and source[open] == ' ':
+          inc open
+        if open < source.len and source[open] == '(':
+          let close = closingParen(source, open)
+          if command == "color":
+            result.add(AsciiToken(kind: atBinary, value: command, latex: command, position: start, endPosition: i + command.len))
+          i = min(close + 1, source.len)
+          result.add(AsciiToken(kind: atText, value: source[open + 1 ..< close],
+                                position: (if command == "color": open else: start), endPosition: i))
+          matchedRaw = true
+          break
+    if matchedRaw:
+      continue
+
+    let symbol = longestSymbol(source, i)
+    if symbol.input.len > 0:
+      i += symbol.input.len
+      let value = if symbol.kind == atText: symbol.latex else: symbol.input
+      result.add(AsciiToken(kind: symbol.kind, value: value, latex: symbol.latex, position: start, endPosition: i))
+    elif c in Letters:
+      inc i
+      result.add(AsciiToken(kind: atIdentifier, value: $c, position: start, endPosition: i))
+    else:
+      # Any other character stands for itself (Unicode as a whole character)
+      i += max(1, runeLenAt(source, i))
+      let text = source[start ..< i]
+      result.add(AsciiToken(kind: atConstant, value: text, latex: text, position: start, endPosition: i))
+
+# Node helpers
+
+proc constantNode(latex: string): AstNode =
+  ## Build the node the LaTeX parser gives for the LaTeX equivalent of a symbol
+  if latex == "!":
+    return newOperator("factorial", "!", "postfix")
+  let parsed = parse(latex)
+  if not parsed.isOk:
+    # Characters LaTeX has no meaning for, like ? or %
+    return if latex[0].ord >= 128: newIdentifier(latex) else: newOperator(latex, latex)
+  result = parsed.value
+  if result.kind == nkStyle:
+    # The spans of \mathbb{R} point into the LaTeX, not the AsciiMath
+    result.styleBase.setSpan(0, 0)
+
+proc rowOf(children: seq[AstNode]): AstNode =
+  ## Make a row, unwrapping a single child like the LaTeX parser does
+  if children.len == 1: children[0] else: newRow(children)
+
+proc rowItems(node: AstNode): seq[AstNode] =
+  ## Get the children of a row, or the node itself
+  if node.kind == nkRow: node.rowChildren else: @[node]
+
+proc unbracket(node: AstNode): AstNode =
+  ## Drop the brackets around an argument or script: (x+1) is x+1
+  if node.kind == nkDelimited and node.delimLeft in ["(", "[", "{"]:
+    node.delimContent
+  else:
+    node
+
+proc isComma(node: AstNode): bool =
+  ## Check whether a node is a comma
+  node.kind == nkOperator and node.opValue == ","
+
+proc matrixRows(content: AstNode): seq[seq[AstNode]] =
+  ## Read content like (a,b),(c,d) as matrix rows, or return no rows
+  ##
+  ## There must be at least two rows, in the same kind of bracket, with
+  ## the same number of cells.
+  let children = rowItems(content)
+  if children.len < 3 or children.len mod 2 == 0:
+    return @[]
+  let first = children[0]
+  for i, child in children:
+    if i mod 2 == 1:
+      if not child.isComma:
+        return @[]
+    elif child.kind != nkDelimited or
+        (child.delimLeft, child.delimRight) notin [("(", ")"), ("[", "]")] or
+        child.delimLeft != first.delimLeft:
+      return @[]
+
+  var rows: seq[seq[AstNode]] = @[]
+  for i in countup(0, children.high, 2):
+    var cells: seq[AstNode] = @[]
+    var cell: seq[AstNode] = @[]
+    for child in rowItems(children[i].delimContent):
+      if child.isComma:
+        cells.add(rowOf(cell))
+        cell = @[]
+      else:
+        cell.add(child)
+    cells.add(rowOf(cell))
+    if rows.len > 0 and cells.len != rows[0].len:
+      return @[]
+    rows.add(cells)
+  rows
+
+proc bracketed(left, right: string, content: AstNode): AstNode =
+  ## Build a bracketed expression, or the matrix it spells
+  let rows = matrixRows(content)
+  if rows.len > 0:
+    case left & right
+    of "()": return newMatrix(rows, "pmatrix")
+    of "[]": return newMatrix(rows, "bmatrix")
+    of "||": return newMatrix(rows, "vmatrix")
+    of "": return newMatrix(rows, "matrix")
+    else:
+      if left == "{" and right == "":
+        return newMatrix(rows, "cases")
+      return bracketed(left, right, newMatrix(rows, "matrix"))
+
+  # {: and :} are invisible
+  if left.len == 0 and right.len == 0:
+    content
+  elif left.len == 0:
+    newRow(rowItems(content) & newOperator(right, right, "postfix"))
+  elif right.len == 0:
+    newRow(newOperator(left, left, "prefix") & rowItems(content))
+  else:
+    newDelimited(left, right, content)
+
+# Parser
+
+proc atEnd(p: AsciiParser): bool =
+  ## Check whether all tokens are consumed
+  p.position >= p.tokens.len
+
+proc peek(p: AsciiParser): AsciiToken =
+  ## Get the current token without consuming it
+  p.tokens[p.position]
+
+proc advance(p: var AsciiParser): AsciiToken =
+  ## Consume and return the current token
+  result = p.tokens[p.position]
+  inc p.position
+
+proc match(p: AsciiParser, kind: AsciiTokenKind): bool =
+  ## Check whether the current token is of the given kind
+  not p.atEnd and p.peek().kind == kind
+
+proc lastEnd(p: AsciiParser): int =
+  ## End position of the last consumed token
+  if p.position > 0: p.tokens[p.position - 1].endPosition else: 0
+
+proc hasVertPartner(p: AsciiParser): bool =
+  ## Check whether the | just consumed has a closing | before the
+  ## enclosing bracket closes
+  var depth = 0
+  for i in p.position ..< p.tokens.len:
+    case p.tokens[i].kind
+    of atLeftBracket: inc depth
+    of atRightBracket:
+      if depth == 0:
+        return false
+      dec depth
+    of atVert:
+      if depth == 0:
+        return true
+    else: discard
+  false
+
+proc parseExpr(p: var AsciiParser): Result[AstNode]
+
+proc parseSimple(p: var AsciiParser): Result[AstNode] =
+  ## Parse a symbol, a bracketed expression or a command with its arguments
+  if p.atEnd:
+    return err[AstNode](unexpectedEof(p.source.len))
+  let token = p.advance()
+  var node: AstNode
+
+  case token.kind
+  of atNumber:
+    node = newNumber(token.value)
+  of atIdentifier:
+    node = newIdentifier(token.value)
+  of atText:
+    node = newText(token.value)
+  of atConstant:
+    node = constantNode(token.latex)
+  of atSub, atSup, atSlash:
+    # A script or fraction mark with nothing before it stands for itself
+    node = newOperator(token.value, token.value)
+  of atRightBracket:
+    if p.depth > 0:
+      return err[AstNode](unexpectedToken(token.value, token.position))
+    let text = if token.latex.len > 0: token.latex else: token.value
+    node = newOperator(text, text, "postfix")
+
+  of atLeftBracket:
+    inc p.depth
+    let wasInVert = p.inVert
+    p.inVert = false
+    let contentResult = parseExpr(p)
+    p.inVert = wasInVert
+    dec p.depth
+    if not contentResult.isOk:
+      return contentResult
+    if p.match(atRightBracket):
+      node = bracketed(token.latex, p.advance().latex, contentResult.value)
+    elif token.latex.len == 0:
+      # The input ended first: an unclosed {: is dropped
+      node = contentResult.value
+    else:
+      # The input ended first: the bracket stays unmatched, as in AsciiMath
+      # itself
+      node = newRow(newOperator(token.latex, token.latex, "prefix") & rowItems(contentResult.value))
+
+  of atVert:
+    if p.inVert or not p.hasVertPartner():
+      node = constantNode("\\mid")
+    else:
+      p.inVert = true
+      let contentResult = parseExpr(p)
+      p.inVert = false
+      if not contentResult.isOk:
+        return contentResult
+      discard p.advance()  # the closing |
+      node = bracketed("|", "|", contentResult.value)
+
+  of atUnary:
+    let argResult = parseSimple(p)
+    if not argResult.isOk:
+      return argResult
+    let arg = unbracket(argResult.value)
+    node = case token.latex
+      of "sqrt": newSqrt(arg)
+      of "abs": newDelimited("|", "|", arg)
+      of "floor": newDelimited("⌊", "⌋", arg)
+      of "ceil": newDelimited("⌈", "⌉", arg)
+      of "norm": newDelimited("‖", "‖", arg)
+      of "hat": newAccent(akHat, arg)
+      of "bar": newAccent(akBar, arg)
+      of "overline": newAccent(akOverline, arg)
+      of "underline": newAccent(akUnderline, arg)
+      of "vec": newAccent(akVec, arg)
+      of "tilde": newAccent(akTilde, arg)
+      of "dot": newAccent(akDot, arg)
+      of "ddot": newAccent(akDdot, arg)
+      of "overbrace": newAccent(akOverbrace, arg)
+      of "underbrace": newAccent(akUnderbrace, arg)
+      of "cancel": newEnclose(encUpDiagonalStrike, arg)
+      of "mathbf": newStyle(skBold, arg)
+      of "mathbb": newStyle(skBlackboard, arg)
+      of "mathcal": newStyle(skCalligraphic, arg)
+      of "mathtt": newStyle(skMonospace, arg)
+      of "mathfrak": newStyle(skFraktur, arg)
+      else: newStyle(skSansSerif, arg)
+
+  of atBinary:
+    let firstResult = parseSimple(p)
+    if not firstResult.isOk:
+      return firstResult
+    let secondResult = parseSimple(p)
+    if not secondResult.isOk:
+      return secondResult
+    let first = unbracket(firstResult.value)
+    let second = unbracket(secondResult.value)
+    node = case token.latex
+      of "frac": newFrac(first, second)
+      of "root": newRoot(second, first)
+      of "overset": newUnderOver(second, nil, first)
+      of "underset": newUnderOver(second, first, nil)
+      else:
+        if first.kind != nkText:
+          return err[AstNode](ekInvalidArgument, "Expected a color name in parentheses after color", token.position)
+        newColor(strutils.strip(first.textValue), second)
+
+  node.setSpan(token.position, p.lastEnd())
+  ok(node)
+
+proc parseIntermediate(p: var AsciiParser): Result[AstNode] =
+  ## Parse a simple expression with its optional _ and ^ scripts
+  let start = if p.atEnd: p.source.len else: p.peek().position
+  let baseResult = parseSimple(p)
+  if not baseResult.isOk:
+    return baseResult
+  let base = baseResult.value
+
+  var sub, sup: AstNode = nil
+  if p.match(atSub):
+    discard p.advance()
+    let subResult = parseSimple(p)
+    if not subResult.isOk:
+      return subResult
+    sub = unbracket(subResult.value)
+  if p.match(atSup):
+    discard p.advance()
+    let supResult = parseSimple(p)
+    if not supResult.isOk:
+      return supResult
+    sup = unbracket(supResult.value)
+
+  var node = base
+  if sub == nil and sup == nil:
+    discard
+  elif base.kind == nkBigOp and base.bigopLower == nil and base.bigopUpper == nil:
+    # Limits of sum, int, lim, ... as in \sum_{i=1}^{n}
+    base.bigopLower = sub
+    base.bigopUpper = sup
+  elif base.kind == nkAccent and base.accentKind in {akOverbrace, akUnderbrace}:
+    # Labels of a brace go above or below it
+    node = newUnderOver(base, sub, sup)
+  elif sub != nil and sup != nil:
+    node = newSubSup(base, sub, sup)
+  elif sub != nil:
+    node = newSub(base, sub)
+  else:
+    node = newSup(base, sup)
+
+  # n! is a row, as in LaTeX
+  if not p.atEnd and p.peek().kind == atConstant and p.peek().latex == "!":
+    discard p.advance()
+    node = newRow(@[node, constantNode("!")])
+  node.setSpan(start, p.lastEnd())
+  ok(node)
+
+proc parseExpr(p: var AsciiParser): Result[AstNode] =
+  ## Parse intermediate expressions up to a closing bracket (or | inside
+  ## |...|), making a/b a fraction
+  var children: seq[AstNode] = @[]
+  while not p.atEnd:
+    let token = p.peek()
+    if (token.kind == atRightBracket and p.depth > 0) or (token.kind == atVert and p.inVert):
+      break
+    let nodeResult = parseIntermediate(p)
+    if not nodeResult.isOk:
+      return nodeResult
+    var node = nodeResult.value
+    while p.match(atSlash):
+      discard p.advance()
+      let denomResult = parseIntermediate(p)
+      if not denomResult.isOk:
+        return denomResult
+      node = newFrac(unbracket(node), unbracket(denomResult.value))
+      node.setSpan(token.position, p.lastEnd())
+    children.add(node)
+  ok(rowOf(children))
+
+proc parseAsciiMath*(source: string): Result[AstNode] =
+  ## Parse AsciiMath into the AST the LaTeX parser would build for the
+  ## same formula
+  ##
+  ## Node spans are byte offsets into the AsciiMath source. A bracket left
+  ## open at the end of the input stays unmatched, and empty input gives
+  ## an empty row.
+  ##
+  ## Example:
+  ##
+  ## .. code-block:: nim
+  ##   let ast = parseAsciiMath("sum_(i=1)^n i^2").get()
+  ##   echo ast.kind  # nkRow
+  var p = AsciiParser(source: source, tokens: lexAsciiMath(source))
+  p.parseExpr()
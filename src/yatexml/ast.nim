@@ -23,6 +23,8 @@ type
     nkMathSize            ## Math size: \tiny, \normalsize, \large
     nkColor               ## Color: \color{red}
     nkPhantom             ## Phantom: \mathstrut
+    nkEnclose             ## Enclosure: \cancel, \sout, \cancelto
+    nkBox                 ## Box: \boxed, \fbox, \colorbox, \bbox
 
     # Binary nodes
     nkFrac                ## Fraction: \frac{a}{b}
@@ -54,6 +56,9 @@ type
     # mhchem nodes
     nkChemical            ## Chemical expression: \ce{H2O}
 
+    # Error recovery
+    nkError               ## Source that could not be parsed (recovery mode)
+
   AccentKind* = enum
     ## Different kinds of accents
     akHat                 ## \hat
@@ -96,6 +101,13 @@ type
     mskScriptstyle        ## \scriptstyle - scriptlevel=1, displaystyle=false
     mskScriptscriptstyle  ## \scriptscriptstyle - scriptlevel=2, displaystyle=false
 
+  EncloseKind* = enum
+    ## Different enclosures, named after their MathML notation
+    encUpDiagonalStrike   ## \cancel, \cancelto - stroke from bottom left to top right
+    encDownDiagonalStrike ## \bcancel - stroke from top left to bottom right
+    encBothDiagonalStrike ## \xcancel - both diagonal strokes
+    encHorizontalStrike   ## \sout - horizontal stroke
+
   MathSizeKind* = enum
     ## Different math size settings
     mszkTiny              ## \tiny - very small
@@ -226,9 +238,38 @@ type
     prefix*: SIPrefixKind   ## SI prefix (pkNone if no prefix)
     power*: int             ## Power (1 for normal, 2 for squared, etc.)
 
+  ColumnSpecKind* = enum
+    ## Kinds of item in an array column specification
+    cskColumn             ## l, c, r or p{width}
+    cskRule               ## | (a vertical rule; || is two)
+    cskSeparator          ## @{...}: replaces the space between two columns
+
+  ColumnSpecItem* = object
+    ## An item of an array column specification such as "c|r@{.}l"
+    kind*: ColumnSpecKind
+    align*: string          ## Column alignment: "left", "center" or "right"
+    width*: string          ## Width of a p{width} column ("" for natural width)
+    separator*: string      ## LaTeX of an @{...} separator
+
+  RowRule* = object
+    ## A horizontal rule between array rows: \hline, \hdashline or \cline{a-b}
+    dashed*: bool           ## Drawn dashed (\hdashline)
+    first*: int             ## First column it spans, from 1 (0 for the full width)
+    last*: int              ## Last column it spans (0 for the full width)
+
+  RowTag* = object
+    ## The equation number of a row of a display environment: \tag,
+    ## \notag and \label
+    numbered*: bool         ## Gets the next automatic number (false after \notag)
+    tag*: string            ## Text of \tag{...}, shown instead of a number ("" for none)
+    starred*: bool          ## \tag*: shown without parentheses
+    label*: string          ## Name given by \label{...} ("" for none)
+
   AstNode* = ref object
     ## Main AST node type
     ## Uses a variant object to store different node kinds
+    srcStart*: int                ## Byte offset of the node's source text
+    srcEnd*: int                  ## Byte offset just past the node's source text
     case kind*: AstNodeKind
 
     # Leaf nodes
@@ -284,6 +325,18 @@ type
     of nkPhantom:                 ## Phantom has no fields (mathstrut)
       discard
 
+    of nkEnclose:
+      encloseKind*: EncloseKind   ## Type of enclosure
+      encloseBase*: AstNode       ## Enclosed expression
+      encloseTo*: AstNode         ## Value the arrow points to (\cancelto, can be nil)
+
+    of nkBox:
+      boxBase*: AstNode           ## Boxed expression
+      boxFrame*: bool             ## Whether a border is drawn
+      boxFrameColor*: string      ## Border color ("" for the text color)
+      boxBackground*: string      ## Background color ("" for none)
+      boxPadding*: string         ## Space between content and border ("" for none)
+
     # Binary nodes
     of nkFrac:
       fracNum*: AstNode           ## Numerator
@@ -329,13 +382,19 @@ type
     of nkMatrix:
       matrixRows*: seq[seq[AstNode]]  ## Matrix rows and columns
       matrixType*: string         ## "matrix", "pmatrix", "bmatrix", etc.
+      matrixColumns*: int         ## Column pairs of alignat and alignedat, 0 otherwise
+      matrixTags*: seq[RowTag]    ## Equation numbers of the rows of a display
+                                  ## environment (empty for other matrices)
 
     of nkCases:
       casesRows*: seq[tuple[expr: AstNode, cond: AstNode]]  ## Cases
 
     of nkArray:
       arrayRows*: seq[seq[AstNode]]   ## Array rows and columns
-      arrayAlignment*: string     ## Column alignment specification
+      arrayAlignment*: string     ## Column specification, as written: c|r@{.}l
+      arraySeparators*: seq[AstNode]  ## Contents of the @{...} separators, in order
+      arrayRules*: seq[seq[RowRule]]  ## Rules above each row; the entry after
+                                      ## the last row holds the rules below it
 
     # Special nodes
     of nkFunction:
@@ -374,6 +433,31 @@ type
     of nkChemical:
       chemicalExpr*: AstNode      ## Parsed chemical expression
 
+    # Error recovery
+    of nkError:
+      errorSource*: string        ## The offending source text
+      errorMessage*: string       ## Why it could not be parsed
+
+const
+  alignmentEnvironments* = [
+    "align", "align*", "aligned", "alignat", "alignat*", "alignedat", "flalign",
+    "flalign*", "split", "eqnarray", "eqnarray*", "gather", "gather*", "gathered",
+    "equation", "equation*", "multline", "multline*"
+  ]
+    ## Matrix types of the amsmath display environments, whose cells are
+    ## the pieces of a formula between its alignment points
+  numberedEnvironments* = [
+    "equation", "align", "alignat", "flalign", "eqnarray", "gather", "multline"
+  ]
+    ## Display environments that number their rows; their starred forms
+    ## only show \tag
+  singleNumberEnvironments* = ["equation", "equation*", "multline", "multline*"]
+    ## Display environments numbered as a single formula, beside their
+    ## last row
+  innerEnvironments* = ["aligned", "alignedat", "split", "gathered"]
+    ## Alignment environments used inside another formula, whose rows have
+    ## no equation numbers of their own
+
 # Constructor helpers
 
 proc newNumber*(value: string): AstNode =
@@ -432,6 +516,15 @@ proc newPhantom*(): AstNode =
   ## Create a phantom node (mathstrut)
   AstNode(kind: nkPhantom)
 
+proc newEnclose*(kind: EncloseKind, base: AstNode, to: AstNode = nil): AstNode =
+  ## Create an enclosure node
+  AstNode(kind: nkEnclose, encloseKind: kind, encloseBase: base, encloseTo: to)
+
+proc newBox*(base: AstNode, frame: bool, frameColor = "", background = "", padding = ""): AstNode =
+  ## Create a box node
+  AstNode(kind: nkBox, boxBase: base, boxFrame: frame, boxFrameColor: frameColor,
+    boxBackground: background, boxPadding: padding)
+
 proc newFrac*(num: AstNode, denom: AstNode, isContinued: bool = false, style: FracStyle = fsNormal): AstNode =
   ## Create a fraction node
   AstNode(kind: nkFrac, fracNum: num, fracDenom: denom, fracIsContinued: isContinued, fracStyle: style)
@@ -468,9 +561,17 @@ proc newSizedDelimiter*(char: string, size: DelimiterSize): AstNode =
   ## Create a sized delimiter node
   AstNode(kind: nkSizedDelimiter, sizedDelimChar: char, sizedDelimSize: size)
 
-proc newMatrix*(rows: seq[seq[AstNode]], matrixType: string = "matrix"): AstNode =
+proc newMatrix*(rows: seq[seq[AstNode]], matrixType: string = "matrix", columns: int = 0,
+                tags: seq[RowTag] = @[]): AstNode =
   ## Create a matrix node
-  AstNode(kind: nkMatrix, matrixRows: rows, matrixType: matrixType)
+  AstNode(kind: nkMatrix, matrixRows: rows, matrixType: matrixType, matrixColumns: columns,
+    matrixTags: tags)
+
+proc newArray*(rows: seq[seq[AstNode]], alignment: string, separators: seq[AstNode] = @[],
+               rules: seq[seq[RowRule]] = @[]): AstNode =
+  ## Create an array node
+  AstNode(kind: nkArray, arrayRows: rows, arrayAlignment: alignment,
+    arraySeparators: separators, arrayRules: rules)
 
 proc newFunction*(name: string, arg: AstNode): AstNode =
   ## Create a function node
@@ -508,8 +609,78 @@ proc newChemical*(expr: AstNode): AstNode =
   ## Create a chemical expression node
   AstNode(kind: nkChemical, chemicalExpr: expr)
 
+proc newErrorNode*(source: string, message: string): AstNode =
+  ## Create an error node for source that could not be parsed
+  AstNode(kind: nkError, errorSource: source, errorMessage: message)
+
 # Helper functions
 
+proc readGroup(spec: string, i: var int): tuple[text: string, found: bool] =
+  ## Read the {group} at spec[i], which may hold nested braces, moving i
+  ## past it
+  while i < spec.len and spec[i] in {' ', '\t', '\n', '\r'}:
+    inc i
+  if i >= spec.len or spec[i] != '{':
+    return ("", false)
+  let start = i + 1
+  var depth = 0
+  while i < spec.len:
+    case spec[i]
+    of '\\':
+      inc i  # An escaped character such as \{ never opens or closes
+    of '{':
+      inc depth
+    of '}':
+      dec depth
+      if depth == 0:
+        inc i
+        return (spec[start ..< i - 1], true)
+    else:
+      discard
+    inc i
+  ("", false)
+
+proc parseColumnSpec*(spec: string): tuple[items: seq[ColumnSpecItem], error: string] =
+  ## Split an array column specification such as "c|r@{.}p{2cm}" into
+  ## columns, rules and separators; error is "" unless it is malformed
+  var i = 0
+  while i < spec.len:
+    let c = spec[i]
+    inc i
+    case c
+    of ' ', '\t', '\n', '\r':
+      discard
+    of 'l', 'c', 'r':
+      let align = if c == 'l': "left" elif c == 'r': "right" else: "center"
+      result.items.add(ColumnSpecItem(kind: cskColumn, align: align))
+    of 'p':
+      let (width, found) = readGroup(spec, i)
+      if not found:
+        return (newSeq[ColumnSpecItem](), "Expected {width} after p in array column specification")
+      result.items.add(ColumnSpecItem(kind: cskColumn, align: "left", width: width))
+    of '|':
+      result.items.add(ColumnSpecItem(kind: cskRule))
+    of '@':
+      let (separator, found) = readGroup(spec, i)
+      if not found:
+        return (newSeq[ColumnSpecItem](), "Expected {...} after @ in array column specification")
+      result.items.add(ColumnSpecItem(kind: cskSeparator, separator: separator))
+    else:
+      return (newSeq[ColumnSpecItem](), "Unknown array column type: " & c)
+  for item in result.items:
+    if item.kind == cskColumn:
+      return
+  (newSeq[ColumnSpecItem](), "Array column specification has no columns")
+
+proc hasSpan*(node: AstNode): bool =
+  ## Check if the node knows where it came from in the source
+  node.srcEnd > node.srcStart
+
+proc setSpan*(node: AstNode, start, stop: int) =
+  ## Record the source span of a node (byte offsets, end exclusive)
+  node.srcStart = start
+  node.srcEnd = stop
+
 proc `$`*(node: AstNode): string =
   ## Convert AST node to string representation for debugging
   case node.kind
@@ -533,5 +704,7 @@ proc `$`*(node: AstNode): string =
     result = "SIUnit(" & $node.unitNumerator.len & " numerator, " & $node.unitDenominator.len & " denominator)"
   of nkSIValue:
     result = "SIValue(" & node.siValue & ", " & $node.siUnit & ")"
+  of nkError:
+    result = "Error(" & node.errorSource & ")"
   else:
     result = $node.kind
@@ -0,0 +1,525 @@
+## JSON serialisation of the AST
+##
+## This module converts an AST to and from a versioned JSON document, so
+## parsed formulas can be stored, transformed outside Nim (e.g. in
+## JavaScript) and turned back into MathML. The schema is documented in
+## AST_JSON.md; converting to JSON and back gives an identical AST.
+##
+## Document layout:
+##
+## .. code-block:: json
+##   {"format": "yatexml-ast", "version": 1, "source": "x^2",
+##    "root": {"kind": "sup", "start": 0, "end": 3,
+##             "base": {"kind": "identifier", "name": "x", "start": 0, "end": 1},
+##             "sup": {"kind": "number", "value": "2", "start": 2, "end": 3}}}
+
+import json, strutils
+import error_handling, ast
+
+const
+  astJsonFormat* = "yatexml-ast"
+  astJsonVersion* = 1
+    ## Version of the schema; bumped on incompatible changes
+
+type
+  AstDocument* = object
+    ## An AST read back from JSON, with the source it was parsed from
+    ast*: AstNode
+    source*: string
+
+  AstJsonError = object of ValueError
+    ## Raised while reading a malformed document, reported as a CompileError
+
+# Names
+
+proc kindName*(kind: AstNodeKind): string =
+  ## Stable JSON name of a node kind ("frac", "subSup", "siUnit", ...)
+  case kind
+  of nkNumber: "number"
+  of nkIdentifier: "identifier"
+  of nkSymbol: "symbol"
+  of nkOperator: "operator"
+  of nkText: "text"
+  of nkSpace: "space"
+  of nkSqrt: "sqrt"
+  of nkRoot: "root"
+  of nkAccent: "accent"
+  of nkStyle: "style"
+  of nkMathStyle: "mathStyle"
+  of nkMathSize: "mathSize"
+  of nkColor: "color"
+  of nkPhantom: "phantom"
+  of nkEnclose: "enclose"
+  of nkBox: "box"
+  of nkFrac: "frac"
+  of nkBinomial: "binomial"
+  of nkAtop: "atop"
+  of nkSub: "sub"
+  of nkSup: "sup"
+  of nkSubSup: "subSup"
+  of nkRow: "row"
+  of nkDelimited: "delimited"
+  of nkSizedDelimiter: "sizedDelimiter"
+  of nkMatrix: "matrix"
+  of nkCases: "cases"
+  of nkArray: "array"
+  of nkFunction: "function"
+  of nkBigOp: "bigOp"
+  of nkUnderOver: "underOver"
+  of nkStackrel: "stackrel"
+  of nkNum: "num"
+  of nkSIUnit: "siUnit"
+  of nkSIValue: "siValue"
+  of nkChemical: "chemical"
+  of nkError: "error"
+
+proc enumName[T: enum](value: T): string =
+  ## JSON name of an enum value: the identifier without its lowercase
+  ## prefix, in lowercase (akOverline -> "overline", pkKilo -> "kilo")
+  let name = $value
+  var i = 0
+  while i < name.len and name[i] in {'a'..'z'}:
+    inc i
+  name[i .. ^1].toLowerAscii()
+
+proc fail(message: string) {.noreturn.} =
+  raise newException(AstJsonError, message)
+
+proc parseEnumName[T: enum](name: string, what: string): T =
+  ## Find the enum value with the given JSON name
+  for value in T:
+    if enumName(value) == name:
+      return value
+  fail("Unknown " & what & ": " & name)
+
+# AST to JSON
+
+proc toJson(component: SIUnitComponent): JsonNode =
+  result = %*{
+    "unit": enumName(component.unit),
+    "prefix": enumName(component.prefix),
+    "power": component.power
+  }
+  if component.unit == ukCustom:
+    result["custom"] = %component.customUnit
+
+proc toJson(node: AstNode): JsonNode
+
+proc toJson(nodes: seq[AstNode]): JsonNode =
+  result = newJArray()
+  for node in nodes:
+    result.add(toJson(node))
+
+proc toJson(rows: seq[seq[AstNode]]): JsonNode =
+  result = newJArray()
+  for row in rows:
+    result.add(toJson(row))
+
+proc toJson(components: seq[SIUnitComponent]): JsonNode =
+  result = newJArray()
+  for component in components:
+    result.add(toJson(component))
+
+proc toJson(node: AstNode): JsonNode =
+  ## Convert one node; a nil child becomes null
+  if node.isNil:
+    return newJNull()
+
+  result = %*{"kind": kindName(node.kind)}
+  if node.hasSpan:
+    result["start"] = %node.srcStart
+    result["end"] = %node.srcEnd
+
+  case node.kind
+  of nkNumber:
+    result["value"] = %node.numValue
+  of nkIdentifier:
+    result["name"] = %node.identName
+  of nkSymbol:
+    result["name"] = %node.symbolName
+    result["value"] = %node.symbolValue
+  of nkOperator:
+    result["name"] = %node.opName
+    result["value"] = %node.opValue
+    result["form"] = %node.opForm
+  of nkText:
+    result["value"] = %node.textValue
+  of nkSpace:
+    result["width"] = %node.spaceWidth
+  of nkSqrt:
+    result["base"] = toJson(node.sqrtBase)
+  of nkRoot:
+    result["base"] = toJson(node.rootBase)
+    result["index"] = toJson(node.rootIndex)
+  of nkAccent:
+    result["accent"] = %enumName(node.accentKind)
+    result["base"] = toJson(node.accentBase)
+  of nkStyle:
+    result["style"] = %enumName(node.styleKind)
+    result["base"] = toJson(node.styleBase)
+  of nkMathStyle:
+    result["style"] = %enumName(node.mathStyleKind)
+    result["base"] = toJson(node.mathStyleBase)
+  of nkMathSize:
+    result["size"] = %enumName(node.mathSizeKind)
+    result["base"] = toJson(node.mathSizeBase)
+  of nkColor:
+    result["color"] = %node.colorName
+    result["base"] = toJson(node.colorBase)
+  of nkPhantom:
+    discard
+  of nkEnclose:
+    result["notation"] = %enumName(node.encloseKind)
+    result["base"] = toJson(node.encloseBase)
+    result["to"] = toJson(node.encloseTo)
+  of nkBox:
+    result["base"] = toJson(node.boxBase)
+    result["frame"] = %node.boxFrame
+    result["frameColor"] = %node.boxFrameColor
+    result["background"] = %node.boxBackground
+    result["padding"] = %node.boxPadding
+  of nkFrac:
+    result["num"] = toJson(node.fracNum)
+    result["denom"] = toJson(node.fracDenom)
+    result["continued"] = %node.fracIsContinued
+    result["style"] = %enumName(node.fracStyle)
+  of nkBinomial:
+    result["top"] = toJson(node.binomTop)
+    result["bottom"] = toJson(node.binomBottom)
+    result["style"] = %enumName(node.binomStyle)
+  of nkAtop:
+    result["top"] = toJson(node.atopTop)
+    result["bottom"] = toJson(node.atopBottom)
+  of nkSub:
+    result["base"] = toJson(node.subBase)
+    result["sub"] = toJson(node.subScript)
+  of nkSup:
+    result["base"] = toJson(node.supBase)
+    result["sup"] = toJson(node.supScript)
+  of nkSubSup:
+    result["base"] = toJson(node.subsupBase)
+    result["sub"] = toJson(node.subsupSub)
+    result["sup"] = toJson(node.subsupSup)
+  of nkRow:
+    result["children"] = toJson(node.rowChildren)
+  of nkDelimited:
+    result["left"] = %node.delimLeft
+    result["right"] = %node.delimRight
+    result["content"] = toJson(node.delimContent)
+  of nkSizedDelimiter:
+    result["delimiter"] = %node.sizedDelimChar
+    result["size"] = %enumName(node.sizedDelimSize)
+  of nkMatrix:
+    result["matrixType"] = %node.matrixType
+    result["rows"] = toJson(node.matrixRows)
+    result["columns"] = %node.matrixColumns
+    var tags = newJArray()
+    for rowTag in node.matrixTags:
+      tags.add(%*{"numbered": rowTag.numbered, "tag": rowTag.tag, "starred": rowTag.starred,
+                  "label": rowTag.label})
+    result["tags"] = tags
+  of nkCases:
+    var rows = newJArray()
+    for row in node.casesRows:
+      rows.add(%*{"expr": toJson(row.expr), "cond": toJson(row.cond)})
+    result["rows"] = rows
+  of nkArray:
+    result["alignment"] = %node.arrayAlignment
+    result["rows"] = toJson(node.arrayRows)
+    result["separators"] = toJson(node.arraySeparators)
+    var rules = newJArray()
+    for boundary in node.arrayRules:
+      var boundaryRules = newJArray()
+      for rule in boundary:
+        boundaryRules.add(%*{"dashed": rule.dashed, "first": rule.first, "last": rule.last})
+      rules.add(boundaryRules)
+    result["rules"] = rules
+  of nkFunction:
+    result["name"] = %node.funcName
+    result["arg"] = toJson(node.funcArg)
+  of nkBigOp:
+    result["op"] = %enumName(node.bigopKind)
+    result["lower"] = toJson(node.bigopLower)
+    result["upper"] = toJson(node.bigopUpper)
+    result["base"] = toJson(node.bigopBase)
+    result["limits"] = %node.bigopForceLimits
+  of nkUnderOver:
+    result["base"] = toJson(node.underoverBase)
+    result["under"] = toJson(node.underoverUnder)
+    result["over"] = toJson(node.underoverOver)
+  of nkStackrel:
+    result["above"] = toJson(node.stackrelAbove)
+    result["base"] = toJson(node.stackrelBase)
+  of nkNum:
+    result["value"] = %node.numStr
+  of nkSIUnit:
+    result["numerator"] = toJson(node.unitNumerator)
+    result["denominator"] = toJson(node.unitDenominator)
+  of nkSIValue:
+    result["value"] = %node.siValue
+    result["unit"] = toJson(node.siUnit)
+  of nkChemical:
+    result["expr"] = toJson(node.chemicalExpr)
+  of nkError:
+    result["source"] = %node.errorSource
+    result["message"] = %node.errorMessage
+
+proc astToJson*(node: AstNode, source: string = ""): JsonNode =
+  ## Convert an AST to a JSON document
+  ## source is the LaTeX the AST was parsed from (optional); it is kept so
+  ## MathML generated from the document can carry a TeX annotation.
+  %*{
+    "format": astJsonFormat,
+    "version": astJsonVersion,
+    "source": source,
+    "root": toJson(node)
+  }
+
+# JSON to AST
+
+proc field(obj: JsonNode, name: string): JsonNode =
+  ## Get a required field
+  if not obj.hasKey(name):
+    fail("Missing field \"" & name & "\" in " & obj{"kind"}.getStr("node"))
+  obj[name]
+
+proc getString(obj: JsonNode, name: string): string =
+  let value = obj.field(name)
+  if value.kind != JString:
+    fail("Field \"" & name & "\" must be a string")
+  value.getStr()
+
+proc getInteger(obj: JsonNode, name: string, default: int): int =
+  ## Get an optional integer field
+  if not obj.hasKey(name):
+    return default
+  let value = obj[name]
+  if value.kind != JInt:
+    fail("Field \"" & name & "\" must be an integer")
+  value.getInt()
+
+proc getBoolean(obj: JsonNode, name: string): bool =
+  ## Get an optional boolean field (false when missing)
+  if not obj.hasKey(name):
+    return false
+  let value = obj[name]
+  if value.kind != JBool:
+    fail("Field \"" & name & "\" must be a boolean")
+  value.getBool()
+
+proc getArray(obj: JsonNode, name: string): seq[JsonNode] =
+  let value = obj.field(name)
+  if value.kind != JArray:
+    fail("Field \"" & name & "\" must be an array")
+  value.getElems()
+
+proc getEnum[T: enum](obj: JsonNode, name: string): T =
+  parseEnumName[T](obj.getString(name), name)
+
+proc nodeFromJson(obj: JsonNode): AstNode
+
+proc child(obj: JsonNode, name: string): AstNode =
+  ## Read a required child node
+  let value = obj.field(name)
+  if value.kind != JObject:
+    fail("Field \"" & name & "\" must be a node")
+  nodeFromJson(value)
+
+proc optionalChild(obj: JsonNode, name: string): AstNode =
+  ## Read a child node that may be missing; null stands for nil
+  let value = obj.field(name)
+  if value.kind == JNull:
+    return nil
+  if value.kind != JObject:
+    fail("Field \"" & name & "\" must be a node or null")
+  nodeFromJson(value)
+
+proc nodes(items: seq[JsonNode], name: string): seq[AstNode] =
+  for item in items:
+    if item.kind != JObject:
+      fail("Elements of \"" & name & "\" must be nodes")
+    result.add(nodeFromJson(item))
+
+proc children(obj: JsonNode, name: string): seq[AstNode] =
+  nodes(obj.getArray(name), name)
+
+proc rows(obj: JsonNode, name: string): seq[seq[AstNode]] =
+  for row in obj.getArray(name):
+    if row.kind != JArray:
+      fail("Elements of \"" & name & "\" must be arrays")
+    result.add(nodes(row.getElems(), name))
+
+proc rowRules(obj: JsonNode, name: string): seq[seq[RowRule]] =
+  for boundary in obj.getArray(name):
+    if boundary.kind != JArray:
+      fail("Elements of \"" & name & "\" must be arrays")
+    var rules: seq[RowRule] = @[]
+    for item in boundary.getElems():
+      if item.kind != JObject:
+        fail("Elements of \"" & name & "\" must be arrays of rule objects")
+      rules.add(RowRule(dashed: item.getBoolean("dashed"), first: item.getInteger("first", 0),
+                        last: item.getInteger("last", 0)))
+    result.add(rules)
+
+proc rowTags(obj: JsonNode, name: string): seq[RowTag] =
+  for item in obj.getArray(name):
+    if item.kind != JObject:
+      fail("Elements of \"" & name & "\" must be tag objects")
+    var rowTag = RowTag(numbered: item.getBoolean("numbered"), starred: item.getBoolean("starred"))
+    if item.hasKey("tag"):
+      rowTag.tag = item.getString("tag")
+    if item.hasKey("label"):
+      rowTag.label = item.getString("label")
+    result.add(rowTag)
+
+proc unitComponents(obj: JsonNode, name: string): seq[SIUnitComponent] =
+  for item in obj.getArray(name):
+    if item.kind != JObject:
+      fail("Elements of \"" & name & "\" must be unit objects")
+    let unit = getEnum[SIUnitKind](item, "unit")
+    let prefix = getEnum[SIPrefixKind](item, "prefix")
+    let power = item.getInteger("power", 1)
+    if unit == ukCustom:
+      result.add(newCustomUnitComponent(item.getString("custom"), prefix, power))
+    else:
+      result.add(newSIUnitComponent(prefix, unit, power))
+
+proc nodeFromJson(obj: JsonNode): AstNode =
+  ## Convert one node object back to an AstNode
+  let kindStr = obj.getString("kind")
+  var kind = nkError
+  var found = false
+  for k in AstNodeKind:
+    if kindName(k) == kindStr:
+      kind = k
+      found = true
+      break
+  if not found:
+    fail("Unknown node kind: " & kindStr)
+
+  case kind
+  of nkNumber:
+    result = newNumber(obj.getString("value"))
+  of nkIdentifier:
+    result = newIdentifier(obj.getString("name"))
+  of nkSymbol:
+    result = newSymbol(obj.getString("name"), obj.getString("value"))
+  of nkOperator:
+    result = newOperator(obj.getString("name"), obj.getString("value"), obj.getString("form"))
+  of nkText:
+    result = newText(obj.getString("value"))
+  of nkSpace:
+    result = newSpace(obj.getString("width"))
+  of nkSqrt:
+    result = newSqrt(obj.child("base"))
+  of nkRoot:
+    result = newRoot(obj.child("base"), obj.optionalChild("index"))
+  of nkAccent:
+    result = newAccent(getEnum[AccentKind](obj, "accent"), obj.child("base"))
+  of nkStyle:
+    result = newStyle(getEnum[StyleKind](obj, "style"), obj.child("base"))
+  of nkMathStyle:
+    result = newMathStyle(getEnum[MathStyleKind](obj, "style"), obj.child("base"))
+  of nkMathSize:
+    result = newMathSize(getEnum[MathSizeKind](obj, "size"), obj.child("base"))
+  of nkColor:
+    result = newColor(obj.getString("color"), obj.child("base"))
+  of nkPhantom:
+    result = newPhantom()
+  of nkEnclose:
+    result = newEnclose(getEnum[EncloseKind](obj, "notation"), obj.child("base"), obj.optionalChild("to"))
+  of nkBox:
+    result = newBox(obj.child("base"), obj.getBoolean("frame"), obj.getString("frameColor"),
+                    obj.getString("background"), obj.getString("padding"))
+  of nkFrac:
+    result = newFrac(obj.child("num"), obj.child("denom"),
+                     obj.getBoolean("continued"), getEnum[FracStyle](obj, "style"))
+  of nkBinomial:
+    result = newBinomial(obj.child("top"), obj.child("bottom"), getEnum[FracStyle](obj, "style"))
+  of nkAtop:
+    result = newAtop(obj.child("top"), obj.child("bottom"))
+  of nkSub:
+    result = newSub(obj.child("base"), obj.child("sub"))
+  of nkSup:
+    result = newSup(obj.child("base"), obj.child("sup"))
+  of nkSubSup:
+    result = newSubSup(obj.child("base"), obj.child("sub"), obj.child("sup"))
+  of nkRow:
+    result = newRow(obj.children("children"))
+  of nkDelimited:
+    result = newDelimited(obj.getString("left"), obj.getString("right"), obj.child("content"))
+  of nkSizedDelimiter:
+    result = newSizedDelimiter(obj.getString("delimiter"), getEnum[DelimiterSize](obj, "size"))
+  of nkMatrix:
+    result = newMatrix(obj.rows("rows"), obj.getString("matrixType"), obj.getInteger("columns", 0))
+    if obj.hasKey("tags"):
+      result.matrixTags = obj.rowTags("tags")
+  of nkCases:
+    var casesRows: seq[tuple[expr: AstNode, cond: AstNode]] = @[]
+    for row in obj.getArray("rows"):
+      if row.kind != JObject:
+        fail("Elements of \"rows\" must be objects")
+      casesRows.add((expr: row.child("expr"), cond: row.optionalChild("cond")))
+    result = AstNode(kind: nkCases, casesRows: casesRows)
+  of nkArray:
+    result = newArray(obj.rows("rows"), obj.getString("alignment"))
+    if obj.hasKey("separators"):
+      result.arraySeparators = obj.children("separators")
+    if obj.hasKey("rules"):
+      result.arrayRules = obj.rowRules("rules")
+  of nkFunction:
+    result = newFunction(obj.getString("name"), obj.optionalChild("arg"))
+  of nkBigOp:
+    result = newBigOp(getEnum[BigOpKind](obj, "op"),
+                      obj.optionalChild("lower"),
+                      obj.optionalChild("upper"),
+                      obj.optionalChild("base"),
+                      obj.getBoolean("limits"))
+  of nkUnderOver:
+    result = newUnderOver(obj.child("base"),
+                          obj.optionalChild("under"),
+                          obj.optionalChild("over"))
+  of nkStackrel:
+    result = AstNode(kind: nkStackrel, stackrelAbove: obj.child("above"),
+                     stackrelBase: obj.child("base"))
+  of nkNum:
+    result = newNum(obj.getString("value"))
+  of nkSIUnit:
+    result = newSIUnit(obj.unitComponents("numerator"), obj.unitComponents("denominator"))
+  of nkSIValue:
+    result = newSIValue(obj.getString("value"), obj.child("unit"))
+  of nkChemical:
+    result = newChemical(obj.child("expr"))
+  of nkError:
+    result = newErrorNode(obj.getString("source"), obj.getString("message"))
+
+  let start = obj.getInteger("start", 0)
+  let stop = obj.getInteger("end", 0)
+  if stop > start:
+    result.setSpan(start, stop)
+
+proc astFromJson*(document: JsonNode): Result[AstDocument] =
+  ## Convert a JSON document made by astToJson back to an AST
+  ## Malformed documents are reported as ekInvalidArgument errors.
+  try:
+    if document.kind != JObject or document{"format"}.getStr() != astJsonFormat:
+      fail("Not a " & astJsonFormat & " document")
+    let version = document.getInteger("version", 0)
+    if version != astJsonVersion:
+      fail("Unsupported " & astJsonFormat & " version: " & $version)
+    let root = document.field("root")
+    if root.kind != JObject:
+      fail("Field \"root\" must be a node")
+    let source = if document.hasKey("source"): document.getString("source") else: ""
+    return ok(AstDocument(ast: nodeFromJson(root), source: source))
+  except AstJsonError as e:
+    return err[AstDocument](ekInvalidArgument, e.msg)
+
+proc astFromJson*(text: string): Result[AstDocument] =
+  ## Parse a JSON string made by astToJson back to an AST
+  var document: JsonNode
+  try:
+    document = parseJson(text)
+  except JsonParsingError as e:
+    return err[AstDocument](ekInvalidArgument, "Invalid JSON: " & e.msg)
+  astFromJson(document)
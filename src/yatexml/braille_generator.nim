@@ -0,0 +1,670 @@
+## Braille generator for yatexml
+##
+## This module converts AST nodes to mathematical braille as Unicode braille
+## cells (U+2800 to U+283F), for transcribing material for blind readers.
+## Two codes are supported:
+##
+## - Nemeth Code: script levels stay in effect until a level indicator
+##   returns to the baseline, fractions are framed by ⠹ ... ⠼ and
+##   numbers use lower-cell digits.
+## - UEB technical (Unified English Braille): a script indicator applies to
+##   the next item only, longer scripts are grouped with ⠣ ... ⠜ and
+##   numbers use the numeric indicator with upper-cell digits. The output is
+##   meant to be read in grade 1 mode.
+##
+## Matrices and multi-line environments put one row per line. Characters
+## without a braille form in the tables below are passed through as print
+## characters so a transcriber can spot them.
+
+import ast, error_handling, mathml_generator
+import strutils, unicode
+
+type
+  BrailleCode* = enum
+    ## Braille code for mathematics
+    bcNemeth              ## Nemeth Code
+    bcUEB                 ## Unified English Braille, technical material
+
+  BrailleState = object
+    ## Where in the formula the braille is generated
+    code: BrailleCode
+    level: string         ## Nemeth script level indicators ("" on the baseline)
+    inScript: bool        ## Inside a script or modifier: comparisons are unspaced
+    radicalDepth: int     ## Number of enclosing radicals (Nemeth)
+
+const
+  numericMark = "\x01"    ## Nemeth numeric indicator, kept only after a space
+  baselineMark = "\x02"   ## Nemeth baseline indicator, dropped before a space
+  numberEndMark = "\x03"  ## End of a UEB number: a following a-j needs ⠰
+
+proc parseBrailleCode*(name: string): Result[BrailleCode] =
+  ## Get a braille code by name: "nemeth" or "ueb" (case-insensitive)
+  case name.toLowerAscii()
+  of "nemeth": ok(bcNemeth)
+  of "ueb": ok(bcUEB)
+  else: err[BrailleCode](ekInvalidArgument, "Unknown braille code: " & name)
+
+# Character tables
+
+proc letterCell(ch: char): string =
+  ## Get the cell of a lowercase Latin letter
+  case ch
+  of 'a': "⠁"
+  of 'b': "⠃"
+  of 'c': "⠉"
+  of 'd': "⠙"
+  of 'e': "⠑"
+  of 'f': "⠋"
+  of 'g': "⠛"
+  of 'h': "⠓"
+  of 'i': "⠊"
+  of 'j': "⠚"
+  of 'k': "⠅"
+  of 'l': "⠇"
+  of 'm': "⠍"
+  of 'n': "⠝"
+  of 'o': "⠕"
+  of 'p': "⠏"
+  of 'q': "⠟"
+  of 'r': "⠗"
+  of 's': "⠎"
+  of 't': "⠞"
+  of 'u': "⠥"
+  of 'v': "⠧"
+  of 'w': "⠺"
+  of 'x': "⠭"
+  of 'y': "⠽"
+  of 'z': "⠵"
+  else: $ch
+
+proc digitCell(ch: char, code: BrailleCode): string =
+  ## Get the cell of a digit: lower-cell in Nemeth, a-j in UEB
+  case code
+  of bcNemeth:
+    case ch
+    of '1': "⠂"
+    of '2': "⠆"
+    of '3': "⠒"
+    of '4': "⠲"
+    of '5': "⠢"
+    of '6': "⠖"
+    of '7': "⠶"
+    of '8': "⠦"
+    of '9': "⠔"
+    else: "⠴"
+  of bcUEB:
+    if ch == '0': letterCell('j') else: letterCell(chr(ord('a') + ord(ch) - ord('1')))
+
+proc greekLetter(ch: string): tuple[letter: string, capital: bool] =
+  ## Get the Latin letter cell a Greek letter is written with, or "" if ch
+  ## is not a Greek letter
+  case ch
+  of "α": (letterCell('a'), false)
+  of "β": (letterCell('b'), false)
+  of "γ": (letterCell('g'), false)
+  of "δ": (letterCell('d'), false)
+  of "ε", "ϵ": (letterCell('e'), false)
+  of "ζ": (letterCell('z'), false)
+  of "η": ("⠱", false)
+  of "θ", "ϑ": ("⠹", false)
+  of "ι": (letterCell('i'), false)
+  of "κ", "ϰ": (letterCell('k'), false)
+  of "λ": (letterCell('l'), false)
+  of "μ": (letterCell('m'), false)
+  of "ν": (letterCell('n'), false)
+  of "ξ": (letterCell('x'), false)
+  of "ο": (letterCell('o'), false)
+  of "π", "ϖ": (letterCell('p'), false)
+  of "ρ", "ϱ": (letterCell('r'), false)
+  of "σ", "ς": (letterCell('s'), false)
+  of "τ": (letterCell('t'), false)
+  of "υ": (letterCell('u'), false)
+  of "φ", "ϕ": (letterCell('f'), false)
+  of "χ": ("⠯", false)
+  of "ψ": (letterCell('y'), false)
+  of "ω": (letterCell('w'), false)
+  of "Γ": (letterCell('g'), true)
+  of "Δ": (letterCell('d'), true)
+  of "Θ": ("⠹", true)
+  of "Λ": (letterCell('l'), true)
+  of "Ξ": (letterCell('x'), true)
+  of "Π": (letterCell('p'), true)
+  of "Σ": (letterCell('s'), true)
+  of "Υ": (letterCell('u'), true)
+  of "Φ": (letterCell('f'), true)
+  of "Ψ": (letterCell('y'), true)
+  of "Ω": (letterCell('w'), true)
+  else: ("", false)
+
+proc symbolCells(ch: string, code: BrailleCode): string =
+  ## Get the cells of a special character, or "" if it has none
+  case ch
+  of "∞": (if code == bcNemeth: "⠠⠿" else: "⠼⠿")
+  of "∂": "⠈⠙"
+  of "…", "⋯": (if code == bcNemeth: "⠄⠄⠄" else: "⠲⠲⠲")
+  of "′", "'": (if code == bcNemeth: "⠄" else: "⠶")
+  of "″": (if code == bcNemeth: "⠄⠄" else: "⠶⠶")
+  of "∅": "⠸⠴"
+  of "°": (if code == bcNemeth: "⠘⠨⠡" else: "⠘⠴")
+  else: ""
+
+proc textCells(text: string, code: BrailleCode): string =
+  ## Write letters, digits and Greek letters as cells; a capital is
+  ## preceded by the capital indicator ⠠ and a Greek letter by ⠨
+  for rune in text.runes:
+    let ch = $rune
+    if ch.len == 1 and ch[0] in {'a'..'z'}:
+      result.add(letterCell(ch[0]))
+    elif ch.len == 1 and ch[0] in {'A'..'Z'}:
+      result.add("⠠" & letterCell(ch[0].toLowerAscii()))
+    elif ch.len == 1 and ch[0] in {'0'..'9'}:
+      result.add(digitCell(ch[0], code))
+    elif ch == " ":
+      result.add(" ")
+    else:
+      let greek = greekLetter(ch)
+      if greek.letter.len > 0:
+        # Nemeth puts the capital indicator after the Greek one, UEB before it
+        if not greek.capital:
+          result.add("⠨" & greek.letter)
+        elif code == bcNemeth:
+          result.add("⠨⠠" & greek.letter)
+        else:
+          result.add("⠠⠨" & greek.letter)
+      else:
+        let cells = symbolCells(ch, code)
+        result.add(if cells.len > 0: cells else: ch)
+
+proc operatorCells(op: string, code: BrailleCode): string =
+  ## Get the cells of an operator; comparisons and arrows come with the
+  ## spaces around them and a comma with the space after it
+  case code
+  of bcNemeth:
+    case op
+    of "+": "⠬"
+    of "-", "−": "⠤"
+    of "±": "⠬⠤"
+    of "∓": "⠤⠬"
+    of "×": "⠈⠡"
+    of "⋅", "·": "⠡"
+    of "*", "∗": "⠈⠼"
+    of "÷": "⠨⠌"
+    of "/": "⠸⠌"
+    of "=": " ⠨⠅ "
+    of "≠": " ⠌⠨⠅ "
+    of "<": " ⠐⠅ "
+    of ">": " ⠨⠂ "
+    of "≤", "⩽": " ⠐⠅⠱ "
+    of "≥", "⩾": " ⠨⠂⠱ "
+    of "≈": " ⠈⠱⠈⠱ "
+    of "∼": " ⠈⠱ "
+    of "≡": " ⠸⠇ "
+    of "→", "⟶": " ⠫⠕ "
+    of "←", "⟵": " ⠫⠪ "
+    of "↔", "⟷": " ⠫⠪⠒⠒⠕ "
+    of "⇒", "⟹": " ⠸⠫⠶⠶⠕ "
+    of "∈": " ⠈⠑ "
+    of "∉": " ⠌⠈⠑ "
+    of "⊂": " ⠸⠐⠅ "
+    of "⊆": " ⠸⠐⠅⠱ "
+    of "∪": "⠨⠬"
+    of "∩": "⠨⠩"
+    of "!": "⠯"
+    of ",": "⠠ "
+    of "(": "⠷"
+    of ")": "⠾"
+    of "[": "⠈⠷"
+    of "]": "⠈⠾"
+    of "{": "⠨⠷"
+    of "}": "⠨⠾"
+    of "⟨": "⠨⠨⠷"
+    of "⟩": "⠨⠨⠾"
+    of "|", "∣": "⠳"
+    of "‖": "⠳⠳"
+    else: textCells(op, code)
+  of bcUEB:
+    case op
+    of "+": "⠐⠖"
+    of "-", "−": "⠐⠤"
+    of "±": "⠸⠖"
+    of "∓": "⠸⠤"
+    of "×": "⠐⠦"
+    of "⋅", "·": "⠐⠲"
+    of "*", "∗": "⠐⠔"
+    of "÷": "⠐⠌"
+    of "/": "⠸⠌"
+    of "=": " ⠐⠶ "
+    of "≠": " ⠐⠶⠈⠱ "
+    of "<": " ⠈⠣ "
+    of ">": " ⠈⠜ "
+    of "≤", "⩽": " ⠸⠈⠣ "
+    of "≥", "⩾": " ⠸⠈⠜ "
+    of "≈": " ⠘⠔⠘⠔ "
+    of "∼": " ⠘⠔ "
+    of "→", "⟶": " ⠳⠕ "
+    of "←", "⟵": " ⠳⠪ "
+    of "∈": " ⠘⠑ "
+    of "∪": "⠨⠦"
+    of "∩": "⠨⠩"
+    of "!": "⠖"
+    of ",": "⠂ "
+    of "(": "⠐⠣"
+    of ")": "⠐⠜"
+    of "[": "⠨⠣"
+    of "]": "⠨⠜"
+    of "{": "⠸⠣"
+    of "}": "⠸⠜"
+    of "⟨": "⠈⠣"
+    of "⟩": "⠈⠜"
+    of "|", "∣": "⠸⠳"
+    of "‖": "⠸⠳⠸⠳"
+    else: textCells(op, code)
+
+proc bigOpCells(kind: BigOpKind, code: BrailleCode): string =
+  ## Get the cells of a big operator
+  case kind
+  of boSum: (if code == bcNemeth: "⠨⠠⠎" else: "⠠⠨⠎")
+  of boProd: (if code == bcNemeth: "⠨⠠⠏" else: "⠠⠨⠏")
+  of boInt: "⠮"
+  of boIInt: "⠮⠮"
+  of boIIInt: "⠮⠮⠮"
+  of boIIIInt: "⠮⠮⠮⠮"
+  of boUnion: operatorCells("∪", code)
+  of boIntersect: operatorCells("∩", code)
+  of boLim, boMax, boMin: textCells(bigOpSymbol(kind), code)
+  else: bigOpSymbol(kind)
+
+proc accentCells(kind: AccentKind, code: BrailleCode): string =
+  ## Get the cells of the mark of an accent, or its print character
+  case kind
+  of akBar, akOverline, akUnderline: "⠱"
+  of akTilde, akWidetilde: (if code == bcNemeth: "⠈⠱" else: "⠘⠔")
+  of akVec, akOverrightarrow: (if code == bcNemeth: "⠫⠕" else: "⠳⠕")
+  of akOverleftarrow: (if code == bcNemeth: "⠫⠪" else: "⠳⠪")
+  of akDot: (if code == bcNemeth: "⠡" else: "⠲")
+  of akDdot: (if code == bcNemeth: "⠡⠡" else: "⠲⠲")
+  of akDddot: (if code == bcNemeth: "⠡⠡⠡" else: "⠲⠲⠲")
+  of akHat, akWidehat: "ˆ"
+  of akAcute: "ˊ"
+  of akGrave: "ˋ"
+  of akBreve: "˘"
+  of akCheck: "ˇ"
+  of akWideparen: "⌒"
+  of akOverbrace: "⏞"
+  of akUnderbrace: "⏟"
+
+# Node generation functions
+
+proc brailleNode(node: AstNode, state: BrailleState): string
+
+proc numberCells(value: string, code: BrailleCode): string =
+  ## Write a number: Nemeth digits follow a numeric indicator where one is
+  ## needed, UEB digits always follow ⠼
+  case code
+  of bcNemeth:
+    result = numericMark
+    for ch in value:
+      case ch
+      of '0'..'9': result.add(digitCell(ch, code))
+      of '.': result.add("⠨")
+      of ',': result.add("⠠")
+      else: result.add(strutils.strip(operatorCells($ch, code)))
+  of bcUEB:
+    result = "⠼"
+    for ch in value:
+      case ch
+      of '0'..'9': result.add(digitCell(ch, code))
+      of '.': result.add("⠲")
+      of ',': result.add("⠂")
+      else: result.add(strutils.strip(operatorCells($ch, code)))
+    result.add(numberEndMark)
+
+proc isLetter(node: AstNode): bool =
+  ## Check whether a node is a single letter, possibly styled
+  case node.kind
+  of nkIdentifier: node.identName.runeLen == 1
+  of nkSymbol: node.symbolValue.runeLen == 1
+  of nkStyle: isLetter(node.styleBase)
+  else: false
+
+proc isItem(node: AstNode): bool =
+  ## Check whether a node is one UEB item, which a script indicator applies
+  ## to without grouping
+  case node.kind
+  of nkNumber, nkNum: true
+  of nkRow: node.rowChildren.len == 1 and isItem(node.rowChildren[0])
+  else: isLetter(node)
+
+proc scriptState(state: BrailleState, level: string): BrailleState =
+  ## State for the content of a script at the given Nemeth level
+  result = state
+  result.level = level
+  result.inScript = true
+
+proc ueItem(node: AstNode, state: BrailleState): string =
+  ## Write a UEB item, grouping it unless it is a single item
+  var inner = state
+  inner.inScript = true
+  if isItem(node): brailleNode(node, inner) else: "⠣" & brailleNode(node, inner) & "⠜"
+
+proc returnTo(level: string): string =
+  ## Nemeth indicator for going back to a level after a script
+  if level.len == 0: baselineMark else: level
+
+proc scriptsAfter(baseCells: string, letterBase: bool, sub, sup: AstNode, state: BrailleState): string =
+  ## Write the subscript and/or superscript (either may be nil) of a base
+  ## already written as baseCells
+  result = baseCells
+  case state.code
+  of bcNemeth:
+    var needReturn = false
+    if sub != nil:
+      if state.level.len == 0 and sub.kind == nkNumber and letterBase:
+        # A numeric subscript of a letter needs no indicator: x₁ is x then 1
+        result.add(brailleNode(sub, scriptState(state, "")).replace(numericMark, ""))
+      else:
+        let level = state.level & "⠰"
+        result.add(level & brailleNode(sub, scriptState(state, level)))
+        needReturn = true
+    if sup != nil:
+      let level = state.level & "⠘"
+      result.add(level & brailleNode(sup, scriptState(state, level)))
+      needReturn = true
+    if needReturn:
+      result.add(returnTo(state.level))
+  of bcUEB:
+    if sub != nil:
+      result.add("⠢" & ueItem(sub, state))
+    if sup != nil:
+      result.add("⠔" & ueItem(sup, state))
+
+proc brailleScripts(base, sub, sup: AstNode, state: BrailleState): string =
+  ## Write a base with a subscript and/or superscript (either may be nil)
+  scriptsAfter(brailleNode(base, state), isLetter(base), sub, sup, state)
+
+proc modifierCells(node: AstNode, state: BrailleState): string =
+  ## Write content placed directly under or over a base
+  case state.code
+  of bcNemeth: brailleNode(node, scriptState(state, ""))
+  of bcUEB: ueItem(node, state)
+
+proc modified(baseCells, underCells, overCells: string, state: BrailleState): string =
+  ## Put cells directly under and/or over a base ("" for none)
+  case state.code
+  of bcNemeth:
+    # Multipurpose indicator, base, underscript ⠩, overscript ⠣, termination
+    result = "⠐" & baseCells
+    if underCells.len > 0:
+      result.add("⠩" & underCells)
+    if overCells.len > 0:
+      result.add("⠣" & overCells)
+    result.add("⠻")
+  of bcUEB:
+    # Directly under ⠐⠢, directly over ⠐⠔
+    result = baseCells
+    if underCells.len > 0:
+      result.add("⠐⠢" & underCells)
+    if overCells.len > 0:
+      result.add("⠐⠔" & overCells)
+
+proc brailleModified(base, under, over: AstNode, state: BrailleState): string =
+  ## Write a base with content directly under and/or over it (either may be nil)
+  let underCells = if under != nil: modifierCells(under, state) else: ""
+  let overCells = if over != nil: modifierCells(over, state) else: ""
+  let baseCells = if state.code == bcUEB: ueItem(base, state) else: brailleNode(base, state)
+  modified(baseCells, underCells, overCells, state)
+
+proc fractionDepth(node: AstNode): int =
+  ## Count the fractions nested in a fraction, for Nemeth complex fraction
+  ## indicators
+  if node == nil:
+    return 0
+  case node.kind
+  of nkFrac:
+    1 + max(fractionDepth(node.fracNum), fractionDepth(node.fracDenom))
+  of nkRow:
+    var depth = 0
+    for child in node.rowChildren:
+      depth = max(depth, fractionDepth(child))
+    depth
+  of nkDelimited:
+    fractionDepth(node.delimContent)
+  of nkStyle:
+    fractionDepth(node.styleBase)
+  else:
+    0
+
+proc brailleFrac(node: AstNode, state: BrailleState): string =
+  ## Write a fraction
+  case state.code
+  of bcNemeth:
+    # A fraction containing fractions is framed by ⠠-prefixed indicators,
+    # one ⠠ per level of nesting
+    let prefix = "⠠".repeat(fractionDepth(node) - 1)
+    prefix & "⠹" & brailleNode(node.fracNum, state) & prefix & "⠌" &
+      brailleNode(node.fracDenom, state) & prefix & "⠼"
+  of bcUEB:
+    if node.fracNum.kind == nkNumber and node.fracDenom.kind == nkNumber:
+      # Numeric fraction: ⠼ 1 ⠌ 2
+      numberCells(node.fracNum.numValue, state.code).replace(numberEndMark, "") & "⠌" &
+        numberCells(node.fracDenom.numValue, state.code).replace("⠼", "")
+    else:
+      "⠷" & brailleNode(node.fracNum, state) & "⠨⠌" &
+        brailleNode(node.fracDenom, state) & "⠾"
+
+proc brailleRoot(base, index: AstNode, state: BrailleState): string =
+  ## Write a radical with an optional index
+  case state.code
+  of bcNemeth:
+    # A radical inside a radical has its sign and termination prefixed by ⠨
+    let prefix = "⠨".repeat(state.radicalDepth)
+    var inner = state
+    inner.radicalDepth += 1
+    result = ""
+    if index != nil:
+      result.add("⠣" & brailleNode(index, scriptState(state, "")))
+    result.add(prefix & "⠜" & brailleNode(base, inner) & prefix & "⠻")
+  of bcUEB:
+    result = "⠩"
+    if index != nil:
+      result.add("⠔" & ueItem(index, state))
+    result.add(brailleNode(base, state) & "⠬")
+
+proc brailleDelimiter(delim: string, state: BrailleState): string =
+  ## Write a delimiter ("." is an invisible one)
+  if delim == ".": "" else: strutils.strip(operatorCells(delim, state.code))
+
+proc brailleRows(rows: seq[seq[AstNode]], left, right: string, state: BrailleState): string =
+  ## Write a matrix or multi-line environment, one row per line
+  var lines: seq[string] = @[]
+  for row in rows:
+    var cells: seq[string] = @[]
+    for cell in row:
+      cells.add(brailleNode(cell, state))
+    lines.add(left & cells.join(" ") & right)
+  lines.join("\n")
+
+proc matrixDelimiters(matrixType: string, code: BrailleCode): (string, string) =
+  ## Get the delimiters written on every row of a matrix; Nemeth uses
+  ## enlarged grouping symbols (prefixed by ⠠)
+  let (left, right) = case matrixType
+    of "pmatrix": ("(", ")")
+    of "bmatrix": ("[", "]")
+    of "Bmatrix", "cases": ("{", "}")
+    of "vmatrix": ("|", "|")
+    of "Vmatrix": ("‖", "‖")
+    else: ("", "")
+  if left.len == 0:
+    return ("", "")
+  let prefix = if code == bcNemeth: "⠠" else: ""
+  let closing = if matrixType == "cases": "" else: prefix & operatorCells(right, code)
+  (prefix & operatorCells(left, code) & " ", " " & closing)
+
+proc brailleSIUnit(node: AstNode, state: BrailleState): string =
+  ## Write a unit: symbols joined by a dot, "/" before the denominator
+  proc component(comp: SIUnitComponent): string =
+    let symbol = textCells(siUnitSymbol(comp), state.code)
+    if comp.power == 1: symbol else: scriptsAfter(symbol, false, nil, newNumber($comp.power), state)
+
+  var parts: seq[string] = @[]
+  for comp in node.unitNumerator:
+    parts.add(component(comp))
+  result = parts.join(operatorCells("⋅", state.code))
+  for comp in node.unitDenominator:
+    result.add(operatorCells("/", state.code) & component(comp))
+
+proc brailleNode(node: AstNode, state: BrailleState): string =
+  ## Generate braille for any AST node
+  if node == nil:
+    return ""
+  case node.kind
+  of nkNumber:
+    numberCells(node.numValue, state.code)
+  of nkIdentifier:
+    textCells(node.identName, state.code)
+  of nkSymbol:
+    textCells(node.symbolValue, state.code)
+  of nkOperator:
+    let cells = operatorCells(node.opValue, state.code)
+    if state.inScript: strutils.strip(cells) else: cells
+  of nkText:
+    textCells(node.textValue, state.code)
+  of nkSpace, nkPhantom:
+    ""
+  of nkSqrt:
+    brailleRoot(node.sqrtBase, nil, state)
+  of nkRoot:
+    brailleRoot(node.rootBase, node.rootIndex, state)
+  of nkAccent:
+    let cells = accentCells(node.accentKind, state.code)
+    if state.code == bcUEB and cells == "⠱":
+      # UEB writes a bar as ⠱ after the item it is over
+      ueItem(node.accentBase, state) & cells
+    elif node.accentKind in {akUnderline, akUnderbrace}:
+      modified(brailleNode(node.accentBase, state), cells, "", state)
+    else:
+      modified(brailleNode(node.accentBase, state), "", cells, state)
+  of nkStyle:
+    brailleNode(node.styleBase, state)
+  of nkMathStyle:
+    brailleNode(node.mathStyleBase, state)
+  of nkMathSize:
+    brailleNode(node.mathSizeBase, state)
+  of nkColor:
+    brailleNode(node.colorBase, state)
+  of nkEnclose:
+    # Neither code has a cancellation indicator; the struck-out terms are
+    # read as written
+    brailleNode(node.encloseBase, state)
+  of nkBox:
+    brailleNode(node.boxBase, state)
+  of nkFrac:
+    brailleFrac(node, state)
+  of nkBinomial:
+    if state.code == bcNemeth:
+      "⠷" & brailleNode(node.binomTop, state) & "⠩" &
+        brailleNode(node.binomBottom, state) & "⠾"
+    else:
+      "⠐⠣" & brailleModified(node.binomTop, node.binomBottom, nil, state) & "⠐⠜"
+  of nkAtop:
+    brailleModified(node.atopTop, node.atopBottom, nil, state)
+  of nkSub:
+    brailleScripts(node.subBase, node.subScript, nil, state)
+  of nkSup:
+    brailleScripts(node.supBase, nil, node.supScript, state)
+  of nkSubSup:
+    brailleScripts(node.subsupBase, node.subsupSub, node.subsupSup, state)
+  of nkRow:
+    var parts: seq[string] = @[]
+    for child in node.rowChildren:
+      parts.add(brailleNode(child, state))
+    parts.join("")
+  of nkDelimited:
+    brailleDelimiter(node.delimLeft, state) & brailleNode(node.delimContent, state) &
+      brailleDelimiter(node.delimRight, state)
+  of nkSizedDelimiter:
+    brailleDelimiter(node.sizedDelimChar, state)
+  of nkMatrix:
+    let (left, right) = matrixDelimiters(node.matrixType, state.code)
+    brailleRows(node.matrixRows, left, right, state)
+  of nkCases:
+    var rows: seq[seq[AstNode]] = @[]
+    for row in node.casesRows:
+      rows.add(if row.cond != nil: @[row.expr, row.cond] else: @[row.expr])
+    let (left, right) = matrixDelimiters("cases", state.code)
+    brailleRows(rows, left, right, state)
+  of nkArray:
+    brailleRows(node.arrayRows, "", "", state)
+  of nkFunction:
+    # Function names are followed by a space
+    let name = textCells(node.funcName, state.code)
+    if node.funcArg == nil: name & " " else: name & " " & brailleNode(node.funcArg, state)
+  of nkBigOp:
+    # Integrals take their limits as scripts, other operators under and over
+    let cells = bigOpCells(node.bigopKind, state.code)
+    let written =
+      if node.bigopLower == nil and node.bigopUpper == nil:
+        cells
+      elif node.bigopKind in {boInt, boIInt, boIIInt, boIIIInt, boOint, boOIInt, boOIIInt}:
+        scriptsAfter(cells, false, node.bigopLower, node.bigopUpper, state)
+      else:
+        let under = if node.bigopLower != nil: modifierCells(node.bigopLower, state) else: ""
+        let over = if node.bigopUpper != nil: modifierCells(node.bigopUpper, state) else: ""
+        modified(cells, under, over, state)
+    written & brailleNode(node.bigopBase, state)
+  of nkUnderOver:
+    brailleModified(node.underoverBase, node.underoverUnder, node.underoverOver, state)
+  of nkStackrel:
+    brailleModified(node.stackrelBase, nil, node.stackrelAbove, state)
+  of nkNum:
+    numberCells(node.numStr, state.code)
+  of nkSIUnit:
+    brailleSIUnit(node, state)
+  of nkSIValue:
+    numberCells(node.siValue, state.code) & " " & brailleSIUnit(node.siUnit, state)
+  of nkChemical:
+    brailleNode(node.chemicalExpr, state)
+  of nkError:
+    node.errorSource
+
+proc resolveMarks(text: string): string =
+  ## Resolve the marks left by the generator: a Nemeth numeric indicator is
+  ## needed at the start of a line, after a space, or after a minus sign
+  ## there; a baseline indicator is not needed before a space or the end;
+  ## UEB letters a-j right after a number need the grade 1 indicator
+  const minus = "⠤"
+  const ajCells = ["⠁", "⠃", "⠉", "⠙", "⠑", "⠋", "⠛", "⠓", "⠊", "⠚"]
+  var i = 0
+  while i < text.len:
+    let ch = text[i]
+    case ch
+    of numericMark[0]:
+      let atStart = result.len == 0 or result[^1] in {' ', '\n'}
+      let afterSign = strutils.endsWith(result, minus) and
+        (result.len == minus.len or result[^(minus.len + 1)] in {' ', '\n'})
+      if atStart or afterSign:
+        result.add("⠼")
+    of baselineMark[0]:
+      var j = i + 1
+      while j < text.len and text[j] in {numericMark[0], baselineMark[0]}:
+        inc j
+      if j < text.len and text[j] notin {' ', '\n'} and text[i + 1] != baselineMark[0]:
+        result.add("⠐")
+    of numberEndMark[0]:
+      for cell in ajCells:
+        if text.continuesWith(cell, i + 1):
+          result.add("⠰")
+          break
+    else:
+      result.add(ch)
+    inc i
+
+proc generateBraille*(ast: AstNode, code: BrailleCode = bcNemeth): string =
+  ## Generate mathematical braille from an AST
+  ##
+  ## Spaces are ASCII spaces and matrix rows are separated by newlines.
+  let text = resolveMarks(brailleNode(ast, BrailleState(code: code)))
+  var lines: seq[string] = @[]
+  for line in text.split('\n'):
+    lines.add(strutils.splitWhitespace(line).join(" "))
+  strutils.strip(lines.join("\n"), chars = {'\n'})
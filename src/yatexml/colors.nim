@@ -0,0 +1,52 @@
+## Color names
+##
+## This module knows which color specifications can be passed through to
+## the mathcolor/mathbackground attributes: the CSS named colors (which
+## include the xcolor base colors) and hex colors such as #f80 or #ff8800.
+
+import strutils
+
+const cssColorNames = [
+  "aliceblue", "antiquewhite", "aqua", "aquamarine", "azure", "beige",
+  "bisque", "black", "blanchedalmond", "blue", "blueviolet", "brown",
+  "burlywood", "cadetblue", "chartreuse", "chocolate", "coral",
+  "cornflowerblue", "cornsilk", "crimson", "cyan", "darkblue", "darkcyan",
+  "darkgoldenrod", "darkgray", "darkgreen", "darkgrey", "darkkhaki",
+  "darkmagenta", "darkolivegreen", "darkorange", "darkorchid", "darkred",
+  "darksalmon", "darkseagreen", "darkslateblue", "darkslategray",
+  "darkslategrey", "darkturquoise", "darkviolet", "deeppink", "deepskyblue",
+  "dimgray", "dimgrey", "dodgerblue", "firebrick", "floralwhite",
+  "forestgreen", "fuchsia", "gainsboro", "ghostwhite", "gold", "goldenrod",
+  "gray", "green", "greenyellow", "grey", "honeydew", "hotpink", "indianred",
+  "indigo", "ivory", "khaki", "lavender", "lavenderblush", "lawngreen",
+  "lemonchiffon", "lightblue", "lightcoral", "lightcyan",
+  "lightgoldenrodyellow", "lightgray", "lightgreen", "lightgrey", "lightpink",
+  "lightsalmon", "lightseagreen", "lightskyblue", "lightslategray",
+  "lightslategrey", "lightsteelblue", "lightyellow", "lime", "limegreen",
+  "linen", "magenta", "maroon", "mediumaquamarine", "mediumblue",
+  "mediumorchid", "mediumpurple", "mediumseagreen", "mediumslateblue",
+  "mediumspringgreen", "mediumturquoise", "mediumvioletred", "midnightblue",
+  "mintcream", "mistyrose", "moccasin", "navajowhite", "navy", "oldlace",
+  "olive", "olivedrab", "orange", "orangered", "orchid", "palegoldenrod",
+  "palegreen", "paleturquoise", "palevioletred", "papayawhip", "peachpuff",
+  "peru", "pink", "plum", "powderblue", "purple", "rebeccapurple", "red",
+  "rosybrown", "royalblue", "saddlebrown", "salmon", "sandybrown",
+  "seagreen", "seashell", "sienna", "silver", "skyblue", "slateblue",
+  "slategray", "slategrey", "snow", "springgreen", "steelblue", "tan", "teal",
+  "thistle", "tomato", "transparent", "turquoise", "violet", "wheat", "white",
+  "whitesmoke", "yellow", "yellowgreen"
+]
+
+proc isHexColor*(color: string): bool =
+  ## Check for a hex color: # followed by 3, 4, 6 or 8 hex digits
+  if not color.startsWith("#") or color.len - 1 notin [3, 4, 6, 8]:
+    return false
+  for c in color[1 .. ^1]:
+    if c notin HexDigits:
+      return false
+  true
+
+proc isKnownColor*(color: string): bool =
+  ## Check whether a color renders as intended in MathML
+  ## Names are matched case-insensitively, as in CSS
+  isHexColor(color) or color.toLowerAscii() in cssColorNames
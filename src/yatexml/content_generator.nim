@@ -0,0 +1,64 @@
+## Content MathML generator for yatexml
+##
+## This module converts AST nodes to Content MathML, which encodes what a
+## formula means rather than how it looks, for computer algebra systems
+## and grading tools: a + 2b becomes
+## <apply><plus/><ci>a</ci><apply><times/><cn>2</cn><ci>b</ci></apply></apply>.
+##
+## The formula is first built into a semantic tree (see semantic.nim),
+## which resolves operator precedence, implicit products and function
+## applications; this module writes that tree out. Operators with no
+## Content MathML element become <csymbol>, and missing operands <cerror>.
+
+import ast, semantic
+import strutils
+
+# Helper functions
+
+proc escapeXml(s: string): string =
+  ## Escape XML special characters
+  s.multiReplace([("&", "&amp;"), ("<", "&lt;"), (">", "&gt;"), ("\"", "&quot;")])
+
+proc tag(name: string, content: string, attrs: openArray[(string, string)] = []): string =
+  ## Write an element
+  result = "<" & name
+  for (key, value) in attrs:
+    result.add(" " & key & "=\"" & escapeXml(value) & "\"")
+  result.add(">" & content & "</" & name & ">")
+
+proc contentXml(term: SemanticNode): string =
+  ## Write a semantic node as Content MathML
+  case term.kind
+  of smNumber:
+    let ePos = term.name.find({'e', 'E'})
+    if ePos > 0:
+      tag("cn", escapeXml(term.name[0 ..< ePos]) & "<sep/>" & escapeXml(term.name[ePos + 1 .. ^1]), term.attributes)
+    else:
+      tag("cn", escapeXml(term.name), term.attributes)
+  of smIdentifier:
+    tag("ci", escapeXml(term.name), term.attributes)
+  of smOperator, smConstant:
+    "<" & term.name & "/>"
+  of smSymbol:
+    tag("csymbol", escapeXml(term.name))
+  of smText:
+    tag("cs", escapeXml(term.name))
+  of smApply, smContainer:
+    var content = ""
+    var first = 0
+    if term.kind == smApply:
+      content.add(contentXml(term.children[0]))
+      first = 1
+    for qualifier in term.qualifiers:
+      content.add(tag(qualifier.name, contentXml(qualifier.value)))
+    for child in term.children[first .. ^1]:
+      content.add(contentXml(child))
+    tag(if term.kind == smApply: "apply" else: term.name, content, term.attributes)
+  of smError:
+    tag("cerror", tag("csymbol", "error") & tag("cs", escapeXml(term.name)))
+
+# Main generation function
+
+proc generateContentMathML*(ast: AstNode): string =
+  ## Generate Content MathML from an AST, wrapped in a <math> element
+  tag("math", contentXml(semanticTree(ast)), [("xmlns", "http://www.w3.org/1998/Math/MathML")])
@@ -16,6 +16,7 @@ type
     ekMissingArgument     ## Missing required argument
     ekInvalidNumber       ## Invalid number format
     ekInternalError       ## Internal compiler error
+    ekEvaluationError     ## Expression could not be evaluated to a number
 
   CompileError* = object
     ## Represents a compilation error with context
@@ -24,6 +25,20 @@ type
     position*: int          ## Character position in input
     context*: string        ## Surrounding text for context
 
+  Severity* = enum
+    ## How serious a diagnostic is
+    sevError              ## The input could not be converted as written
+    sevWarning            ## Converted, but probably not as intended
+    sevInfo               ## Converted with a simplification worth knowing about
+
+  Diagnostic* = object
+    ## A problem found in the input, fatal or not
+    severity*: Severity
+    code*: string           ## Stable code, e.g. "unknown_color"
+    message*: string
+    position*: int          ## Byte offset where the flagged source starts
+    endPosition*: int       ## Byte offset where it ends (exclusive)
+
   Result*[T] = object
     ## Result type for operations that can fail
     ## Works on both native and JS backends
@@ -139,3 +154,93 @@ proc formatError*(e: CompileError, source: string): string =
 
     result.add("  " & line & "\n")
     result.add("  " & " ".repeat(col) & "^\n")
+
+# Stable error codes
+
+proc errorCode*(kind: ErrorKind): string =
+  ## Stable string code for an error kind
+  ##
+  ## These codes are part of the public API (JS results, tooling) and must
+  ## not change when the enum is reordered or renamed.
+  case kind
+  of ekUnexpectedToken: "unexpected_token"
+  of ekUnexpectedEof: "unexpected_eof"
+  of ekInvalidCommand: "invalid_command"
+  of ekMismatchedBraces: "mismatched_braces"
+  of ekInvalidArgument: "invalid_argument"
+  of ekMissingArgument: "missing_argument"
+  of ekInvalidNumber: "invalid_number"
+  of ekInternalError: "internal_error"
+  of ekEvaluationError: "evaluation_error"
+
+# Diagnostics
+
+proc newDiagnostic*(severity: Severity, code, message: string, position: int, endPosition: int = -1): Diagnostic =
+  ## Create a diagnostic; endPosition defaults to position
+  Diagnostic(
+    severity: severity,
+    code: code,
+    message: message,
+    position: position,
+    endPosition: if endPosition < 0: position else: endPosition
+  )
+
+proc toDiagnostic*(e: CompileError): Diagnostic =
+  ## Report a CompileError as an error diagnostic
+  newDiagnostic(sevError, errorCode(e.kind), e.message, e.position)
+
+proc severityName*(severity: Severity): string =
+  ## Stable string name of a severity ("error", "warning" or "info")
+  case severity
+  of sevError: "error"
+  of sevWarning: "warning"
+  of sevInfo: "info"
+
+proc `$`*(d: Diagnostic): string =
+  ## Convert diagnostic to string representation
+  severityName(d.severity) & "[" & d.code & "] at position " & $d.position & ": " & d.message
+
+# Position helpers
+
+proc countUnits(source: string, first, last: int, utf16: bool): int =
+  ## Count characters in source[first..<last]
+  ## Counts code points, or UTF-16 code units when utf16 is true
+  for i in max(first, 0) ..< min(last, source.len):
+    let b = ord(source[i])
+    if b < 0x80 or b >= 0xC0:
+      # Lead byte of a code point (continuation bytes are 0x80..0xBF)
+      result += (if utf16 and b >= 0xF0: 2 else: 1)
+
+proc utf16Offset*(source: string, position: int): int =
+  ## Convert a byte offset in UTF-8 source to a UTF-16 code unit offset
+  ## (the offset JavaScript strings use)
+  countUnits(source, 0, position, utf16 = true)
+
+proc codePointOffset*(source: string, position: int): int =
+  ## Convert a byte offset in UTF-8 source to a code point offset
+  ## (the offset Emacs and Python strings use)
+  countUnits(source, 0, position, utf16 = false)
+
+proc utf16OffsetTable*(source: string): seq[int] =
+  ## Map every byte offset in source (0..source.len) to its UTF-16 offset
+  result = newSeq[int](source.len + 1)
+  var units = 0
+  for i in 0 ..< source.len:
+    result[i] = units
+    let b = ord(source[i])
+    if b < 0x80 or b >= 0xC0:
+      units += (if b >= 0xF0: 2 else: 1)
+  result[source.len] = units
+
+proc lineAndColumn*(source: string, position: int, utf16: bool = false): tuple[line, column: int] =
+  ## Get the 1-based line and column of a byte offset in source
+  ##
+  ## Columns count code points, or UTF-16 code units when utf16 is true.
+  let pos = min(max(position, 0), source.len)
+  var line = 1
+  var lineStart = 0
+  for i in 0 ..< pos:
+    if source[i] == '\n':
+      inc line
+      lineStart = i + 1
+  (line: line, column: countUnits(source, lineStart, pos, utf16) + 1)
@@ -0,0 +1,299 @@
+## Numeric evaluation for yatexml
+##
+## This module evaluates a formula to a number, so that a typed answer can
+## be checked numerically. The formula is built into a semantic tree (see
+## semantic.nim), which is then evaluated with the values bound to its
+## variables.
+##
+## Numbers, variables, + − × ÷ and implicit products, fractions, square
+## and nth roots, powers, factorials, absolute values, floor and ceiling,
+## the trigonometric, hyperbolic, logarithm and exponential functions, the
+## constants π and e, and finite sums and products are supported. Anything
+## else is an error, as are unbound variables and values outside the
+## domain of a function (division by zero, the logarithm of a negative
+## number).
+
+import ast, error_handling, semantic
+import math, strutils, tables
+
+type
+  Bindings* = Table[string, float]
+    ## Values of variables, by their plain-text name (x, x₁, α)
+
+const
+  maxTerms = 1_000_000
+    ## Most terms the sums and products of a formula may have in all
+  unaryFunctions = [
+    "sin", "cos", "tan", "sec", "csc", "cot", "sinh", "cosh", "tanh", "sech",
+    "csch", "coth", "arcsin", "arccos", "arctan", "arcsec", "arccsc", "arccot",
+    "arcsinh", "arccosh", "arctanh", "exp", "ln", "log", "lg", "abs", "floor",
+    "ceiling", "factorial"
+  ]
+  invertibleFunctions = [
+    "sin", "cos", "tan", "sec", "csc", "cot", "sinh", "cosh", "tanh"
+  ]
+    ## Functions whose inverse (\sin^{-1}) has an arc function
+  arithmeticOperators = ["plus", "times", "minus", "divide", "rem", "power", "root"]
+
+# Helper functions
+
+proc evalError(message: string): Result[float] =
+  err[float](ekEvaluationError, message)
+
+proc formatNumber(x: float): string =
+  ## Format a number for an error message: 2 rather than 2.0
+  if x == trunc(x) and abs(x) < 1e15: $int64(x) else: $x
+
+proc isFinite(x: float): bool =
+  classify(x) notin {fcNan, fcInf, fcNegInf}
+
+proc finite(value: float): Result[float] =
+  ## Check that a result has not overflowed
+  if isFinite(value): ok(value) else: evalError("Result is too large")
+
+proc qualifier(node: SemanticNode, name: string): SemanticNode =
+  ## Get a qualifier of an application, or nil
+  for q in node.qualifiers:
+    if q.name == name:
+      return q.value
+  nil
+
+proc applyFunction(name: string, x: float): Result[float] =
+  ## Apply a function of one argument, checking its domain
+  var value: float
+  case name
+  of "sin": value = sin(x)
+  of "cos": value = cos(x)
+  of "tan": value = tan(x)
+  of "sec": value = 1 / cos(x)
+  of "csc": value = 1 / sin(x)
+  of "cot": value = 1 / tan(x)
+  of "sinh": value = sinh(x)
+  of "cosh": value = cosh(x)
+  of "tanh": value = tanh(x)
+  of "sech": value = 1 / cosh(x)
+  of "csch": value = 1 / sinh(x)
+  of "coth": value = 1 / tanh(x)
+  of "arcsin": value = arcsin(x)
+  of "arccos": value = arccos(x)
+  of "arctan": value = arctan(x)
+  of "arcsec": value = arccos(1 / x)
+  of "arccsc": value = arcsin(1 / x)
+  of "arccot": value = arctan(1 / x)
+  of "arcsinh": value = arcsinh(x)
+  of "arccosh": value = arccosh(x)
+  of "arctanh": value = arctanh(x)
+  of "exp": value = exp(x)
+  of "ln": value = ln(x)
+  of "log", "lg": value = log10(x)
+  of "abs": value = abs(x)
+  of "floor": value = floor(x)
+  of "ceiling": value = ceil(x)
+  of "factorial":
+    if x < 0 or x != trunc(x) or x > 170:
+      return evalError("Factorial of " & formatNumber(x) & " is not defined")
+    value = 1
+    for i in 2 .. int(x):
+      value *= float(i)
+  else:
+    return evalError("Cannot evaluate " & name)
+  if not isFinite(value):
+    return evalError(name & " is not defined at " & formatNumber(x))
+  ok(value)
+
+proc rootOf(x, degree: float): Result[float] =
+  ## Take the nth root; odd roots of negative numbers are negative
+  if degree == 0:
+    return evalError("Root of degree 0 is not defined")
+  if x < 0:
+    if degree == trunc(degree) and floorMod(degree, 2) == 1:
+      return ok(-pow(-x, 1 / degree))
+    return evalError("Root of degree " & formatNumber(degree) & " of " & formatNumber(x) & " is not real")
+  ok(pow(x, 1 / degree))
+
+proc functionName(head: SemanticNode): string =
+  ## Get the function a head applies, with \sin^{-1} as arcsin, or ""
+  case head.kind
+  of smOperator:
+    head.name
+  of smIdentifier:
+    if head.name == "lg": head.name else: ""
+  of smApply:
+    let inner = head.children[0]
+    if inner.kind == smOperator and inner.name == "inverse" and head.children.len == 2 and
+        head.children[1].kind == smOperator and head.children[1].name in invertibleFunctions:
+      "arc" & head.children[1].name
+    else: ""
+  else:
+    ""
+
+# Evaluation
+
+proc evalNode(node: SemanticNode, bindings: Bindings, terms: var int): Result[float]
+
+proc evalArguments(node: SemanticNode, bindings: Bindings, terms: var int): Result[seq[float]] =
+  ## Evaluate the arguments of an application
+  var values: seq[float] = @[]
+  for arg in node.children[1 .. ^1]:
+    let value = evalNode(arg, bindings, terms)
+    if not value.isOk:
+      return err[seq[float]](value.error)
+    values.add(value.value)
+  ok(values)
+
+proc evalBigOp(node: SemanticNode, bindings: Bindings, terms: var int): Result[float] =
+  ## Evaluate a finite sum or product such as \sum_{i=1}^{n} i^2, taking
+  ## its terms from those left to the formula
+  let isSum = node.children[0].name == "sum"
+  let bvar = node.qualifier("bvar")
+  let lower = node.qualifier("lowlimit")
+  let upper = node.qualifier("uplimit")
+  if bvar == nil or bvar.kind != smIdentifier or lower == nil or upper == nil:
+    return evalError("A sum or product needs a bound variable and limits, as in \\sum_{i=1}^{n}")
+  if node.children.len != 2:
+    return evalError("A sum or product needs a body")
+  let first = evalNode(lower, bindings, terms)
+  if not first.isOk:
+    return first
+  let last = evalNode(upper, bindings, terms)
+  if not last.isOk:
+    return last
+  if first.value != trunc(first.value) or last.value != trunc(last.value) or
+      abs(first.value) > 1e15 or abs(last.value) > 1e15:
+    return evalError("Limits of a sum or product must be integers")
+  let tooMany = "Sums and products may have at most " & $maxTerms & " terms in all"
+  if last.value - first.value >= float(terms):
+    return evalError(tooMany)
+
+  var scope = bindings
+  result = ok(if isSum: 0.0 else: 1.0)
+  for i in int(first.value) .. int(last.value):
+    # Nested sums share the budget, so their terms multiply
+    if terms == 0:
+      return evalError(tooMany)
+    dec terms
+    scope[bvar.name] = float(i)
+    let term = evalNode(node.children[1], scope, terms)
+    if not term.isOk:
+      return term
+    result = finite(if isSum: result.value + term.value else: result.value * term.value)
+    if not result.isOk:
+      return
+
+proc evalApply(node: SemanticNode, bindings: Bindings, terms: var int): Result[float] =
+  ## Evaluate an application of an operator or function
+  let head = node.children[0]
+  let name = functionName(head)
+  if name in ["sum", "product"]:
+    return evalBigOp(node, bindings, terms)
+  if name.len == 0:
+    if head.kind == smIdentifier:
+      return evalError("Unknown function: " & head.name)
+    return evalError("Cannot evaluate " & $head)
+  if name notin arithmeticOperators and name notin unaryFunctions:
+    return evalError("Cannot evaluate " & name)
+
+  let argsResult = evalArguments(node, bindings, terms)
+  if not argsResult.isOk:
+    return err[float](argsResult.error)
+  let args = argsResult.value
+
+  case name
+  of "plus":
+    return finite(sum(args))
+  of "times":
+    return finite(prod(args))
+  of "minus":
+    if args.len == 1:
+      return ok(-args[0])
+    if args.len == 2:
+      return finite(args[0] - args[1])
+  of "divide", "rem":
+    if args.len == 2:
+      if args[1] == 0:
+        return evalError("Division by zero")
+      return finite(if name == "divide": args[0] / args[1] else: floorMod(args[0], args[1]))
+  of "power":
+    if args.len == 2:
+      if args[0] == 0 and args[1] < 0:
+        return evalError("Division by zero")
+      let value = pow(args[0], args[1])
+      if not isFinite(value):
+        return evalError(formatNumber(args[0]) & " to the power " & formatNumber(args[1]) & " is not real")
+      return ok(value)
+  of "root":
+    if args.len == 1:
+      var degree = 2.0
+      let degreeNode = node.qualifier("degree")
+      if degreeNode != nil:
+        let degreeResult = evalNode(degreeNode, bindings, terms)
+        if not degreeResult.isOk:
+          return degreeResult
+        degree = degreeResult.value
+      return rootOf(args[0], degree)
+  of "log":
+    let baseNode = node.qualifier("logbase")
+    if args.len == 1 and baseNode != nil:
+      let base = evalNode(baseNode, bindings, terms)
+      if not base.isOk:
+        return base
+      if base.value <= 0 or base.value == 1:
+        return evalError("Logarithm base " & formatNumber(base.value) & " is not defined")
+      if args[0] <= 0:
+        return evalError("log is not defined at " & formatNumber(args[0]))
+      return ok(ln(args[0]) / ln(base.value))
+    if args.len == 1:
+      return applyFunction(name, args[0])
+  else:
+    if args.len == 1:
+      return applyFunction(name, args[0])
+  evalError("Wrong number of arguments for " & name & ": " & $args.len)
+
+proc evalNode(node: SemanticNode, bindings: Bindings, terms: var int): Result[float] =
+  ## Evaluate any semantic node; terms is the number of sum and product
+  ## terms the formula may still evaluate
+  case node.kind
+  of smNumber:
+    try:
+      ok(parseFloat(node.name))
+    except ValueError:
+      evalError("Invalid number: " & node.name)
+  of smIdentifier:
+    if node.name in bindings:
+      ok(bindings[node.name])
+    elif node.name == "e":
+      ok(E)
+    elif node.attributes.contains(("type", "function")):
+      evalError("Function " & node.name & " is not applied to an argument")
+    else:
+      evalError("Unbound variable: " & node.name)
+  of smConstant:
+    if node.name == "pi": ok(PI) else: evalError("Cannot evaluate " & node.name)
+  of smOperator, smSymbol:
+    evalError("Cannot evaluate " & node.name)
+  of smText:
+    evalError("Cannot evaluate text: " & node.name)
+  of smApply:
+    evalApply(node, bindings, terms)
+  of smContainer:
+    evalError("Cannot evaluate a " & node.name)
+  of smError:
+    evalError(node.name)
+
+# Public interface
+
+proc evaluate*(node: SemanticNode, bindings: Bindings = initTable[string, float]()): Result[float] =
+  ## Evaluate a semantic tree with the values of its variables
+  var terms = maxTerms
+  evalNode(node, bindings, terms)
+
+proc evaluate*(ast: AstNode, bindings: Bindings = initTable[string, float]()): Result[float] =
+  ## Evaluate an AST with the values of its variables; e is Euler's number
+  ## unless bound
+  ##
+  ## Example:
+  ##
+  ## .. code-block:: nim
+  ##   let ast = parse(r"\frac{x}{2} + \sqrt{y}").get()
+  ##   echo evaluate(ast, {"x": 3.0, "y": 4.0}.toTable).get()  # 3.5
+  evaluate(semanticTree(ast), bindings)
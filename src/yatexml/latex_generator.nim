@@ -0,0 +1,518 @@
+## LaTeX generator for yatexml
+##
+## This module prints AST nodes back as canonical LaTeX. Macros are already
+## expanded by the parser, and Unicode input is printed as commands
+## (α as \alpha, ≤ as \leq), so formulas that differ only in bracing,
+## spacing, macros or input style print the same:
+##
+## - every argument and script is braced: x^{2}, \frac{a}{b}
+## - binary operators and relations have one space on each side, signs and
+##   punctuation none (a comma is followed by a space)
+## - a command is separated from a following letter by one space
+##
+## The printed LaTeX parses back to the same MathML.
+
+import ast
+import strutils
+
+const functionNames = [
+  "sin", "cos", "tan", "cot", "sec", "csc", "arcsin", "arccos", "arctan",
+  "sinh", "cosh", "tanh", "coth", "log", "ln", "lg", "exp", "arg", "deg",
+  "det", "dim", "gcd", "lcm", "hom", "inf", "ker", "liminf", "limsup", "sup",
+  "Pr", "sgn"
+]
+  ## Functions with their own command; others print as \operatorname
+
+proc canonicalCommand(value: string): string =
+  ## Get the canonical command of an operator or symbol character, or ""
+  ## to print it by name
+  case value
+  of "+": "+"
+  of "−", "-": "-"
+  of "=": "="
+  of "<": "<"
+  of ">": ">"
+  of "∗", "*": "*"
+  of "±": "\\pm"
+  of "∓": "\\mp"
+  of "×": "\\times"
+  of "÷": "\\div"
+  of "⋅", "·": "\\cdot"
+  of "≤", "⩽": "\\leq"
+  of "≥", "⩾": "\\geq"
+  of "≠": "\\neq"
+  of "≈": "\\approx"
+  of "≡": "\\equiv"
+  of "∼": "\\sim"
+  of "≃": "\\simeq"
+  of "≅": "\\cong"
+  of "∝": "\\propto"
+  of "≪": "\\ll"
+  of "≫": "\\gg"
+  of "∈": "\\in"
+  of "∉": "\\notin"
+  of "∋": "\\ni"
+  of "⊂": "\\subset"
+  of "⊃": "\\supset"
+  of "⊆": "\\subseteq"
+  of "⊇": "\\supseteq"
+  of "∪": "\\cup"
+  of "∩": "\\cap"
+  of "∖": "\\setminus"
+  of "∘": "\\circ"
+  of "⊕": "\\oplus"
+  of "⊗": "\\otimes"
+  of "∧": "\\wedge"
+  of "∨": "\\vee"
+  of "¬": "\\neg"
+  of "∣": "\\mid"
+  of "∥": "\\parallel"
+  of "⊥": "\\perp"
+  of "→": "\\to"
+  of "←": "\\leftarrow"
+  of "↔": "\\leftrightarrow"
+  of "⇒": "\\Rightarrow"
+  of "⇐": "\\Leftarrow"
+  of "⇔": "\\Leftrightarrow"
+  of "↦": "\\mapsto"
+  of "⇌": "\\rightleftharpoons"
+  of "∞": "\\infty"
+  of "∂": "\\partial"
+  of "∇": "\\nabla"
+  of "∀": "\\forall"
+  of "∃": "\\exists"
+  of "∅": "\\emptyset"
+  of "…": "\\ldots"
+  of "⋯": "\\cdots"
+  of "ℏ": "\\hbar"
+  of "′": "\\prime"
+  of "∑": "\\sum"
+  of "∏": "\\prod"
+  of "∫": "\\int"
+  else: ""
+
+proc delimiterCommand(delim: string): string =
+  ## Get the LaTeX form of a delimiter character
+  case delim
+  of "{": "\\{"
+  of "}": "\\}"
+  of "⟨": "\\langle"
+  of "⟩": "\\rangle"
+  of "⌊": "\\lfloor"
+  of "⌋": "\\rfloor"
+  of "⌈": "\\lceil"
+  of "⌉": "\\rceil"
+  of "‖": "\\|"
+  else: delim
+
+proc escapeText(text: string): string =
+  ## Escape the characters that are special in \text
+  for ch in text:
+    case ch
+    of '\\': result.add("\\textbackslash{}")
+    of '{', '}', '$', '%', '&', '#', '_': result.add("\\" & ch)
+    of '^': result.add("\\^{}")
+    of '~': result.add("\\~{}")
+    else: result.add(ch)
+
+proc endsWithControlWord(text: string): bool =
+  ## Check whether text ends with a command made of letters, like \alpha
+  var i = text.high
+  while i >= 0 and text[i] in Letters:
+    dec i
+  i < text.high and i >= 0 and text[i] == '\\' and (i == 0 or text[i - 1] != '\\')
+
+proc addTex(result: var string, piece: string) =
+  ## Append a piece, separating a command from a following letter
+  if piece.len == 0:
+    return
+  if piece[0] in Letters and endsWithControlWord(result):
+    result.add(' ')
+  result.add(piece)
+
+proc latexNode(node: AstNode): string
+
+proc braced(node: AstNode): string =
+  ## Print a node as a braced argument
+  "{" & latexNode(node) & "}"
+
+proc scriptBase(node: AstNode): string =
+  ## Print the base of a script, bracing it when a script could not follow it
+  if node.kind == nkRow and node.rowChildren.len == 0:
+    "{}"
+  elif node.kind in {nkRow, nkSub, nkSup, nkSubSup, nkMathStyle, nkMathSize}:
+    braced(node)
+  else:
+    latexNode(node)
+
+proc isSign(node: AstNode): bool =
+  ## Check whether an operator can be a sign
+  node.kind == nkOperator and node.opValue in ["+", "−", "-", "±", "∓"]
+
+proc operatorTex(node: AstNode): string =
+  ## Print an operator by its canonical command
+  case node.opName
+  of "mod": return "\\bmod"
+  of "{": return "\\{"
+  of "}": return "\\}"
+  else: discard
+  result = canonicalCommand(node.opValue)
+  if result.len == 0:
+    result = if node.opName.len > 1 and node.opName.allCharsInSet(Letters): "\\" & node.opName
+             else: node.opValue
+
+proc isPmod(node: AstNode): bool =
+  ## Check whether a row is the expansion of \pmod{m}
+  node.rowChildren.len == 6 and node.rowChildren[0].kind == nkSpace and
+    node.rowChildren[1].kind == nkOperator and node.rowChildren[1].opValue == "(" and
+    node.rowChildren[2].kind == nkIdentifier and node.rowChildren[2].identName == "mod" and
+    node.rowChildren[5].kind == nkOperator and node.rowChildren[5].opValue == ")"
+
+proc latexRow(node: AstNode): string =
+  ## Print a row; infix operators are spaced unless they are signs
+  if isPmod(node):
+    return "\\pmod" & braced(node.rowChildren[4])
+  var afterOperand = false
+  for child in node.rowChildren:
+    if child.kind == nkOperator:
+      let op = operatorTex(child)
+      if child.opForm != "infix" or (isSign(child) and not afterOperand) or
+          op in ["/", "(", ")", "[", "]", "|", "!", "'", ".", "\\prime"]:
+        result.addTex(op)
+      elif op in [",", ";"]:
+        result.addTex(op & " ")
+      else:
+        result.addTex(" " & op & " ")
+      afterOperand = child.opForm == "postfix" or op in [")", "]", "!", "'", "\\prime"]
+    else:
+      result.addTex(latexNode(child))
+      afterOperand = child.kind notin {nkSpace, nkPhantom}
+
+proc latexRows(rows: seq[seq[AstNode]], suffixes: seq[string] = @[]): string =
+  ## Print the rows of an environment: cells joined by &, rows by \\,
+  ## each followed by its suffix if any
+  var lines: seq[string] = @[]
+  for i, row in rows:
+    var cells: seq[string] = @[]
+    for cell in row:
+      cells.add(latexNode(cell))
+    lines.add(cells.join(" & ") & (if i < suffixes.len: suffixes[i] else: ""))
+  lines.join(" \\\\ ")
+
+proc tagTex(matrixType: string, rowTag: RowTag): string =
+  ## Print the \notag, \tag and \label of a display environment row
+  if not rowTag.numbered and matrixType in numberedEnvironments:
+    result.add(" \\notag")
+  if rowTag.tag.len > 0:
+    result.add(" \\tag" & (if rowTag.starred: "*" else: "") & "{" & escapeText(rowTag.tag) & "}")
+  if rowTag.label.len > 0:
+    result.add(" \\label{" & rowTag.label & "}")
+
+proc rulesTex(rules: seq[RowRule]): string =
+  ## Print the rules at an array row boundary
+  for rule in rules:
+    if rule.first > 0:
+      result.add("\\cline{" & $rule.first & "-" & $rule.last & "} ")
+    elif rule.dashed:
+      result.add("\\hdashline ")
+    else:
+      result.add("\\hline ")
+
+proc latexArray(node: AstNode): string =
+  ## Print an array, with each row's rules before it
+  result = "\\begin{array}{" & node.arrayAlignment & "} "
+  for i, row in node.arrayRows:
+    if i > 0:
+      result.add(" \\\\ ")
+    if i < node.arrayRules.len:
+      result.add(rulesTex(node.arrayRules[i]))
+    result.add(latexRows(@[row]))
+  let last = node.arrayRows.len
+  if last < node.arrayRules.len and node.arrayRules[last].len > 0:
+    result.add((if last > 0: " \\\\ " else: "") & rulesTex(node.arrayRules[last]))
+  result.add(" \\end{array}")
+
+proc unitTex(comp: SIUnitComponent): string =
+  ## Print a unit component: \kilo\meter\squared
+  if comp.unit == ukCustom:
+    result = comp.customUnit
+  else:
+    if comp.prefix != pkNone:
+      result = "\\" & ($comp.prefix)[2 .. ^1].toLowerAscii()
+    result.add("\\" & ($comp.unit)[2 .. ^1].toLowerAscii())
+  case comp.power
+  of 1: discard
+  of 2: result.add("\\squared")
+  of 3: result.add("\\cubed")
+  else: result.add("\\tothe{" & $comp.power & "}")
+
+proc unitsTex(node: AstNode): string =
+  ## Print the units of an SI unit node, \per before each denominator unit
+  for comp in node.unitNumerator:
+    result.add(unitTex(comp))
+  for comp in node.unitDenominator:
+    result.add("\\per" & unitTex(comp))
+
+proc ceText(node: AstNode): string =
+  ## Print the content of \ce in mhchem syntax
+  case node.kind
+  of nkRow:
+    for child in node.rowChildren:
+      result.add(ceText(child))
+  of nkStyle:
+    result = ceText(node.styleBase)
+  of nkIdentifier:
+    result = node.identName
+  of nkNumber:
+    result = node.numValue
+  of nkText:
+    result = node.textValue
+  of nkSpace:
+    result = ""
+  of nkSub:
+    let script = ceText(node.subScript)
+    result = ceText(node.subBase) & (if node.subScript.kind == nkNumber: script else: "_{" & script & "}")
+  of nkSup:
+    result = ceText(node.supBase) & "^{" & ceText(node.supScript) & "}"
+  of nkSubSup:
+    result = ceText(newSub(node.subsupBase, node.subsupSub)) & "^{" & ceText(node.subsupSup) & "}"
+  of nkOperator:
+    result = case node.opName
+      of "charge": (if node.opValue == "−": "-" else: node.opValue)
+      of "plus": " + "
+      of "minus": " - "
+      of "equals": " = "
+      of "rightarrow": " -> "
+      else: node.opValue
+  of nkUnderOver:
+    # A reaction arrow with conditions: ->[above][below]
+    result = " ->"
+    if node.underoverOver != nil or node.underoverUnder != nil:
+      result.add("[" & (if node.underoverOver != nil: ceText(node.underoverOver) else: "") & "]")
+    if node.underoverUnder != nil:
+      result.add("[" & ceText(node.underoverUnder) & "]")
+    result.add(" ")
+  else:
+    result = latexNode(node)
+
+proc latexBox(node: AstNode): string =
+  ## Print a box with the command that made it: \fbox, \colorbox and
+  ## \fcolorbox for text, \boxed for math, and \bbox for anything else
+  let standard = node.boxPadding == "3pt"
+  let plain = node.boxFrame and node.boxFrameColor.len == 0 and node.boxBackground.len == 0
+  if standard and node.boxBase.kind == nkText:
+    let text = "{" & escapeText(node.boxBase.textValue) & "}"
+    if plain:
+      return "\\fbox" & text
+    if not node.boxFrame and node.boxBackground.len > 0:
+      return "\\colorbox{" & node.boxBackground & "}" & text
+    if node.boxFrame and node.boxBackground.len > 0:
+      let frameColor = if node.boxFrameColor.len > 0: node.boxFrameColor else: "black"
+      return "\\fcolorbox{" & frameColor & "}{" & node.boxBackground & "}" & text
+  elif standard and plain:
+    return "\\boxed" & braced(node.boxBase)
+
+  var options: seq[string] = @[]
+  if node.boxBackground.len > 0:
+    options.add(node.boxBackground)
+  if node.boxPadding.len > 0:
+    options.add(node.boxPadding)
+  if node.boxFrame:
+    options.add("border: 1px solid" & (if node.boxFrameColor.len > 0: " " & node.boxFrameColor else: ""))
+  "\\bbox" & (if options.len > 0: "[" & options.join(", ") & "]" else: "") & braced(node.boxBase)
+
+proc latexNode(node: AstNode): string =
+  ## Print any AST node as LaTeX
+  if node == nil:
+    return ""
+  case node.kind
+  of nkNumber:
+    node.numValue
+  of nkIdentifier:
+    if node.identName.len > 1 and node.identName.allCharsInSet(Letters):
+      # A multi-letter identifier (from \operatorname or \ce) is upright
+      "\\mathrm{" & node.identName & "}"
+    else:
+      node.identName
+  of nkSymbol:
+    let command = canonicalCommand(node.symbolValue)
+    if command.len > 0: command else: "\\" & node.symbolName
+  of nkOperator:
+    operatorTex(node)
+  of nkText:
+    "\\text{" & escapeText(node.textValue) & "}"
+  of nkSpace:
+    case node.spaceWidth
+    of "1em": "\\quad "
+    of "2em": "\\qquad "
+    of "0.1667em", "0.167em": "\\,"
+    of "0.2222em", "0.3333em": "\\:"
+    of "0.2778em", "0.278em", "0.4444em": "\\;"
+    of "-0.1667em": "\\!"
+    else: "\\ "
+  of nkPhantom:
+    "\\mathstrut "
+  of nkSqrt:
+    "\\sqrt" & braced(node.sqrtBase)
+  of nkRoot:
+    "\\sqrt[" & latexNode(node.rootIndex) & "]" & braced(node.rootBase)
+  of nkAccent:
+    let command = ($node.accentKind)[2 .. ^1].toLowerAscii()
+    "\\" & command & braced(node.accentBase)
+  of nkStyle:
+    let command = case node.styleKind
+      of skBold: "mathbf"
+      of skItalic: "mathit"
+      of skRoman: "mathrm"
+      of skBlackboard: "mathbb"
+      of skCalligraphic: "mathcal"
+      of skFraktur: "mathfrak"
+      of skSansSerif: "mathsf"
+      of skMonospace: "mathtt"
+      of skBoldItalic: "boldsymbol"
+    "\\" & command & braced(node.styleBase)
+  of nkMathStyle:
+    let command = ($node.mathStyleKind)[3 .. ^1].toLowerAscii()
+    "{\\" & command & " " & latexNode(node.mathStyleBase) & "}"
+  of nkMathSize:
+    let command = case node.mathSizeKind
+      of mszkTiny: "tiny"
+      of mszkNormal: "normalsize"
+      of mszkLarge: "large"
+    "{\\" & command & " " & latexNode(node.mathSizeBase) & "}"
+  of nkColor:
+    "\\textcolor{" & node.colorName & "}" & braced(node.colorBase)
+  of nkEnclose:
+    if node.encloseTo != nil:
+      "\\cancelto" & braced(node.encloseTo) & braced(node.encloseBase)
+    else:
+      let command = case node.encloseKind
+        of encUpDiagonalStrike: "cancel"
+        of encDownDiagonalStrike: "bcancel"
+        of encBothDiagonalStrike: "xcancel"
+        of encHorizontalStrike: "sout"
+      "\\" & command & braced(node.encloseBase)
+  of nkBox:
+    latexBox(node)
+  of nkFrac:
+    let command = if node.fracIsContinued: "cfrac"
+                  else:
+                    case node.fracStyle
+                    of fsNormal: "frac"
+                    of fsDisplay: "dfrac"
+                    of fsText: "tfrac"
+    "\\" & command & braced(node.fracNum) & braced(node.fracDenom)
+  of nkBinomial:
+    let command = case node.binomStyle
+      of fsNormal: "binom"
+      of fsDisplay: "dbinom"
+      of fsText: "tbinom"
+    "\\" & command & braced(node.binomTop) & braced(node.binomBottom)
+  of nkAtop:
+    "{" & latexNode(node.atopTop) & " \\atop " & latexNode(node.atopBottom) & "}"
+  of nkSub:
+    scriptBase(node.subBase) & "_" & braced(node.subScript)
+  of nkSup:
+    scriptBase(node.supBase) & "^" & braced(node.supScript)
+  of nkSubSup:
+    scriptBase(node.subsupBase) & "_" & braced(node.subsupSub) & "^" & braced(node.subsupSup)
+  of nkRow:
+    latexRow(node)
+  of nkDelimited:
+    if (node.delimLeft, node.delimRight) in [("(", ")"), ("[", "]")]:
+      node.delimLeft & latexNode(node.delimContent) & node.delimRight
+    else:
+      "\\left" & delimiterCommand(node.delimLeft) & " " & latexNode(node.delimContent) &
+        " \\right" & delimiterCommand(node.delimRight)
+  of nkSizedDelimiter:
+    let command = case node.sizedDelimSize
+      of dsNormal, dsBig: "big"
+      of dsBig2: "Big"
+      of dsBigg: "bigg"
+      of dsBigg2: "Bigg"
+    "\\" & command & delimiterCommand(node.sizedDelimChar)
+  of nkMatrix:
+    let columns = if node.matrixColumns > 0: "{" & $node.matrixColumns & "}" else: ""
+    var suffixes: seq[string] = @[]
+    for rowTag in node.matrixTags:
+      suffixes.add(tagTex(node.matrixType, rowTag))
+    "\\begin{" & node.matrixType & "}" & columns & " " & latexRows(node.matrixRows, suffixes) &
+      " \\end{" & node.matrixType & "}"
+  of nkCases:
+    var rows: seq[seq[AstNode]] = @[]
+    for row in node.casesRows:
+      rows.add(if row.cond != nil: @[row.expr, row.cond] else: @[row.expr])
+    "\\begin{cases} " & latexRows(rows) & " \\end{cases}"
+  of nkArray:
+    latexArray(node)
+  of nkFunction:
+    let name = if node.funcName in functionNames: "\\" & node.funcName
+               else: "\\operatorname{" & node.funcName & "}"
+    if node.funcArg == nil: name else: name & braced(node.funcArg)
+  of nkBigOp:
+    var text = case node.bigopKind
+      of boSum: "\\sum"
+      of boProd: "\\prod"
+      of boInt: "\\int"
+      of boIInt: "\\iint"
+      of boIIInt: "\\iiint"
+      of boIIIInt: "\\iiiint"
+      of boOint: "\\oint"
+      of boOIInt: "\\oiint"
+      of boOIIInt: "\\oiiint"
+      of boUnion: "\\bigcup"
+      of boIntersect: "\\bigcap"
+      of boCoProd: "\\coprod"
+      of boOPlus: "\\bigoplus"
+      of boOTimes: "\\bigotimes"
+      of boODot: "\\bigodot"
+      of boUPlus: "\\biguplus"
+      of boSqCup: "\\bigsqcup"
+      of boVee: "\\bigvee"
+      of boWedge: "\\bigwedge"
+      of boLim: "\\lim"
+      of boMax: "\\max"
+      of boMin: "\\min"
+    if node.bigopForceLimits:
+      text.add("\\limits")
+    if node.bigopLower != nil:
+      text.add("_" & braced(node.bigopLower))
+    if node.bigopUpper != nil:
+      text.add("^" & braced(node.bigopUpper))
+    if node.bigopBase != nil:
+      text.addTex(latexNode(node.bigopBase))
+    text
+  of nkUnderOver:
+    var text = braced(node.underoverBase)
+    if node.underoverOver != nil:
+      text = "\\overset" & braced(node.underoverOver) & text
+    if node.underoverUnder != nil:
+      text = "\\underset" & braced(node.underoverUnder) & (if node.underoverOver != nil: "{" & text & "}" else: text)
+    text
+  of nkStackrel:
+    "\\stackrel" & braced(node.stackrelAbove) & braced(node.stackrelBase)
+  of nkNum:
+    "\\num{" & node.numStr & "}"
+  of nkSIUnit:
+    "\\si{" & unitsTex(node) & "}"
+  of nkSIValue:
+    "\\SI{" & node.siValue & "}{" & unitsTex(node.siUnit) & "}"
+  of nkChemical:
+    "\\ce{" & ceText(node.chemicalExpr).splitWhitespace().join(" ") & "}"
+  of nkError:
+    node.errorSource
+
+proc collapseSpaces(text: string): string =
+  ## Collapse runs of spaces and remove leading and trailing ones, keeping
+  ## the space of a trailing control space (\ )
+  for ch in text:
+    if ch != ' ' or (result.len > 0 and result[^1] != ' '):
+      result.add(ch)
+  if result.endsWith(' ') and not result.endsWith("\\ "):
+    result.setLen(result.len - 1)
+
+proc generateLatex*(ast: AstNode): string =
+  ## Print an AST as canonical LaTeX
+  ##
+  ## Runs of spaces are collapsed, and leading and trailing spaces removed.
+  collapseSpaces(latexNode(ast))
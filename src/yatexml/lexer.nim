@@ -26,6 +26,7 @@ type
     tkNumber              ## Number literal
     tkOperator            ## +, -, =, <, >, etc.
     tkWhitespace          ## Whitespace (may be ignored)
+    tkInvalid             ## Unrecognised character (recovery mode only), or @
     tkEof                 ## End of input
 
   Token* = object
@@ -33,6 +34,7 @@ type
     kind*: TokenKind
     value*: string        ## Token value (command name, number, etc.)
     position*: int        ## Position in source string
+    endPosition*: int     ## Position just past the token's source text
 
   Lexer* = object
     ## Lexer state
@@ -215,13 +217,17 @@ proc lexUnicodeChar(lex: var Lexer): Result[seq[Token]] =
 
   return ok(tokens)
 
-proc lex*(source: string): Result[seq[Token]] =
+proc lex*(source: string, recover: bool = false): Result[seq[Token]] =
   ## Tokenize a LaTeX math expression
+  ##
+  ## With recover set, unrecognised characters become tkInvalid tokens
+  ## instead of failing, so the parser can report them in place.
   var lexer = Lexer(source: source, position: 0, tokens: @[])
 
   while lexer.position < source.len:
     let c = lexer.peek()
     let startPos = lexer.position
+    let firstToken = lexer.tokens.len
 
     case c
     of '\\':
@@ -275,6 +281,12 @@ proc lex*(source: string): Result[seq[Token]] =
       discard lexer.advance()
       lexer.addToken(tkOperator, $c, startPos)
 
+    of '@':
+      # Only an array column specification gives @ a meaning; anywhere
+      # else the parser reports it as an unexpected character
+      discard lexer.advance()
+      lexer.addToken(tkInvalid, "@", startPos)
+
     of ' ', '\t', '\n', '\r':
       # Skip whitespace (LaTeX generally ignores it in math mode)
       discard lexer.advance()
@@ -302,10 +314,16 @@ proc lex*(source: string): Result[seq[Token]] =
         # Multi-byte UTF-8 character - check if it's a supported Unicode char
         let unicodeResult = lexer.lexUnicodeChar()
         if not unicodeResult.isOk:
-          return err[seq[Token]](unicodeResult.error)
-        # Add all generated tokens
-        for token in unicodeResult.value:
-          lexer.tokens.add(token)
+          if not recover:
+            return err[seq[Token]](unicodeResult.error)
+          lexer.addToken(tkInvalid, source[startPos ..< lexer.position], startPos)
+        else:
+          # Add all generated tokens
+          for token in unicodeResult.value:
+            lexer.tokens.add(token)
+      elif recover:
+        discard lexer.advance()
+        lexer.addToken(tkInvalid, $c, startPos)
       else:
         return err[seq[Token]](
           ekUnexpectedToken,
@@ -314,8 +332,14 @@ proc lex*(source: string): Result[seq[Token]] =
           ""
         )
 
+    # Every token produced from this source text ends where it ends
+    # (a Unicode character can expand to several tokens)
+    for i in firstToken ..< lexer.tokens.len:
+      lexer.tokens[i].endPosition = lexer.position
+
   # Add EOF token
   lexer.addToken(tkEof, "", lexer.position)
+  lexer.tokens[^1].endPosition = lexer.position
 
   return ok(lexer.tokens)
 
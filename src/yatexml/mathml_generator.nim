@@ -2,7 +2,7 @@
 ##
 ## This module converts AST nodes to MathML strings.
 
-import ast
+import ast, error_handling
 import strutils
 import unicode
 
@@ -12,13 +12,47 @@ type
     displayStyle*: bool       ## Use display style (true) or inline (false)
     prettyPrint*: bool        ## Add newlines and indentation
     indentSize*: int          ## Number of spaces per indent level
+    annotateTex*: bool        ## Wrap content in <semantics> with the TeX source
+    altText*: bool            ## Set the alttext attribute to the TeX source
+    sourcePositions*: bool    ## Add data-src-start/data-src-end attributes
+    utf16Positions*: bool     ## Report source positions in UTF-16 code units
+    equationNumbers*: bool    ## Show equation numbers and tags beside display environment rows
+    firstEquationNumber*: int ## Number of the first automatically numbered row
+    positionMap: seq[int]     ## Byte offset -> reported offset (set by generateMathML)
+    equationCounter: ref int  ## Next automatic equation number (set by generateMathML)
+    equationLines: ref seq[EquationLine]  ## Rows numbered so far (set by generateMathML)
+
+  EquationLine* = object
+    ## A row of a display environment with an equation number, a tag or a
+    ## label, for building cross-references
+    number*: string           ## Number or tag as shown, without parentheses ("" for none)
+    label*: string            ## Name given by \label ("" for none)
+    row*: int                 ## Index of the row in its environment
+    tagged*: bool             ## The number is a \tag rather than an automatic number
+
+  ArraySlot = object
+    ## A column of a generated array: a column of cells, or an @{...} separator
+    column: int               ## Index of the cells' column, or -1 for a separator
+    separator: int            ## Index of the separator in arraySeparators
+    separatorText: string     ## LaTeX of the separator
+    before: int               ## Index of the column before a separator (-1 for none)
+    align: string             ## "left", "center" or "right"
+    width: string             ## Width of a p{width} column
+    rulesLeft: int            ## Vertical rules on the left edge (first slot only)
+    rulesRight: int           ## Vertical rules on the right edge
 
 proc defaultOptions*(): MathMLOptions =
   ## Get default MathML generation options
   MathMLOptions(
     displayStyle: false,
     prettyPrint: false,
-    indentSize: 2
+    indentSize: 2,
+    annotateTex: false,
+    altText: false,
+    sourcePositions: false,
+    utf16Positions: false,
+    equationNumbers: true,
+    firstEquationNumber: 1
   )
 
 # Helper functions
@@ -32,7 +66,7 @@ proc escapeXml(s: string): string =
   result = result.replace("\"", "&quot;")
   result = result.replace("'", "&apos;")
 
-proc convertToStyledUnicode(text: string, styleKind: StyleKind): string =
+proc convertToStyledUnicode*(text: string, styleKind: StyleKind): string =
   ## Convert text to styled Unicode characters when possible
   result = ""
   for ch in text:
@@ -40,6 +74,15 @@ proc convertToStyledUnicode(text: string, styleKind: StyleKind): string =
       of skBlackboard:
         # Blackboard bold (double-struck) - U+1D538 onwards
         case ch
+        # Letters already in Letterlike Symbols are reserved in the
+        # Mathematical Alphanumeric Symbols block
+        of 'C': "\u2102"  # DOUBLE-STRUCK CAPITAL C
+        of 'H': "\u210D"  # DOUBLE-STRUCK CAPITAL H
+        of 'N': "\u2115"  # DOUBLE-STRUCK CAPITAL N
+        of 'P': "\u2119"  # DOUBLE-STRUCK CAPITAL P
+        of 'Q': "\u211A"  # DOUBLE-STRUCK CAPITAL Q
+        of 'R': "\u211D"  # DOUBLE-STRUCK CAPITAL R
+        of 'Z': "\u2124"  # DOUBLE-STRUCK CAPITAL Z
         of 'A'..'Z': $Rune(0x1D538 + (ord(ch) - ord('A')))
         of 'a'..'z': $Rune(0x1D552 + (ord(ch) - ord('a')))
         of '0'..'9': $Rune(0x1D7D8 + (ord(ch) - ord('0')))
@@ -137,6 +180,72 @@ proc tag(name: string, attrs: openArray[(string, string)] = []): string =
       result.add(" " & key & "=\"" & escapeXml(value) & "\"")
   result.add("/>")
 
+# Pretty printing
+
+const inlineElements = ["mi", "mn", "mo", "mtext", "ms", "annotation"]
+  ## Token elements whose content is text; whitespace inside them is
+  ## significant, so they are always kept on a single line
+
+proc tagName(xml: string, start: int): string =
+  ## Get the element name of the tag starting at xml[start] ('<')
+  var i = start + 1
+  if i < xml.len and xml[i] == '/':
+    inc i
+  while i < xml.len and xml[i] notin {' ', '\t', '\n', '/', '>'}:
+    result.add(xml[i])
+    inc i
+
+proc prettyPrintMarkup(xml: string, indentSize: int): string =
+  ## Re-indent generated markup with one element per line
+  ##
+  ## Token elements and empty elements stay on one line. Whitespace between
+  ## elements is not significant in MathML, so rendering is unchanged.
+  var lines: seq[string] = @[]
+  var depth = 0
+  var i = 0
+  while i < xml.len:
+    let indent = spaces(max(depth, 0) * indentSize)
+
+    if xml[i] != '<':
+      # Text outside of token elements (not produced by the generator)
+      let next = xml.find('<', i)
+      let stop = if next < 0: xml.len else: next
+      let text = xml[i ..< stop].strip()
+      if text.len > 0:
+        lines.add(indent & text)
+      i = stop
+      continue
+
+    let close = xml.find('>', i)
+    if close < 0:
+      lines.add(indent & xml[i .. ^1])
+      break
+
+    let name = tagName(xml, i)
+    let endTag = "</" & name & ">"
+    if xml[i + 1] == '/':
+      # Closing tag
+      dec depth
+      lines.add(spaces(max(depth, 0) * indentSize) & xml[i .. close])
+      i = close + 1
+    elif xml[close - 1] == '/':
+      # Self-closing tag
+      lines.add(indent & xml[i .. close])
+      i = close + 1
+    elif name in inlineElements or xml.continuesWith(endTag, close + 1):
+      # Token element or empty element: keep on one line
+      let endPos = xml.find(endTag, close + 1)
+      let stop = if endPos < 0: xml.len else: endPos + endTag.len
+      lines.add(indent & xml[i ..< stop])
+      i = stop
+    else:
+      # Opening tag
+      lines.add(indent & xml[i .. close])
+      inc depth
+      i = close + 1
+
+  result = lines.join("\n")
+
 # Node generation functions
 
 proc generateNode(node: AstNode, options: MathMLOptions): string
@@ -368,6 +477,40 @@ proc generatePhantom(node: AstNode, options: MathMLOptions): string =
   let phantom = tag("mphantom", tag("mo", "(", [("form", "prefix"), ("stretchy", "false"), ("lspace", "0em"), ("rspace", "0em")]))
   tag("mpadded", phantom, [("width", "0px")])
 
+proc generateEnclose(node: AstNode, options: MathMLOptions): string =
+  ## Generate <menclose> for \cancel, \bcancel, \xcancel, \sout and \cancelto
+  ## The class lets yatexml.css draw the strokes in browsers that only
+  ## implement MathML Core, which has no <menclose>
+  let base = generateNode(node.encloseBase, options)
+  if node.encloseTo != nil:
+    # \cancelto: an arrow across the base, with the value at its head
+    let arrow = tag("menclose", base, [("notation", "updiagonalarrow"), ("class", "tml-cancelto")])
+    return tag("msup", arrow & generateNode(node.encloseTo, options))
+
+  let (notation, className) = case node.encloseKind
+    of encUpDiagonalStrike: ("updiagonalstrike", "tml-cancel")
+    of encDownDiagonalStrike: ("downdiagonalstrike", "tml-bcancel")
+    of encBothDiagonalStrike: ("updiagonalstrike downdiagonalstrike", "tml-xcancel")
+    of encHorizontalStrike: ("horizontalstrike", "tml-sout")
+  tag("menclose", base, [("notation", notation), ("class", className)])
+
+proc generateBox(node: AstNode, options: MathMLOptions): string =
+  ## Generate a box for \boxed, \fbox, \colorbox, \fcolorbox and \bbox
+  ## A frame is a <menclose notation="box">, drawn by yatexml.css where
+  ## <menclose> is missing; padding and the frame color are inline styles,
+  ## since MathML has no attributes for them
+  let base = generateNode(node.boxBase, options)
+  var style: seq[string] = @[]
+  if node.boxPadding.len > 0:
+    style.add("padding: " & node.boxPadding)
+  if node.boxFrameColor.len > 0:
+    style.add("border-color: " & node.boxFrameColor)
+  let attrs = @[("mathbackground", node.boxBackground), ("style", style.join("; "))]
+  if node.boxFrame:
+    tag("menclose", base, @[("notation", "box"), ("class", "tml-box")] & attrs)
+  else:
+    tag("mpadded", base, attrs)
+
 proc generateColor(node: AstNode, options: MathMLOptions): string =
   ## Generate colored element
   let base = generateNode(node.colorBase, options)
@@ -434,31 +577,35 @@ proc generateFunction(node: AstNode, options: MathMLOptions): string =
     # This ensures proper spacing with the following expression (e.g., "\sin a")
     tag("mrow", funcName & tag("mo", "\u2061") & tag("mspace", [("width", "0.1667em")]))
 
+proc bigOpSymbol*(kind: BigOpKind): string =
+  ## Get the character (or name, for \lim, \max and \min) of a big operator
+  case kind
+  of boSum: "\u2211"
+  of boProd: "\u220F"
+  of boInt: "\u222B"
+  of boIInt: "\u222C"
+  of boIIInt: "\u222D"
+  of boIIIInt: "\u2A0C"
+  of boOint: "\u222E"
+  of boOIInt: "\u222F"
+  of boOIIInt: "\u2230"
+  of boUnion: "\u22C3"
+  of boIntersect: "\u22C2"
+  of boCoProd: "\u2210"
+  of boOPlus: "\u2A01"
+  of boOTimes: "\u2A02"
+  of boODot: "\u2A00"
+  of boUPlus: "\u2A04"
+  of boSqCup: "\u2A06"
+  of boVee: "\u22C1"
+  of boWedge: "\u22C0"
+  of boLim: "lim"
+  of boMax: "max"
+  of boMin: "min"
+
 proc generateBigOp(node: AstNode, options: MathMLOptions): string =
   ## Generate big operator with limits
-  let opSymbol = case node.bigopKind
-    of boSum: "\u2211"
-    of boProd: "\u220F"
-    of boInt: "\u222B"
-    of boIInt: "\u222C"
-    of boIIInt: "\u222D"
-    of boIIIInt: "\u2A0C"
-    of boOint: "\u222E"
-    of boOIInt: "\u222F"
-    of boOIIInt: "\u2230"
-    of boUnion: "\u22C3"
-    of boIntersect: "\u22C2"
-    of boCoProd: "\u2210"
-    of boOPlus: "\u2A01"
-    of boOTimes: "\u2A02"
-    of boODot: "\u2A00"
-    of boUPlus: "\u2A04"
-    of boSqCup: "\u2A06"
-    of boVee: "\u22C1"
-    of boWedge: "\u22C0"
-    of boLim: "lim"
-    of boMax: "max"
-    of boMin: "min"
+  let opSymbol = bigOpSymbol(node.bigopKind)
 
   let opNode = if node.bigopKind in {boLim, boMax, boMin}:
     tag("mi", opSymbol, [("mathvariant", "normal")])
@@ -524,88 +671,125 @@ proc generateUnderOver(node: AstNode, options: MathMLOptions): string =
     # No scripts, just return the base
     base
 
-proc generateMatrix(node: AstNode, options: MathMLOptions): string =
-  ## Generate matrix
-  var tableContent = ""
-
-  # Check if this is an alignment environment (needs padding columns)
-  let isAlignmentEnv = node.matrixType in ["align", "aligned", "gather", "gathered", "equation"]
-
+proc alignmentCell(matrixType: string, column, row, rowCount: int): tuple[align, padding: string] =
+  ## Get the alignment and TeMML-style padding of a cell of a display
+  ## environment. Right-aligned cells get left padding, which puts space
+  ## before each alignment point but not after it
+  const noPadding = "padding-left:0em;padding-right:0em;"
+  case matrixType
+  of "gather", "gather*", "gathered", "equation", "equation*":
+    ("center", noPadding)
+  of "multline", "multline*":
+    # The first line goes on the left, the last on the right and any
+    # others in the middle
+    if rowCount > 1 and row == 0: ("left", noPadding)
+    elif rowCount > 1 and row == rowCount - 1: ("right", noPadding)
+    else: ("center", noPadding)
+  of "eqnarray", "eqnarray*":
+    # Columns r c l, with space around the relation in the middle
+    case column mod 3
+    of 0: ("right", "padding-left:1em;padding-right:0em;")
+    of 1: ("center", "padding-left:0.2778em;padding-right:0.2778em;")
+    else: ("left", noPadding)
+  else:
+    # Pairs of right- and left-aligned columns; alignat sets its pairs
+    # without space between them, and flalign its first one at the margin
+    if column mod 2 == 1:
+      ("left", noPadding)
+    elif matrixType in ["alignat", "alignat*", "alignedat"] or
+        (column == 0 and matrixType in ["flalign", "flalign*"]):
+      ("right", noPadding)
+    else:
+      ("right", "padding-left:1em;padding-right:0em;")
+
+proc equationNumber(node: AstNode, row: int, options: MathMLOptions): string =
+  ## Get the number or tag shown beside a row of a display environment
+  ## ("" for none), taking automatic numbers from the counter and listing
+  ## the row among the equation lines. Environments numbered as a single
+  ## formula show it beside their last row only
+  if row >= node.matrixTags.len or options.equationCounter == nil:
+    return ""
+  if node.matrixType in singleNumberEnvironments and row < node.matrixRows.len - 1:
+    return ""
+  let rowTag = node.matrixTags[row]
+  var number = rowTag.tag
+  if number.len == 0 and rowTag.numbered and node.matrixType in numberedEnvironments:
+    number = $options.equationCounter[]
+    inc options.equationCounter[]
+  if number.len > 0 or rowTag.label.len > 0:
+    options.equationLines[].add(EquationLine(number: number, label: rowTag.label, row: row,
+                                             tagged: rowTag.tag.len > 0))
+  if number.len == 0 or not options.equationNumbers:
+    return ""
+  tag("mtext", escapeXml(if rowTag.starred: number else: "(" & number & ")"))
+
+proc generateAlignment(node: AstNode, options: MathMLOptions): string =
+  ## Generate an amsmath display environment as a full-width table. Empty
+  ## cells of half the width on either side center the content; multline
+  ## and flalign drop them to reach the margins, and flalign spreads its
+  ## column pairs apart with empty cells between them. Equation numbers go
+  ## in the cell on the right, and a labelled row gets the id eq:label
+  let matrixType = node.matrixType
+  var columns = 0
   for row in node.matrixRows:
-    var rowContent = ""
-
-    # Add left padding cell for alignment environments
-    if isAlignmentEnv:
-      rowContent.add(tag("mtd", "", @[("style", "padding:0;width:50%")]))
-
-    # Add content cells
-    for cellIdx, cell in row:
-      let cellContent = generateNode(cell, options)
-      var cellAttrs: seq[(string, string)] = @[]
-
-      # Add CSS class and padding for alignment (required for text-align to work properly)
-      if isAlignmentEnv:
-        case node.matrixType
-        of "align", "aligned":
-          # Alternate right/left alignment with TeMML-style padding
-          let alignClass = if cellIdx mod 2 == 0: "tml-right" else: "tml-left"
-          cellAttrs.add(("class", alignClass))
-          # Right-aligned cells get left padding, left-aligned cells get no padding
-          # This creates space before the alignment point but not after
-          let padding = if cellIdx mod 2 == 0: "padding-left:1em;padding-right:0em;"
-                        else: "padding-left:0em;padding-right:0em;"
-          cellAttrs.add(("style", padding))
-        of "gather", "gathered", "equation":
-          # Center alignment with symmetric padding
-          cellAttrs.add(("class", "tml-center"))
-          cellAttrs.add(("style", "padding-left:0em;padding-right:0em;"))
-        else:
-          discard
-
-      rowContent.add(tag("mtd", cellContent, cellAttrs))
-
-    # Add right padding cell for alignment environments (for equation numbers)
-    if isAlignmentEnv:
-      rowContent.add(tag("mtd", "", @[("style", "padding:0;width:50%")]))
+    columns = max(columns, row.len)
+  let isFlalign = matrixType in ["flalign", "flalign*"]
+  let isMultline = matrixType in ["multline", "multline*"]
+  let pairs = (columns + 1) div 2
+
+  let edgeWidth = if isFlalign or isMultline: "0" else: "50%"
+  let leftEdge = tag("mtd", "", @[("style", "padding:0;width:" & edgeWidth)])
+  let rightEdgeStyle = "padding:0;width:" & (if isFlalign and pairs <= 1: "100%" else: edgeWidth)
+  let spacer = if isFlalign and pairs > 1:
+                 tag("mtd", "", @[("style", "padding:0;width:" & $(100 div (pairs - 1)) & "%")])
+               else: ""
 
-    tableContent.add(tag("mtr", rowContent))
+  var tableContent = ""
+  for rowIdx, row in node.matrixRows:
+    var rowContent = leftEdge
+    for cellIdx in 0 ..< columns:
+      # Short rows are filled with empty cells to keep the edges aligned
+      let cellContent = if cellIdx < row.len: generateNode(row[cellIdx], options) else: ""
+      let (align, padding) = alignmentCell(matrixType, cellIdx, rowIdx, node.matrixRows.len)
+      rowContent.add(tag("mtd", cellContent, @[("class", "tml-" & align), ("style", padding)]))
+      if spacer.len > 0 and cellIdx mod 2 == 1 and cellIdx < columns - 1:
+        rowContent.add(spacer)
+    let number = equationNumber(node, rowIdx, options)
+    if number.len > 0:
+      rowContent.add(tag("mtd", number, @[("class", "tml-right"), ("style", rightEdgeStyle)]))
+    else:
+      rowContent.add(tag("mtd", "", @[("style", rightEdgeStyle)]))
+    let label = if rowIdx < node.matrixTags.len: node.matrixTags[rowIdx].label else: ""
+    tableContent.add(tag("mtr", rowContent, @[("id", if label.len > 0: "eq:" & label else: "")]))
 
-  # Determine column alignment based on environment type
+  # Column alignment for renderers without CSS; multline's rows differ, so
+  # only its classes place them
   var tableAttrs: seq[(string, string)] = @[]
-
-  case node.matrixType
-  of "align", "aligned":
-    # Alignment environments: with padding columns, we have:
-    # [padding-right] [content-right] [content-left] ... [padding-left]
-    # Standard pattern is: expr & = expr, so right-align first column, left-align second
-    if node.matrixRows.len > 0 and node.matrixRows[0].len > 0:
-      var colAlign = "right"  # Left padding column
-      for i in 0 ..< node.matrixRows[0].len:
-        colAlign.add(" ")
-        colAlign.add(if i mod 2 == 0: "right" else: "left")
-      colAlign.add(" left")  # Right padding column
-      tableAttrs.add(("columnalign", colAlign))
-    # Add displaystyle and width for proper rendering
-    tableAttrs.add(("displaystyle", "true"))
-    tableAttrs.add(("style", "width:100%"))
-  of "gather", "gathered", "equation":
-    # Gather/equation environments: center all equations with padding
-    if node.matrixRows.len > 0 and node.matrixRows[0].len > 0:
-      var colAlign = "center"  # Left padding
-      for i in 0 ..< node.matrixRows[0].len:
+  if columns > 0:
+    let centered = isMultline or matrixType in ["gather", "gather*", "gathered", "equation", "equation*"]
+    var colAlign = if centered: "center" else: "right"
+    for i in 0 ..< columns:
+      colAlign.add(" " & (if isMultline: "center" else: alignmentCell(matrixType, i, 0, 1).align))
+      if spacer.len > 0 and i mod 2 == 1 and i < columns - 1:
         colAlign.add(" center")
-      colAlign.add(" center")  # Right padding
-      tableAttrs.add(("columnalign", colAlign))
-    # Add displaystyle and width for proper rendering
-    tableAttrs.add(("displaystyle", "true"))
-    tableAttrs.add(("style", "width:100%"))
-  else:
-    discard  # Default alignment for matrices
+    colAlign.add(if centered: " center" else: " left")
+    tableAttrs.add(("columnalign", colAlign))
+  tableAttrs.add(("displaystyle", "true"))
+  tableAttrs.add(("style", "width:100%"))
+  tag("mtable", tableContent, tableAttrs)
+
+proc generateMatrix(node: AstNode, options: MathMLOptions): string =
+  ## Generate matrix
+  if node.matrixType in alignmentEnvironments:
+    return generateAlignment(node, options)
 
-  let table = if tableAttrs.len > 0:
-                tag("mtable", tableContent, tableAttrs)
-              else:
-                tag("mtable", tableContent)
+  var tableContent = ""
+  for row in node.matrixRows:
+    var rowContent = ""
+    for cell in row:
+      rowContent.add(tag("mtd", generateNode(cell, options)))
+    tableContent.add(tag("mtr", rowContent))
+  let table = tag("mtable", tableContent)
 
   # Add delimiters based on matrix type
   case node.matrixType
@@ -628,74 +812,166 @@ proc generateMatrix(node: AstNode, options: MathMLOptions): string =
   of "cases":
     let left = tag("mo", "{", [("fence", "true")])
     tag("mrow", left & table)
-  of "align", "aligned", "gather", "gathered":
-    # No delimiters for alignment environments
-    table
   else:
     table
 
+proc arraySlots(node: AstNode): seq[ArraySlot] =
+  ## Lay out the columns of an array from its column specification; rows
+  ## with more cells than the specification has columns get centered columns
+  var columnCount, separatorCount, leadingRules = 0
+  for item in parseColumnSpec(node.arrayAlignment).items:
+    case item.kind
+    of cskColumn:
+      result.add(ArraySlot(column: columnCount, align: item.align, width: item.width))
+      inc columnCount
+    of cskRule:
+      if result.len == 0: inc leadingRules else: inc result[^1].rulesRight
+    of cskSeparator:
+      result.add(ArraySlot(column: -1, separator: separatorCount, separatorText: item.separator,
+                           before: columnCount - 1, align: "center"))
+      inc separatorCount
+  for row in node.arrayRows:
+    while columnCount < row.len:
+      result.add(ArraySlot(column: columnCount, align: "center"))
+      inc columnCount
+  if result.len > 0:
+    result[0].rulesLeft = leadingRules
+
+proc ruleBorder(count: int, dashed: bool): string =
+  ## CSS border for rules drawn together: one line, dashed, or two
+  if count >= 2: "0.22em double"
+  elif dashed: "0.06em dashed"
+  else: "0.06em solid"
+
+proc rowRuleBorder(node: AstNode, boundary: int, slot: ArraySlot): string =
+  ## CSS border for the horizontal rules at a row boundary that cross a
+  ## slot, or "" for none
+  if boundary >= node.arrayRules.len:
+    return ""
+  var count = 0
+  var dashed = true
+  for rule in node.arrayRules[boundary]:
+    let crosses = if rule.first == 0: true
+                  elif slot.column >= 0: rule.first <= slot.column + 1 and slot.column + 1 <= rule.last
+                  else: rule.first <= slot.before + 1 and slot.before + 2 <= rule.last
+    if crosses:
+      inc count
+      dashed = dashed and rule.dashed
+  if count == 0: "" else: ruleBorder(count, dashed)
+
+proc generateArray(node: AstNode, options: MathMLOptions): string =
+  ## Generate an array as an <mtable>
+  ## Rules are CSS borders on the cells, since MathML Core has no
+  ## columnlines or rowlines; an @{...} separator is a column of its own,
+  ## with no space on either side
+  let slots = arraySlots(node)
+  var tableContent = ""
+  for rowIdx, row in node.arrayRows:
+    var rowContent = ""
+    for slotIdx, slot in slots:
+      var content = ""
+      var style: seq[string] = @[]
+      if slot.column < 0:
+        content = if slot.separator < node.arraySeparators.len:
+                    generateNode(node.arraySeparators[slot.separator], options)
+                  else:
+                    tag("mtext", escapeXml(slot.separatorText))
+        style.add("padding-left:0;padding-right:0")
+      else:
+        if slot.column < row.len:
+          content = generateNode(row[slot.column], options)
+        if slotIdx > 0 and slots[slotIdx - 1].column < 0:
+          style.add("padding-left:0")
+        if slotIdx < slots.high and slots[slotIdx + 1].column < 0:
+          style.add("padding-right:0")
+        if slot.width.len > 0:
+          style.add("width:" & slot.width)
+      if slot.rulesLeft > 0:
+        style.add("border-left:" & ruleBorder(slot.rulesLeft, false))
+      if slot.rulesRight > 0:
+        style.add("border-right:" & ruleBorder(slot.rulesRight, false))
+      let top = rowRuleBorder(node, rowIdx, slot)
+      if top.len > 0:
+        style.add("border-top:" & top)
+      if rowIdx == node.arrayRows.high:
+        let bottom = rowRuleBorder(node, rowIdx + 1, slot)
+        if bottom.len > 0:
+          style.add("border-bottom:" & bottom)
+      let alignClass = if slot.column < 0: "" else: "tml-" & slot.align
+      rowContent.add(tag("mtd", content, [("class", alignClass), ("style", style.join(";"))]))
+    tableContent.add(tag("mtr", rowContent))
+
+  var columnAlign: seq[string] = @[]
+  for slot in slots:
+    columnAlign.add(slot.align)
+  tag("mtable", tableContent, [("columnalign", columnAlign.join(" "))])
+
 proc generateNum(node: AstNode, options: MathMLOptions): string =
   ## Generate <mn> element for formatted numbers
   # TODO: Implement proper number formatting (scientific notation, spacing)
   tag("mn", escapeXml(node.numStr))
 
+proc siUnitSymbol*(comp: SIUnitComponent): string =
+  ## Get the symbol of a unit with its prefix, without the power (e.g. "km")
+  let unitStr = case comp.unit
+    of ukMeter: "m"
+    of ukSecond: "s"
+    of ukKilogram: "kg"
+    of ukGram: "g"
+    of ukAmpere: "A"
+    of ukKelvin: "K"
+    of ukMole: "mol"
+    of ukCandela: "cd"
+    of ukHertz: "Hz"
+    of ukNewton: "N"
+    of ukPascal: "Pa"
+    of ukJoule: "J"
+    of ukWatt: "W"
+    of ukCoulomb: "C"
+    of ukVolt: "V"
+    of ukFarad: "F"
+    of ukOhm: "Ω"
+    of ukSiemens: "S"
+    of ukWeber: "Wb"
+    of ukTesla: "T"
+    of ukHenry: "H"
+    of ukLumen: "lm"
+    of ukLux: "lx"
+    of ukBecquerel: "Bq"
+    of ukGray: "Gy"
+    of ukSievert: "Sv"
+    of ukCustom: comp.customUnit
+
+  let prefixStr = case comp.prefix
+    of pkNone: ""
+    of pkYocto: "y"
+    of pkZepto: "z"
+    of pkAtto: "a"
+    of pkFemto: "f"
+    of pkPico: "p"
+    of pkNano: "n"
+    of pkMicro: "μ"
+    of pkMilli: "m"
+    of pkCenti: "c"
+    of pkDeci: "d"
+    of pkDeca: "da"
+    of pkHecto: "h"
+    of pkKilo: "k"
+    of pkMega: "M"
+    of pkGiga: "G"
+    of pkTera: "T"
+    of pkPeta: "P"
+    of pkExa: "E"
+    of pkZetta: "Z"
+    of pkYotta: "Y"
+
+  prefixStr & unitStr
+
 proc generateSIUnit(node: AstNode, options: MathMLOptions): string =
   ## Generate SI unit expression
   # Helper to generate MathML for a unit component with power
   proc generateUnitComponent(comp: SIUnitComponent): string =
-    let unitStr = case comp.unit
-      of ukMeter: "m"
-      of ukSecond: "s"
-      of ukKilogram: "kg"
-      of ukGram: "g"
-      of ukAmpere: "A"
-      of ukKelvin: "K"
-      of ukMole: "mol"
-      of ukCandela: "cd"
-      of ukHertz: "Hz"
-      of ukNewton: "N"
-      of ukPascal: "Pa"
-      of ukJoule: "J"
-      of ukWatt: "W"
-      of ukCoulomb: "C"
-      of ukVolt: "V"
-      of ukFarad: "F"
-      of ukOhm: "Ω"
-      of ukSiemens: "S"
-      of ukWeber: "Wb"
-      of ukTesla: "T"
-      of ukHenry: "H"
-      of ukLumen: "lm"
-      of ukLux: "lx"
-      of ukBecquerel: "Bq"
-      of ukGray: "Gy"
-      of ukSievert: "Sv"
-      of ukCustom: comp.customUnit
-
-    let prefixStr = case comp.prefix
-      of pkNone: ""
-      of pkYocto: "y"
-      of pkZepto: "z"
-      of pkAtto: "a"
-      of pkFemto: "f"
-      of pkPico: "p"
-      of pkNano: "n"
-      of pkMicro: "μ"
-      of pkMilli: "m"
-      of pkCenti: "c"
-      of pkDeci: "d"
-      of pkDeca: "da"
-      of pkHecto: "h"
-      of pkKilo: "k"
-      of pkMega: "M"
-      of pkGiga: "G"
-      of pkTera: "T"
-      of pkPeta: "P"
-      of pkExa: "E"
-      of pkZetta: "Z"
-      of pkYotta: "Y"
-
-    let baseUnit = prefixStr & unitStr
+    let baseUnit = siUnitSymbol(comp)
 
     if comp.power == 1:
       # No power, just render the unit with tight spacing (matches TeMML)
@@ -789,7 +1065,14 @@ proc generateSIValue(node: AstNode, options: MathMLOptions): string =
   let space = tag("mspace", [("width", "0.167em")])  # Thin space between value and unit
   tag("mrow", valueNode & space & unitNode)
 
-proc generateNode(node: AstNode, options: MathMLOptions): string =
+proc generateError(node: AstNode, options: MathMLOptions): string =
+  ## Generate <merror> showing source that could not be parsed
+  ## The message is available as a tooltip; an error at the end of the
+  ## input has no source text, so a placeholder is shown instead
+  let text = if node.errorSource.len > 0: node.errorSource else: "?"
+  tag("merror", tag("mtext", escapeXml(text)), [("title", node.errorMessage)])
+
+proc generateNodeMarkup(node: AstNode, options: MathMLOptions): string =
   ## Generate MathML for any AST node
   case node.kind
   of nkNumber:
@@ -832,6 +1115,10 @@ proc generateNode(node: AstNode, options: MathMLOptions): string =
     generateColor(node, options)
   of nkPhantom:
     generatePhantom(node, options)
+  of nkEnclose:
+    generateEnclose(node, options)
+  of nkBox:
+    generateBox(node, options)
   of nkRow:
     generateRow(node, options)
   of nkDelimited:
@@ -846,6 +1133,8 @@ proc generateNode(node: AstNode, options: MathMLOptions): string =
     generateUnderOver(node, options)
   of nkMatrix:
     generateMatrix(node, options)
+  of nkArray:
+    generateArray(node, options)
   of nkNum:
     generateNum(node, options)
   of nkSIUnit:
@@ -855,13 +1144,45 @@ proc generateNode(node: AstNode, options: MathMLOptions): string =
   of nkChemical:
     # Chemical expressions - just generate the inner expression
     generateNode(node.chemicalExpr, options)
+  of nkError:
+    generateError(node, options)
   else:
     # Not implemented yet
     tag("mtext", "[" & $node.kind & "]")
 
-proc generateMathML*(ast: AstNode, options: MathMLOptions = defaultOptions()): string =
-  ## Generate MathML from an AST
-  ## Wraps the result in <math> tags
+proc addSourcePosition(markup: string, node: AstNode, options: MathMLOptions): string =
+  ## Add data-src-start/data-src-end to the outermost element of markup
+  ## Elements that already carry a position (from a child node that
+  ## generated the same element) keep the more precise one
+  let close = markup.find('>')
+  if close < 0 or markup.find("data-src-start=", 0, close) >= 0:
+    return markup
+
+  var start = node.srcStart
+  var stop = node.srcEnd
+  if options.positionMap.len > 0:
+    start = options.positionMap[min(start, options.positionMap.high)]
+    stop = options.positionMap[min(stop, options.positionMap.high)]
+
+  let insertAt = if markup[close - 1] == '/': close - 1 else: close
+  result = markup[0 ..< insertAt] &
+    " data-src-start=\"" & $start & "\" data-src-end=\"" & $stop & "\"" &
+    markup[insertAt .. ^1]
+
+proc generateNode(node: AstNode, options: MathMLOptions): string =
+  ## Generate MathML for any AST node, tagged with its source position
+  ## when requested
+  result = generateNodeMarkup(node, options)
+  if options.sourcePositions and node.hasSpan:
+    result = addSourcePosition(result, node, options)
+
+proc generateMathML*(ast: AstNode, options: MathMLOptions, source: string, encoding: string,
+                     equations: var seq[EquationLine]): string =
+  ## Generate MathML from an AST, also listing the rows of its display
+  ## environments that have an equation number, a tag or a label
+  ##
+  ## Automatic numbers start at options.firstEquationNumber, so a caller
+  ## rendering a document formula by formula can continue its numbering.
   var attrs: seq[(string, string)] = @[("xmlns", "http://www.w3.org/1998/Math/MathML")]
 
   # Explicitly set display attribute for both inline and block modes
@@ -870,5 +1191,36 @@ proc generateMathML*(ast: AstNode, options: MathMLOptions = defaultOptions()): s
   else:
     attrs.add(("display", "inline"))
 
-  let content = generateNode(ast, options)
+  if options.altText:
+    attrs.add(("alttext", source))
+
+  var opts = options
+  if opts.sourcePositions and opts.utf16Positions:
+    opts.positionMap = utf16OffsetTable(source)
+  opts.equationCounter = new int
+  opts.equationCounter[] = options.firstEquationNumber
+  opts.equationLines = new seq[EquationLine]
+
+  var content = generateNode(ast, opts)
+  equations = opts.equationLines[]
+  if options.annotateTex and source.len > 0:
+    # <semantics> takes a single presentation child followed by annotations
+    # (matches MathJax and TeMML)
+    let annotation = tag("annotation", escapeXml(source), [("encoding", encoding)])
+    content = tag("semantics", tag("mrow", content) & annotation)
   result = tag("math", content, attrs)
+
+  if options.prettyPrint:
+    result = prettyPrintMarkup(result, options.indentSize)
+
+proc generateMathML*(ast: AstNode, options: MathMLOptions = defaultOptions(), source: string = "",
+                     encoding: string = "application/x-tex"): string =
+  ## Generate MathML from an AST
+  ## Wraps the result in <math> tags
+  ##
+  ## source is the LaTeX the AST was parsed from; it is used for the
+  ## annotateTex and altText options, and to convert source positions
+  ## to UTF-16 offsets when utf16Positions is set. encoding is the
+  ## annotation encoding of source ("text/x-asciimath" for AsciiMath).
+  var equations: seq[EquationLine] = @[]
+  generateMathML(ast, options, source, encoding, equations)
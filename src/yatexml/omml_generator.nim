@@ -0,0 +1,396 @@
+## OMML generator for yatexml
+##
+## This module converts AST nodes to Office Math Markup Language, the
+## equation format Word stores in document.xml, so equations can be
+## embedded in .docx files directly instead of transforming MathML with
+## Microsoft's MML2OMML.XSL. Structures map to their OMML counterparts
+## (m:f, m:rad, m:nary, m:d, m:m, m:acc, m:sSub, ...) and leaves become
+## m:r runs; \mathrm, \mathbb and the other styles become run properties.
+
+import ast, mathml_generator
+import strutils
+import unicode
+
+const ommlNamespace = "http://schemas.openxmlformats.org/officeDocument/2006/math"
+
+type
+  RunStyle = object
+    ## Run properties inherited from an enclosing style command
+    sty: string                 ## "p", "b", "i", "bi", or "" for Word's default
+    scr: string                 ## Script such as "double-struck", or "" for roman
+
+# Helper functions
+
+proc escapeXml(s: string): string =
+  ## Escape the XML special characters of text and attribute values
+  result = newStringOfCap(s.len)
+  for c in s:
+    case c
+    of '<': result.add("&lt;")
+    of '>': result.add("&gt;")
+    of '&': result.add("&amp;")
+    of '"': result.add("&quot;")
+    else: result.add(c)
+
+proc el(name: string, content: string): string =
+  ## Wrap content in an m: element, or write an empty element
+  if content.len == 0:
+    "<m:" & name & "/>"
+  else:
+    "<m:" & name & ">" & content & "</m:" & name & ">"
+
+proc val(name: string, value: string): string =
+  ## Write a property element such as <m:chr m:val="∑"/>
+  "<m:" & name & " m:val=\"" & escapeXml(value) & "\"/>"
+
+proc upright(style: RunStyle): RunStyle =
+  ## Make a run upright unless a style command chose its own face
+  result = style
+  if result.sty.len == 0:
+    result.sty = "p"
+
+proc run(text: string, style: RunStyle, normalText = false): string =
+  ## Write a run; normalText marks \text content, which Word typesets in
+  ## the document font rather than as math; the schema allows no script or
+  ## style alongside it
+  if text.len == 0:
+    return ""
+  var props = ""
+  if normalText:
+    props.add("<m:nor/>")
+  else:
+    if style.scr.len > 0:
+      props.add(val("scr", style.scr))
+    if style.sty.len > 0:
+      props.add(val("sty", style.sty))
+  let preserve = text[0] == ' ' or text[^1] == ' '
+  let t = if preserve: "<m:t xml:space=\"preserve\">" & escapeXml(text) & "</m:t>"
+          else: "<m:t>" & escapeXml(text) & "</m:t>"
+  el("r", (if props.len > 0: el("rPr", props) else: "") & t)
+
+proc styleOf(kind: StyleKind): RunStyle =
+  ## Get the run properties of a style command
+  case kind
+  of skBold: RunStyle(sty: "b")
+  of skItalic: RunStyle(sty: "i")
+  of skRoman: RunStyle(sty: "p")
+  of skBoldItalic: RunStyle(sty: "bi")
+  of skBlackboard: RunStyle(sty: "p", scr: "double-struck")
+  of skCalligraphic: RunStyle(sty: "p", scr: "script")
+  of skFraktur: RunStyle(sty: "p", scr: "fraktur")
+  of skSansSerif: RunStyle(sty: "p", scr: "sans-serif")
+  of skMonospace: RunStyle(sty: "p", scr: "monospace")
+
+proc spaceText(width: string): string =
+  ## Get the Unicode space closest to an explicit space; negative spaces
+  ## have no run
+  case width
+  of "": " "
+  of "0.1667em", "0.167em": "\u2009"
+  of "0.2222em": "\u205F"
+  of "0.2778em", "0.278em", "0.3333em": "\u2004"
+  of "0.4444em", "0.5em": "\u2002"
+  of "1em": "\u2003"
+  of "2em": "\u2003\u2003"
+  else:
+    if width.startsWith("-"): "" else: " "
+
+proc accentChar(kind: AccentKind): string =
+  ## Get the combining character of an m:acc accent
+  case kind
+  of akHat, akWidehat: "\u0302"
+  of akBar: "\u0305"
+  of akTilde, akWidetilde: "\u0303"
+  of akDot: "\u0307"
+  of akDdot: "\u0308"
+  of akDddot: "\u20DB"
+  of akVec: "\u20D7"
+  of akAcute: "\u0301"
+  of akGrave: "\u0300"
+  of akBreve: "\u0306"
+  of akCheck: "\u030C"
+  else: ""
+
+proc ommlNode(node: AstNode, style: RunStyle): string
+
+proc arg(name: string, node: AstNode, style: RunStyle): string =
+  ## Write an argument element (m:e, m:num, m:sub, ...); a missing
+  ## argument is an empty element
+  if node == nil: el(name, "") else: el(name, ommlNode(node, style))
+
+proc ommlAccent(node: AstNode, style: RunStyle): string =
+  ## Write an accent: m:acc for combining accents, m:bar for over- and
+  ## underlines, and m:groupChr for braces and arrows
+  let base = arg("e", node.accentBase, style)
+  case node.accentKind
+  of akOverline:
+    el("bar", el("barPr", val("pos", "top")) & base)
+  of akUnderline:
+    el("bar", el("barPr", val("pos", "bot")) & base)
+  of akOverbrace, akWideparen, akOverrightarrow, akOverleftarrow:
+    let chr = case node.accentKind
+      of akOverbrace: "⏞"
+      of akWideparen: "⏜"
+      of akOverrightarrow: "→"
+      else: "←"
+    el("groupChr", el("groupChrPr", val("chr", chr) & val("pos", "top") &
+      val("vertJc", "bot")) & base)
+  of akUnderbrace:
+    el("groupChr", el("groupChrPr", val("chr", "⏟") & val("pos", "bot") &
+      val("vertJc", "top")) & base)
+  else:
+    el("acc", el("accPr", val("chr", accentChar(node.accentKind))) & base)
+
+proc ommlEnclose(node: AstNode, style: RunStyle): string =
+  ## Cancellation: a border box with its borders hidden and a stroke;
+  ## \cancelto raises the value at the end of the stroke
+  let strikes = case node.encloseKind
+    of encUpDiagonalStrike: val("strikeBLTR", "1")
+    of encDownDiagonalStrike: val("strikeTLBR", "1")
+    of encBothDiagonalStrike: val("strikeBLTR", "1") & val("strikeTLBR", "1")
+    of encHorizontalStrike: val("strikeH", "1")
+  let hidden = val("hideTop", "1") & val("hideBot", "1") & val("hideLeft", "1") & val("hideRight", "1")
+  let box = el("borderBox", el("borderBoxPr", hidden & strikes) & arg("e", node.encloseBase, style))
+  if node.encloseTo == nil:
+    box
+  else:
+    el("sSup", el("e", box) & arg("sup", node.encloseTo, style))
+
+proc ommlDelimited(left, right: string, content: string): string =
+  ## Write content in stretchy delimiters; an empty delimiter is invisible
+  let begChr = if left == ".": "" else: left
+  let endChr = if right == ".": "" else: right
+  el("d", el("dPr", val("begChr", begChr) & val("endChr", endChr)) & el("e", content))
+
+proc ommlMatrix(rows: seq[seq[AstNode]], style: RunStyle, aligns: seq[string] = @[]): string =
+  ## Write an m:m matrix; short rows are padded with empty cells, because
+  ## Word expects every row to have the same number of columns. aligns
+  ## gives the justification of each column ("left", "center", "right")
+  var columns = 0
+  for row in rows:
+    columns = max(columns, row.len)
+  var props = ""
+  if aligns.len > 0:
+    var mcs = ""
+    for i in 0 ..< columns:
+      let jc = if i < aligns.len: aligns[i] else: aligns[^1]
+      mcs.add(el("mc", el("mcPr", val("count", "1") & val("mcJc", jc))))
+    props = el("mPr", el("mcs", mcs))
+  var content = ""
+  for row in rows:
+    var cells = ""
+    for i in 0 ..< columns:
+      cells.add((if i < row.len: arg("e", row[i], style) else: el("e", "")))
+    content.add(el("mr", cells))
+  el("m", props & content)
+
+proc ommlEquationArray(rows: seq[seq[AstNode]], style: RunStyle): string =
+  ## Write the rows of an alignment environment as an m:eqArr, with the
+  ## cells of each row run together and separated by & runs, which Word
+  ## reads as alignment points
+  var content = ""
+  for row in rows:
+    var cells = ""
+    for i, cell in row:
+      if i > 0:
+        cells.add(run("&", RunStyle()))
+      if cell != nil:
+        cells.add(ommlNode(cell, style))
+    content.add(el("e", cells))
+  el("eqArr", content)
+
+proc ommlMatrixNode(node: AstNode, style: RunStyle): string =
+  ## Write a matrix environment with the delimiters of its type
+  case node.matrixType
+  of "pmatrix":
+    ommlDelimited("(", ")", ommlMatrix(node.matrixRows, style))
+  of "bmatrix":
+    ommlDelimited("[", "]", ommlMatrix(node.matrixRows, style))
+  of "vmatrix":
+    ommlDelimited("|", "|", ommlMatrix(node.matrixRows, style))
+  of "Vmatrix":
+    ommlDelimited("\u2016", "\u2016", ommlMatrix(node.matrixRows, style))
+  of "cases":
+    ommlDelimited("{", "", ommlMatrix(node.matrixRows, style, @["left"]))
+  elif node.matrixType in alignmentEnvironments:
+    ommlEquationArray(node.matrixRows, style)
+  else:
+    ommlMatrix(node.matrixRows, style)
+
+proc arrayAligns(spec: string): seq[string] =
+  ## Get the column justifications of an array column specification; Word
+  ## matrices have no rules, so these and the @{...} separators are dropped
+  for item in parseColumnSpec(spec).items:
+    if item.kind == cskColumn:
+      result.add(item.align)
+
+proc ommlBigOp(node: AstNode, style: RunStyle): string =
+  ## Write a big operator: m:nary for sums and integrals, and a function
+  ## name with m:limLow/m:limUpp limits for \lim, \max and \min
+  if node.bigopKind in {boLim, boMax, boMin}:
+    var name = run(bigOpSymbol(node.bigopKind), upright(style))
+    if node.bigopLower != nil:
+      name = el("limLow", el("e", name) & arg("lim", node.bigopLower, style))
+    if node.bigopUpper != nil:
+      name = el("limUpp", el("e", name) & arg("lim", node.bigopUpper, style))
+    if node.bigopBase == nil:
+      return name
+    return el("func", el("fName", name) & arg("e", node.bigopBase, style))
+
+  let isIntegral = node.bigopKind in {boInt, boIInt, boIIInt, boIIIInt, boOint, boOIInt, boOIIInt}
+  let limLoc = if isIntegral and not node.bigopForceLimits: "subSup" else: "undOvr"
+  var props = val("chr", bigOpSymbol(node.bigopKind)) & val("limLoc", limLoc)
+  if node.bigopLower == nil:
+    props.add(val("subHide", "1"))
+  if node.bigopUpper == nil:
+    props.add(val("supHide", "1"))
+  el("nary", el("naryPr", props) & arg("sub", node.bigopLower, style) &
+    arg("sup", node.bigopUpper, style) & arg("e", node.bigopBase, style))
+
+proc ommlUnderOver(base: string, under, over: AstNode, style: RunStyle): string =
+  ## Write content with limits below and/or above it
+  result = base
+  if under != nil:
+    result = el("limLow", el("e", result) & arg("lim", under, style))
+  if over != nil:
+    result = el("limUpp", el("e", result) & arg("lim", over, style))
+
+proc ommlUnit(comp: SIUnitComponent, style: RunStyle): string =
+  ## Write a unit with its prefix and power
+  let symbol = run(siUnitSymbol(comp), upright(style))
+  if comp.power == 1:
+    return symbol
+  let power = if comp.power < 0: "−" & $abs(comp.power) else: $comp.power
+  el("sSup", el("e", symbol) & el("sup", run(power, style)))
+
+proc ommlUnits(node: AstNode, style: RunStyle): string =
+  ## Write an SI unit expression, with thin spaces between the units
+  for i, comp in node.unitNumerator:
+    if i > 0:
+      result.add(run("\u2009", style))
+    result.add(ommlUnit(comp, style))
+  if node.unitDenominator.len > 0:
+    result.add(run("/", style))
+    for i, comp in node.unitDenominator:
+      if i > 0:
+        result.add(run("\u2009", style))
+      result.add(ommlUnit(comp, style))
+
+proc ommlSIValue(node: AstNode, style: RunStyle): string =
+  ## Write an SI value; e-notation becomes mantissa·10^exponent
+  let value = node.siValue
+  let ePos = value.find({'e', 'E'})
+  if ePos > 0:
+    result = run(value[0 ..< ePos] & "·", style) &
+      el("sSup", el("e", run("10", style)) & el("sup", run(value[ePos + 1 .. ^1], style)))
+  else:
+    result = run(value, style)
+  result.add(run("\u2009", style))
+  result.add(ommlNode(node.siUnit, style))
+
+proc ommlNode(node: AstNode, style: RunStyle): string =
+  ## Write the OMML of any AST node
+  case node.kind
+  of nkNumber:
+    run(node.numValue, style)
+  of nkIdentifier:
+    # Multi-letter identifiers are upright, as in MathML
+    run(node.identName, (if node.identName.runeLen > 1: upright(style) else: style))
+  of nkSymbol:
+    run(node.symbolValue, style)
+  of nkOperator:
+    # Word operators such as mod are upright
+    run(node.opValue, (if node.opValue.len > 0 and node.opValue[0] in Letters: upright(style) else: style))
+  of nkText:
+    run(node.textValue, upright(style), normalText = true)
+  of nkSpace:
+    run(spaceText(node.spaceWidth), style)
+  of nkSqrt:
+    el("rad", el("radPr", val("degHide", "1")) & el("deg", "") & arg("e", node.sqrtBase, style))
+  of nkRoot:
+    el("rad", arg("deg", node.rootIndex, style) & arg("e", node.rootBase, style))
+  of nkAccent:
+    ommlAccent(node, style)
+  of nkStyle:
+    ommlNode(node.styleBase, styleOf(node.styleKind))
+  of nkMathStyle:
+    ommlNode(node.mathStyleBase, style)
+  of nkMathSize:
+    ommlNode(node.mathSizeBase, style)
+  of nkColor:
+    ommlNode(node.colorBase, style)
+  of nkEnclose:
+    ommlEnclose(node, style)
+  of nkBox:
+    # Word math has no shading, so only the frame is kept
+    if node.boxFrame: el("borderBox", arg("e", node.boxBase, style)) else: ommlNode(node.boxBase, style)
+  of nkPhantom:
+    el("phant", el("phantPr", val("show", "0") & val("zeroWid", "1")) & el("e", run("(", style)))
+  of nkFrac:
+    el("f", arg("num", node.fracNum, style) & arg("den", node.fracDenom, style))
+  of nkBinomial:
+    ommlDelimited("(", ")", el("f", el("fPr", val("type", "noBar")) &
+      arg("num", node.binomTop, style) & arg("den", node.binomBottom, style)))
+  of nkAtop:
+    el("f", el("fPr", val("type", "noBar")) & arg("num", node.atopTop, style) &
+      arg("den", node.atopBottom, style))
+  of nkSub:
+    el("sSub", arg("e", node.subBase, style) & arg("sub", node.subScript, style))
+  of nkSup:
+    el("sSup", arg("e", node.supBase, style) & arg("sup", node.supScript, style))
+  of nkSubSup:
+    el("sSubSup", arg("e", node.subsupBase, style) & arg("sub", node.subsupSub, style) &
+      arg("sup", node.subsupSup, style))
+  of nkRow:
+    var content = ""
+    for child in node.rowChildren:
+      content.add(ommlNode(child, style))
+    content
+  of nkDelimited:
+    ommlDelimited(node.delimLeft, node.delimRight, ommlNode(node.delimContent, style))
+  of nkSizedDelimiter:
+    run(node.sizedDelimChar, style)
+  of nkMatrix:
+    ommlMatrixNode(node, style)
+  of nkCases:
+    var rows: seq[seq[AstNode]] = @[]
+    for row in node.casesRows:
+      rows.add(@[row.expr, row.cond])
+    ommlDelimited("{", "", ommlMatrix(rows, style, @["left"]))
+  of nkArray:
+    ommlMatrix(node.arrayRows, style, arrayAligns(node.arrayAlignment))
+  of nkFunction:
+    let name = run(node.funcName, upright(style))
+    if node.funcArg == nil: name
+    else: el("func", el("fName", name) & arg("e", node.funcArg, style))
+  of nkBigOp:
+    ommlBigOp(node, style)
+  of nkUnderOver:
+    ommlUnderOver(ommlNode(node.underoverBase, style), node.underoverUnder,
+      node.underoverOver, style)
+  of nkStackrel:
+    ommlUnderOver(ommlNode(node.stackrelBase, style), nil, node.stackrelAbove, style)
+  of nkNum:
+    run(node.numStr, style)
+  of nkSIUnit:
+    ommlUnits(node, style)
+  of nkSIValue:
+    ommlSIValue(node, style)
+  of nkChemical:
+    ommlNode(node.chemicalExpr, style)
+  of nkError:
+    run((if node.errorSource.len > 0: node.errorSource else: "?"), upright(style), normalText = true)
+
+# Main generation function
+
+proc generateOMML*(ast: AstNode, display: bool = false): string =
+  ## Generate an OMML equation from an AST
+  ##
+  ## The result is an <m:oMath> element, or an <m:oMathPara> paragraph
+  ## holding one for display math, declaring the math namespace so it can
+  ## be pasted into a w:p of document.xml as is.
+  let content = ommlNode(ast, RunStyle())
+  if display:
+    "<m:oMathPara xmlns:m=\"" & ommlNamespace & "\">" & el("oMath", content) & "</m:oMathPara>"
+  else:
+    "<m:oMath xmlns:m=\"" & ommlNamespace & "\">" & content & "</m:oMath>"
@@ -3,9 +3,11 @@
 ## This module implements a recursive descent parser that converts
 ## tokens into an AST.
 
-import error_handling, ast, lexer, macros as macro_module
+import error_handling, ast, lexer, colors, macros as macro_module
 import tables, strutils
 
+const fboxSep = "3pt"  ## Space LaTeX leaves around the content of \fbox and \colorbox
+
 # Command registry - maps command names to their properties
 
 type
@@ -13,14 +15,157 @@ type
     ctFrac, ctBinomial, ctSqrt, ctGreek, ctOperator, ctStyle, ctMathStyle, ctAccent,
     ctBigOp, ctFunction, ctDelimiter, ctSizedDelimiter, ctMatrix, ctText, ctSpace, ctColor, ctPhantom,
     ctSIunitx, ctSIUnit, ctSIPrefix, ctSIUnitOp, ctMacroDef, ctInfixFrac,
-    ctOperatorName, ctBmod, ctPmod, ctOverUnder, ctMathSize, ctChemical, ctLabel
+    ctOperatorName, ctBmod, ctPmod, ctOverUnder, ctMathSize, ctChemical, ctLabel, ctEnclose, ctBox,
+    ctTag
 
   CommandInfo = object
     cmdType: CommandType
     numArgs: int  # Number of required arguments
 
-# Module-level macro registry
-var globalMacroRegistry* = macro_module.newMacroRegistry()
+  ParseContext* = ref object
+    ## Parser state that outlives a single conversion
+    ##
+    ## Each context owns its macro registry, so macros defined in one
+    ## context never leak into conversions that use another.
+    macros*: macro_module.MacroRegistry
+    preamble: macro_module.MacroRegistry  ## Macros restored by resetMacros()
+    recover*: bool                        ## Turn unparseable constructs into error nodes
+    recoveredErrors*: seq[CompileError]   ## Errors recovered from in the last parse
+    diagnostics*: seq[Diagnostic]         ## Warnings and notes from the last parse
+    displayMath*: bool                    ## The input is display math, so \tag may tag the whole formula
+    source: string                        ## Source of the current parse (for error nodes)
+    inDisplayRow: bool                    ## Inside a row of a display environment
+    rowTag: RowTag                        ## \tag, \notag and \label of that row
+    inDisplayFormula: bool                ## In display math outside any environment
+
+proc newParseContext*(): ParseContext =
+  ## Create a context with an empty macro registry
+  ParseContext(
+    macros: macro_module.newMacroRegistry(),
+    preamble: macro_module.newMacroRegistry()
+  )
+
+proc resetMacros*(ctx: ParseContext) =
+  ## Drop macros defined by conversions, keeping the preamble definitions
+  ctx.macros = ctx.preamble
+
+proc snapshot*(ctx: ParseContext): ParseContext =
+  ## Snapshot a context; later definitions in either copy don't affect the other
+  ParseContext(macros: ctx.macros, preamble: ctx.preamble)
+
+proc markSpan(node: AstNode, start: int, stream: TokenStream) =
+  ## Record the source span of a node that starts at byte offset start and
+  ## ends with the last token consumed from stream
+  ## Nodes that already have a span keep it, since inner spans are more precise
+  if node.isNil or node.hasSpan or start < 0:
+    return
+  if stream.position > 0 and stream.position <= stream.tokens.len:
+    node.setSpan(start, stream.tokens[stream.position - 1].endPosition)
+
+proc lastEnd(stream: TokenStream): int =
+  ## End position of the last consumed token
+  if stream.position > 0 and stream.position <= stream.tokens.len:
+    stream.tokens[stream.position - 1].endPosition
+  else:
+    0
+
+proc report(ctx: ParseContext, severity: Severity, code, message: string, start: int, stream: TokenStream) =
+  ## Record a non-fatal diagnostic for the source from start to the last
+  ## consumed token
+  ctx.diagnostics.add(newDiagnostic(severity, code, message, start, max(start, stream.lastEnd)))
+
+# Error recovery helpers
+
+proc skipBalanced(stream: var TokenStream, open, close: TokenKind) =
+  ## Skip tokens up to and including the one that closes an open group
+  var depth = 1
+  while not stream.isAtEnd() and depth > 0:
+    let t = stream.advance()
+    if t.kind == open:
+      inc depth
+    elif t.kind == close:
+      dec depth
+
+proc skipCommandPair(stream: var TokenStream, open, close: string) =
+  ## Skip tokens up to and including the command that closes an open
+  ## \begin or \left
+  var depth = 1
+  while not stream.isAtEnd() and depth > 0:
+    let t = stream.advance()
+    if t.kind == tkCommand:
+      if t.value == open:
+        inc depth
+      elif t.value == close:
+        dec depth
+
+proc skipConstruct(stream: var TokenStream) =
+  ## Skip the construct starting at the current token: a group, an
+  ## environment, a \left...\right pair, or a command with its arguments
+  let first = stream.advance()
+  case first.kind
+  of tkLeftBrace:
+    stream.skipBalanced(tkLeftBrace, tkRightBrace)
+  of tkLeftParen:
+    stream.skipBalanced(tkLeftParen, tkRightParen)
+  of tkLeftBracket:
+    stream.skipBalanced(tkLeftBracket, tkRightBracket)
+  of tkCommand:
+    if first.value == "begin":
+      stream.skipCommandPair("begin", "end")
+      # The environment name after \end
+      if stream.consume(tkLeftBrace):
+        stream.skipBalanced(tkLeftBrace, tkRightBrace)
+    elif first.value == "left":
+      stream.skipCommandPair("left", "right")
+      # The delimiter after \right
+      if not stream.isAtEnd():
+        discard stream.advance()
+    else:
+      # Arguments of the command
+      while stream.match(tkLeftBrace) or stream.match(tkLeftBracket):
+        if stream.advance().kind == tkLeftBrace:
+          stream.skipBalanced(tkLeftBrace, tkRightBrace)
+        else:
+          stream.skipBalanced(tkLeftBracket, tkRightBracket)
+  else:
+    discard
+
+proc consumedSource(ctx: ParseContext, stream: TokenStream, startIndex: int): string =
+  ## Get the source text of the tokens consumed since startIndex
+  if startIndex >= stream.position:
+    return ""
+  let first = stream.tokens[startIndex]
+  let last = stream.tokens[stream.position - 1]
+  if first.position >= 0 and first.position < last.endPosition and
+     last.endPosition <= ctx.source.len:
+    return ctx.source[first.position ..< last.endPosition]
+
+  # No source text available (parsing pre-lexed tokens): rebuild it
+  for i in startIndex ..< stream.position:
+    let t = stream.tokens[i]
+    if t.kind == tkCommand:
+      result.add("\\")
+    result.add(t.value)
+
+proc consumedText(stream: TokenStream, startIndex: int): string =
+  ## Rebuild the text of the tokens consumed since startIndex from their
+  ## values; unlike consumedSource this reads what tokens from a macro
+  ## expansion stand for. A gap between two tokens becomes one space.
+  for i in startIndex ..< stream.position:
+    let t = stream.tokens[i]
+    if i > startIndex and t.position > stream.tokens[i - 1].endPosition:
+      result.add(" ")
+    if t.kind == tkCommand:
+      result.add("\\")
+    result.add(t.value)
+
+proc recoverFrom(stream: var TokenStream, ctx: ParseContext, startIndex: int, error: CompileError): AstNode =
+  ## Skip the construct that failed to parse and return an error node for it
+  ctx.recoveredErrors.add(error)
+  stream.position = startIndex
+  if not stream.isAtEnd():
+    stream.skipConstruct()
+  newErrorNode(consumedSource(ctx, stream, startIndex), error.message)
 
 # Build command table
 
@@ -510,9 +655,28 @@ proc initCommandTable(): Table[string, CommandInfo] =
   # Phantom elements
   result["mathstrut"] = CommandInfo(cmdType: ctPhantom, numArgs: 0)
 
+  # Cancellation (cancel and ulem packages)
+  result["cancel"] = CommandInfo(cmdType: ctEnclose, numArgs: 1)
+  result["bcancel"] = CommandInfo(cmdType: ctEnclose, numArgs: 1)
+  result["xcancel"] = CommandInfo(cmdType: ctEnclose, numArgs: 1)
+  result["sout"] = CommandInfo(cmdType: ctEnclose, numArgs: 1)
+  result["cancelto"] = CommandInfo(cmdType: ctEnclose, numArgs: 2)  # \cancelto{value}{expr}
+
+  # Boxes (\fbox, \colorbox and \fcolorbox take text; \boxed and \bbox take math)
+  result["boxed"] = CommandInfo(cmdType: ctBox, numArgs: 1)
+  result["fbox"] = CommandInfo(cmdType: ctBox, numArgs: 1)
+  result["colorbox"] = CommandInfo(cmdType: ctBox, numArgs: 2)  # \colorbox{background}{text}
+  result["fcolorbox"] = CommandInfo(cmdType: ctBox, numArgs: 3)  # \fcolorbox{frame}{background}{text}
+  result["bbox"] = CommandInfo(cmdType: ctBox, numArgs: 1)  # \bbox[options]{expr}
+
   # Label (consumed but produces no output)
   result["label"] = CommandInfo(cmdType: ctLabel, numArgs: 1)
 
+  # Equation numbers of display environment rows
+  result["tag"] = CommandInfo(cmdType: ctTag, numArgs: 1)  # \tag{text}, \tag*{text}
+  result["notag"] = CommandInfo(cmdType: ctTag, numArgs: 0)
+  result["nonumber"] = CommandInfo(cmdType: ctTag, numArgs: 0)
+
   # Accents
   result["hat"] = CommandInfo(cmdType: ctAccent, numArgs: 1)
   result["bar"] = CommandInfo(cmdType: ctAccent, numArgs: 1)
@@ -740,11 +904,13 @@ let commandTable = initCommandTable()
 
 # Forward declarations
 
-proc parseExpression(stream: var TokenStream): Result[AstNode]
-proc parsePrimary(stream: var TokenStream): Result[AstNode]
-proc parseGroup(stream: var TokenStream): Result[AstNode]
-proc parseMatrixEnvironment(stream: var TokenStream, matrixType: string): Result[AstNode]
-proc parseRestOfGroup(stream: var TokenStream): Result[AstNode]
+proc parseExpression(stream: var TokenStream, ctx: ParseContext): Result[AstNode]
+proc parsePrimary(stream: var TokenStream, ctx: ParseContext): Result[AstNode]
+proc parseGroup(stream: var TokenStream, ctx: ParseContext): Result[AstNode]
+proc parseMatrixEnvironment(stream: var TokenStream, matrixType: string, ctx: ParseContext): Result[AstNode]
+proc parseArrayEnvironment(stream: var TokenStream, ctx: ParseContext, position: int): Result[AstNode]
+proc parseAlignatEnvironment(stream: var TokenStream, envName: string, ctx: ParseContext, position: int): Result[AstNode]
+proc parseRestOfGroup(stream: var TokenStream, ctx: ParseContext): Result[AstNode]
 
 # Greek letter to Unicode mapping
 
@@ -1746,8 +1912,9 @@ proc parseChemicalExpr(stream: var TokenStream): Result[AstNode] =
     return ok(newRow(children))
 
 # Helper: Parse SI unit expression
-proc parseSIUnitExpr(stream: var TokenStream): Result[AstNode] =
+proc parseSIUnitExpr(stream: var TokenStream, ctx: ParseContext): Result[AstNode] =
   ## Parse a unit expression like \meter\per\second or \kilo\meter
+  ## Units that are not recognised are reported as warnings
   var numerator: seq[SIUnitComponent] = @[]
   var denominator: seq[SIUnitComponent] = @[]
   var inDenominator = false
@@ -1827,9 +1994,11 @@ proc parseSIUnitExpr(stream: var TokenStream): Result[AstNode] =
         else:
           # Non-unit command in unit expression, skip
           discard stream.advance()
+          ctx.report(sevWarning, "unknown_unit", "Ignored command in unit: \\" & cmdName, token.position, stream)
       else:
         # Unknown command, skip
         discard stream.advance()
+        ctx.report(sevWarning, "unknown_unit", "Unknown unit: \\" & cmdName, token.position, stream)
     else:
       # Non-command token - could be shorthand notation
       # Collect all text until right brace (including operators, numbers, ^, {, })
@@ -1858,6 +2027,10 @@ proc parseSIUnitExpr(stream: var TokenStream): Result[AstNode] =
       # If we collected text, try to parse it as shorthand notation
       if shorthandStr.len > 0:
         let (shortNum, shortDenom) = parseShorthandUnits(shorthandStr)
+        for component in shortNum & shortDenom:
+          if component.unit == ukCustom:
+            ctx.report(sevWarning, "unknown_unit",
+              "Unknown unit: " & component.customUnit & " (rendered as text)", token.position, stream)
         numerator.add(shortNum)
         denominator.add(shortDenom)
         break  # Shorthand notation replaces the entire unit expression
@@ -1866,7 +2039,7 @@ proc parseSIUnitExpr(stream: var TokenStream): Result[AstNode] =
 
 # Macro-related helper functions
 
-proc parseMacroDef(stream: var TokenStream, cmdName: string, position: int): Result[bool] =
+proc parseMacroDef(stream: var TokenStream, cmdName: string, position: int, ctx: ParseContext): Result[bool] =
   ## Parse \def or \newcommand and register the macro
   ## Returns ok(true) if macro was successfully defined
   ## This does NOT return an AST node because macro definitions don't produce output
@@ -1904,7 +2077,7 @@ proc parseMacroDef(stream: var TokenStream, cmdName: string, position: int): Res
         discard stream.advance()
 
     # Register the macro (assumes no arguments for \def)
-    macro_module.defineMacro(globalMacroRegistry, macroName, 0, body)
+    macro_module.defineMacro(ctx.macros, macroName, 0, body)
     return ok(true)
 
   elif cmdName == "newcommand":
@@ -1966,13 +2139,13 @@ proc parseMacroDef(stream: var TokenStream, cmdName: string, position: int): Res
         discard stream.advance()
 
     # Register the macro
-    macro_module.defineMacro(globalMacroRegistry, macroName, numArgs, body)
+    macro_module.defineMacro(ctx.macros, macroName, numArgs, body)
     return ok(true)
 
   else:
     return err[bool](ekInvalidCommand, "Unknown macro definition command: \\" & cmdName, position)
 
-proc expandMacroInStream(stream: var TokenStream, macroName: string, macroDef: macro_module.MacroDefinition): Result[seq[Token]] =
+proc expandMacroInStream(stream: var TokenStream, macroName: string, macroDef: macro_module.MacroDefinition, ctx: ParseContext): Result[seq[Token]] =
   ## Expand a macro by parsing its arguments and substituting them in the body
   ## Returns the expanded tokens
 
@@ -2006,10 +2179,164 @@ proc expandMacroInStream(stream: var TokenStream, macroName: string, macroDef: m
     args.add(argTokens)
 
   # Expand the macro
-  let expandedTokens = macro_module.expandMacro(globalMacroRegistry, macroDef, args)
+  let expandedTokens = macro_module.expandMacro(ctx.macros, macroDef, args)
   return ok(expandedTokens)
 
-proc parsePrimary(stream: var TokenStream): Result[AstNode] =
+proc parseTextArgument(stream: var TokenStream, command: string, position: int): Result[AstNode] =
+  ## Parse the {content} of \text and other text-mode commands - content
+  ## is literal text, not math
+  let braceResult = stream.expect(tkLeftBrace)
+  if not braceResult.isOk:
+    return err[AstNode](ekMismatchedBraces, "Expected { after \\" & command, position)
+
+  # Collect all tokens until right brace as text
+  # We need to preserve whitespace, so we build text with spaces between tokens
+  var textContent = ""
+  var lastPos = braceResult.value.position + 1  # Position after {
+  while not stream.match(tkRightBrace) and not stream.isAtEnd():
+    let textToken = stream.peek()
+
+    # Add spaces for gaps between last position and current token
+    let gap = textToken.position - lastPos
+    if gap > 0:
+      textContent.add(" ".repeat(gap))
+
+    discard stream.advance()
+    case textToken.kind
+    of tkIdentifier, tkNumber:
+      textContent.add(textToken.value)
+      lastPos = textToken.position + textToken.value.len
+    of tkOperator:
+      textContent.add(textToken.value)
+      lastPos = textToken.position + textToken.value.len
+    of tkLeftParen:
+      textContent.add("(")
+      lastPos = textToken.position + 1
+    of tkRightParen:
+      textContent.add(")")
+      lastPos = textToken.position + 1
+    of tkLeftBracket:
+      textContent.add("[")
+      lastPos = textToken.position + 1
+    of tkRightBracket:
+      textContent.add("]")
+      lastPos = textToken.position + 1
+    of tkCommand:
+      # Handle commands in text mode
+      # For style commands like \textsf, we need to recursively parse them
+      let cmdName = textToken.value
+      if commandTable.hasKey(cmdName) and commandTable[cmdName].cmdType == ctStyle:
+        # Command token already consumed by line 2126, now parse the styled content
+        # Parse the argument in braces
+        if stream.match(tkLeftBrace):
+          discard stream.advance()  # consume {
+          var styledContent = ""
+          while not stream.match(tkRightBrace) and not stream.isAtEnd():
+            let innerToken = stream.advance()
+            case innerToken.kind
+            of tkIdentifier, tkNumber:
+              styledContent.add(innerToken.value)
+            of tkOperator:
+              styledContent.add(innerToken.value)
+            else:
+              styledContent.add(innerToken.value)
+
+          if stream.match(tkRightBrace):
+            discard stream.advance()  # consume }
+            textContent.add(styledContent)
+            if not stream.isAtEnd():
+              lastPos = stream.peek().position
+        else:
+          # No braces, just add as text
+          textContent.add("\\")
+          textContent.add(cmdName)
+          lastPos = textToken.position + 1 + cmdName.len
+      else:
+        # For non-style commands, just add as text
+        textContent.add("\\")
+        textContent.add(textToken.value)
+        lastPos = textToken.position + 1 + textToken.value.len
+    else:
+      # For other tokens, just add their value
+      textContent.add(textToken.value)
+      lastPos = textToken.position + textToken.value.len
+
+  # Check for trailing whitespace before closing brace
+  if stream.match(tkRightBrace):
+    let closeBrace = stream.peek()
+    let trailingGap = closeBrace.position - lastPos
+    if trailingGap > 0:
+      textContent.add(" ".repeat(trailingGap))
+
+  let closeResult = stream.expect(tkRightBrace)
+  if not closeResult.isOk:
+    return err[AstNode](ekMismatchedBraces, "Expected } after text content", position)
+
+  return ok(newText(textContent))
+
+proc parseColorName(stream: var TokenStream, ctx: ParseContext, command: string, position: int): Result[string] =
+  ## Parse the {color} argument of \textcolor and other color commands,
+  ## warning about names that are not known colors
+  let braceResult = stream.expect(tkLeftBrace)
+  if not braceResult.isOk:
+    return err[string](ekMismatchedBraces, "Expected { after \\" & command, position)
+
+  var colorName = ""
+  while not stream.match(tkRightBrace) and not stream.isAtEnd():
+    let colorToken = stream.advance()
+    colorName.add(colorToken.value)
+
+  let closeResult = stream.expect(tkRightBrace)
+  if not closeResult.isOk:
+    return err[string](ekMismatchedBraces, "Expected } after color name", position)
+  if not isKnownColor(colorName):
+    ctx.report(sevWarning, "unknown_color", "Unknown color: " & colorName, position, stream)
+
+  ok(colorName)
+
+proc parseBbox(stream: var TokenStream, ctx: ParseContext, position: int): Result[AstNode] =
+  ## Parse \bbox[options]{expr}, whose comma-separated options are a
+  ## background color, a padding and a border such as "border: 1px solid red"
+  var options = ""
+  if stream.match(tkLeftBracket):
+    discard stream.advance()
+    var lastEnd = -1
+    while not stream.match(tkRightBracket) and not stream.isAtEnd():
+      let optionToken = stream.advance()
+      if lastEnd >= 0 and optionToken.position > lastEnd:
+        options.add(" ")
+      options.add(optionToken.value)
+      lastEnd = optionToken.endPosition
+    let closeResult = stream.expect(tkRightBracket)
+    if not closeResult.isOk:
+      return err[AstNode](ekMismatchedBraces, "Expected ] after \\bbox options", position)
+
+  var frame = false
+  var frameColor, background, padding = ""
+  for item in options.split(','):
+    let option = item.strip()
+    if option.len == 0:
+      continue
+    if option.toLowerAscii().startsWith("border"):
+      # Only the color of the border is kept; its width and style are fixed
+      frame = true
+      for word in option.split({':', ' '}):
+        if word.len > 0 and isKnownColor(word):
+          frameColor = word
+    elif option[0] in {'0' .. '9', '.'}:
+      padding = option.replace(" ", "")
+    else:
+      background = option
+      if not isKnownColor(option):
+        ctx.report(sevWarning, "unknown_color", "Unknown color: " & option, position, stream)
+
+  let baseResult = parseGroup(stream, ctx)
+  if not baseResult.isOk:
+    return err[AstNode](baseResult.error)
+  ok(newBox(baseResult.value, frame = frame, frameColor = frameColor,
+    background = background, padding = padding))
+
+proc parsePrimaryNode(stream: var TokenStream, ctx: ParseContext): Result[AstNode] =
   ## Parse a primary expression (atom)
   let token = stream.peek()
 
@@ -2028,11 +2355,11 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
     return ok(newOperator(token.value, unicode))
 
   of tkLeftBrace:
-    return parseGroup(stream)
+    return parseGroup(stream, ctx)
 
   of tkLeftParen:
     discard stream.advance()
-    let exprResult = parseExpression(stream)
+    let exprResult = parseExpression(stream, ctx)
     if not exprResult.isOk:
       return err[AstNode](exprResult.error)
     let closeResult = stream.expect(tkRightParen)
@@ -2042,7 +2369,7 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
 
   of tkLeftBracket:
     discard stream.advance()
-    let exprResult = parseExpression(stream)
+    let exprResult = parseExpression(stream, ctx)
     if not exprResult.isOk:
       return err[AstNode](exprResult.error)
     let closeResult = stream.expect(tkRightBracket)
@@ -2060,11 +2387,26 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
 
       case cmdInfo.cmdType
       of ctFrac:
+        # \cfrac[l]{..}{..} and \cfrac[r]{..}{..} align the numerator;
+        # MathML Core has no numerator alignment, so it is centred
+        if cmdName == "cfrac" and stream.match(tkLeftBracket):
+          discard stream.advance()
+          var alignment = ""
+          while not stream.match(tkRightBracket) and not stream.isAtEnd():
+            alignment.add(stream.advance().value)
+          let closeResult = stream.expect(tkRightBracket)
+          if not closeResult.isOk:
+            return err[AstNode](ekMismatchedBraces, "Expected ] after \\cfrac alignment", token.position)
+          if alignment != "c":
+            ctx.report(sevWarning, "unsupported_option",
+              "\\cfrac alignment [" & alignment & "] is not supported; the numerator is centred",
+              token.position, stream)
+
         # Parse numerator and denominator
-        let numResult = parseGroup(stream)
+        let numResult = parseGroup(stream, ctx)
         if not numResult.isOk:
           return err[AstNode](numResult.error)
-        let denomResult = parseGroup(stream)
+        let denomResult = parseGroup(stream, ctx)
         if not denomResult.isOk:
           return err[AstNode](denomResult.error)
         # \cfrac is a continued fraction that should maintain display style
@@ -2077,10 +2419,10 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
 
       of ctBinomial:
         # Parse top and bottom of binomial coefficient
-        let topResult = parseGroup(stream)
+        let topResult = parseGroup(stream, ctx)
         if not topResult.isOk:
           return err[AstNode](topResult.error)
-        let bottomResult = parseGroup(stream)
+        let bottomResult = parseGroup(stream, ctx)
         if not bottomResult.isOk:
           return err[AstNode](bottomResult.error)
         # Determine display style
@@ -2091,10 +2433,10 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
 
       of ctOverUnder:
         # Parse \overset{above}{base} or \underset{below}{base}
-        let firstResult = parseGroup(stream)
+        let firstResult = parseGroup(stream, ctx)
         if not firstResult.isOk:
           return err[AstNode](firstResult.error)
-        let secondResult = parseGroup(stream)
+        let secondResult = parseGroup(stream, ctx)
         if not secondResult.isOk:
           return err[AstNode](secondResult.error)
         # For \overset, first arg goes over (nil under), for \underset, first arg goes under (nil over)
@@ -2107,18 +2449,18 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
         # Check for optional argument [n] for nth root
         if stream.match(tkLeftBracket):
           discard stream.advance()
-          let indexResult = parseExpression(stream)
+          let indexResult = parseExpression(stream, ctx)
           if not indexResult.isOk:
             return err[AstNode](indexResult.error)
           let closeResult = stream.expect(tkRightBracket)
           if not closeResult.isOk:
             return err[AstNode](closeResult.error)
-          let baseResult = parseGroup(stream)
+          let baseResult = parseGroup(stream, ctx)
           if not baseResult.isOk:
             return err[AstNode](baseResult.error)
           return ok(newRoot(baseResult.value, indexResult.value))
         else:
-          let baseResult = parseGroup(stream)
+          let baseResult = parseGroup(stream, ctx)
           if not baseResult.isOk:
             return err[AstNode](baseResult.error)
           return ok(newSqrt(baseResult.value))
@@ -2145,7 +2487,7 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
           of "textsf": skSansSerif
           else: skRoman
 
-        let argResult = parseGroup(stream)
+        let argResult = parseGroup(stream, ctx)
         if not argResult.isOk:
           return err[AstNode](argResult.error)
         return ok(newStyle(styleKind, argResult.value))
@@ -2159,7 +2501,7 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
           else: mskTextstyle
 
         # Parse the rest of the current group (declaration-style command)
-        let argResult = parseRestOfGroup(stream)
+        let argResult = parseRestOfGroup(stream, ctx)
         if not argResult.isOk:
           return err[AstNode](argResult.error)
         return ok(newMathStyle(mathStyleKind, argResult.value))
@@ -2172,7 +2514,7 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
           else: mszkNormal
 
         # Parse the rest of the current group (declaration-style command)
-        let argResult = parseRestOfGroup(stream)
+        let argResult = parseRestOfGroup(stream, ctx)
         if not argResult.isOk:
           return err[AstNode](argResult.error)
         return ok(newMathSize(mathSizeKind, argResult.value))
@@ -2181,15 +2523,101 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
         # Phantom elements like \mathstrut have no arguments
         return ok(newPhantom())
 
+      of ctEnclose:
+        # \cancelto{value}{expr} takes the value its arrow points to first
+        var to: AstNode = nil
+        if cmdName == "cancelto":
+          let toResult = parseGroup(stream, ctx)
+          if not toResult.isOk:
+            return err[AstNode](toResult.error)
+          to = toResult.value
+        let baseResult = parseGroup(stream, ctx)
+        if not baseResult.isOk:
+          return err[AstNode](baseResult.error)
+        let encloseKind = case cmdName
+          of "bcancel": encDownDiagonalStrike
+          of "xcancel": encBothDiagonalStrike
+          of "sout": encHorizontalStrike
+          else: encUpDiagonalStrike
+        return ok(newEnclose(encloseKind, baseResult.value, to))
+
+      of ctBox:
+        case cmdName
+        of "boxed":
+          let baseResult = parseGroup(stream, ctx)
+          if not baseResult.isOk:
+            return err[AstNode](baseResult.error)
+          return ok(newBox(baseResult.value, frame = true, padding = fboxSep))
+        of "bbox":
+          return parseBbox(stream, ctx, token.position)
+        else:
+          # \fbox{text}, \colorbox{background}{text} and \fcolorbox{frame}{background}{text}
+          var frameColor, background = ""
+          if cmdName == "fcolorbox":
+            let frameResult = parseColorName(stream, ctx, cmdName, token.position)
+            if not frameResult.isOk:
+              return err[AstNode](frameResult.error)
+            frameColor = frameResult.value
+          if cmdName != "fbox":
+            let backgroundResult = parseColorName(stream, ctx, cmdName, token.position)
+            if not backgroundResult.isOk:
+              return err[AstNode](backgroundResult.error)
+            background = backgroundResult.value
+          let textResult = parseTextArgument(stream, cmdName, token.position)
+          if not textResult.isOk:
+            return textResult
+          return ok(newBox(textResult.value, frame = cmdName != "colorbox", frameColor = frameColor,
+            background = background, padding = fboxSep))
+
       of ctLabel:
-        # Label command - consume the argument but produce no output
-        # Used for equation/section labels in LaTeX, not relevant for MathML rendering
-        let argResult = parseGroup(stream)
-        if not argResult.isOk:
-          return err[AstNode](argResult.error)
+        # Label command - produces no output. In a row of a display
+        # environment it names the row's equation number; elsewhere it
+        # is ignored
+        let braceResult = stream.expect(tkLeftBrace)
+        if not braceResult.isOk:
+          return err[AstNode](ekMismatchedBraces, "Expected { after \\label", token.position)
+        let nameStart = stream.position
+        while not stream.match(tkRightBrace) and not stream.isAtEnd():
+          discard stream.advance()
+        let name = consumedText(stream, nameStart).strip()
+        let closeResult = stream.expect(tkRightBrace)
+        if not closeResult.isOk:
+          return err[AstNode](ekMismatchedBraces, "Expected } after \\label name", token.position)
+        if not ctx.inDisplayRow:
+          ctx.report(sevInfo, "label_ignored", "\\label is ignored; the equation is not numbered",
+            token.position, stream)
+        elif ctx.rowTag.label.len > 0:
+          return err[AstNode](ekInvalidArgument, "Multiple \\label in one row", token.position)
+        else:
+          ctx.rowTag.label = name
         # Return empty row (produces no MathML output)
         return ok(newRow(@[]))
 
+      of ctTag:
+        # \tag, \tag*, \notag and \nonumber set the equation number of
+        # the display environment row they are in, or of the whole formula
+        # in display math
+        if not ctx.inDisplayRow and not ctx.inDisplayFormula:
+          return err[AstNode](ekInvalidCommand, "\\" & cmdName &
+            " is only allowed in display math or a display environment such as align", token.position)
+        if cmdName == "tag":
+          let starred = stream.peek().kind == tkOperator and stream.peek().value == "*"
+          if starred:
+            discard stream.advance()
+          let textResult = parseTextArgument(stream, cmdName, token.position)
+          if not textResult.isOk:
+            return textResult
+          let text = textResult.value.textValue.strip()
+          if text.len == 0:
+            return err[AstNode](ekMissingArgument, "\\tag needs the text of the tag", token.position)
+          if ctx.rowTag.tag.len > 0:
+            return err[AstNode](ekInvalidArgument, "Multiple \\tag in one row", token.position)
+          ctx.rowTag.tag = text
+          ctx.rowTag.starred = starred
+        else:
+          ctx.rowTag.numbered = false
+        return ok(newRow(@[]))
+
       of ctAccent:
         let accentKind = case cmdName
           of "hat": akHat
@@ -2214,7 +2642,7 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
           of "overleftarrow": akOverleftarrow
           else: akHat
 
-        let argResult = parseGroup(stream)
+        let argResult = parseGroup(stream, ctx)
         if not argResult.isOk:
           return err[AstNode](argResult.error)
         return ok(newAccent(accentKind, argResult.value))
@@ -2258,16 +2686,16 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
 
         if stream.match(tkSubscript):
           discard stream.advance()
-          let lowerResult = if stream.match(tkLeftBrace): parseGroup(stream)
-                            else: parsePrimary(stream)
+          let lowerResult = if stream.match(tkLeftBrace): parseGroup(stream, ctx)
+                            else: parsePrimary(stream, ctx)
           if not lowerResult.isOk:
             return err[AstNode](lowerResult.error)
           lower = lowerResult.value
 
         if stream.match(tkSuperscript):
           discard stream.advance()
-          let upperResult = if stream.match(tkLeftBrace): parseGroup(stream)
-                             else: parsePrimary(stream)
+          let upperResult = if stream.match(tkLeftBrace): parseGroup(stream, ctx)
+                             else: parsePrimary(stream, ctx)
           if not upperResult.isOk:
             return err[AstNode](upperResult.error)
           upper = upperResult.value
@@ -2321,7 +2749,7 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
             return err[AstNode](ekInvalidArgument, "Expected delimiter after \\left", delimToken.position)
 
           # Parse the content
-          let contentResult = parseExpression(stream)
+          let contentResult = parseExpression(stream, ctx)
           if not contentResult.isOk:
             return err[AstNode](contentResult.error)
 
@@ -2447,6 +2875,9 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
           if nameToken.kind == tkIdentifier:
             while stream.peek().kind == tkIdentifier and not stream.match(tkRightBrace):
               envName.add(stream.advance().value)
+            # Starred forms: align*, gather*
+            if stream.peek().kind == tkOperator and stream.peek().value == "*":
+              envName.add(stream.advance().value)
           else:
             return err[AstNode](ekInvalidArgument, "Expected environment name after \\begin{", nameToken.position)
 
@@ -2455,9 +2886,13 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
             return err[AstNode](ekMismatchedBraces, "Expected } after environment name", nameToken.position)
 
           # Check if it's a matrix or alignment environment
-          if envName in ["matrix", "pmatrix", "bmatrix", "vmatrix", "Vmatrix", "cases",
-                         "align", "aligned", "gather", "gathered", "equation"]:
-            return parseMatrixEnvironment(stream, envName)
+          if envName == "array":
+            return parseArrayEnvironment(stream, ctx, token.position)
+          elif envName in ["alignat", "alignat*", "alignedat"]:
+            return parseAlignatEnvironment(stream, envName, ctx, token.position)
+          elif envName in ["matrix", "pmatrix", "bmatrix", "vmatrix", "Vmatrix", "cases"] or
+              envName in alignmentEnvironments:
+            return parseMatrixEnvironment(stream, envName, ctx)
           else:
             return err[AstNode](ekInvalidCommand, "Unknown environment: " & envName, token.position)
         else:
@@ -2465,95 +2900,7 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
           return err[AstNode](ekInvalidCommand, "Unexpected \\end command", token.position)
 
       of ctText:
-        # Parse \text{content} - content is literal text, not math
-        let braceResult = stream.expect(tkLeftBrace)
-        if not braceResult.isOk:
-          return err[AstNode](ekMismatchedBraces, "Expected { after \\text", token.position)
-
-        # Collect all tokens until right brace as text
-        # We need to preserve whitespace, so we build text with spaces between tokens
-        var textContent = ""
-        var lastPos = braceResult.value.position + 1  # Position after {
-        while not stream.match(tkRightBrace) and not stream.isAtEnd():
-          let textToken = stream.peek()
-
-          # Add spaces for gaps between last position and current token
-          let gap = textToken.position - lastPos
-          if gap > 0:
-            textContent.add(" ".repeat(gap))
-
-          discard stream.advance()
-          case textToken.kind
-          of tkIdentifier, tkNumber:
-            textContent.add(textToken.value)
-            lastPos = textToken.position + textToken.value.len
-          of tkOperator:
-            textContent.add(textToken.value)
-            lastPos = textToken.position + textToken.value.len
-          of tkLeftParen:
-            textContent.add("(")
-            lastPos = textToken.position + 1
-          of tkRightParen:
-            textContent.add(")")
-            lastPos = textToken.position + 1
-          of tkLeftBracket:
-            textContent.add("[")
-            lastPos = textToken.position + 1
-          of tkRightBracket:
-            textContent.add("]")
-            lastPos = textToken.position + 1
-          of tkCommand:
-            # Handle commands in text mode
-            # For style commands like \textsf, we need to recursively parse them
-            let cmdName = textToken.value
-            if commandTable.hasKey(cmdName) and commandTable[cmdName].cmdType == ctStyle:
-              # Command token already consumed by line 2126, now parse the styled content
-              # Parse the argument in braces
-              if stream.match(tkLeftBrace):
-                discard stream.advance()  # consume {
-                var styledContent = ""
-                while not stream.match(tkRightBrace) and not stream.isAtEnd():
-                  let innerToken = stream.advance()
-                  case innerToken.kind
-                  of tkIdentifier, tkNumber:
-                    styledContent.add(innerToken.value)
-                  of tkOperator:
-                    styledContent.add(innerToken.value)
-                  else:
-                    styledContent.add(innerToken.value)
-
-                if stream.match(tkRightBrace):
-                  discard stream.advance()  # consume }
-                  textContent.add(styledContent)
-                  if not stream.isAtEnd():
-                    lastPos = stream.peek().position
-              else:
-                # No braces, just add as text
-                textContent.add("\\")
-                textContent.add(cmdName)
-                lastPos = textToken.position + 1 + cmdName.len
-            else:
-              # For non-style commands, just add as text
-              textContent.add("\\")
-              textContent.add(textToken.value)
-              lastPos = textToken.position + 1 + textToken.value.len
-          else:
-            # For other tokens, just add their value
-            textContent.add(textToken.value)
-            lastPos = textToken.position + textToken.value.len
-
-        # Check for trailing whitespace before closing brace
-        if stream.match(tkRightBrace):
-          let closeBrace = stream.peek()
-          let trailingGap = closeBrace.position - lastPos
-          if trailingGap > 0:
-            textContent.add(" ".repeat(trailingGap))
-
-        let closeResult = stream.expect(tkRightBrace)
-        if not closeResult.isOk:
-          return err[AstNode](ekMismatchedBraces, "Expected } after text content", token.position)
-
-        return ok(newText(textContent))
+        return parseTextArgument(stream, cmdName, token.position)
 
       of ctSpace:
         # Parse spacing commands
@@ -2571,7 +2918,7 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
 
       of ctOperatorName:
         # \operatorname{name} - creates a custom operator name
-        let nameResult = parseGroup(stream)
+        let nameResult = parseGroup(stream, ctx)
         if not nameResult.isOk:
           return err[AstNode](nameResult.error)
 
@@ -2600,7 +2947,7 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
       of ctPmod:
         # \pmod{m} - parenthesized modulo
         # Creates: (mod m) with appropriate spacing
-        let argResult = parseGroup(stream)
+        let argResult = parseGroup(stream, ctx)
         if not argResult.isOk:
           return err[AstNode](argResult.error)
 
@@ -2619,21 +2966,13 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
         if cmdName == "textcolor":
           # \textcolor{color}{content}
           # First argument: color name
-          let colorBraceResult = stream.expect(tkLeftBrace)
-          if not colorBraceResult.isOk:
-            return err[AstNode](ekMismatchedBraces, "Expected { after \\textcolor", token.position)
-
-          var colorName = ""
-          while not stream.match(tkRightBrace) and not stream.isAtEnd():
-            let colorToken = stream.advance()
-            colorName.add(colorToken.value)
-
-          let colorCloseResult = stream.expect(tkRightBrace)
-          if not colorCloseResult.isOk:
-            return err[AstNode](ekMismatchedBraces, "Expected } after color name", token.position)
+          let colorResult = parseColorName(stream, ctx, cmdName, token.position)
+          if not colorResult.isOk:
+            return err[AstNode](colorResult.error)
+          let colorName = colorResult.value
 
           # Second argument: content to color
-          let contentResult = parseGroup(stream)
+          let contentResult = parseGroup(stream, ctx)
           if not contentResult.isOk:
             return err[AstNode](contentResult.error)
 
@@ -2641,21 +2980,13 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
 
         else:  # \color{color}
           # \color{color} - colors all following content
-          let colorBraceResult = stream.expect(tkLeftBrace)
-          if not colorBraceResult.isOk:
-            return err[AstNode](ekMismatchedBraces, "Expected { after \\color", token.position)
-
-          var colorName = ""
-          while not stream.match(tkRightBrace) and not stream.isAtEnd():
-            let colorToken = stream.advance()
-            colorName.add(colorToken.value)
-
-          let colorCloseResult = stream.expect(tkRightBrace)
-          if not colorCloseResult.isOk:
-            return err[AstNode](ekMismatchedBraces, "Expected } after color name", token.position)
+          let colorResult = parseColorName(stream, ctx, cmdName, token.position)
+          if not colorResult.isOk:
+            return err[AstNode](colorResult.error)
+          let colorName = colorResult.value
 
           # Parse rest of expression with this color
-          let contentResult = parseExpression(stream)
+          let contentResult = parseExpression(stream, ctx)
           if not contentResult.isOk:
             return err[AstNode](contentResult.error)
 
@@ -2687,7 +3018,7 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
             return err[AstNode](ekMismatchedBraces, "Expected { after \\si", token.position)
 
           # Parse unit expression
-          let unitResult = parseSIUnitExpr(stream)
+          let unitResult = parseSIUnitExpr(stream, ctx)
           if not unitResult.isOk:
             return err[AstNode](unitResult.error)
 
@@ -2719,7 +3050,7 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
             return err[AstNode](ekMismatchedBraces, "Expected { for unit", token.position)
 
           # Parse unit expression
-          let unitResult = parseSIUnitExpr(stream)
+          let unitResult = parseSIUnitExpr(stream, ctx)
           if not unitResult.isOk:
             return err[AstNode](unitResult.error)
 
@@ -2802,7 +3133,7 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
             return err[AstNode](ekMismatchedBraces, "Expected { for unit", token.position)
 
           # Parse unit expression
-          let unitResult = parseSIUnitExpr(stream)
+          let unitResult = parseSIUnitExpr(stream, ctx)
           if not unitResult.isOk:
             return err[AstNode](unitResult.error)
 
@@ -2840,12 +3171,15 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
 
       of ctMacroDef:
         # Handle \def and \newcommand - these don't produce AST nodes
-        let defResult = parseMacroDef(stream, cmdName, token.position)
+        let defResult = parseMacroDef(stream, cmdName, token.position, ctx)
         if not defResult.isOk:
           return err[AstNode](defResult.error)
 
         # Macro definitions don't produce output, so parse the next expression
-        return parsePrimary(stream)
+        # (or produce nothing if the definition ends the expression)
+        if stream.isAtEnd() or stream.match(tkRightBrace):
+          return ok(newRow(@[]))
+        return parsePrimary(stream, ctx)
 
       of ctInfixFrac:
         # Infix fractions (\over, \choose, \atop) are handled in parseExpression
@@ -2866,20 +3200,30 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
         )
     else:
       # Unknown command - check if it's a macro
-      if macro_module.hasMacro(globalMacroRegistry, cmdName):
-        let macroDef = macro_module.getMacro(globalMacroRegistry, cmdName)
+      if macro_module.hasMacro(ctx.macros, cmdName):
+        let macroDef = macro_module.getMacro(ctx.macros, cmdName)
 
         # Expand the macro
-        let expandResult = expandMacroInStream(stream, cmdName, macroDef)
+        let expandResult = expandMacroInStream(stream, cmdName, macroDef, ctx)
         if not expandResult.isOk:
           return err[AstNode](expandResult.error)
 
         # Create a new token stream from the expanded tokens
-        let expandedTokens = expandResult.value
+        # Tokens from the macro body point at the invocation; argument
+        # tokens keep their own positions
+        var expandedTokens = expandResult.value
+        let invocationEnd = stream.tokens[stream.position - 1].endPosition
+        for t in expandedTokens.mitems:
+          if t.position < token.position or t.position >= invocationEnd:
+            t.position = token.position
+            t.endPosition = invocationEnd
         var expandedStream = newTokenStream(expandedTokens)
 
         # Parse the expanded expression (use parseExpression to handle scripts)
-        return parseExpression(expandedStream)
+        return parseExpression(expandedStream, ctx)
+      elif ctx.recover:
+        # Report unknown commands rather than guessing
+        return err[AstNode](invalidCommand("\\" & cmdName, token.position))
       else:
         # Not a macro - treat as identifier
         return ok(newIdentifier(cmdName))
@@ -2888,8 +3232,8 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
     # Leading subscript or superscript (e.g., _2F_3 for hypergeometric functions)
     # Create with empty/phantom base
     discard stream.advance()
-    let scriptResult = if stream.match(tkLeftBrace): parseGroup(stream)
-                       else: parsePrimary(stream)
+    let scriptResult = if stream.match(tkLeftBrace): parseGroup(stream, ctx)
+                       else: parsePrimary(stream, ctx)
     if not scriptResult.isOk:
       return err[AstNode](scriptResult.error)
 
@@ -2903,6 +3247,9 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
   of tkEof:
     return err[AstNode](ekUnexpectedEof, "Unexpected end of input", token.position)
 
+  of tkInvalid:
+    return err[AstNode](ekUnexpectedToken, "Unexpected character: " & token.value, token.position)
+
   else:
     return err[AstNode](
       ekUnexpectedToken,
@@ -2910,13 +3257,72 @@ proc parsePrimary(stream: var TokenStream): Result[AstNode] =
       token.position
     )
 
-proc parseMatrixEnvironment(stream: var TokenStream, matrixType: string): Result[AstNode] =
+proc parsePrimary(stream: var TokenStream, ctx: ParseContext): Result[AstNode] =
+  ## Parse a primary expression and record its source span
+  ##
+  ## In recovery mode a primary that fails to parse becomes an error node,
+  ## so parsing continues after it.
+  let startIndex = stream.position
+  let start = stream.peek().position
+  let errorCount = ctx.recoveredErrors.len
+  result = parsePrimaryNode(stream, ctx)
+  if not result.isOk and ctx.recover:
+    # Errors recovered inside the failed construct are replaced by its own
+    ctx.recoveredErrors.setLen(errorCount)
+    result = ok(recoverFrom(stream, ctx, startIndex, result.error))
+  if result.isOk:
+    markSpan(result.value, start, stream)
+
+proc parseColumnRange(stream: var TokenStream, position: int): Result[(int, int)] =
+  ## Parse the {a-b} of \cline: the first and last columns it spans
+  let braceResult = stream.expect(tkLeftBrace)
+  if not braceResult.isOk:
+    return err[(int, int)](ekMismatchedBraces, "Expected { after \\cline", position)
+  var columns = ""
+  while not stream.match(tkRightBrace) and not stream.isAtEnd():
+    columns.add(stream.advance().value)
+  let closeResult = stream.expect(tkRightBrace)
+  if not closeResult.isOk:
+    return err[(int, int)](ekMismatchedBraces, "Expected } after \\cline columns", position)
+
+  let bounds = columns.split('-')
+  try:
+    let first = parseInt(bounds[0])
+    let last = if bounds.len == 2: parseInt(bounds[1]) else: first
+    if bounds.len <= 2 and first >= 1 and last >= first:
+      return ok((first, last))
+  except ValueError:
+    discard
+  err[(int, int)](ekInvalidArgument, "Expected columns like {2-3} after \\cline, got {" & columns & "}", position)
+
+proc parseMatrixEnvironment(stream: var TokenStream, matrixType: string, ctx: ParseContext): Result[AstNode] =
   ## Parse a matrix environment: rows separated by \\, columns by &
   var rows: seq[seq[AstNode]] = @[]
   var currentRow: seq[AstNode] = @[]
+  var rules: seq[seq[RowRule]] = @[]
 
   # Check if this is an alignment environment (needs expression-level parsing)
-  let isAlignmentEnv = matrixType in ["align", "aligned", "gather", "gathered", "equation"]
+  let isAlignmentEnv = matrixType in alignmentEnvironments
+
+  # Rows of display environments collect their \tag, \notag and \label;
+  # those of inner environments (aligned in equation) belong to the row
+  # the environment is in
+  let hasTags = isAlignmentEnv and matrixType notin innerEnvironments
+  let autoNumbered = matrixType in numberedEnvironments
+  var tags: seq[RowTag] = @[]
+  let outerInDisplayRow = ctx.inDisplayRow
+  let outerRowTag = ctx.rowTag
+  let outerInDisplayFormula = ctx.inDisplayFormula
+  defer:
+    ctx.inDisplayFormula = outerInDisplayFormula
+    if hasTags:
+      ctx.inDisplayRow = outerInDisplayRow
+      ctx.rowTag = outerRowTag
+  if matrixType notin innerEnvironments:
+    ctx.inDisplayFormula = false
+  if hasTags:
+    ctx.inDisplayRow = true
+    ctx.rowTag = RowTag(numbered: autoNumbered)
 
   # Track if we're at the start of a new cell
   var startOfCell = true
@@ -2941,6 +3347,8 @@ proc parseMatrixEnvironment(stream: var TokenStream, matrixType: string): Result
       if nameToken.kind == tkIdentifier:
         while stream.peek().kind == tkIdentifier and not stream.match(tkRightBrace):
           endEnvName.add(stream.advance().value)
+        if stream.peek().kind == tkOperator and stream.peek().value == "*":
+          endEnvName.add(stream.advance().value)
       else:
         return err[AstNode](ekInvalidArgument, "Expected environment name after \\end{", nameToken.position)
 
@@ -2955,18 +3363,63 @@ proc parseMatrixEnvironment(stream: var TokenStream, matrixType: string): Result
       # Save current row if any
       if currentRow.len > 0:
         rows.add(currentRow)
-
-      # Return matrix node
-      return ok(newMatrix(rows, matrixType))
+        if hasTags:
+          tags.add(ctx.rowTag)
+
+      # Return matrix node (the caller fills in an array's columns)
+      if matrixType == "array":
+        return ok(newArray(rows, "", rules = rules))
+      if not hasTags:
+        return ok(newMatrix(rows, matrixType))
+      if matrixType in singleNumberEnvironments and tags.len > 1:
+        # One number for the whole formula, on its last line
+        var merged = RowTag(numbered: autoNumbered)
+        for rowTag in tags:
+          merged.numbered = merged.numbered and rowTag.numbered
+          if merged.tag.len == 0:
+            merged.tag = rowTag.tag
+            merged.starred = rowTag.starred
+          elif rowTag.tag.len > 0:
+            return err[AstNode](ekInvalidArgument, "Multiple \\tag in one " & matrixType, token.position)
+          if merged.label.len == 0:
+            merged.label = rowTag.label
+          elif rowTag.label.len > 0:
+            return err[AstNode](ekInvalidArgument, "Multiple \\label in one " & matrixType, token.position)
+        for i in 0 ..< tags.len - 1:
+          tags[i] = RowTag(numbered: autoNumbered)
+        tags[^1] = merged
+      return ok(newMatrix(rows, matrixType, tags = tags))
+
+    # Horizontal rules in an array go above the row that follows them
+    elif matrixType == "array" and token.kind == tkCommand and
+        token.value in ["hline", "hdashline", "cline"]:
+      discard stream.advance()
+      if currentRow.len > 0:
+        return err[AstNode](ekInvalidArgument, "\\" & token.value & " must start a row", token.position)
+      var rule = RowRule(dashed: token.value == "hdashline")
+      if token.value == "cline":
+        let rangeResult = parseColumnRange(stream, token.position)
+        if not rangeResult.isOk:
+          return err[AstNode](rangeResult.error)
+        rule.first = rangeResult.value[0]
+        rule.last = rangeResult.value[1]
+      while rules.len <= rows.len:
+        rules.add(@[])
+      rules[rows.len].add(rule)
 
     # Check for line break (\\)
     elif token.kind == tkLineBreak:
       discard stream.advance()
 
-      # Save current row
+      # Save current row; a \tag or \label of a row left empty is dropped
+      # with it rather than carried to the next row
       if currentRow.len > 0:
         rows.add(currentRow)
         currentRow = @[]
+        if hasTags:
+          tags.add(ctx.rowTag)
+      if hasTags:
+        ctx.rowTag = RowTag(numbered: autoNumbered)
 
       startOfCell = true
 
@@ -2985,7 +3438,7 @@ proc parseMatrixEnvironment(stream: var TokenStream, matrixType: string): Result
       # For matrices, parse as before (accumulate primaries)
       if isAlignmentEnv:
         # Parse the entire cell expression (stops at & or \\)
-        let cellResult = parseExpression(stream)
+        let cellResult = parseExpression(stream, ctx)
         if not cellResult.isOk:
           # Empty cell is okay - add empty row
           if cellResult.error.kind == ekUnexpectedEof:
@@ -3005,8 +3458,11 @@ proc parseMatrixEnvironment(stream: var TokenStream, matrixType: string): Result
           let t = stream.peek()
           if t.kind in [tkAmpersand, tkLineBreak] or (t.kind == tkCommand and t.value == "end"):
             break
+          if matrixType == "array" and t.kind == tkCommand and t.value in ["hline", "hdashline", "cline"]:
+            break
 
-          let exprResult = parsePrimary(stream)
+          let primStart = stream.peek().position
+          let exprResult = parsePrimary(stream, ctx)
           if not exprResult.isOk:
             return err[AstNode](exprResult.error)
 
@@ -3019,16 +3475,16 @@ proc parseMatrixEnvironment(stream: var TokenStream, matrixType: string): Result
 
             if stream.match(tkSubscript):
               discard stream.advance()
-              let subResult = if stream.match(tkLeftBrace): parseGroup(stream)
-                              else: parsePrimary(stream)
+              let subResult = if stream.match(tkLeftBrace): parseGroup(stream, ctx)
+                              else: parsePrimary(stream, ctx)
               if not subResult.isOk:
                 return err[AstNode](subResult.error)
 
               # Check if followed by superscript
               if stream.match(tkSuperscript):
                 discard stream.advance()
-                let supResult = if stream.match(tkLeftBrace): parseGroup(stream)
-                                else: parsePrimary(stream)
+                let supResult = if stream.match(tkLeftBrace): parseGroup(stream, ctx)
+                                else: parsePrimary(stream, ctx)
                 if not supResult.isOk:
                   return err[AstNode](supResult.error)
 
@@ -3044,8 +3500,8 @@ proc parseMatrixEnvironment(stream: var TokenStream, matrixType: string): Result
 
             elif stream.match(tkSuperscript):
               discard stream.advance()
-              let supResult = if stream.match(tkLeftBrace): parseGroup(stream)
-                              else: parsePrimary(stream)
+              let supResult = if stream.match(tkLeftBrace): parseGroup(stream, ctx)
+                              else: parsePrimary(stream, ctx)
               if not supResult.isOk:
                 return err[AstNode](supResult.error)
 
@@ -3059,6 +3515,7 @@ proc parseMatrixEnvironment(stream: var TokenStream, matrixType: string): Result
             discard stream.advance()
             node = newRow(@[node, newOperator("factorial", "!", "postfix")])
 
+          markSpan(node, primStart, stream)
           cellExpressions.add(node)
 
         # Add cell to row
@@ -3076,7 +3533,86 @@ proc parseMatrixEnvironment(stream: var TokenStream, matrixType: string): Result
 
   return err[AstNode](ekUnexpectedEof, "Matrix environment not closed with \\end{" & matrixType & "}", 0)
 
-proc parseGroup(stream: var TokenStream): Result[AstNode] =
+proc parseArrayEnvironment(stream: var TokenStream, ctx: ParseContext, position: int): Result[AstNode] =
+  ## Parse \begin{array}{columns} ... \end{array}; the columns are l, c, r
+  ## and p{width}, with | and || rules and @{...} separators between them
+  let braceResult = stream.expect(tkLeftBrace)
+  if not braceResult.isOk:
+    return err[AstNode](ekMismatchedBraces, "Expected {columns} after \\begin{array}", position)
+
+  # The contents of @{...} are parsed as math; the specification itself is
+  # checked as text once it has been read
+  let specStart = stream.position
+  var separators: seq[AstNode] = @[]
+  while not stream.match(tkRightBrace) and not stream.isAtEnd():
+    let specToken = stream.advance()
+    if specToken.kind == tkInvalid and specToken.value == "@" and stream.match(tkLeftBrace):
+      let separatorResult = parseGroup(stream, ctx)
+      if not separatorResult.isOk:
+        return err[AstNode](separatorResult.error)
+      separators.add(separatorResult.value)
+    elif specToken.kind == tkLeftBrace:
+      stream.skipBalanced(tkLeftBrace, tkRightBrace)
+  let spec = consumedText(stream, specStart)
+  let closeResult = stream.expect(tkRightBrace)
+  if not closeResult.isOk:
+    return err[AstNode](ekMismatchedBraces, "Expected } after array columns", position)
+
+  let (columns, specError) = parseColumnSpec(spec)
+  if specError.len > 0:
+    return err[AstNode](ekInvalidArgument, specError, braceResult.value.position)
+  var columnCount = 0
+  for item in columns:
+    if item.kind == cskColumn:
+      inc columnCount
+
+  let bodyResult = parseMatrixEnvironment(stream, "array", ctx)
+  if not bodyResult.isOk:
+    return bodyResult
+  let node = bodyResult.value
+  for row in node.arrayRows:
+    if row.len > columnCount:
+      return err[AstNode](ekInvalidArgument, "Array row has " & $row.len & " cells but only " &
+        $columnCount & " columns", position)
+  node.arrayAlignment = spec
+  node.arraySeparators = separators
+  ok(node)
+
+proc parseAlignatEnvironment(stream: var TokenStream, envName: string, ctx: ParseContext, position: int): Result[AstNode] =
+  ## Parse \begin{alignat}{n} ... \end{alignat}, whose rows have at most n
+  ## pairs of right- and left-aligned columns
+  let braceResult = stream.expect(tkLeftBrace)
+  if not braceResult.isOk:
+    return err[AstNode](ekMismatchedBraces, "Expected {columns} after \\begin{" & envName & "}", position)
+  let countStart = stream.position
+  while not stream.match(tkRightBrace) and not stream.isAtEnd():
+    discard stream.advance()
+  let count = consumedText(stream, countStart).strip()
+  let closeResult = stream.expect(tkRightBrace)
+  if not closeResult.isOk:
+    return err[AstNode](ekMismatchedBraces, "Expected } after " & envName & " columns", position)
+
+  var pairs = 0
+  try:
+    pairs = parseInt(count)
+  except ValueError:
+    discard
+  if pairs < 1:
+    return err[AstNode](ekInvalidArgument, "Expected a number of column pairs after \\begin{" &
+      envName & "}, got {" & count & "}", braceResult.value.position)
+
+  let bodyResult = parseMatrixEnvironment(stream, envName, ctx)
+  if not bodyResult.isOk:
+    return bodyResult
+  let node = bodyResult.value
+  for row in node.matrixRows:
+    if row.len > 2 * pairs:
+      return err[AstNode](ekInvalidArgument, envName & " row has " & $row.len & " cells but only " &
+        $(2 * pairs) & " columns", position)
+  node.matrixColumns = pairs
+  ok(node)
+
+proc parseGroupNode(stream: var TokenStream, ctx: ParseContext): Result[AstNode] =
   ## Parse a group {...}
   let openResult = stream.expect(tkLeftBrace)
   if not openResult.isOk:
@@ -3085,7 +3621,8 @@ proc parseGroup(stream: var TokenStream): Result[AstNode] =
   var children: seq[AstNode] = @[]
 
   while not stream.match(tkRightBrace) and not stream.isAtEnd():
-    let exprResult = parsePrimary(stream)
+    let primStart = stream.peek().position
+    let exprResult = parsePrimary(stream, ctx)
     if not exprResult.isOk:
       return err[AstNode](exprResult.error)
 
@@ -3098,16 +3635,16 @@ proc parseGroup(stream: var TokenStream): Result[AstNode] =
 
       if stream.match(tkSubscript):
         discard stream.advance()
-        let subResult = if stream.match(tkLeftBrace): parseGroup(stream)
-                        else: parsePrimary(stream)
+        let subResult = if stream.match(tkLeftBrace): parseGroup(stream, ctx)
+                        else: parsePrimary(stream, ctx)
         if not subResult.isOk:
           return err[AstNode](subResult.error)
 
         # Check if followed by superscript
         if stream.match(tkSuperscript):
           discard stream.advance()
-          let supResult = if stream.match(tkLeftBrace): parseGroup(stream)
-                          else: parsePrimary(stream)
+          let supResult = if stream.match(tkLeftBrace): parseGroup(stream, ctx)
+                          else: parsePrimary(stream, ctx)
           if not supResult.isOk:
             return err[AstNode](supResult.error)
 
@@ -3123,8 +3660,8 @@ proc parseGroup(stream: var TokenStream): Result[AstNode] =
 
       elif stream.match(tkSuperscript):
         discard stream.advance()
-        let supResult = if stream.match(tkLeftBrace): parseGroup(stream)
-                        else: parsePrimary(stream)
+        let supResult = if stream.match(tkLeftBrace): parseGroup(stream, ctx)
+                        else: parsePrimary(stream, ctx)
         if not supResult.isOk:
           return err[AstNode](supResult.error)
 
@@ -3138,6 +3675,7 @@ proc parseGroup(stream: var TokenStream): Result[AstNode] =
       discard stream.advance()
       node = newRow(@[node, newOperator("factorial", "!", "postfix")])
 
+    markSpan(node, primStart, stream)
     children.add(node)
 
     # Check for infix fraction commands (\over, \choose, \atop) - same as in parseExpression
@@ -3152,7 +3690,8 @@ proc parseGroup(stream: var TokenStream): Result[AstNode] =
         # Parse the rest as the denominator/right operand (until closing brace)
         var rightChildren: seq[AstNode] = @[]
         while not stream.match(tkRightBrace) and not stream.isAtEnd():
-          let primResult = parsePrimary(stream)
+          let primStart = stream.peek().position
+          let primResult = parsePrimary(stream, ctx)
           if not primResult.isOk:
             return err[AstNode](primResult.error)
 
@@ -3160,14 +3699,14 @@ proc parseGroup(stream: var TokenStream): Result[AstNode] =
           while stream.match(tkSubscript) or stream.match(tkSuperscript):
             if stream.match(tkSubscript):
               discard stream.advance()
-              let subResult = if stream.match(tkLeftBrace): parseGroup(stream)
-                              else: parsePrimary(stream)
+              let subResult = if stream.match(tkLeftBrace): parseGroup(stream, ctx)
+                              else: parsePrimary(stream, ctx)
               if not subResult.isOk:
                 return err[AstNode](subResult.error)
               if stream.match(tkSuperscript):
                 discard stream.advance()
-                let supResult = if stream.match(tkLeftBrace): parseGroup(stream)
-                                else: parsePrimary(stream)
+                let supResult = if stream.match(tkLeftBrace): parseGroup(stream, ctx)
+                                else: parsePrimary(stream, ctx)
                 if not supResult.isOk:
                   return err[AstNode](supResult.error)
                 rightNode = newSubSup(rightNode, subResult.value, supResult.value)
@@ -3175,8 +3714,8 @@ proc parseGroup(stream: var TokenStream): Result[AstNode] =
                 rightNode = newSub(rightNode, subResult.value)
             elif stream.match(tkSuperscript):
               discard stream.advance()
-              let supResult = if stream.match(tkLeftBrace): parseGroup(stream)
-                              else: parsePrimary(stream)
+              let supResult = if stream.match(tkLeftBrace): parseGroup(stream, ctx)
+                              else: parsePrimary(stream, ctx)
               if not supResult.isOk:
                 return err[AstNode](supResult.error)
               rightNode = newSup(rightNode, supResult.value)
@@ -3186,6 +3725,7 @@ proc parseGroup(stream: var TokenStream): Result[AstNode] =
             discard stream.advance()
             rightNode = newRow(@[rightNode, newOperator("factorial", "!", "postfix")])
 
+          markSpan(rightNode, primStart, stream)
           rightChildren.add(rightNode)
 
         let rightNode = if rightChildren.len == 1: rightChildren[0] else: newRow(rightChildren)
@@ -3214,7 +3754,14 @@ proc parseGroup(stream: var TokenStream): Result[AstNode] =
   else:
     return ok(newRow(children))
 
-proc parseRestOfGroup(stream: var TokenStream): Result[AstNode] =
+proc parseGroup(stream: var TokenStream, ctx: ParseContext): Result[AstNode] =
+  ## Parse a group {...} and record its source span
+  let start = stream.peek().position
+  result = parseGroupNode(stream, ctx)
+  if result.isOk:
+    markSpan(result.value, start, stream)
+
+proc parseRestOfGroupNode(stream: var TokenStream, ctx: ParseContext): Result[AstNode] =
   ## Parse all remaining tokens in the current group (until closing brace or end)
   ## Used for declaration-style commands like \scriptstyle
   var children: seq[AstNode] = @[]
@@ -3233,7 +3780,8 @@ proc parseRestOfGroup(stream: var TokenStream): Result[AstNode] =
          cmdValue == "atop" or cmdValue == "over" or cmdValue == "choose":
         break
 
-    let primResult = parsePrimary(stream)
+    let primStart = stream.peek().position
+    let primResult = parsePrimary(stream, ctx)
     if not primResult.isOk:
       return err[AstNode](primResult.error)
 
@@ -3246,16 +3794,16 @@ proc parseRestOfGroup(stream: var TokenStream): Result[AstNode] =
 
       if stream.match(tkSubscript):
         discard stream.advance()
-        let subResult = if stream.match(tkLeftBrace): parseGroup(stream)
-                        else: parsePrimary(stream)
+        let subResult = if stream.match(tkLeftBrace): parseGroup(stream, ctx)
+                        else: parsePrimary(stream, ctx)
         if not subResult.isOk:
           return err[AstNode](subResult.error)
 
         # Check if followed by superscript
         if stream.match(tkSuperscript):
           discard stream.advance()
-          let supResult = if stream.match(tkLeftBrace): parseGroup(stream)
-                          else: parsePrimary(stream)
+          let supResult = if stream.match(tkLeftBrace): parseGroup(stream, ctx)
+                          else: parsePrimary(stream, ctx)
           if not supResult.isOk:
             return err[AstNode](supResult.error)
 
@@ -3271,16 +3819,16 @@ proc parseRestOfGroup(stream: var TokenStream): Result[AstNode] =
 
       elif stream.match(tkSuperscript):
         discard stream.advance()
-        let supResult = if stream.match(tkLeftBrace): parseGroup(stream)
-                        else: parsePrimary(stream)
+        let supResult = if stream.match(tkLeftBrace): parseGroup(stream, ctx)
+                        else: parsePrimary(stream, ctx)
         if not supResult.isOk:
           return err[AstNode](supResult.error)
 
         # Check if followed by subscript
         if stream.match(tkSubscript):
           discard stream.advance()
-          let subResult = if stream.match(tkLeftBrace): parseGroup(stream)
-                          else: parsePrimary(stream)
+          let subResult = if stream.match(tkLeftBrace): parseGroup(stream, ctx)
+                          else: parsePrimary(stream, ctx)
           if not subResult.isOk:
             return err[AstNode](subResult.error)
 
@@ -3294,6 +3842,7 @@ proc parseRestOfGroup(stream: var TokenStream): Result[AstNode] =
           else:
             node = newSup(node, supResult.value)
 
+    markSpan(node, primStart, stream)
     children.add(node)
 
   # If no children, return empty row
@@ -3305,7 +3854,14 @@ proc parseRestOfGroup(stream: var TokenStream): Result[AstNode] =
   else:
     return ok(newRow(children))
 
-proc parseExpression(stream: var TokenStream): Result[AstNode] =
+proc parseRestOfGroup(stream: var TokenStream, ctx: ParseContext): Result[AstNode] =
+  ## Parse the rest of a group and record its source span
+  let start = stream.peek().position
+  result = parseRestOfGroupNode(stream, ctx)
+  if result.isOk:
+    markSpan(result.value, start, stream)
+
+proc parseExpressionNode(stream: var TokenStream, ctx: ParseContext): Result[AstNode] =
   ## Parse a full expression
   var children: seq[AstNode] = @[]
 
@@ -3320,7 +3876,8 @@ proc parseExpression(stream: var TokenStream): Result[AstNode] =
     if stream.match(tkCommand) and (stream.peek().value == "right" or stream.peek().value == "end"):
       break
 
-    let primResult = parsePrimary(stream)
+    let primStart = stream.peek().position
+    let primResult = parsePrimary(stream, ctx)
     if not primResult.isOk:
       return err[AstNode](primResult.error)
 
@@ -3333,16 +3890,16 @@ proc parseExpression(stream: var TokenStream): Result[AstNode] =
 
       if stream.match(tkSubscript):
         discard stream.advance()
-        let subResult = if stream.match(tkLeftBrace): parseGroup(stream)
-                        else: parsePrimary(stream)
+        let subResult = if stream.match(tkLeftBrace): parseGroup(stream, ctx)
+                        else: parsePrimary(stream, ctx)
         if not subResult.isOk:
           return err[AstNode](subResult.error)
 
         # Check if followed by superscript
         if stream.match(tkSuperscript):
           discard stream.advance()
-          let supResult = if stream.match(tkLeftBrace): parseGroup(stream)
-                          else: parsePrimary(stream)
+          let supResult = if stream.match(tkLeftBrace): parseGroup(stream, ctx)
+                          else: parsePrimary(stream, ctx)
           if not supResult.isOk:
             return err[AstNode](supResult.error)
 
@@ -3360,8 +3917,8 @@ proc parseExpression(stream: var TokenStream): Result[AstNode] =
 
       elif stream.match(tkSuperscript):
         discard stream.advance()
-        let supResult = if stream.match(tkLeftBrace): parseGroup(stream)
-                        else: parsePrimary(stream)
+        let supResult = if stream.match(tkLeftBrace): parseGroup(stream, ctx)
+                        else: parsePrimary(stream, ctx)
         if not supResult.isOk:
           return err[AstNode](supResult.error)
 
@@ -3376,6 +3933,7 @@ proc parseExpression(stream: var TokenStream): Result[AstNode] =
       discard stream.advance()
       node = newRow(@[node, newOperator("factorial", "!", "postfix")])
 
+    markSpan(node, primStart, stream)
     children.add(node)
 
     # Check for infix fraction commands (\over, \choose, \atop)
@@ -3388,7 +3946,7 @@ proc parseExpression(stream: var TokenStream): Result[AstNode] =
         let leftNode = if children.len == 1: children[0] else: newRow(children)
 
         # Parse the rest as the denominator/right operand
-        let rightResult = parseExpression(stream)
+        let rightResult = parseExpression(stream, ctx)
         if not rightResult.isOk:
           return err[AstNode](rightResult.error)
 
@@ -3413,15 +3971,128 @@ proc parseExpression(stream: var TokenStream): Result[AstNode] =
   else:
     return ok(newRow(children))
 
-proc parse*(tokens: seq[Token]): Result[AstNode] =
-  ## Parse a sequence of tokens into an AST
+proc parseExpression(stream: var TokenStream, ctx: ParseContext): Result[AstNode] =
+  ## Parse a full expression and record its source span
+  let start = stream.peek().position
+  result = parseExpressionNode(stream, ctx)
+  if result.isOk:
+    markSpan(result.value, start, stream)
+
+proc recoverRest(stream: var TokenStream, ctx: ParseContext, parsed: Result[AstNode]): AstNode =
+  ## Finish a parse in recovery mode: turn what parseExpression could not
+  ## parse into error nodes
+  if not parsed.isOk:
+    # Failures outside a primary (such as an unclosed script group) cannot
+    # be isolated, so the whole input becomes one error node
+    ctx.recoveredErrors = @[parsed.error]
+    stream.position = 0
+    while not stream.isAtEnd():
+      discard stream.advance()
+    return newErrorNode(consumedSource(ctx, stream, 0), parsed.error.message)
+
+  # Stray closers (}, ), \end, &, ...) stop parseExpression early; report
+  # each one and keep parsing after it
+  var children = @[parsed.value]
+  while not stream.isAtEnd():
+    let startIndex = stream.position
+    let token = stream.peek()
+    children.add(recoverFrom(stream, ctx, startIndex,
+      unexpectedToken($token.kind, token.position)))
+    if not stream.isAtEnd() and stream.position > startIndex:
+      let restStart = stream.position
+      let errorCount = ctx.recoveredErrors.len
+      let restResult = parseExpression(stream, ctx)
+      if restResult.isOk:
+        children.add(restResult.value)
+      else:
+        # As above, the rest of the input becomes one error node
+        ctx.recoveredErrors.setLen(errorCount)
+        ctx.recoveredErrors.add(restResult.error)
+        stream.position = restStart
+        while not stream.isAtEnd():
+          discard stream.advance()
+        children.add(newErrorNode(consumedSource(ctx, stream, restStart), restResult.error.message))
+  if children.len > 1: newRow(children) else: parsed.value
+
+proc parseTokens(tokens: seq[Token], ctx: ParseContext): Result[AstNode] =
+  ## Parse tokens lexed from ctx.source (empty when there is none)
+  ctx.recoveredErrors.setLen(0)
+  ctx.diagnostics.setLen(0)
+  ctx.inDisplayRow = false
+  ctx.inDisplayFormula = ctx.displayMath
+  ctx.rowTag = RowTag()
+  defer: ctx.inDisplayFormula = false
   var stream = newTokenStream(tokens)
-  return parseExpression(stream)
+  result = parseExpression(stream, ctx)
+  if ctx.recover:
+    result = ok(recoverRest(stream, ctx, result))
+  if result.isOk and ctx.rowTag.tag.len > 0:
+    # A \tag outside any environment numbers the formula like equation*
+    result = ok(newMatrix(@[@[result.value]], "equation*", tags = @[ctx.rowTag]))
+
+proc parse*(tokens: seq[Token], ctx: ParseContext): Result[AstNode] =
+  ## Parse a sequence of tokens into an AST
+  ## Macros defined in the tokens are added to the context
+  ##
+  ## With ctx.recover set, unparseable constructs become nkError nodes and
+  ## the errors are collected in ctx.recoveredErrors. With ctx.displayMath
+  ## set, a \tag outside any environment tags the whole formula, which is
+  ## then returned as an equation* environment.
+  # The tokens may come from anywhere: error nodes rebuild their text from
+  # the tokens rather than slicing the source of an earlier parse
+  ctx.source = ""
+  parseTokens(tokens, ctx)
 
-proc parse*(source: string): Result[AstNode] =
+proc parse*(tokens: seq[Token]): Result[AstNode] =
+  ## Parse a sequence of tokens into an AST using a fresh context
+  return parse(tokens, newParseContext())
+
+proc parse*(source: string, ctx: ParseContext): Result[AstNode] =
   ## Lex and parse a LaTeX string
-  let lexResult = lex(source)
+  let lexResult = lex(source, ctx.recover)
   if not lexResult.isOk:
     return err[AstNode](lexResult.error)
 
-  return parse(lexResult.value)
+  ctx.source = source
+  return parseTokens(lexResult.value, ctx)
+
+proc parse*(source: string): Result[AstNode] =
+  ## Lex and parse a LaTeX string using a fresh context
+  return parse(source, newParseContext())
+
+proc loadPreamble*(ctx: ParseContext, source: string): Result[bool] =
+  ## Register the \newcommand and \def definitions in source
+  ##
+  ## The preamble may only contain macro definitions. Its macros become
+  ## part of the context's baseline, so resetMacros() keeps them.
+  let lexResult = lex(source)
+  if not lexResult.isOk:
+    return err[bool](lexResult.error)
+
+  # Collect the definitions in a scratch registry so that only they reach
+  # the preamble, not macros defined by earlier conversions
+  let live = ctx.macros
+  ctx.macros = macro_module.newMacroRegistry()
+  ctx.macros.maxExpansionDepth = live.maxExpansionDepth
+  var stream = newTokenStream(lexResult.value)
+  while not stream.isAtEnd():
+    let token = stream.peek()
+    if token.kind != tkCommand or token.value notin ["def", "newcommand"]:
+      ctx.macros = live
+      return err[bool](
+        ekUnexpectedToken,
+        "Expected \\def or \\newcommand in preamble, got " & $token.kind,
+        token.position
+      )
+    discard stream.advance()
+    let defResult = parseMacroDef(stream, token.value, token.position, ctx)
+    if not defResult.isOk:
+      ctx.macros = live
+      return err[bool](defResult.error)
+
+  let added = ctx.macros
+  ctx.macros = live
+  for name, definition in added.macros:
+    ctx.macros.macros[name] = definition
+    ctx.preamble.macros[name] = definition
+  return ok(true)
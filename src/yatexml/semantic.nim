@@ -0,0 +1,738 @@
+## Semantic trees for yatexml
+##
+## The parser produces presentation rows: a + 2b is the flat sequence
+## [a, +, 2, b]. This module builds a semantic tree from an AST, with
+## operator precedence resolved and implicit products and function
+## applications made explicit, for Content MathML, evaluation and
+## grading. a + 2b becomes (plus a (times 2 b)). The AST, and with it the
+## presentation output, is left unchanged.
+##
+## Operators bind from loosest to tightest:
+##
+## - ⇒ and ⇔, then ∨, then ∧, then ¬
+## - relations (= < ≤ ∈ ⊂ → ...); a chain such as a < b ≤ c becomes a
+##   conjunction of comparisons
+## - + − ± ∪ ∖, then unary minus, then × ⋅ ÷ / ∩ ∘ mod
+## - juxtaposition (implicit multiplication)
+## - function application and the postfix ! and ′
+##
+## \sin 2x applies \sin to the whole product 2x but stops at the next
+## function, so \sin x \cos x is a product of two applications. f, g and
+## h followed by parentheses are applications; other letters multiply.
+## Big operators take the following product as their body, integrals
+## everything up to their differential (dx).
+##
+## Operators and constants are named after their Content MathML elements
+## (plus, sin, pi, reals), so the tree maps directly onto Content MathML.
+
+import ast, error_handling, parser, mathml_generator, text_generator
+import strutils
+
+type
+  SemanticKind* = enum
+    ## Different kinds of semantic nodes
+    smNumber              ## Number: name is its text (1.5e-10 included)
+    smIdentifier          ## Variable, or a function such as f (type="function")
+    smConstant            ## Named constant or set: pi, infinity, reals, ...
+    smOperator            ## Operator or function with a Content MathML name: plus, sin, ...
+    smSymbol              ## Operator with no Content MathML name (±, binomial, norm)
+    smText                ## Text
+    smApply               ## Application: children[0] is the operator, the rest its arguments
+    smContainer           ## list, set, interval, matrix, matrixrow, piecewise, piece, otherwise
+    smError               ## Missing operand, or source that could not be parsed
+
+  SemanticNode* = ref object
+    ## A node of a semantic tree
+    kind*: SemanticKind
+    name*: string                          ## Value, name, or container element
+    attributes*: seq[(string, string)]     ## type="function", closure="open-closed", ...
+    children*: seq[SemanticNode]           ## Operator and arguments, or container items
+    qualifiers*: seq[tuple[name: string, value: SemanticNode]]  ## bvar, lowlimit, uplimit, condition, degree, logbase
+    prec: int                              ## Precedence of the operator that built it
+    fenced: bool                           ## Written in parentheses
+
+  Operator = tuple[name: string, known: bool, prec: int]
+    ## An infix operator: its element name (or character, if not known)
+    ## and precedence
+
+  SemanticParser = object
+    ## Precedence parser over the items of a row
+    items: seq[AstNode]
+    pos: int
+
+const
+  precImplies = 1
+  precOr = 2
+  precAnd = 3
+  precRelation = 4
+  precAdditive = 5
+  precMultiplicative = 6
+  precImplicit = 7
+
+  timesOperator: Operator = ("times", true, precImplicit)
+  associativeOperators = ["plus", "times", "and", "or", "union", "intersect", "compose"]
+  functionLetters = ["f", "g", "h"]
+  contentFunctions = [
+    "sin", "cos", "tan", "sec", "csc", "cot", "sinh", "cosh", "tanh", "sech",
+    "csch", "coth", "arcsin", "arccos", "arctan", "arcsec", "arccsc", "arccot",
+    "arcsinh", "arccosh", "arctanh", "exp", "ln", "log", "gcd", "lcm", "arg"
+  ]
+    ## Functions with a Content MathML element of the same name
+  openFences = ["(", "[", "{", "⟨", "⌊", "⌈"]
+  closeFences = [")", "]", "}", "⟩", "⌋", "⌉"]
+  verticalFences = ["|", "‖"]
+
+# Helper functions
+
+proc newTerm(kind: SemanticKind, name: string = "", children: seq[SemanticNode] = @[]): SemanticNode =
+  SemanticNode(kind: kind, name: name, children: children)
+
+proc operator(name: string): SemanticNode = newTerm(smOperator, name)
+proc constant(name: string): SemanticNode = newTerm(smConstant, name)
+proc symbol(name: string): SemanticNode = newTerm(smSymbol, name)
+proc identifier(name: string): SemanticNode = newTerm(smIdentifier, name)
+proc container(name: string, children: seq[SemanticNode] = @[]): SemanticNode = newTerm(smContainer, name, children)
+proc errorTerm(message: string): SemanticNode = newTerm(smError, message)
+
+proc apply(head: SemanticNode, args: seq[SemanticNode]): SemanticNode =
+  newTerm(smApply, "", @[head] & args)
+
+proc isApplyOf(term: SemanticNode, name: string): bool =
+  ## Check whether a node applies the operator name
+  term.kind == smApply and term.children[0].kind in {smOperator, smSymbol} and
+    term.children[0].name == name
+
+proc functionTerm(name: string): SemanticNode =
+  ## Get the Content MathML operator of a function name
+  if name == "det":
+    operator("determinant")
+  elif name in contentFunctions:
+    operator(name)
+  else:
+    SemanticNode(kind: smIdentifier, name: name, attributes: @[("type", "function")])
+
+proc infixOperator(value: string): Operator =
+  ## Get an infix operator; operators without an element are relations
+  case value
+  of "⇒", "⟹": ("implies", true, precImplies)
+  of "⇔", "⟺": ("equivalent", true, precImplies)
+  of "∨": ("or", true, precOr)
+  of "∧": ("and", true, precAnd)
+  of "=": ("eq", true, precRelation)
+  of "≠": ("neq", true, precRelation)
+  of "<": ("lt", true, precRelation)
+  of ">": ("gt", true, precRelation)
+  of "≤", "⩽": ("leq", true, precRelation)
+  of "≥", "⩾": ("geq", true, precRelation)
+  of "≈": ("approx", true, precRelation)
+  of "≡": ("equivalent", true, precRelation)
+  of "∈": ("in", true, precRelation)
+  of "∉": ("notin", true, precRelation)
+  of "⊂": ("prsubset", true, precRelation)
+  of "⊆": ("subset", true, precRelation)
+  of "⊄": ("notprsubset", true, precRelation)
+  of "⊈": ("notsubset", true, precRelation)
+  of "∣": ("factorof", true, precRelation)
+  of "→": ("tendsto", true, precRelation)
+  of "+": ("plus", true, precAdditive)
+  of "−", "-": ("minus", true, precAdditive)
+  of "±", "∓", "⊕": (value, false, precAdditive)
+  of "∪": ("union", true, precAdditive)
+  of "∖": ("setdiff", true, precAdditive)
+  of "×", "⋅", "·", "*", "∗": ("times", true, precMultiplicative)
+  of "÷", "/": ("divide", true, precMultiplicative)
+  of "∩": ("intersect", true, precMultiplicative)
+  of "∘": ("compose", true, precMultiplicative)
+  of "mod": ("rem", true, precMultiplicative)
+  of "⊗": (value, false, precMultiplicative)
+  else: (value, false, precRelation)
+
+proc operatorHead(op: Operator): SemanticNode =
+  if op.known: operator(op.name) else: symbol(op.name)
+
+proc sameOperator(term: SemanticNode, op: Operator): bool =
+  ## Check whether a term is an application of op
+  term.kind == smApply and term.children[0].name == op.name and
+    term.children[0].kind == (if op.known: smOperator else: smSymbol)
+
+proc binary(op: Operator, left, right: SemanticNode): SemanticNode =
+  result = apply(operatorHead(op), @[left, right])
+  result.prec = op.prec
+
+proc combine(op: Operator, left, right: SemanticNode): SemanticNode =
+  ## Join two operands with an infix operator, flattening associative
+  ## operators and turning chained relations into a conjunction
+  if op.prec == precRelation and left.prec == precRelation and not left.fenced:
+    if left.isApplyOf("and"):
+      let last = left.children[^1]
+      if last.sameOperator(op):
+        last.children.add(right)
+      else:
+        left.children.add(binary(op, last.children[^1], right))
+      return left
+    if left.sameOperator(op):
+      left.children.add(right)
+      return left
+    result = apply(operator("and"), @[left, binary(op, left.children[^1], right)])
+    result.prec = precRelation
+    return
+  if op.known and op.name in associativeOperators and left.sameOperator(op) and not left.fenced:
+    left.children.add(right)
+    return left
+  binary(op, left, right)
+
+proc operatorValue(node: AstNode): string =
+  ## Get the operator a row item stands for, or "" for operands
+  case node.kind
+  of nkOperator: node.opValue
+  of nkStackrel:
+    if node.stackrelBase.kind == nkOperator: node.stackrelBase.opValue else: ""
+  else: ""
+
+proc fenceOf(node: AstNode): string =
+  ## Get the fence character of a sized delimiter or fence operator
+  case node.kind
+  of nkSizedDelimiter: node.sizedDelimChar
+  of nkOperator:
+    if node.opValue in openFences or node.opValue in closeFences or
+        node.opValue in verticalFences: node.opValue else: ""
+  else: ""
+
+proc groupFences(items: seq[AstNode]): seq[AstNode] =
+  ## Group fences that are separate row items (\big( ... \big), \{ ... \},
+  ## \lvert ... \rvert) into delimited nodes
+  var stack: seq[tuple[index: int, fence: string]] = @[]
+
+  proc closeGroup(items: var seq[AstNode], index: int, left, right: string) =
+    let inner = items[index + 1 .. ^1]
+    items.setLen(index)
+    items.add(newDelimited(left, right, newRow(inner)))
+
+  for item in items:
+    let fence = fenceOf(item)
+    if fence in verticalFences and stack.len > 0 and stack[^1].fence == fence:
+      let opening = stack.pop()
+      closeGroup(result, opening.index, fence, fence)
+    elif fence in openFences or fence in verticalFences:
+      stack.add((result.len, fence))
+      result.add(item)
+    elif fence in closeFences:
+      # A bar inside brackets that is never closed is an operator (\{x | x > 0\})
+      while stack.len > 0 and stack[^1].fence in verticalFences:
+        discard stack.pop()
+      if stack.len > 0:
+        let opening = stack.pop()
+        closeGroup(result, opening.index, opening.fence, fence)
+      else:
+        result.add(item)
+    else:
+      result.add(item)
+
+proc rowItems(node: AstNode): seq[AstNode] =
+  ## Get the items of a row, without spacing
+  let children = if node.kind == nkRow: node.rowChildren else: @[node]
+  var items: seq[AstNode] = @[]
+  for child in children:
+    if child.kind notin {nkSpace, nkPhantom}:
+      items.add(child)
+  groupFences(items)
+
+proc splitCommas(items: seq[AstNode]): seq[seq[AstNode]] =
+  ## Split row items at top-level commas
+  result = @[newSeq[AstNode]()]
+  for item in items:
+    if operatorValue(item) == ",":
+      result.add(newSeq[AstNode]())
+    else:
+      result[^1].add(item)
+
+proc isFunction(node: AstNode): bool =
+  ## Check for a function, possibly with scripts (\sin^2, \log_2)
+  case node.kind
+  of nkFunction: node.funcArg == nil
+  of nkSub: node.subBase.kind == nkFunction and node.subBase.funcArg == nil
+  of nkSup: node.supBase.kind == nkFunction and node.supBase.funcArg == nil
+  of nkSubSup: node.subsupBase.kind == nkFunction and node.subsupBase.funcArg == nil
+  else: false
+
+proc isParenGroup(node: AstNode): bool =
+  node.kind == nkDelimited and node.delimLeft == "(" and node.delimRight == ")"
+
+proc isDifferential(node: AstNode): bool =
+  ## Check for the d of dx, written d or \mathrm{d}
+  case node.kind
+  of nkIdentifier: node.identName == "d"
+  of nkStyle: node.styleBase.kind == nkIdentifier and node.styleBase.identName == "d"
+  else: false
+
+proc isMinusOne(node: AstNode): bool =
+  generatePlainText(node) in ["-1", "−1"]
+
+# Conversion
+
+proc termOf(node: AstNode): SemanticNode
+proc parseLevel(p: var SemanticParser, minPrec: int): SemanticNode
+
+proc expressionTerm(items: seq[AstNode]): SemanticNode =
+  ## Resolve the precedence of comma-free row items
+  if items.len == 0:
+    return errorTerm("Missing operand")
+  var p = SemanticParser(items: items)
+  parseLevel(p, 0)
+
+proc itemsTerm(items: seq[AstNode]): SemanticNode =
+  ## Convert row items; top-level commas make a list
+  let parts = splitCommas(items)
+  if parts.len == 1:
+    return expressionTerm(parts[0])
+  result = container("list")
+  for part in parts:
+    result.children.add(expressionTerm(part))
+
+proc argumentTerms(node: AstNode): seq[SemanticNode] =
+  ## Get the comma-separated arguments of a function application
+  for part in splitCommas(rowItems(node)):
+    result.add(expressionTerm(part))
+
+proc applyFunction(name: string, sub, sup: AstNode, args: seq[SemanticNode]): SemanticNode =
+  ## Apply a function, with a log base or power from its scripts;
+  ## f^{-1} is the inverse function
+  var head = if sub != nil and name != "log":
+               SemanticNode(kind: smIdentifier, name: generatePlainText(newSub(newFunction(name, nil), sub)),
+                    attributes: @[("type", "function")])
+             else:
+               functionTerm(name)
+  var power = sup
+  if power != nil and isMinusOne(power):
+    head = apply(operator("inverse"), @[head])
+    power = nil
+  if args.len > 0 or (sub != nil and name == "log"):
+    result = apply(head, args)
+    if sub != nil and name == "log":
+      result.qualifiers.add(("logbase", termOf(sub)))
+  else:
+    result = head
+  if power != nil:
+    result = apply(operator("power"), @[result, termOf(power)])
+
+proc fenceTerm(left, right: string, content: AstNode): SemanticNode =
+  ## Convert a delimited expression: parentheses group, brackets with two
+  ## entries are intervals, braces are sets and bars absolute values
+  let items = rowItems(content)
+  let parts = splitCommas(items)
+  var terms: seq[SemanticNode] = @[]
+  for part in parts:
+    terms.add(expressionTerm(part))
+
+  case left & right
+  of "()", "[]", "(]", "[)":
+    if parts.len == 1:
+      result = terms[0]
+      result.fenced = true
+    elif parts.len == 2 and left & right != "()":
+      let closure = case left & right
+        of "[]": "closed"
+        of "(]": "open-closed"
+        else: "closed-open"
+      result = container("interval", terms)
+      result.attributes.add(("closure", closure))
+    else:
+      result = container("list", terms)
+  of "{}":
+    # Set-builder notation: {x | x > 0}
+    var bar = -1
+    if parts.len == 1:
+      for i, item in items:
+        if operatorValue(item) in ["|", "∣", ":"]:
+          bar = i
+          break
+    if bar > 0 and bar < items.len - 1:
+      let member = expressionTerm(items[0 ..< bar])
+      result = container("set")
+      if member.kind == smIdentifier:
+        result.qualifiers.add(("bvar", member))
+      result.qualifiers.add(("condition", expressionTerm(items[bar + 1 .. ^1])))
+      result.children.add(member)
+    else:
+      result = container("set", terms)
+  of "||":
+    result = apply(operator("abs"), @[itemsTerm(items)])
+  of "‖‖":
+    result = apply(symbol("norm"), @[itemsTerm(items)])
+  of "⌊⌋":
+    result = apply(operator("floor"), @[itemsTerm(items)])
+  of "⌈⌉":
+    result = apply(operator("ceiling"), @[itemsTerm(items)])
+  else:
+    result = apply(symbol(left & right), terms)
+
+proc bigOpTerm(p: var SemanticParser, node: AstNode): SemanticNode =
+  ## Convert a big operator with its limits and body
+  let isIntegral = node.bigopKind in {boInt, boIInt, boIIInt, boIIIInt, boOint, boOIInt, boOIIInt}
+  let head = case node.bigopKind
+    of boSum: operator("sum")
+    of boProd: operator("product")
+    of boUnion: operator("union")
+    of boIntersect: operator("intersect")
+    of boLim: operator("limit")
+    of boMax: operator("max")
+    of boMin: operator("min")
+    else:
+      if isIntegral: operator("int") else: symbol(bigOpSymbol(node.bigopKind))
+  result = apply(head, @[])
+
+  let lower = if node.bigopLower != nil: termOf(node.bigopLower) else: nil
+  let upper = if node.bigopUpper != nil: termOf(node.bigopUpper) else: nil
+  if isIntegral:
+    if lower != nil and upper != nil:
+      result.qualifiers.add(("lowlimit", lower))
+      result.qualifiers.add(("uplimit", upper))
+    elif lower != nil:
+      result.qualifiers.add(("domainofapplication", lower))
+    elif upper != nil:
+      result.qualifiers.add(("uplimit", upper))
+  else:
+    # i = 1 and x → 0 name the bound variable and its start; other lower
+    # limits (i ∈ S) are conditions
+    let binder = if node.bigopKind == boLim: "tendsto" else: "eq"
+    if lower != nil:
+      if lower.isApplyOf(binder) and lower.children.len == 3 and
+          lower.children[1].kind == smIdentifier:
+        result.qualifiers.add(("bvar", lower.children[1]))
+        result.qualifiers.add(("lowlimit", lower.children[2]))
+      else:
+        result.qualifiers.add(("condition", lower))
+    if upper != nil:
+      result.qualifiers.add(("uplimit", upper))
+
+  if isIntegral:
+    # The body runs up to the differentials, unless a relation comes first
+    var differential = -1
+    var i = p.pos
+    while i + 1 < p.items.len:
+      let value = operatorValue(p.items[i])
+      if value.len > 0 and infixOperator(value).prec <= precRelation:
+        break
+      if isDifferential(p.items[i]) and operatorValue(p.items[i + 1]).len == 0:
+        differential = i
+        break
+      inc i
+    if differential >= 0:
+      if differential > p.pos:
+        result.children.add(expressionTerm(p.items[p.pos ..< differential]))
+      p.pos = differential
+      var bvars = 0
+      while p.pos + 1 < p.items.len and isDifferential(p.items[p.pos]) and
+          operatorValue(p.items[p.pos + 1]).len == 0:
+        result.qualifiers.insert(("bvar", termOf(p.items[p.pos + 1])), bvars)
+        inc bvars
+        p.pos += 2
+      return
+
+  if p.pos < p.items.len and operatorValue(p.items[p.pos]).len == 0:
+    result.children.add(parseLevel(p, precMultiplicative))
+
+proc parsePrimary(p: var SemanticParser): SemanticNode
+proc parsePostfix(p: var SemanticParser, term: SemanticNode): SemanticNode
+
+proc parseArgument(p: var SemanticParser): SemanticNode =
+  ## Parse the argument of a function written without parentheses: the
+  ## following product, up to the next function or operator
+  result = parsePostfix(p, parsePrimary(p))
+  while p.pos < p.items.len and operatorValue(p.items[p.pos]).len == 0 and
+      not isFunction(p.items[p.pos]) and p.items[p.pos].kind != nkBigOp:
+    result = combine(timesOperator, result, parsePostfix(p, parsePrimary(p)))
+
+proc parsePrimary(p: var SemanticParser): SemanticNode =
+  ## Parse an operand, with the arguments of a function
+  let node = p.items[p.pos]
+  inc p.pos
+
+  if isFunction(node):
+    var args: seq[SemanticNode] = @[]
+    if p.pos < p.items.len and isParenGroup(p.items[p.pos]):
+      args = argumentTerms(p.items[p.pos].delimContent)
+      inc p.pos
+    elif p.pos < p.items.len and operatorValue(p.items[p.pos]).len == 0 and
+        not isFunction(p.items[p.pos]) and p.items[p.pos].kind != nkBigOp:
+      args = @[parseArgument(p)]
+    return case node.kind
+      of nkSub: applyFunction(node.subBase.funcName, node.subScript, nil, args)
+      of nkSup: applyFunction(node.supBase.funcName, nil, node.supScript, args)
+      of nkSubSup: applyFunction(node.subsupBase.funcName, node.subsupSub, node.subsupSup, args)
+      else: applyFunction(node.funcName, nil, nil, args)
+
+  if node.kind == nkBigOp:
+    return bigOpTerm(p, node)
+
+  if node.kind == nkIdentifier and node.identName in functionLetters:
+    # f(x) and f′(x) are applications
+    var next = p.pos
+    while next < p.items.len and operatorValue(p.items[next]) in ["′", "'"]:
+      inc next
+    if next < p.items.len and isParenGroup(p.items[next]):
+      var head = SemanticNode(kind: smIdentifier, name: node.identName, attributes: @[("type", "function")])
+      for _ in p.pos ..< next:
+        head = apply(operator("diff"), @[head])
+      p.pos = next + 1
+      return apply(head, argumentTerms(p.items[next].delimContent))
+
+  termOf(node)
+
+proc parsePostfix(p: var SemanticParser, term: SemanticNode): SemanticNode =
+  ## Apply postfix factorials and primes
+  result = term
+  while p.pos < p.items.len:
+    case operatorValue(p.items[p.pos])
+    of "!": result = apply(operator("factorial"), @[result])
+    of "′", "'": result = apply(operator("diff"), @[result])
+    else: break
+    inc p.pos
+
+proc parsePrefix(p: var SemanticParser): SemanticNode =
+  ## Parse an operand with its prefix operators
+  if p.pos >= p.items.len:
+    return errorTerm("Missing operand")
+  let value = operatorValue(p.items[p.pos])
+  case value
+  of "−", "-", "+", "±", "∓":
+    inc p.pos
+    let operand = parseLevel(p, precMultiplicative)
+    result = case value
+      of "+": operand
+      of "−", "-": apply(operator("minus"), @[operand])
+      else: apply(symbol(value), @[operand])
+  of "¬":
+    inc p.pos
+    result = apply(operator("not"), @[parseLevel(p, precRelation)])
+  of "":
+    result = parsePostfix(p, parsePrimary(p))
+  else:
+    # An operator with nothing before it, such as a leading =
+    inc p.pos
+    result = symbol(value)
+
+proc parseLevel(p: var SemanticParser, minPrec: int): SemanticNode =
+  ## Parse operators binding at least as tightly as minPrec
+  result = parsePrefix(p)
+  while p.pos < p.items.len:
+    let value = operatorValue(p.items[p.pos])
+    if value.len == 0:
+      # Juxtaposition
+      if precImplicit < minPrec:
+        break
+      let right = parseLevel(p, precImplicit + 1)
+      result = combine(timesOperator, result, right)
+    else:
+      let op = infixOperator(value)
+      if op.prec < minPrec:
+        break
+      inc p.pos
+      let right = parseLevel(p, op.prec + 1)
+      result = combine(op, result, right)
+
+proc matrixTerm(rows: seq[seq[AstNode]]): SemanticNode =
+  result = container("matrix")
+  for row in rows:
+    let matrixRow = container("matrixrow")
+    for cell in row:
+      matrixRow.children.add(termOf(cell))
+    result.children.add(matrixRow)
+
+proc pieceTerm(value, condition: AstNode): SemanticNode =
+  ## Convert a row of cases; "if" before the condition is dropped, and an
+  ## empty condition or "otherwise" makes the fallback piece
+  var valueItems = rowItems(value)
+  while valueItems.len > 0 and operatorValue(valueItems[^1]) == ",":
+    valueItems.setLen(valueItems.len - 1)
+  var conditionItems = if condition != nil: rowItems(condition) else: newSeq[AstNode]()
+  while conditionItems.len > 0 and conditionItems[0].kind == nkText and
+      conditionItems[0].textValue.strip().toLowerAscii() in ["if", "for", "when", ""]:
+    conditionItems.delete(0)
+  if conditionItems.len == 0 or (conditionItems.len == 1 and conditionItems[0].kind == nkText and
+      conditionItems[0].textValue.strip().toLowerAscii() in ["otherwise", "else"]):
+    container("otherwise", @[itemsTerm(valueItems)])
+  else:
+    container("piece", @[itemsTerm(valueItems), itemsTerm(conditionItems)])
+
+proc matrixEnvironmentTerm(node: AstNode): SemanticNode =
+  ## Convert a matrix, cases or alignment environment
+  case node.matrixType
+  of "vmatrix":
+    apply(operator("determinant"), @[matrixTerm(node.matrixRows)])
+  of "Vmatrix":
+    apply(symbol("norm"), @[matrixTerm(node.matrixRows)])
+  of "cases":
+    var pieces = container("piecewise")
+    for row in node.matrixRows:
+      if row.len > 0:
+        pieces.children.add(pieceTerm(row[0], (if row.len > 1: row[1] else: nil)))
+    pieces
+  elif node.matrixType in alignmentEnvironments:
+    # Each row is one formula, split into cells at its alignment points
+    var formulas: seq[SemanticNode] = @[]
+    for row in node.matrixRows:
+      var items: seq[AstNode] = @[]
+      for cell in row:
+        items.add(rowItems(cell))
+      if items.len > 0:
+        formulas.add(itemsTerm(items))
+    if formulas.len == 1: formulas[0] else: container("list", formulas)
+  else:
+    matrixTerm(node.matrixRows)
+
+proc numberTerm(value: string): SemanticNode =
+  result = newTerm(smNumber, value)
+  if value.find({'e', 'E'}) > 0:
+    result.attributes.add(("type", "e-notation"))
+
+proc termOf(node: AstNode): SemanticNode =
+  ## Convert any AST node
+  case node.kind
+  of nkNumber:
+    numberTerm(node.numValue)
+  of nkIdentifier:
+    identifier(node.identName)
+  of nkSymbol:
+    case node.symbolValue
+    of "π": constant("pi")
+    of "∞": constant("infinity")
+    of "∅": constant("emptyset")
+    else: identifier(node.symbolValue)
+  of nkOperator:
+    case node.opValue
+    of "∞": constant("infinity")
+    else: symbol(node.opValue)
+  of nkText:
+    newTerm(smText, node.textValue)
+  of nkSpace, nkPhantom, nkRow:
+    itemsTerm(rowItems(node))
+  of nkSqrt:
+    apply(operator("root"), @[termOf(node.sqrtBase)])
+  of nkRoot:
+    var root = apply(operator("root"), @[termOf(node.rootBase)])
+    root.qualifiers.add(("degree", termOf(node.rootIndex)))
+    root
+  of nkAccent:
+    if node.accentKind == akVec:
+      SemanticNode(kind: smIdentifier, name: generatePlainText(node.accentBase), attributes: @[("type", "vector")])
+    else:
+      identifier(generatePlainText(node))
+  of nkStyle:
+    if node.styleKind == skBlackboard and node.styleBase.kind == nkIdentifier:
+      case node.styleBase.identName
+      of "R": constant("reals")
+      of "N": constant("naturalnumbers")
+      of "Z": constant("integers")
+      of "Q": constant("rationals")
+      of "C": constant("complexes")
+      of "P": constant("primes")
+      else: identifier(generatePlainText(node))
+    else:
+      termOf(node.styleBase)
+  of nkMathStyle:
+    termOf(node.mathStyleBase)
+  of nkMathSize:
+    termOf(node.mathSizeBase)
+  of nkColor:
+    termOf(node.colorBase)
+  of nkEnclose:
+    termOf(node.encloseBase)
+  of nkBox:
+    termOf(node.boxBase)
+  of nkFrac:
+    apply(operator("divide"), @[termOf(node.fracNum), termOf(node.fracDenom)])
+  of nkBinomial:
+    apply(symbol("binomial"), @[termOf(node.binomTop), termOf(node.binomBottom)])
+  of nkAtop:
+    container("list", @[termOf(node.atopTop), termOf(node.atopBottom)])
+  of nkSub:
+    if isFunction(node): expressionTerm(@[node])
+    else: identifier(generatePlainText(node))
+  of nkSup:
+    if isFunction(node): expressionTerm(@[node])
+    else: apply(operator("power"), @[termOf(node.supBase), termOf(node.supScript)])
+  of nkSubSup:
+    if isFunction(node): expressionTerm(@[node])
+    else:
+      let base = identifier(generatePlainText(newSub(node.subsupBase, node.subsupSub)))
+      apply(operator("power"), @[base, termOf(node.subsupSup)])
+  of nkDelimited:
+    fenceTerm(node.delimLeft, node.delimRight, node.delimContent)
+  of nkSizedDelimiter:
+    symbol(node.sizedDelimChar)
+  of nkMatrix:
+    matrixEnvironmentTerm(node)
+  of nkCases:
+    var pieces = container("piecewise")
+    for row in node.casesRows:
+      pieces.children.add(pieceTerm(row.expr, row.cond))
+    pieces
+  of nkArray:
+    matrixTerm(node.arrayRows)
+  of nkFunction:
+    if node.funcArg != nil: apply(functionTerm(node.funcName), argumentTerms(node.funcArg))
+    else: expressionTerm(@[node])
+  of nkBigOp:
+    expressionTerm(@[node])
+  of nkUnderOver:
+    termOf(node.underoverBase)
+  of nkStackrel:
+    termOf(node.stackrelBase)
+  of nkNum:
+    numberTerm(node.numStr)
+  of nkSIUnit:
+    symbol(generatePlainText(node))
+  of nkSIValue:
+    apply(operator("times"), @[numberTerm(node.siValue), symbol(generatePlainText(node.siUnit))])
+  of nkChemical:
+    newTerm(smText, generatePlainText(node))
+  of nkError:
+    errorTerm(if node.errorSource.len > 0: node.errorSource else: node.errorMessage)
+
+# Public interface
+
+proc semanticTree*(ast: AstNode): SemanticNode =
+  ## Build the semantic tree of an AST
+  termOf(ast)
+
+proc parseSemantic*(latex: string, ctx: ParseContext): Result[SemanticNode] =
+  ## Parse LaTeX math to a semantic tree using the macros of a context
+  let astResult = parse(latex, ctx)
+  if not astResult.isOk:
+    return err[SemanticNode](astResult.error)
+  return ok(semanticTree(astResult.value))
+
+proc parseSemantic*(latex: string): Result[SemanticNode] =
+  ## Parse LaTeX math to a semantic tree
+  ##
+  ## Example:
+  ##
+  ## .. code-block:: nim
+  ##   echo parseSemantic(r"a + 2b").get()          # (plus a (times 2 b))
+  ##   echo parseSemantic(r"\sin x \cos x").get()  # (times (sin x) (cos x))
+  parseSemantic(latex, newParseContext())
+
+proc `$`*(node: SemanticNode): string =
+  ## Write a semantic tree as an S-expression: (plus a (times 2 b)), with
+  ## qualifiers as (bvar i) before the arguments and text in quotes
+  case node.kind
+  of smNumber, smIdentifier, smConstant, smOperator, smSymbol:
+    node.name
+  of smText:
+    "\"" & node.name & "\""
+  of smError:
+    "(error \"" & node.name & "\")"
+  of smApply, smContainer:
+    var parts: seq[string] = @[]
+    var first = 0
+    if node.kind == smApply:
+      parts.add($node.children[0])
+      first = 1
+    else:
+      parts.add(node.name)
+    for qualifier in node.qualifiers:
+      parts.add("(" & qualifier.name & " " & $qualifier.value & ")")
+    for child in node.children[first .. ^1]:
+      parts.add($child)
+    "(" & parts.join(" ") & ")"
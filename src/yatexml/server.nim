@@ -0,0 +1,194 @@
+## Conversion server protocol
+##
+## A server keeps one process (and its macros) warm for editors and
+## exporters. Requests and responses are JSON objects; over stdio each is
+## one line (newline-delimited JSON), over HTTP each is a request/response
+## body. See the "Conversion Server" section of the README.
+##
+## Request:
+##
+## .. code-block:: json
+##   {"id": 1, "latex": "\\frac{a}{b}", "display": true}
+##
+## Response:
+##
+## .. code-block:: json
+##   {"id": 1, "ok": true, "mathml": "<math ...>...</math>", "diagnostics": []}
+##
+## Positions in errors and diagnostics count UTF-16 code units, as in the
+## JS build, not bytes.
+
+import json, tables
+import ../yatexml
+
+type
+  ServerSession* = ref object
+    ## Conversion state of one client: its macros and default options
+    ctx: ParseContext
+    options: MathMLOptions
+
+  SessionTable* = ref object
+    ## Sessions of an HTTP server, by name
+    defaults: MathMLOptions
+    preamble: string
+    sessions: OrderedTable[string, ServerSession]  ## Least recently used first
+
+const MaxSessions* = 64  ## Most sessions a SessionTable keeps
+
+proc newServerSession*(options: MathMLOptions = defaultOptions(), preamble: string = ""): Result[ServerSession] =
+  ## Create a session; preamble holds \newcommand/\def definitions that
+  ## survive the "reset" command
+  let ctxResult = newContext(preamble)
+  if not ctxResult.isOk:
+    return err[ServerSession](ctxResult.error)
+  return ok(ServerSession(ctx: ctxResult.value, options: options))
+
+proc errorJson(e: CompileError, source: string): JsonNode =
+  ## Convert a CompileError to its JSON form
+  let (line, column) = lineAndColumn(source, e.position, utf16 = true)
+  %*{
+    "kind": errorCode(e.kind),
+    "message": e.message,
+    "position": utf16Offset(source, e.position),
+    "line": line,
+    "column": column
+  }
+
+proc diagnosticJson(d: Diagnostic, source: string): JsonNode =
+  ## Convert a Diagnostic to its JSON form
+  let (line, column) = lineAndColumn(source, d.position, utf16 = true)
+  %*{
+    "severity": severityName(d.severity),
+    "code": d.code,
+    "message": d.message,
+    "position": utf16Offset(source, d.position),
+    "endPosition": utf16Offset(source, d.endPosition),
+    "line": line,
+    "column": column
+  }
+
+proc failure(id: JsonNode, kind, message: string): JsonNode =
+  ## Response for a request that could not be handled
+  %*{"id": id, "ok": false, "error": {"kind": kind, "message": message}}
+
+proc requestOptions(session: ServerSession, request: JsonNode): MathMLOptions =
+  ## The session's options, overridden by the request's fields
+  result = session.options
+  result.utf16Positions = true
+  result.displayStyle = request{"display"}.getBool(result.displayStyle)
+  result.prettyPrint = request{"prettyPrint"}.getBool(result.prettyPrint)
+  result.indentSize = request{"indentSize"}.getInt(result.indentSize)
+  result.annotateTex = request{"annotateTex"}.getBool(result.annotateTex)
+  result.altText = request{"altText"}.getBool(result.altText)
+  result.sourcePositions = request{"sourcePositions"}.getBool(result.sourcePositions)
+  result.equationNumbers = request{"equationNumbers"}.getBool(result.equationNumbers)
+  result.firstEquationNumber = request{"firstEquationNumber"}.getInt(result.firstEquationNumber)
+
+proc convert(session: ServerSession, id: JsonNode, request: JsonNode): JsonNode =
+  ## Handle a conversion request
+  let latexNode = request{"latex"}
+  if latexNode.isNil or latexNode.kind != JString:
+    return failure(id, "invalid_request", "Expected a \"latex\" string")
+  let latex = latexNode.getStr()
+  let options = requestOptions(session, request)
+
+  let res = if request{"recover"}.getBool(false):
+              latexToMathMLRecovering(session.ctx, latex, options)
+            else:
+              latexToMathMLWithDiagnostics(session.ctx, latex, options)
+  if not res.isOk:
+    var diagnostics = newJArray()
+    for d in session.ctx.diagnostics:
+      diagnostics.add(diagnosticJson(d, latex))
+    return %*{"id": id, "ok": false, "error": errorJson(res.error, latex),
+              "diagnostics": diagnostics}
+
+  var diagnostics = newJArray()
+  for d in res.value.diagnostics:
+    diagnostics.add(diagnosticJson(d, latex))
+  var equations = newJArray()
+  for line in res.value.equations:
+    equations.add(%*{"number": line.number, "label": line.label, "row": line.row, "tagged": line.tagged})
+  return %*{"id": id, "ok": true, "mathml": res.value.mathml, "diagnostics": diagnostics,
+            "equations": equations}
+
+proc handleRequest*(session: ServerSession, request: JsonNode): JsonNode =
+  ## Handle one request and build its response
+  ##
+  ## Commands (the "command" field, default "convert"):
+  ## - convert: convert "latex"; macros it defines stay in the session
+  ## - define: add the \newcommand/\def definitions in "macros" to the
+  ##   session, so they survive "reset"
+  ## - reset: drop macros defined by conversions
+  ## - ping: check that the server is alive
+  if request.kind != JObject:
+    return failure(newJNull(), "invalid_request", "Expected a JSON object")
+  let id = if request.hasKey("id"): request["id"] else: newJNull()
+
+  case request{"command"}.getStr("convert")
+  of "convert":
+    return convert(session, id, request)
+  of "define":
+    let macros = request{"macros"}.getStr()
+    let res = session.ctx.loadPreamble(macros)
+    if not res.isOk:
+      return %*{"id": id, "ok": false, "error": errorJson(res.error, macros)}
+    return %*{"id": id, "ok": true}
+  of "reset":
+    session.ctx.resetMacros()
+    return %*{"id": id, "ok": true}
+  of "ping":
+    return %*{"id": id, "ok": true}
+  else:
+    return failure(id, "invalid_request", "Unknown command: " & request{"command"}.getStr())
+
+proc handleLine*(session: ServerSession, line: string): string =
+  ## Handle one line of newline-delimited JSON and return the response line
+  var request: JsonNode
+  try:
+    request = parseJson(line)
+  except JsonParsingError as e:
+    return $failure(newJNull(), "invalid_json", e.msg)
+  $handleRequest(session, request)
+
+proc newSessionTable*(options: MathMLOptions = defaultOptions(), preamble: string = ""): Result[SessionTable] =
+  ## Create the session table of an HTTP server; every session starts with
+  ## the given options and preamble
+  let check = newServerSession(options, preamble)
+  if not check.isOk:
+    return err[SessionTable](check.error)
+  return ok(SessionTable(defaults: options, preamble: preamble,
+                         sessions: {"default": check.value}.toOrderedTable))
+
+proc useSession(table: SessionTable, name: string): ServerSession =
+  ## Get the named session, creating it on first use
+  ## Beyond MaxSessions, the least recently used session other than
+  ## "default" is dropped, along with its macros.
+  if name in table.sessions:
+    result = table.sessions[name]
+    table.sessions.del(name)
+  else:
+    # The preamble was checked when the table was created
+    result = newServerSession(table.defaults, table.preamble).get()
+  table.sessions[name] = result
+  if table.sessions.len > MaxSessions:
+    var oldest = ""
+    for key in table.sessions.keys:
+      if key != "default":
+        oldest = key
+        break
+    table.sessions.del(oldest)
+
+proc handleBody*(table: SessionTable, body: string): string =
+  ## Handle the JSON body of an HTTP request
+  ## The "session" field picks the session (default "default"); sessions
+  ## are created on first use, and beyond MaxSessions the least recently
+  ## used one is dropped.
+  var request: JsonNode
+  try:
+    request = parseJson(body)
+  except JsonParsingError as e:
+    return $failure(newJNull(), "invalid_json", e.msg)
+
+  let name = request{"session"}.getStr("default")
+  $handleRequest(table.useSession(name), request)
@@ -0,0 +1,533 @@
+## Speech generator for yatexml
+##
+## This module converts AST nodes to an English speech string for screen
+## readers, in the style of MathSpeak:
+## \frac{-b}{2a} becomes "fraction negative b over 2 a end fraction".
+## Constructs with a body (fractions, roots, complex scripts) are closed
+## with "end ..." so the listener knows where they stop.
+
+import ast
+import strutils
+
+type
+  SpeechState = object
+    ## Where in the formula the speech is generated
+    chemistry: bool   ## Inside \ce: subscripts are counts, → reads "yields"
+    limit: bool       ## Inside the limit of \lim: → reads "approaches"
+
+# Word tables
+
+proc characterWords(ch: string): string =
+  ## Get the spoken name of a Greek letter or other special character,
+  ## or "" if it is read as it is
+  case ch
+  of "α": "alpha"
+  of "β": "beta"
+  of "γ": "gamma"
+  of "δ": "delta"
+  of "ε", "ϵ": "epsilon"
+  of "ζ": "zeta"
+  of "η": "eta"
+  of "θ", "ϑ": "theta"
+  of "ι": "iota"
+  of "κ", "ϰ": "kappa"
+  of "λ": "lambda"
+  of "μ": "mu"
+  of "ν": "nu"
+  of "ξ": "xi"
+  of "ο": "omicron"
+  of "π", "ϖ": "pi"
+  of "ρ", "ϱ": "rho"
+  of "σ", "ς": "sigma"
+  of "τ": "tau"
+  of "υ": "upsilon"
+  of "φ", "ϕ": "phi"
+  of "χ": "chi"
+  of "ψ": "psi"
+  of "ω": "omega"
+  of "Γ", "𝛤": "capital gamma"
+  of "Δ", "𝛥": "capital delta"
+  of "Θ", "𝛩": "capital theta"
+  of "Λ", "𝛬": "capital lambda"
+  of "Ξ", "𝛯": "capital xi"
+  of "Π", "𝛱": "capital pi"
+  of "Σ", "𝛴": "capital sigma"
+  of "Υ", "𝛶": "capital upsilon"
+  of "Φ", "𝛷": "capital phi"
+  of "Ψ", "𝛹": "capital psi"
+  of "Ω", "𝛺": "capital omega"
+  of "∞": "infinity"
+  of "∂": "partial"
+  of "∇": "nabla"
+  of "ℏ": "h bar"
+  of "ℓ": "ell"
+  of "∅": "empty set"
+  of "…", "⋯": "dot dot dot"
+  of "⋮": "vertical dots"
+  of "⋱": "diagonal dots"
+  of "∀": "for all"
+  of "∃": "there exists"
+  of "¬": "not"
+  of "°": "degrees"
+  of "′": "prime"
+  of "″": "double prime"
+  else: ""
+
+proc operatorWords(op: string, state: SpeechState): string =
+  ## Get the spoken form of an operator, or "" if it has none
+  case op
+  of "+": "plus"
+  of "-", "−": "minus"
+  of "±": "plus or minus"
+  of "∓": "minus or plus"
+  of "×", "⋅", "*", "∗": "times"
+  of "÷", "/": "divided by"
+  of "=": "equals"
+  of "≠": "not equals"
+  of "<": "less than"
+  of ">": "greater than"
+  of "≤", "≦", "⩽": "less than or equal to"
+  of "≥", "≧", "⩾": "greater than or equal to"
+  of "≪": "much less than"
+  of "≫": "much greater than"
+  of "≈": "approximately equals"
+  of "≡": "is equivalent to"
+  of "∼": "is similar to"
+  of "≃", "≅": "is congruent to"
+  of "∝": "is proportional to"
+  of "≔": "is defined as"
+  of "∈": "is in"
+  of "∉": "is not in"
+  of "∋": "contains"
+  of "⊂": "is a subset of"
+  of "⊃": "is a superset of"
+  of "⊆": "is a subset of or equal to"
+  of "⊇": "is a superset of or equal to"
+  of "∪": "union"
+  of "∩": "intersection"
+  of "∖": "set minus"
+  of "∘": "composed with"
+  of "⊕": "direct sum"
+  of "⊗": "tensor product"
+  of "∧": "and"
+  of "∨": "or"
+  of "→", "⟶":
+    if state.chemistry: "yields"
+    elif state.limit: "approaches"
+    else: "right arrow"
+  of "←", "⟵": "left arrow"
+  of "↔", "⟷": "left right arrow"
+  of "⇒", "⟹": "implies"
+  of "⇐", "⟸": "is implied by"
+  of "⇔", "⟺": "if and only if"
+  of "⇌", "⇋": "is in equilibrium with"
+  of "↦", "⟼": "maps to"
+  of "∥": "is parallel to"
+  of "⊥": "is perpendicular to"
+  of "∣": "divides"
+  of "!": "factorial"
+  of ",": "comma"
+  of ";": "semicolon"
+  of ":": "colon"
+  of "(": "open paren"
+  of ")": "close paren"
+  of "[": "open bracket"
+  of "]": "close bracket"
+  of "{": "open brace"
+  of "}": "close brace"
+  of "|": "vertical bar"
+  of "'": "prime"
+  of "mod": "mod"
+  else: characterWords(op)
+
+proc functionWords(name: string): string =
+  ## Get the spoken name of a function such as \sin
+  case name
+  of "sin": "sine"
+  of "cos": "cosine"
+  of "tan": "tangent"
+  of "cot": "cotangent"
+  of "sec": "secant"
+  of "csc": "cosecant"
+  of "sinh": "hyperbolic sine"
+  of "cosh": "hyperbolic cosine"
+  of "tanh": "hyperbolic tangent"
+  of "arcsin": "arc sine"
+  of "arccos": "arc cosine"
+  of "arctan": "arc tangent"
+  of "ln": "natural log"
+  of "log": "log"
+  of "exp": "exponential"
+  of "det": "determinant"
+  of "gcd": "greatest common divisor"
+  of "dim": "dimension"
+  of "ker": "kernel"
+  else: name
+
+proc bigOpWords(kind: BigOpKind): string =
+  ## Get the spoken name of a big operator
+  case kind
+  of boSum: "sum"
+  of boProd: "product"
+  of boInt: "integral"
+  of boIInt: "double integral"
+  of boIIInt: "triple integral"
+  of boIIIInt: "quadruple integral"
+  of boOint: "contour integral"
+  of boOIInt: "surface integral"
+  of boOIIInt: "volume integral"
+  of boUnion: "union"
+  of boIntersect: "intersection"
+  of boCoProd: "coproduct"
+  of boOPlus: "direct sum"
+  of boOTimes: "tensor product"
+  of boODot: "circled dot"
+  of boUPlus: "disjoint union"
+  of boSqCup: "square union"
+  of boVee: "logical or"
+  of boWedge: "logical and"
+  of boLim: "limit"
+  of boMax: "maximum"
+  of boMin: "minimum"
+
+proc accentWords(kind: AccentKind): string =
+  ## Get the spoken name of an accent, read after its base
+  case kind
+  of akHat, akWidehat: "hat"
+  of akBar, akOverline: "bar"
+  of akTilde, akWidetilde: "tilde"
+  of akDot: "dot"
+  of akDdot: "double dot"
+  of akDddot: "triple dot"
+  of akVec, akOverrightarrow: "vector"
+  of akOverleftarrow: "left vector"
+  of akAcute: "acute"
+  of akGrave: "grave"
+  of akBreve: "breve"
+  of akCheck: "check"
+  of akWideparen: "arc"
+  of akUnderline: "underline"
+  of akOverbrace: "overbrace"
+  of akUnderbrace: "underbrace"
+
+proc unitWords(comp: SIUnitComponent, plural: bool): string =
+  ## Get the spoken name of a unit with its prefix, e.g. "kilometers"
+  let prefix = case comp.prefix
+    of pkNone: ""
+    else: ($comp.prefix)[2 .. ^1].toLowerAscii()
+  let name = case comp.unit
+    of ukMeter: "meter"
+    of ukSecond: "second"
+    of ukKilogram: "kilogram"
+    of ukGram: "gram"
+    of ukAmpere: "ampere"
+    of ukKelvin: "kelvin"
+    of ukMole: "mole"
+    of ukCandela: "candela"
+    of ukHertz: "hertz"
+    of ukNewton: "newton"
+    of ukPascal: "pascal"
+    of ukJoule: "joule"
+    of ukWatt: "watt"
+    of ukCoulomb: "coulomb"
+    of ukVolt: "volt"
+    of ukFarad: "farad"
+    of ukOhm: "ohm"
+    of ukSiemens: "siemens"
+    of ukWeber: "weber"
+    of ukTesla: "tesla"
+    of ukHenry: "henry"
+    of ukLumen: "lumen"
+    of ukLux: "lux"
+    of ukBecquerel: "becquerel"
+    of ukGray: "gray"
+    of ukSievert: "sievert"
+    of ukCustom: comp.customUnit
+  result = prefix & name
+  if plural:
+    case comp.unit
+    of ukHertz, ukSiemens, ukLux, ukCustom: discard
+    of ukHenry: result = prefix & "henries"
+    else: result.add("s")
+
+proc powerWords(power: int): string =
+  ## Get the spoken form of a power: "squared", "cubed", "to the power 4"
+  case power
+  of 2: "squared"
+  of 3: "cubed"
+  else:
+    if power < 0: "to the power negative " & $(-power) else: "to the power " & $power
+
+# Node generation functions
+
+proc speakNode(node: AstNode, state: SpeechState): string
+
+proc isSimple(node: AstNode): bool =
+  ## Check whether a node is read as one word, so a script or radicand
+  ## made of it needs no "end ..." marker
+  case node.kind
+  of nkNumber, nkIdentifier, nkSymbol, nkNum:
+    true
+  of nkStyle:
+    isSimple(node.styleBase)
+  of nkRow:
+    node.rowChildren.len == 1 and isSimple(node.rowChildren[0])
+  else:
+    false
+
+proc isSign(node: AstNode): bool =
+  ## Check whether an operator can be a sign (negative, positive)
+  node.kind == nkOperator and node.opValue in ["+", "-", "−", "±", "∓"]
+
+proc speakOperator(node: AstNode, state: SpeechState, unary: bool): string =
+  ## Speak an operator; a sign without a left operand is "negative" or "positive"
+  if unary:
+    case node.opValue
+    of "-", "−": return "negative"
+    of "+": return "positive"
+    else: discard
+  result = operatorWords(node.opValue, state)
+  if result.len == 0:
+    # Named operators (\oplus, \triangleleft, ...) are read by name
+    result = if node.opName.len > 0 and node.opName[0].isAlphaAscii(): node.opName else: node.opValue
+
+proc speakRow(node: AstNode, state: SpeechState): string =
+  ## Speak a row; a sign at the start or after another operator is unary
+  var words: seq[string] = @[]
+  var afterOperand = false
+  for child in node.rowChildren:
+    if child.kind == nkOperator:
+      words.add(speakOperator(child, state, unary = not afterOperand and isSign(child)))
+      afterOperand = child.opForm == "postfix"
+    else:
+      words.add(speakNode(child, state))
+      afterOperand = child.kind notin {nkSpace, nkPhantom}
+  words.join(" ")
+
+proc speakSub(base, script: AstNode, state: SpeechState): string =
+  ## Speak a subscript: "x sub i", or "H 2" for a count in chemistry
+  let sub = speakNode(script, state)
+  if state.chemistry and script.kind == nkNumber:
+    base.speakNode(state) & " " & sub
+  elif isSimple(script):
+    base.speakNode(state) & " sub " & sub
+  else:
+    base.speakNode(state) & " sub " & sub & " end sub"
+
+proc speakSup(base, script: AstNode, state: SpeechState): string =
+  ## Speak a superscript: "x squared", "x to the power n", or a charge in
+  ## chemistry ("Na plus")
+  let baseWords = speakNode(base, state)
+  if script.kind == nkNumber and script.numValue in ["2", "3"]:
+    return baseWords & " " & powerWords(parseInt(script.numValue))
+  if script.kind == nkOperator and script.opValue in ["′", "'", "″"]:
+    return baseWords & " " & speakNode(script, state)
+  let sup = speakNode(script, state)
+  if state.chemistry:
+    baseWords & " " & sup
+  elif isSimple(script):
+    baseWords & " to the power " & sup
+  else:
+    baseWords & " to the power " & sup & " end power"
+
+proc speakDelimited(node: AstNode, state: SpeechState): string =
+  ## Speak delimiters: |x| is an absolute value, (x) is read with parens
+  let content = speakNode(node.delimContent, state)
+  case node.delimLeft & node.delimRight
+  of "||":
+    "absolute value of " & content & " end absolute value"
+  of "‖‖":
+    "norm of " & content & " end norm"
+  of "⌊⌋":
+    "floor of " & content & " end floor"
+  of "⌈⌉":
+    "ceiling of " & content & " end ceiling"
+  of "⟨⟩":
+    "open angle " & content & " close angle"
+  else:
+    let left = if node.delimLeft == ".": "" else: operatorWords(node.delimLeft, state)
+    let right = if node.delimRight == ".": "" else: operatorWords(node.delimRight, state)
+    left & " " & content & " " & right
+
+proc speakMatrix(rows: seq[seq[AstNode]], matrixType: string, state: SpeechState): string =
+  ## Speak a matrix row by row; alignments and cases by line and case
+  var parts: seq[string] = @[]
+  for i, row in rows:
+    var cells: seq[string] = @[]
+    for cell in row:
+      cells.add(speakNode(cell, state))
+    case matrixType
+    of "cases":
+      parts.add("case " & $(i + 1) & ": " & cells.join(", "))
+    elif matrixType in alignmentEnvironments:
+      parts.add(cells.join(" "))
+    else:
+      parts.add("row " & $(i + 1) & ": " & cells.join(", "))
+
+  case matrixType
+  of "cases":
+    "cases; " & parts.join("; ") & "; end cases"
+  elif matrixType in alignmentEnvironments:
+    parts.join("; ")
+  else:
+    let columns = if rows.len > 0: rows[0].len else: 0
+    let name = if matrixType == "vmatrix": "determinant" else: "matrix"
+    $rows.len & " by " & $columns & " " & name & "; " & parts.join("; ") & "; end " & name
+
+proc speakSIUnit(node: AstNode, plural: bool): string =
+  ## Speak a unit: "meters per second squared"
+  var above, below: seq[SIUnitComponent] = @[]
+  for comp in node.unitNumerator:
+    if comp.power < 0:
+      var positive = comp
+      positive.power = -comp.power
+      below.add(positive)
+    else:
+      above.add(comp)
+  below.add(node.unitDenominator)
+
+  var words: seq[string] = @[]
+  for i, comp in above:
+    # The last unit before "per" is the one counted ("kilowatt hours")
+    words.add(unitWords(comp, plural and i == above.high))
+    if comp.power != 1:
+      words.add(powerWords(comp.power))
+  for comp in below:
+    words.add("per " & unitWords(comp, false))
+    if comp.power != 1:
+      words.add(powerWords(comp.power))
+  words.join(" ")
+
+proc speakNumber(value: string): string =
+  ## Speak a number, with scientific notation as "times 10 to the power"
+  let ePos = value.find({'e', 'E'})
+  if ePos <= 0:
+    return value
+  let exponent = value[ePos + 1 .. ^1]
+  let spokenExponent = if exponent.startsWith("-"): "negative " & exponent[1 .. ^1] else: exponent.strip(chars = {'+'})
+  value[0 ..< ePos] & " times 10 to the power " & spokenExponent
+
+proc speakNode(node: AstNode, state: SpeechState): string =
+  ## Generate speech for any AST node
+  if node == nil:
+    return ""
+  case node.kind
+  of nkNumber:
+    node.numValue
+  of nkIdentifier:
+    let words = characterWords(node.identName)
+    if words.len > 0: words else: node.identName
+  of nkSymbol:
+    let words = characterWords(node.symbolValue)
+    if words.len > 0: words else: node.symbolName
+  of nkOperator:
+    speakOperator(node, state, unary = false)
+  of nkText:
+    node.textValue
+  of nkSpace, nkPhantom:
+    ""
+  of nkSqrt:
+    if isSimple(node.sqrtBase):
+      "square root of " & speakNode(node.sqrtBase, state)
+    else:
+      "square root of " & speakNode(node.sqrtBase, state) & " end root"
+  of nkRoot:
+    let index = speakNode(node.rootIndex, state)
+    let name = if index == "3": "cube root" else: "root " & index
+    name & " of " & speakNode(node.rootBase, state) & " end root"
+  of nkAccent:
+    if node.accentKind in {akVec, akOverrightarrow}:
+      "vector " & speakNode(node.accentBase, state)
+    else:
+      speakNode(node.accentBase, state) & " " & accentWords(node.accentKind)
+  of nkStyle:
+    speakNode(node.styleBase, state)
+  of nkMathStyle:
+    speakNode(node.mathStyleBase, state)
+  of nkMathSize:
+    speakNode(node.mathSizeBase, state)
+  of nkColor:
+    speakNode(node.colorBase, state)
+  of nkEnclose:
+    if node.encloseTo != nil:
+      "crossed out " & speakNode(node.encloseBase, state) & " with " &
+        speakNode(node.encloseTo, state) & " end crossed out"
+    else:
+      "crossed out " & speakNode(node.encloseBase, state) & " end crossed out"
+  of nkBox:
+    if node.boxFrame:
+      "box " & speakNode(node.boxBase, state) & " end box"
+    else:
+      speakNode(node.boxBase, state)
+  of nkFrac:
+    "fraction " & speakNode(node.fracNum, state) & " over " &
+      speakNode(node.fracDenom, state) & " end fraction"
+  of nkBinomial:
+    speakNode(node.binomTop, state) & " choose " & speakNode(node.binomBottom, state)
+  of nkAtop:
+    speakNode(node.atopTop, state) & " atop " & speakNode(node.atopBottom, state)
+  of nkSub:
+    speakSub(node.subBase, node.subScript, state)
+  of nkSup:
+    speakSup(node.supBase, node.supScript, state)
+  of nkSubSup:
+    speakSup(newSub(node.subsupBase, node.subsupSub), node.subsupSup, state)
+  of nkRow:
+    speakRow(node, state)
+  of nkDelimited:
+    speakDelimited(node, state)
+  of nkSizedDelimiter:
+    if node.sizedDelimChar == ".": "" else: operatorWords(node.sizedDelimChar, state)
+  of nkMatrix:
+    speakMatrix(node.matrixRows, node.matrixType, state)
+  of nkCases:
+    var rows: seq[seq[AstNode]] = @[]
+    for row in node.casesRows:
+      rows.add(if row.cond != nil: @[row.expr, row.cond] else: @[row.expr])
+    speakMatrix(rows, "cases", state)
+  of nkArray:
+    speakMatrix(node.arrayRows, "array", state)
+  of nkFunction:
+    let name = functionWords(node.funcName)
+    if node.funcArg == nil: name else: name & " of " & speakNode(node.funcArg, state)
+  of nkBigOp:
+    var words = bigOpWords(node.bigopKind)
+    if node.bigopKind == boLim and node.bigopLower != nil:
+      var limitState = state
+      limitState.limit = true
+      words.add(" as " & speakNode(node.bigopLower, limitState))
+    elif node.bigopLower != nil:
+      let lead = if node.bigopUpper != nil: " from " else: " over "
+      words.add(lead & speakNode(node.bigopLower, state))
+    if node.bigopUpper != nil:
+      words.add(" to " & speakNode(node.bigopUpper, state))
+    if node.bigopBase != nil:
+      words.add(" of " & speakNode(node.bigopBase, state))
+    words
+  of nkUnderOver:
+    var words = speakNode(node.underoverBase, state)
+    if node.underoverUnder != nil:
+      words.add(" with " & speakNode(node.underoverUnder, state) & " below")
+    if node.underoverOver != nil:
+      words.add(" with " & speakNode(node.underoverOver, state) & " above")
+    words
+  of nkStackrel:
+    speakNode(node.stackrelBase, state) & " with " & speakNode(node.stackrelAbove, state) & " above"
+  of nkNum:
+    speakNumber(node.numStr)
+  of nkSIUnit:
+    speakSIUnit(node, plural = false)
+  of nkSIValue:
+    speakNumber(node.siValue) & " " & speakSIUnit(node.siUnit, plural = node.siValue != "1")
+  of nkChemical:
+    var chemState = state
+    chemState.chemistry = true
+    speakNode(node.chemicalExpr, chemState)
+  of nkError:
+    node.errorSource
+
+proc generateSpeech*(ast: AstNode): string =
+  ## Generate an English speech string from an AST
+  ##
+  ## Words are separated by single spaces.
+  speakNode(ast, SpeechState()).splitWhitespace().join(" ")
@@ -0,0 +1,448 @@
+## Plain-text generator for yatexml
+##
+## This module converts AST nodes to readable Unicode text, for places
+## that cannot show MathML (email, search snippets, terminals):
+## x^2 becomes "x²", \sqrt{x+1} becomes "√(x+1)" and \ce{H2O} becomes "H₂O".
+## Scripts use Unicode superscript and subscript characters when every
+## character has one, and a linear ^{...} / _{...} form otherwise.
+
+import ast, mathml_generator
+import strutils
+import unicode
+
+# Helper functions
+
+proc superscriptChar(ch: string): string =
+  ## Get the Unicode superscript form of a character, or "" if there is none
+  case ch
+  of "0": "⁰"
+  of "1": "¹"
+  of "2": "²"
+  of "3": "³"
+  of "4": "⁴"
+  of "5": "⁵"
+  of "6": "⁶"
+  of "7": "⁷"
+  of "8": "⁸"
+  of "9": "⁹"
+  of "+": "⁺"
+  of "-", "−": "⁻"
+  of "=": "⁼"
+  of "(": "⁽"
+  of ")": "⁾"
+  of "a": "ᵃ"
+  of "b": "ᵇ"
+  of "c": "ᶜ"
+  of "d": "ᵈ"
+  of "e": "ᵉ"
+  of "f": "ᶠ"
+  of "g": "ᵍ"
+  of "h": "ʰ"
+  of "i": "ⁱ"
+  of "j": "ʲ"
+  of "k": "ᵏ"
+  of "l": "ˡ"
+  of "m": "ᵐ"
+  of "n": "ⁿ"
+  of "o": "ᵒ"
+  of "p": "ᵖ"
+  of "r": "ʳ"
+  of "s": "ˢ"
+  of "t": "ᵗ"
+  of "u": "ᵘ"
+  of "v": "ᵛ"
+  of "w": "ʷ"
+  of "x": "ˣ"
+  of "y": "ʸ"
+  of "z": "ᶻ"
+  of "′": "′"  # A prime is already raised
+  else: ""
+
+proc subscriptChar(ch: string): string =
+  ## Get the Unicode subscript form of a character, or "" if there is none
+  case ch
+  of "0": "₀"
+  of "1": "₁"
+  of "2": "₂"
+  of "3": "₃"
+  of "4": "₄"
+  of "5": "₅"
+  of "6": "₆"
+  of "7": "₇"
+  of "8": "₈"
+  of "9": "₉"
+  of "+": "₊"
+  of "-", "−": "₋"
+  of "=": "₌"
+  of "(": "₍"
+  of ")": "₎"
+  of "a": "ₐ"
+  of "e": "ₑ"
+  of "h": "ₕ"
+  of "i": "ᵢ"
+  of "j": "ⱼ"
+  of "k": "ₖ"
+  of "l": "ₗ"
+  of "m": "ₘ"
+  of "n": "ₙ"
+  of "o": "ₒ"
+  of "p": "ₚ"
+  of "r": "ᵣ"
+  of "s": "ₛ"
+  of "t": "ₜ"
+  of "u": "ᵤ"
+  of "v": "ᵥ"
+  of "x": "ₓ"
+  else: ""
+
+proc script(text: string, superscript: bool): string =
+  ## Render a script with Unicode characters when all of them have a
+  ## script form, and as ^{text} or _{text} otherwise
+  var mapped = ""
+  for r in text.runes:
+    let ch = if superscript: superscriptChar($r) else: subscriptChar($r)
+    if ch.len == 0:
+      mapped = ""
+      break
+    mapped.add(ch)
+  if mapped.len > 0:
+    mapped
+  elif superscript:
+    "^{" & text & "}"
+  else:
+    "_{" & text & "}"
+
+proc isRelation(op: string): bool =
+  ## Check whether an operator is a relation or arrow
+  op in ["=", "<", ">", "≠", "≤", "≥", "≪", "≫",
+         "≡", "≈", "∼", "≃", "≅", "∝",
+         "≔", "∈", "∉", "∋", "⊂", "⊃",
+         "⊆", "⊇", "→", "←", "↔", "⇒",
+         "⇐", "⇔", "↦", "⟶", "⟵", "⟷",
+         "⟹", "⟸", "⟺", "⇌", "∥", "⊥", "∣"]
+
+proc isSign(op: string): bool =
+  ## Check whether an operator can be a sign (unary minus, ...)
+  op in ["+", "-", "−", "±", "∓"]
+
+proc isAtomic(node: AstNode): bool =
+  ## Check whether the text of a node can take a script or follow a
+  ## radical without parentheses
+  case node.kind
+  of nkNumber, nkIdentifier, nkSymbol, nkText, nkDelimited, nkSqrt, nkRoot,
+     nkAccent, nkNum, nkSub, nkSup, nkSubSup, nkPhantom, nkError:
+    true
+  of nkStyle:
+    isAtomic(node.styleBase)
+  of nkMathStyle:
+    isAtomic(node.mathStyleBase)
+  of nkMathSize:
+    isAtomic(node.mathSizeBase)
+  of nkColor:
+    isAtomic(node.colorBase)
+  of nkEnclose:
+    node.encloseTo == nil and isAtomic(node.encloseBase)
+  of nkBox:
+    isAtomic(node.boxBase)
+  of nkChemical:
+    isAtomic(node.chemicalExpr)
+  of nkRow:
+    node.rowChildren.len == 1 and isAtomic(node.rowChildren[0])
+  else:
+    false
+
+proc accentMark(kind: AccentKind): string =
+  ## Get the combining character of an accent
+  case kind
+  of akHat, akWidehat: "̂"
+  of akBar: "̄"
+  of akTilde, akWidetilde: "̃"
+  of akDot: "̇"
+  of akDdot: "̈"
+  of akDddot: "⃛"
+  of akVec, akOverrightarrow: "⃗"
+  of akOverleftarrow: "⃖"
+  of akAcute: "́"
+  of akGrave: "̀"
+  of akBreve: "̆"
+  of akCheck: "̌"
+  of akWideparen: "̑"
+  of akOverline: "̅"
+  of akUnderline: "̲"
+  of akOverbrace, akUnderbrace: ""
+
+proc encloseMark(kind: EncloseKind): string =
+  ## Get the combining overlay of a cancellation stroke
+  case kind
+  of encUpDiagonalStrike: "̸"
+  of encDownDiagonalStrike: "⃥"
+  of encBothDiagonalStrike: "̸⃥"
+  of encHorizontalStrike: "̶"
+
+# Node generation functions
+
+proc textNode(node: AstNode, compact: bool): string
+
+proc textBase(node: AstNode, compact: bool): string =
+  ## Text of a base or radicand, in parentheses unless it is atomic
+  let text = textNode(node, compact)
+  if isAtomic(node) or text.runeLen <= 1: text else: "(" & text & ")"
+
+proc textLimits(lower, upper: AstNode): string =
+  ## Limits of a big operator, always in linear form (∑_{i=0}^{n})
+  if lower != nil:
+    result.add("_{" & textNode(lower, true) & "}")
+  if upper != nil:
+    result.add("^{" & textNode(upper, true) & "}")
+
+proc textOperator(node: AstNode, compact: bool, unary: bool): string =
+  ## Text of an operator; outside scripts, fractions and radicals,
+  ## relations and binary operators are set off by spaces
+  let op = node.opValue
+  if op == "mod":
+    return " mod "
+  if op == "," or op == ";":
+    return if compact: op else: op & " "
+  if unary or compact or node.opForm != "infix" or op in [".", "/", "!", "'", "′"]:
+    return op
+  if isRelation(op) or isSign(op) or op in ["×", "÷", "⋅", "∘", "∗", "⋆", "•"]:
+    return " " & op & " "
+  op
+
+proc textRow(node: AstNode, compact: bool): string =
+  ## Text of a row; a sign at the start of the row or after another
+  ## operator is unary and takes no spaces
+  var afterOperand = false
+  for child in node.rowChildren:
+    if child.kind == nkOperator:
+      let unary = not afterOperand and isSign(child.opValue)
+      result.add(textOperator(child, compact, unary))
+      afterOperand = child.opForm == "postfix"
+    else:
+      result.add(textNode(child, compact))
+      afterOperand = child.kind notin {nkSpace, nkPhantom}
+
+proc textAccent(node: AstNode, compact: bool): string =
+  ## Text of an accent: the combining mark after each character of the base
+  let base = textNode(node.accentBase, compact)
+  let mark = accentMark(node.accentKind)
+  if mark.len == 0:
+    return base
+  if base.runeLen == 1 or node.accentKind in {akOverline, akUnderline}:
+    for r in base.runes:
+      result.add($r)
+      if r != Rune(ord(' ')):
+        result.add(mark)
+  else:
+    # A single mark over several characters would only cover the last one
+    result = "(" & base & ")" & mark
+
+proc textEnclose(node: AstNode, compact: bool): string =
+  ## Text of a cancellation: the stroke overlaid on each character of the
+  ## base, then →value for \cancelto
+  let mark = encloseMark(node.encloseKind)
+  for r in textNode(node.encloseBase, compact).runes:
+    result.add($r)
+    if r != Rune(ord(' ')):
+      result.add(mark)
+  if node.encloseTo != nil:
+    result.add("→" & textNode(node.encloseTo, true))
+
+proc textStyle(node: AstNode, compact: bool): string =
+  ## Text of a style: mathematical alphanumeric characters (𝐱, ℝ, 𝔤)
+  let base = textNode(node.styleBase, compact)
+  if node.styleKind == skRoman: base else: convertToStyledUnicode(base, node.styleKind)
+
+proc textRoot(node: AstNode): string =
+  ## Text of an nth root: ∛x, ∜x, or the index as a superscript (ⁿ√x)
+  let base = textBase(node.rootBase, true)
+  let index = textNode(node.rootIndex, true)
+  case index
+  of "3": "∛" & base
+  of "4": "∜" & base
+  else:
+    let raised = script(index, superscript = true)
+    if strutils.startsWith(raised, "^"): "√[" & index & "]" & base else: raised & "√" & base
+
+proc textMatrix(rows: seq[seq[AstNode]], matrixType: string): string =
+  ## Text of a matrix or alignment: rows separated by "; ", cells by ", "
+  ## (alignment cells are joined, as & only marks an alignment point)
+  let isAlignment = matrixType in alignmentEnvironments
+  var lines: seq[string] = @[]
+  for row in rows:
+    var cells: seq[string] = @[]
+    for cell in row:
+      cells.add(strutils.strip(textNode(cell, false)))
+    lines.add(if isAlignment: cells.join(" ") else: cells.join(", "))
+  let body = lines.join("; ")
+  case matrixType
+  of "pmatrix": "(" & body & ")"
+  of "bmatrix": "[" & body & "]"
+  of "Bmatrix": "{" & body & "}"
+  of "vmatrix": "|" & body & "|"
+  of "Vmatrix": "‖" & body & "‖"
+  of "cases": "{ " & body
+  else: body
+
+proc textSIUnit(node: AstNode): string =
+  ## Text of a unit: kg·m/s², with negative powers after a slash
+  proc component(comp: SIUnitComponent, power: int): string =
+    result = siUnitSymbol(comp)
+    if power != 1:
+      result.add(script($power, superscript = true))
+
+  var above, below: seq[string] = @[]
+  for comp in node.unitNumerator:
+    if comp.power < 0:
+      below.add(component(comp, -comp.power))
+    else:
+      above.add(component(comp, comp.power))
+  for comp in node.unitDenominator:
+    below.add(component(comp, comp.power))
+
+  if above.len == 0:
+    # Only negative powers: s⁻¹ reads better than 1/s
+    var parts: seq[string] = @[]
+    for comp in node.unitNumerator:
+      parts.add(component(comp, comp.power))
+    for comp in node.unitDenominator:
+      parts.add(component(comp, -comp.power))
+    return parts.join("·")
+
+  result = above.join("·")
+  if below.len == 1:
+    result.add("/" & below[0])
+  elif below.len > 1:
+    result.add("/(" & below.join("·") & ")")
+
+proc textSIValue(node: AstNode): string =
+  ## Text of a value with a unit; 5e-10 becomes 5·10⁻¹⁰
+  let value = node.siValue
+  let ePos = value.find({'e', 'E'})
+  let number = if ePos > 0:
+                 value[0 ..< ePos] & "·10" & script(value[ePos + 1 .. ^1], superscript = true)
+               else:
+                 value
+  number & " " & textSIUnit(node.siUnit)
+
+proc textNode(node: AstNode, compact: bool): string =
+  ## Generate text for any AST node
+  ## compact is set inside scripts, fractions and radicals, where
+  ## operators are not spaced
+  if node == nil:
+    return ""
+  case node.kind
+  of nkNumber:
+    node.numValue
+  of nkIdentifier:
+    node.identName
+  of nkSymbol:
+    node.symbolValue
+  of nkOperator:
+    textOperator(node, compact, unary = false)
+  of nkText:
+    node.textValue
+  of nkSpace:
+    if strutils.startsWith(node.spaceWidth, "-"): "" else: " "
+  of nkSqrt:
+    "√" & textBase(node.sqrtBase, true)
+  of nkRoot:
+    textRoot(node)
+  of nkAccent:
+    textAccent(node, compact)
+  of nkStyle:
+    textStyle(node, compact)
+  of nkMathStyle:
+    textNode(node.mathStyleBase, compact)
+  of nkMathSize:
+    textNode(node.mathSizeBase, compact)
+  of nkColor:
+    textNode(node.colorBase, compact)
+  of nkPhantom:
+    ""
+  of nkEnclose:
+    textEnclose(node, compact)
+  of nkBox:
+    # Plain text has no frames or backgrounds
+    textNode(node.boxBase, compact)
+  of nkFrac:
+    "(" & textNode(node.fracNum, true) & ")/(" & textNode(node.fracDenom, true) & ")"
+  of nkBinomial:
+    "C(" & textNode(node.binomTop, true) & ", " & textNode(node.binomBottom, true) & ")"
+  of nkAtop:
+    "(" & textNode(node.atopTop, true) & " over " & textNode(node.atopBottom, true) & ")"
+  of nkSub:
+    textBase(node.subBase, compact) & script(textNode(node.subScript, true), superscript = false)
+  of nkSup:
+    textBase(node.supBase, compact) & script(textNode(node.supScript, true), superscript = true)
+  of nkSubSup:
+    textBase(node.subsupBase, compact) &
+      script(textNode(node.subsupSub, true), superscript = false) &
+      script(textNode(node.subsupSup, true), superscript = true)
+  of nkRow:
+    textRow(node, compact)
+  of nkDelimited:
+    let left = if node.delimLeft == ".": "" else: node.delimLeft
+    let right = if node.delimRight == ".": "" else: node.delimRight
+    left & strutils.strip(textNode(node.delimContent, compact)) & right
+  of nkSizedDelimiter:
+    if node.sizedDelimChar == ".": "" else: node.sizedDelimChar
+  of nkMatrix:
+    textMatrix(node.matrixRows, node.matrixType)
+  of nkCases:
+    var rows: seq[seq[AstNode]] = @[]
+    for row in node.casesRows:
+      rows.add(if row.cond != nil: @[row.expr, row.cond] else: @[row.expr])
+    textMatrix(rows, "cases")
+  of nkArray:
+    textMatrix(node.arrayRows, "array")
+  of nkFunction:
+    if node.funcArg == nil:
+      node.funcName & " "
+    elif node.funcArg.kind == nkDelimited:
+      node.funcName & textNode(node.funcArg, compact)
+    else:
+      node.funcName & " " & textNode(node.funcArg, compact)
+  of nkBigOp:
+    var op = bigOpSymbol(node.bigopKind) & textLimits(node.bigopLower, node.bigopUpper)
+    if node.bigopBase != nil:
+      op.add(" " & textNode(node.bigopBase, compact))
+    if node.bigopKind in {boLim, boMax, boMin}:
+      op.add(" ")
+    op
+  of nkUnderOver:
+    var base = textBase(node.underoverBase, compact)
+    if node.underoverUnder != nil:
+      base.add("_{" & textNode(node.underoverUnder, true) & "}")
+    if node.underoverOver != nil:
+      base.add("^{" & textNode(node.underoverOver, true) & "}")
+    base
+  of nkStackrel:
+    textBase(node.stackrelBase, compact) & "^{" & textNode(node.stackrelAbove, true) & "}"
+  of nkNum:
+    node.numStr
+  of nkSIUnit:
+    textSIUnit(node)
+  of nkSIValue:
+    textSIValue(node)
+  of nkChemical:
+    # Reactions read better with spaced + and arrows, even in scripts
+    textNode(node.chemicalExpr, false)
+  of nkError:
+    node.errorSource
+
+proc generatePlainText*(ast: AstNode): string =
+  ## Generate readable Unicode text from an AST
+  ##
+  ## Runs of spaces are collapsed, and leading and trailing spaces removed.
+  let text = textNode(ast, false)
+  var lastSpace = true
+  for ch in text:
+    if ch == ' ':
+      if not lastSpace:
+        result.add(ch)
+      lastSpace = true
+    else:
+      result.add(ch)
+      lastSpace = false
+  result.removeSuffix(' ')
@@ -1,7 +1,8 @@
 ## Test suite for yatexml
 
-import std/[unittest, strutils]
+import std/[unittest, strutils, json, tables]
 import ../src/yatexml
+import ../src/yatexml/server
 
 suite "Lexer Tests":
   test "Lex simple expression":
@@ -265,6 +266,13 @@ suite "Integration Tests":
     check result.isOk
     check "double-struck" in result.value
 
+  test "Full pipeline: double-struck letters in Letterlike Symbols":
+    let result = latexToMathML(r"\mathbb{R}")
+    check result.isOk
+    check "<mi>\u211D</mi>" in result.value
+    check "\u{1D563}" notin result.value
+    check "<mi>\u{1D538}</mi>" in latexToMathML(r"\mathbb{A}").get()
+
 suite "Error Handling Tests":
   test "Empty input":
     let result = parse("")
@@ -280,6 +288,27 @@ suite "Error Handling Tests":
     # Should not crash, might parse as identifier
     check result.isOk or result.isErr
 
+  test "Error codes are stable strings":
+    check errorCode(ekUnexpectedToken) == "unexpected_token"
+    check errorCode(ekUnexpectedEof) == "unexpected_eof"
+    check errorCode(ekMismatchedBraces) == "mismatched_braces"
+    check errorCode(ekInternalError) == "internal_error"
+    check errorCode(ekEvaluationError) == "evaluation_error"
+
+  test "Error line and column":
+    let source = "a +\n\\frac{b}"
+    let result = latexToMathML(source)
+    check result.isErr
+    let (line, column) = lineAndColumn(source, result.error.position)
+    check line == 2
+    check column == 9
+
+  test "UTF-16 offsets":
+    # α is two UTF-8 bytes but one UTF-16 code unit; 𝑥 is four bytes and two units
+    check utf16Offset("α+b", 3) == 2
+    check utf16Offset("𝑥+b", 5) == 3
+    check lineAndColumn("α+b", 3, utf16 = true).column == 3
+
 suite "Delimiter Tests":
   test "Left-right delimiters: parentheses":
     let result = latexToMathML(r"\left( x \right)")
@@ -570,6 +599,61 @@ suite "Alignment Environment Tests":
     check "<msup>" in result.value  # Superscripts
     check "<mfrac>" in result.value  # Fraction
 
+  test "Starred environments":
+    for env in ["equation*", "align*", "gather*", "multline*", "flalign*", "eqnarray*"]:
+      let latex = "\\begin{" & env & "} x = 1 \\end{" & env & "}"
+      check latexToMathML(latex).isOk
+      check latexToAst(latex).get().matrixType == env
+    check latexToMathML(r"\begin{align*} a &= b \end{align}").isErr
+    let starred = latexToMathML(r"\begin{align*} a &= b \\ c &= d \end{align*}").get()
+    var unnumbered = defaultOptions()
+    unnumbered.equationNumbers = false
+    check starred == latexToMathML(r"\begin{align} a &= b \\ c &= d \end{align}", unnumbered).get()
+
+  test "Multline":
+    let mathml = latexToMathML(r"\begin{multline*} a + b \\ + c \\ + d \end{multline*}").get()
+    check mathml.count("<mtd style=\"padding:0;width:0\"></mtd>") == 6
+    check mathml.count("class=\"tml-left\"") == 1
+    check mathml.count("class=\"tml-center\"") == 1
+    check mathml.count("class=\"tml-right\"") == 1
+    check mathml.find("tml-left") < mathml.find("tml-center")
+    check mathml.find("tml-center") < mathml.find("tml-right")
+
+  test "Split and eqnarray":
+    let split = latexToMathML(r"\begin{equation} \begin{split} a &= b \\ &= c \end{split} \end{equation}").get()
+    check "<mtd class=\"tml-right\" style=\"padding-left:1em;padding-right:0em;\"><mi>a</mi></mtd>" in split
+    let eqnarray = latexToMathML(r"\begin{eqnarray} a &=& b \end{eqnarray}").get()
+    check "columnalign=\"right right center left left\"" in eqnarray
+    check eqnarray.count("class=\"tml-center\" style=\"padding-left:0.2778em;padding-right:0.2778em;\"") == 1
+
+  test "Flalign":
+    let mathml = latexToMathML(r"\begin{flalign} a &= b & c &= d \end{flalign}").get()
+    check "<mtd style=\"padding:0;width:100%\"></mtd>" in mathml
+    check "<mtd class=\"tml-right\" style=\"padding-left:0em;padding-right:0em;\"><mi>a</mi></mtd>" in mathml
+    check "columnalign=\"right right left center right left left\"" in mathml
+    let single = latexToMathML(r"\begin{flalign*} a &= b \end{flalign*}").get()
+    check "<mtd style=\"padding:0;width:100%\"></mtd></mtr>" in single
+
+  test "Alignat":
+    let ast = latexToAst(r"\begin{alignat}{2} x &= 1 & y &= 2 \end{alignat}").get()
+    check ast.matrixColumns == 2
+    check ast.matrixRows[0].len == 4
+    let mathml = latexToMathML(r"\begin{alignedat}{2} x &= 1 & y &= 2 \end{alignedat}").get()
+    check "padding-left:1em" notin mathml
+    check latexToMathML(r"\begin{alignat}{1} a &= b & c \end{alignat}").isErr
+    check latexToMathML(r"\begin{alignat}{x} a &= b \end{alignat}").isErr
+    check latexToMathML(r"\begin{alignat} a &= b \end{alignat}").isErr
+    let ctx = newContext(r"\def\pairs{\begin{alignedat}{2} x &= 1 & y &= 2 \end{alignedat}}").get()
+    check ctx.latexToMathML(r"a + \pairs").isOk
+
+  test "Display environments in other outputs":
+    let latex = r"\begin{alignat*}{2} x & 1 & y & 2 \end{alignat*}"
+    check astToLatex(latexToAst(latex).get()) == latex
+    check "; " in latexToText(r"\begin{multline*} a + b \\ + c \end{multline*}").get()
+    check "<m:eqArr>" in latexToOMML(r"\begin{gather*} x \\ y \end{gather*}").get()
+    check "<m:e><m:r><m:t>x</m:t></m:r><m:r><m:t>&amp;</m:t></m:r><m:r><m:t>=</m:t></m:r>" in
+      latexToOMML(r"\begin{align*} x &= 1 \end{align*}").get()
+
 suite "Text Mode Tests":
   test "Simple text":
     let result = latexToMathML(r"\text{hello world}")
@@ -1178,6 +1262,56 @@ suite "Macro System Tests":
     check "⊂" in result.value
     check "mathvariant" in result.value
 
+  test "Definition without following expression":
+    let result = latexToMathML(r"\def\half{\frac{1}{2}}")
+    check result.isOk
+
+  test "Macros do not leak between conversions":
+    check latexToMathML(r"\def\half{\frac{1}{2}} \half").isOk
+    let result = latexToMathML(r"\half")
+    check result.isOk
+    check "<mfrac>" notin result.value
+
+suite "Macro Context Tests":
+  test "Preamble macros":
+    let ctx = newContext(r"\newcommand{\R}{\mathbb{R}} \def\half{\frac{1}{2}}")
+    check ctx.isOk
+    let result = ctx.value.latexToMathML(r"\half \in \R")
+    check result.isOk
+    check "<mfrac>" in result.value
+    check "mathvariant" in result.value
+
+  test "Definitions persist within a context":
+    let ctx = newContext().get()
+    check ctx.latexToMathML(r"\def\half{\frac{1}{2}} x").isOk
+    let result = ctx.latexToMathML(r"\half")
+    check result.isOk
+    check "<mfrac>" in result.value
+
+  test "Contexts are isolated":
+    let first = newContext(r"\def\half{\frac{1}{2}}").get()
+    let second = newContext().get()
+    check "<mfrac>" in first.latexToMathML(r"\half").value
+    check "<mfrac>" notin second.latexToMathML(r"\half").value
+
+  test "Reset keeps preamble macros":
+    let ctx = newContext(r"\def\half{\frac{1}{2}}").get()
+    check ctx.latexToMathML(r"\def\third{\frac{1}{3}} x").isOk
+    ctx.resetMacros()
+    check "<mfrac>" in ctx.latexToMathML(r"\half").value
+    check "<mfrac>" notin ctx.latexToMathML(r"\third").value
+
+  test "Snapshot is independent":
+    let ctx = newContext().get()
+    let copy = ctx.snapshot()
+    check ctx.latexToMathML(r"\def\half{\frac{1}{2}} x").isOk
+    check "<mfrac>" notin copy.latexToMathML(r"\half").value
+
+  test "Invalid preamble":
+    let ctx = newContext(r"x + \def\half{\frac{1}{2}}")
+    check ctx.isErr
+    check ctx.error.kind == ekUnexpectedToken
+
 suite "Trigonometric Function Tests":
   test "Basic trig functions: sin":
     let result = latexToMathML(r"\sin x")
@@ -1958,6 +2092,1078 @@ suite "Math Size Command Tests":
     check "<mstyle" in result.value
     check "mathsize=\"120%\"" in result.value
 
+suite "Pretty Print Tests":
+  test "Flat output by default":
+    let result = latexToMathML(r"\frac{a}{b}")
+    check result.isOk
+    check "\n" notin result.value
+
+  test "Indented output":
+    var options = defaultOptions()
+    options.prettyPrint = true
+    let result = latexToMathML(r"\frac{a}{b}", options)
+    check result.isOk
+    let lines = result.value.splitLines()
+    check lines.len == 5
+    check lines[1] == "  <mfrac>"
+    check lines[2] == "    <mi>a</mi>"
+    check lines[4] == "</math>"
+
+  test "Indent size":
+    var options = defaultOptions()
+    options.prettyPrint = true
+    options.indentSize = 4
+    let result = latexToMathML(r"\sqrt{x}", options)
+    check result.isOk
+    check "\n    <msqrt>\n        <mi>x</mi>\n    </msqrt>\n" in result.value
+
+  test "Text leaves stay on one line":
+    var options = defaultOptions()
+    options.prettyPrint = true
+    let result = latexToMathML(r"x + \text{if and} y", options)
+    check result.isOk
+    check "<mtext>if\u00A0and</mtext>" in result.value
+    check "<mo>+</mo>" in result.value
+
+  test "Pretty output matches flat output":
+    var options = defaultOptions()
+    options.prettyPrint = true
+    let flat = latexToMathML(r"\begin{pmatrix} a & b \\ c & d \end{pmatrix}")
+    let pretty = latexToMathML(r"\begin{pmatrix} a & b \\ c & d \end{pmatrix}", options)
+    check flat.isOk and pretty.isOk
+    var joined = ""
+    for line in pretty.value.splitLines():
+      joined.add(line.strip())
+    check joined == flat.value
+
+suite "TeX Annotation Tests":
+  test "No annotation by default":
+    let result = latexToMathML(r"x^2")
+    check result.isOk
+    check "<semantics>" notin result.value
+    check "alttext" notin result.value
+
+  test "Semantics with TeX annotation":
+    var options = defaultOptions()
+    options.annotateTex = true
+    let result = latexToMathML(r"a < \frac{1}{2}", options)
+    check result.isOk
+    check "<semantics><mrow>" in result.value
+    check "<annotation encoding=\"application/x-tex\">a &lt; \\frac{1}{2}</annotation></semantics>" in result.value
+
+  test "Alttext attribute":
+    var options = defaultOptions()
+    options.altText = true
+    let result = latexToMathML(r"x^2", options)
+    check result.isOk
+    check "alttext=\"x^2\"" in result.value
+
+  test "Annotation from AST needs the source":
+    var options = defaultOptions()
+    options.annotateTex = true
+    let ast = latexToAst(r"x^2").get()
+    check "<semantics>" notin astToMathML(ast, options)
+    check "<annotation" in astToMathML(ast, options, r"x^2")
+
+suite "Source Position Tests":
+  test "Token end positions":
+    let tokens = lex(r"\alpha+x").get()
+    check tokens[0].endPosition == 6
+    check tokens[1].position == 6
+    check tokens[1].endPosition == 7
+
+  test "Script spans":
+    let ast = latexToAst("x^2").get()
+    check ast.kind == nkSup
+    check ast.srcStart == 0
+    check ast.srcEnd == 3
+    check ast.supBase.srcStart == 0
+    check ast.supBase.srcEnd == 1
+    check ast.supScript.srcStart == 2
+
+  test "Command spans":
+    let ast = latexToAst(r"\frac{a}{b}").get()
+    check ast.kind == nkFrac
+    check ast.srcStart == 0
+    check ast.srcEnd == 11
+    check ast.fracNum.srcStart == 6
+    check ast.fracNum.srcEnd == 7
+
+  test "Macro expansions point at the invocation":
+    let ast = latexToAst(r"\def\h{x} \h").get()
+    check ast.srcStart == 10
+    check ast.srcEnd == 12
+
+  test "No position attributes by default":
+    let result = latexToMathML("x")
+    check result.isOk
+    check "data-src-start" notin result.value
+
+  test "Position attributes":
+    var options = defaultOptions()
+    options.sourcePositions = true
+    let result = latexToMathML(r"x + \sqrt{y}", options)
+    check result.isOk
+    check "<mi data-src-start=\"0\" data-src-end=\"1\">x</mi>" in result.value
+    check "<msqrt data-src-start=\"4\" data-src-end=\"12\">" in result.value
+    check "<mi data-src-start=\"10\" data-src-end=\"11\">y</mi>" in result.value
+
+  test "UTF-16 positions":
+    var options = defaultOptions()
+    options.sourcePositions = true
+    options.utf16Positions = true
+    let result = latexToMathML("α+β", options)
+    check result.isOk
+    check "<mo data-src-start=\"1\" data-src-end=\"2\">+</mo>" in result.value
+    check "data-src-start=\"2\" data-src-end=\"3\"" in result.value
+
+suite "Error Recovery Tests":
+  test "Unknown command becomes merror":
+    let output = latexToMathMLRecovering(r"x + \foo + y").get()
+    check output.errors.len == 1
+    check output.errors[0].kind == ekInvalidCommand
+    check "<merror title=\"Invalid command: \\foo\"><mtext>\\foo</mtext></merror>" in output.mathml
+    check "<mi>x</mi>" in output.mathml
+    check "<mi>y</mi>" in output.mathml
+
+  test "Unknown command arguments are skipped":
+    let output = latexToMathMLRecovering(r"\foo{a}{b} + c").get()
+    check output.errors.len == 1
+    check "<mtext>\\foo{a}{b}</mtext>" in output.mathml
+    check "<mi>c</mi>" in output.mathml
+
+  test "Unknown environment":
+    let output = latexToMathMLRecovering(r"\begin{foo} a \end{foo} = b").get()
+    check output.errors.len == 1
+    check "<mtext>\\begin{foo} a \\end{foo}</mtext>" in output.mathml
+    check "<mi>b</mi>" in output.mathml
+
+  test "Missing script at end of input":
+    let output = latexToMathMLRecovering("x^").get()
+    check output.errors.len == 1
+    check output.errors[0].kind == ekUnexpectedEof
+    check "<msup><mi>x</mi><merror" in output.mathml
+
+  test "Error inside an argument":
+    let output = latexToMathMLRecovering(r"\frac{\foo}{2}").get()
+    check output.errors.len == 1
+    check "<mfrac>" in output.mathml
+    check "<merror" in output.mathml
+    check "<mn>2</mn>" in output.mathml
+
+  test "Stray closing brace":
+    let output = latexToMathMLRecovering("a } b").get()
+    check output.errors.len == 1
+    check "<mtext>}</mtext>" in output.mathml
+    check "<mi>a</mi>" in output.mathml
+    check "<mi>b</mi>" in output.mathml
+
+  test "Stray closing brace before an unclosed group":
+    let output = latexToMathMLRecovering("a } x^{b").get()
+    check output.errors.len == 2
+    check output.errors[0].kind == ekUnexpectedToken
+    check "<mtext>}</mtext>" in output.mathml
+    check "<mtext>x^{b</mtext>" in output.mathml
+    check "<mi>a</mi>" in output.mathml
+
+  test "Pre-lexed tokens ignore the source of an earlier parse":
+    let ctx = newParseContext()
+    ctx.recover = true
+    check parse(r"\alpha + \beta + \gamma", ctx).isOk
+    let ast = parse(lex(r"x + \foo").get(), ctx).get()
+    check ast.rowChildren[2].kind == nkError
+    check ast.rowChildren[2].errorSource == r"\foo"
+
+  test "Unexpected character":
+    let output = latexToMathMLRecovering("a ? b").get()
+    check output.errors.len == 1
+    check "<mtext>?</mtext>" in output.mathml
+
+  test "Valid input has no errors":
+    let output = latexToMathMLRecovering(r"\frac{a}{b}").get()
+    check output.errors.len == 0
+    check output.mathml == latexToMathML(r"\frac{a}{b}").get()
+
+  test "Strict mode is unchanged":
+    check latexToMathML(r"\begin{foo} a \end{foo}").isErr
+    check latexToMathML("x^").isErr
+    check latexToMathML(r"\foo").isOk
+
+suite "Diagnostics Tests":
+  test "No diagnostics for clean input":
+    let output = latexToMathMLWithDiagnostics(r"\textcolor{red}{\SI{5}{\meter}}").get()
+    check output.diagnostics.len == 0
+
+  test "Unknown color":
+    let output = latexToMathMLWithDiagnostics(r"x + \textcolor{redd}{y}").get()
+    check output.diagnostics.len == 1
+    let d = output.diagnostics[0]
+    check d.severity == sevWarning
+    check d.code == "unknown_color"
+    check d.position == 4
+    check d.endPosition == 20
+    check "mathcolor=\"redd\"" in output.mathml
+
+  test "Hex and CSS colors are known":
+    check isKnownColor("#ff8800")
+    check isKnownColor("#F80")
+    check isKnownColor("CornflowerBlue")
+    check not isKnownColor("#ff88")
+    check not isKnownColor("red!50")
+
+  test "Custom unit":
+    let output = latexToMathMLWithDiagnostics(r"\SI{5}{m.mph}").get()
+    check output.diagnostics.len == 1
+    check output.diagnostics[0].code == "unknown_unit"
+    check "mph" in output.diagnostics[0].message
+
+  test "Dropped label":
+    let output = latexToMathMLWithDiagnostics(r"E = mc^2 \label{eq:energy}").get()
+    check output.diagnostics.len == 1
+    check output.diagnostics[0].severity == sevInfo
+    check output.diagnostics[0].code == "label_ignored"
+
+  test "cfrac alignment":
+    let output = latexToMathMLWithDiagnostics(r"\cfrac[l]{1}{2}").get()
+    check output.diagnostics.len == 1
+    check output.diagnostics[0].code == "unsupported_option"
+    check "<mfrac>" in output.mathml
+
+  test "Several diagnostics in source order":
+    let output = latexToMathMLWithDiagnostics(r"\color{foo} x \label{a} \si{mph}").get()
+    check output.diagnostics.len == 3
+    check output.diagnostics[0].code == "unknown_color"
+    check output.diagnostics[1].code == "label_ignored"
+    check output.diagnostics[2].code == "unknown_unit"
+
+  test "Recovered errors are error diagnostics":
+    let output = latexToMathMLRecovering(r"\foo + \textcolor{redd}{y}").get()
+    check output.diagnostics.len == 2
+    check output.diagnostics[0].severity == sevError
+    check output.diagnostics[0].code == "invalid_command"
+    check output.diagnostics[1].severity == sevWarning
+
+  test "Diagnostics are per conversion":
+    let ctx = newParseContext()
+    discard latexToMathMLWithDiagnostics(ctx, r"\textcolor{redd}{y}")
+    let output = latexToMathMLWithDiagnostics(ctx, "y").get()
+    check output.diagnostics.len == 0
+
+suite "AST JSON Tests":
+  test "Document layout":
+    let doc = parseJson(latexToAstJson("x^2").get())
+    check doc["format"].getStr() == "yatexml-ast"
+    check doc["version"].getInt() == astJsonVersion
+    check doc["source"].getStr() == "x^2"
+    check doc["root"]["kind"].getStr() == "sup"
+    check doc["root"]["base"]["name"].getStr() == "x"
+    check doc["root"]["sup"]["value"].getStr() == "2"
+    check doc["root"]["start"].getInt() == 0
+    check doc["root"]["end"].getInt() == 3
+
+  test "Round trip is lossless":
+    let formulas = [
+      r"\frac{a}{b} + \sqrt[3]{x} - \sqrt{y}",
+      r"\hat{x} \mathbf{v} \displaystyle \large E \textcolor{red}{z} \mathstrut",
+      r"\dfrac{1}{2} \binom{n}{k} {a \atop b} x_i^2 y_j",
+      r"\left( x \right] \big( \text{if} \quad",
+      r"\begin{pmatrix} a & b \\ c & d \end{pmatrix}",
+      r"f(x) = \begin{cases} 1 & x > 0 \\ 0 & \text{otherwise} \end{cases}",
+      r"\sin x + \sum_{i=0}^{n} i + \int\limits_0^1 \overbrace{a+b}^{2}",
+      r"\num{1234.5} \SI{5}{\kilo\meter\per\second\squared} \si{mph.s^{-1}}",
+      r"\ce{H2SO4 + 2NaOH -> Na2SO4 + 2H2O}",
+      "α ≤ β²",
+      r"\cancel{x} \bcancel{y} \xcancel{z} \sout{w} \cancelto{0}{t}",
+      r"\boxed{x} \fcolorbox{red}{yellow}{hi} \bbox[5px]{y}",
+      r"\begin{array}{|c@{,}c|} \hline a & b \\ \cline{1-2} c & d \end{array}",
+      r"\begin{alignat*}{2} x &= 1 & y &= 2 \end{alignat*}",
+      r"\begin{align} a &= b \label{x} \\ c &= d \notag \end{align}"
+    ]
+    for latex in formulas:
+      let ast = latexToAst(latex).get()
+      let document = astToJson(ast, latex)
+      let doc = astFromJson($document).get()
+      check doc.source == latex
+      check $astToJson(doc.ast, doc.source) == $document
+      check astToMathML(doc.ast) == astToMathML(ast)
+
+  test "Array and error nodes":
+    let ast = newRow(@[
+      AstNode(kind: nkArray, arrayAlignment: "cl",
+              arrayRows: @[@[newNumber("1"), newIdentifier("x")]]),
+      newErrorNode(r"\foo", "Invalid command: \\foo")
+    ])
+    let doc = astFromJson(astToJson(ast)).get()
+    check $astToJson(doc.ast) == $astToJson(ast)
+
+  test "MathML from a document":
+    var options = defaultOptions()
+    options.annotateTex = true
+    let mathml = astJsonToMathML(latexToAstJson(r"\frac{a}{b}").get(), options).get()
+    check mathml == latexToMathML(r"\frac{a}{b}", options).get()
+
+  test "Transformed document":
+    let doc = parseJson(latexToAstJson("x + 1").get())
+    doc["root"]["children"][0]["name"] = %"y"
+    let mathml = astJsonToMathML($doc).get()
+    check "<mi>y</mi>" in mathml
+    check "<mi>x</mi>" notin mathml
+
+  test "Malformed documents":
+    check astJsonToMathML("not json").error.kind == ekInvalidArgument
+    check astJsonToMathML("""{"format": "other"}""").isErr
+    let wrongVersion = astJsonToMathML("""{"format": "yatexml-ast", "version": 99, "root": {"kind": "row", "children": []}}""")
+    check wrongVersion.isErr
+    check "version" in wrongVersion.error.message
+    let unknownKind = astJsonToMathML("""{"format": "yatexml-ast", "version": 1, "root": {"kind": "bogus"}}""")
+    check "bogus" in unknownKind.error.message
+    let missingField = astJsonToMathML("""{"format": "yatexml-ast", "version": 1, "root": {"kind": "frac", "num": {"kind": "number", "value": "1"}}}""")
+    check "denom" in missingField.error.message
+    let nullChild = astJsonToMathML("""{"format": "yatexml-ast", "version": 1, "root": {"kind": "frac", "num": null, "denom": {"kind": "number", "value": "2"}, "style": "normal"}}""")
+    check nullChild.error.kind == ekInvalidArgument
+    check "num" in nullChild.error.message
+
+suite "Server Tests":
+  test "Convert request":
+    let session = newServerSession().get()
+    let response = parseJson(session.handleLine("""{"id": 7, "latex": "x^2", "display": true}"""))
+    check response["id"].getInt() == 7
+    check response["ok"].getBool()
+    check "display=\"block\"" in response["mathml"].getStr()
+    check "<msup>" in response["mathml"].getStr()
+    check response["diagnostics"].len == 0
+
+  test "Failed conversion":
+    let session = newServerSession().get()
+    let response = parseJson(session.handleLine("""{"id": "a", "latex": "𝑥 +\n\\frac{b}"}"""))
+    check response["id"].getStr() == "a"
+    check not response["ok"].getBool()
+    check response["error"]["kind"].getStr().len > 0
+    # Positions count UTF-16 code units, as in JavaScript: 𝑥 is two
+    check response["error"]["position"].getInt() == 13
+    check response["error"]["line"].getInt() == 2
+    check response["error"]["column"].getInt() == 9
+
+  test "Macros persist in a session until reset":
+    let session = newServerSession().get()
+    discard session.handleLine("""{"latex": "\\def\\half{\\frac{1}{2}} x"}""")
+    check "<mfrac>" in parseJson(session.handleLine("""{"latex": "\\half"}"""))["mathml"].getStr()
+    check parseJson(session.handleLine("""{"command": "reset"}"""))["ok"].getBool()
+    check "<mfrac>" notin parseJson(session.handleLine("""{"latex": "\\half"}"""))["mathml"].getStr()
+
+  test "Defined macros survive reset":
+    let session = newServerSession().get()
+    check parseJson(session.handleLine("""{"command": "define", "macros": "\\def\\half{\\frac{1}{2}}"}"""))["ok"].getBool()
+    discard session.handleLine("""{"command": "reset"}""")
+    check "<mfrac>" in parseJson(session.handleLine("""{"latex": "\\half"}"""))["mathml"].getStr()
+
+  test "Define does not keep macros from earlier conversions":
+    let session = newServerSession().get()
+    discard session.handleLine("""{"latex": "\\def\\third{\\frac{1}{3}} x"}""")
+    discard session.handleLine("""{"command": "define", "macros": "\\def\\half{\\frac{1}{2}}"}""")
+    discard session.handleLine("""{"command": "reset"}""")
+    check "<mfrac>" in parseJson(session.handleLine("""{"latex": "\\half"}"""))["mathml"].getStr()
+    check "<mfrac>" notin parseJson(session.handleLine("""{"latex": "\\third"}"""))["mathml"].getStr()
+
+  test "Request options override session options":
+    let session = newServerSession().get()
+    let plain = parseJson(session.handleLine("""{"latex": "x"}"""))
+    check "application/x-tex" notin plain["mathml"].getStr()
+    let annotated = parseJson(session.handleLine("""{"latex": "x", "annotateTex": true}"""))
+    check "application/x-tex" in annotated["mathml"].getStr()
+    let recovered = parseJson(session.handleLine("""{"latex": "a + \\foo", "recover": true}"""))
+    check recovered["ok"].getBool()
+    check "<merror" in recovered["mathml"].getStr()
+
+  test "Invalid requests":
+    let session = newServerSession().get()
+    check parseJson(session.handleLine("not json"))["error"]["kind"].getStr() == "invalid_json"
+    check parseJson(session.handleLine("[1]"))["error"]["kind"].getStr() == "invalid_request"
+    check parseJson(session.handleLine("""{"id": 1}"""))["error"]["kind"].getStr() == "invalid_request"
+    check parseJson(session.handleLine("""{"command": "nope"}"""))["error"]["kind"].getStr() == "invalid_request"
+    check parseJson(session.handleLine("""{"id": 2, "command": "ping"}"""))["ok"].getBool()
+
+  test "HTTP sessions are separate":
+    let sessions = newSessionTable().get()
+    discard sessions.handleBody("""{"session": "a", "command": "define", "macros": "\\def\\half{\\frac{1}{2}}"}""")
+    check "<mfrac>" in parseJson(sessions.handleBody("""{"session": "a", "latex": "\\half"}"""))["mathml"].getStr()
+    check "<mfrac>" notin parseJson(sessions.handleBody("""{"session": "b", "latex": "\\half"}"""))["mathml"].getStr()
+    check "<mfrac>" notin parseJson(sessions.handleBody("""{"latex": "\\half"}"""))["mathml"].getStr()
+
+  test "HTTP sessions are bounded":
+    let sessions = newSessionTable().get()
+    let define = """{"session": "$1", "command": "define", "macros": "\\def\\half{\\frac{1}{2}}"}"""
+    let convert = """{"session": "$1", "latex": "\\half"}"""
+    discard sessions.handleBody(define % "default")
+    discard sessions.handleBody(define % "first")
+    discard sessions.handleBody(define % "kept")
+    for i in 0 ..< MaxSessions - 3:
+      discard sessions.handleBody(convert % ("other" & $i))
+    # "kept" is used again, so "first" is now the least recently used
+    discard sessions.handleBody(convert % "kept")
+    discard sessions.handleBody(convert % "new")
+    check "<mfrac>" notin parseJson(sessions.handleBody(convert % "first"))["mathml"].getStr()
+    check "<mfrac>" in parseJson(sessions.handleBody(convert % "kept"))["mathml"].getStr()
+    check "<mfrac>" in parseJson(sessions.handleBody(convert % "default"))["mathml"].getStr()
+
+suite "Plain Text Tests":
+  test "Scripts use Unicode characters":
+    check latexToText("x^2").get() == "x²"
+    check latexToText("a^{-1}").get() == "a⁻¹"
+    check latexToText("x_{max}").get() == "xₘₐₓ"
+    check latexToText("E = mc^2").get() == "E = mc²"
+
+  test "Scripts without Unicode forms are linear":
+    check latexToText(r"x^{\alpha}").get() == "x^{α}"
+    check latexToText("x_{Q}").get() == "x_{Q}"
+
+  test "Radicals and fractions":
+    check latexToText(r"\sqrt{x+1}").get() == "√(x+1)"
+    check latexToText(r"\sqrt{x}").get() == "√x"
+    check latexToText(r"\frac{a}{b}").get() == "(a)/(b)"
+
+  test "Big operators":
+    check latexToText(r"\sum_{i=0}^{n}").get() == "∑_{i=0}^{n}"
+
+  test "Chemistry and units":
+    check latexToText(r"\ce{H2O}").get() == "H₂O"
+    check latexToText(r"\SI{3.14}{\meter\per\second}").get() == "3.14 m/s"
+    check latexToText(r"\SI{9.81}{\meter\per\second\squared}").get() == "9.81 m/s²"
+
+  test "Styled letters":
+    check latexToText(r"\mathbb{A}").get() == "𝔸"
+    check latexToText(r"\mathbb{N}").get() == "ℕ"
+
+  test "Errors are reported":
+    check latexToText(r"\frac{a}").isErr
+
+suite "Speech Tests":
+  test "Quadratic formula":
+    check latexToSpeech(r"x = \frac{-b \pm \sqrt{b^2-4ac}}{2a}").get() ==
+      "x equals fraction negative b plus or minus square root of b squared minus 4 a c end root over 2 a end fraction"
+
+  test "Scripts":
+    check latexToSpeech("x^2").get() == "x squared"
+    check latexToSpeech("x^n").get() == "x to the power n"
+    check latexToSpeech("e^{i x}").get() == "e to the power i x end power"
+    check latexToSpeech("x_i").get() == "x sub i"
+    check latexToSpeech(r"\alpha_{i+1}").get() == "alpha sub i plus 1 end sub"
+
+  test "Roots":
+    check latexToSpeech(r"\sqrt{x}").get() == "square root of x"
+    check latexToSpeech(r"\sqrt[3]{x+1}").get() == "cube root of x plus 1 end root"
+
+  test "Big operators with limits":
+    check latexToSpeech(r"\sum_{i=1}^{n} i").get() == "sum from i equals 1 to n i"
+    check latexToSpeech(r"\lim_{x \to 0} f").get() == "limit as x approaches 0 f"
+
+  test "Matrices":
+    check latexToSpeech(r"\begin{pmatrix} a & b \\ c & d \end{pmatrix}").get() ==
+      "2 by 2 matrix; row 1: a, b; row 2: c, d; end matrix"
+
+  test "Chemistry":
+    check latexToSpeech(r"\ce{H2O}").get() == "H 2 O"
+    check latexToSpeech(r"\ce{A -> B}").get() == "A yields B"
+
+  test "SI quantities":
+    check latexToSpeech(r"\SI{9.81}{\meter\per\second\squared}").get() == "9.81 meters per second squared"
+    check latexToSpeech(r"\SI{1}{\kilo\gram}").get() == "1 kilogram"
+
+  test "Errors are reported":
+    check latexToSpeech(r"\frac{a}").isErr
+
+suite "Braille Tests":
+  test "Nemeth scripts return to the baseline":
+    check latexToBraille("x^2").get() == "⠭⠘⠆"
+    check latexToBraille("x^2 + 1").get() == "⠭⠘⠆⠐⠬⠂"
+    check latexToBraille("x_1").get() == "⠭⠂"
+    check latexToBraille("x_{i+1}").get() == "⠭⠰⠊⠬⠂"
+
+  test "Nemeth numeric indicator after a space":
+    check latexToBraille("x = 2").get() == "⠭ ⠨⠅ ⠼⠆"
+    check latexToBraille("-3").get() == "⠤⠼⠒"
+
+  test "Nemeth fractions and radicals":
+    check latexToBraille(r"\frac{1}{2}").get() == "⠹⠂⠌⠆⠼"
+    check latexToBraille(r"\frac{\frac{a}{b}}{c}").get() == "⠠⠹⠹⠁⠌⠃⠼⠠⠌⠉⠠⠼"
+    check latexToBraille(r"\sqrt{x}").get() == "⠜⠭⠻"
+
+  test "Nemeth Greek letters and big operators":
+    check latexToBraille(r"\alpha + \Delta").get() == "⠨⠁⠬⠨⠠⠙"
+    check latexToBraille(r"\sum_{i=1}^{n}").get() == "⠐⠨⠠⠎⠩⠊⠨⠅⠂⠣⠝⠻"
+
+  test "Nemeth matrices put one row per line":
+    check latexToBraille(r"\begin{pmatrix} a & b \\ c & d \end{pmatrix}").get() ==
+      "⠠⠷ ⠁ ⠃ ⠠⠾\n⠠⠷ ⠉ ⠙ ⠠⠾"
+
+  test "UEB":
+    check latexToBraille("x^2", bcUEB).get() == "⠭⠔⠼⠃"
+    check latexToBraille("x^2 + 1", bcUEB).get() == "⠭⠔⠼⠃⠐⠖⠼⠁"
+    check latexToBraille(r"\frac{1}{2}", bcUEB).get() == "⠼⠁⠌⠃"
+    check latexToBraille(r"\frac{a}{b}", bcUEB).get() == "⠷⠁⠨⠌⠃⠾"
+    check latexToBraille("2a", bcUEB).get() == "⠼⠃⠰⠁"
+    check latexToBraille(r"\sqrt{x}", bcUEB).get() == "⠩⠭⠬"
+
+  test "Braille code names":
+    check parseBrailleCode("UEB").get() == bcUEB
+    check parseBrailleCode("braille").isErr
+
+suite "LaTeX Output Tests":
+  test "Scripts and arguments are braced":
+    check normalizeLatex("x^2+y_i").get() == "x^{2} + y_{i}"
+    check normalizeLatex(r"\frac{ a }{b}").get() == r"\frac{a}{b}"
+    check normalizeLatex(r"\sqrt{ x }").get() == r"\sqrt{x}"
+
+  test "Unicode input and aliases print as canonical commands":
+    check normalizeLatex("α+β").get() == r"\alpha + \beta"
+    check normalizeLatex(r"\alpha + \beta").get() == r"\alpha + \beta"
+    check normalizeLatex(r"a \le b").get() == r"a \leq b"
+    check normalizeLatex("a ≤ b").get() == r"a \leq b"
+
+  test "Signs and functions":
+    check normalizeLatex("-b").get() == "-b"
+    check normalizeLatex(r"\sin x").get() == r"\sin x"
+
+  test "Macros are expanded":
+    check normalizeLatex(r"\def\R{\mathbb{R}} x \in \R").get() == r"x \in \mathbb{R}"
+    let ctx = newContext(r"\newcommand{\half}{\frac{1}{2}}").get()
+    check normalizeLatex(ctx, r"\half x").get() == r"\frac{1}{2}x"
+
+  test "Environments and chemistry":
+    check normalizeLatex(r"\begin{pmatrix}a&b\\c&d\end{pmatrix}").get() ==
+      r"\begin{pmatrix} a & b \\ c & d \end{pmatrix}"
+    check normalizeLatex(r"\ce{H2O}").get() == r"\ce{H2O}"
+
+  test "Normalised LaTeX gives the same MathML":
+    for latex in [
+      "x^2+y_i",
+      r"\frac{-b \pm \sqrt{b^2-4ac}}{2a}",
+      r"\sum_{i=1}^{n} i^2",
+      r"\left\{ x \right\}",
+      r"\alpha \le \beta",
+      r"\begin{pmatrix} a & b \\ c & d \end{pmatrix}",
+      r"f(x) = \sin x",
+      r"\ce{2H2O}"
+    ]:
+      let normalized = normalizeLatex(latex).get()
+      check latexToMathML(normalized).get() == latexToMathML(latex).get()
+
+  test "Parse errors are returned":
+    check normalizeLatex("{a").isErr
+
+suite "AsciiMath Tests":
+  proc sameAsLatex(asciimath, latex: string): bool =
+    ## Check that AsciiMath gives the same MathML as the equivalent LaTeX
+    asciiMathToMathML(asciimath).get() == latexToMathML(latex).get()
+
+  test "Scripts, fractions and roots":
+    check sameAsLatex("sum_(i=1)^n i^2", r"\sum_{i=1}^{n} i^2")
+    check sameAsLatex("sqrt(x)/2", r"\frac{\sqrt{x}}{2}")
+    check sameAsLatex("x = (-b +- sqrt(b^2 - 4ac))/(2a)", r"x = \frac{-b \pm \sqrt{b^2 - 4ac}}{2a}")
+    check sameAsLatex("root(3)(x)", r"\sqrt[3]{x}")
+    check sameAsLatex("e^(i pi) + 1 = 0", r"e^{i \pi} + 1 = 0")
+
+  test "Symbols, functions and commands":
+    check sameAsLatex("alpha <= beta", r"\alpha \leq \beta")
+    check sameAsLatex("sin(x) + log_2 x", r"\sin(x) + \log_2 x")
+    check sameAsLatex("lim_(x->0) f(x)", r"\lim_{x \to 0} f(x)")
+    check sameAsLatex("hat(x) + bb(A) xx RR", r"\hat{x} + \mathbf{A} \times \mathbb{R}")
+    check sameAsLatex("n!", "n!")
+    check sameAsLatex("text(if) x > 0", r"\text{if} x > 0")
+
+  test "Brackets and matrices":
+    check sameAsLatex("|x|", r"\left| x \right|")
+    check sameAsLatex("(:u, v:)", r"\left\langle u, v \right\rangle")
+    check sameAsLatex("[[a,b],[c,d]]", r"\begin{bmatrix} a & b \\ c & d \end{bmatrix}")
+    check sameAsLatex("((1,0),(0,1))", r"\begin{pmatrix} 1 & 0 \\ 0 & 1 \end{pmatrix}")
+    check sameAsLatex("{(x, x >= 0),(-x, x < 0):}", r"\begin{cases} x & x \geq 0 \\ -x & x < 0 \end{cases}")
+    check sameAsLatex("f((a,b))", "f((a, b))")
+
+  test "Spans point into the AsciiMath source":
+    let ast = parseAsciiMath("x + alpha").get()
+    check ast.kind == nkRow
+    check ast.rowChildren[2].kind == nkSymbol
+    check ast.rowChildren[2].srcStart == 4
+    check ast.rowChildren[2].srcEnd == 9
+
+  test "The source is annotated as AsciiMath":
+    var options = defaultOptions()
+    options.annotateTex = true
+    let result = asciiMathToMathML("x^2", options)
+    check "<annotation encoding=\"text/x-asciimath\">x^2</annotation>" in result.get()
+
+  test "Unclosed brackets and empty input":
+    let unclosed = asciiMathToMathML("(x + 1").get()
+    check "<mo form=\"prefix\">(</mo>" in unclosed
+    check ")" notin unclosed
+    check asciiMathToMathML("[[a,b],[c,d]").isOk
+    check "<mrow></mrow></math>" in asciiMathToMathML("").get()
+    check "<mrow></mrow></math>" in asciiMathToMathML("  ").get()
+
+  test "Errors":
+    check asciiMathToMathML("x/").error.kind == ekUnexpectedEof
+
+suite "OMML Tests":
+  test "Equations are m:oMath elements":
+    check latexToOMML("x").get() ==
+      "<m:oMath xmlns:m=\"http://schemas.openxmlformats.org/officeDocument/2006/math\">" &
+      "<m:r><m:t>x</m:t></m:r></m:oMath>"
+    let display = latexToOMML("x", display = true).get()
+    check display.startsWith("<m:oMathPara xmlns:m=")
+    check display.endsWith("<m:oMath><m:r><m:t>x</m:t></m:r></m:oMath></m:oMathPara>")
+
+  test "Fractions, radicals and scripts":
+    check "<m:f><m:num><m:r><m:t>a</m:t></m:r></m:num><m:den><m:r><m:t>b</m:t></m:r></m:den></m:f>" in
+      latexToOMML(r"\frac{a}{b}").get()
+    check "<m:rad><m:radPr><m:degHide m:val=\"1\"/></m:radPr><m:deg/><m:e><m:r><m:t>x</m:t></m:r></m:e></m:rad>" in
+      latexToOMML(r"\sqrt{x}").get()
+    check "<m:rad><m:deg><m:r><m:t>3</m:t></m:r></m:deg>" in latexToOMML(r"\sqrt[3]{x}").get()
+    check "<m:sSubSup><m:e><m:r><m:t>x</m:t></m:r></m:e><m:sub><m:r><m:t>i</m:t></m:r></m:sub>" &
+      "<m:sup><m:r><m:t>2</m:t></m:r></m:sup></m:sSubSup>" in latexToOMML("x_i^2").get()
+
+  test "Big operators are n-ary":
+    let sum = latexToOMML(r"\sum_{i=1}^{n} i").get()
+    check "<m:nary><m:naryPr><m:chr m:val=\"∑\"/><m:limLoc m:val=\"undOvr\"/></m:naryPr><m:sub>" in sum
+    let integral = latexToOMML(r"\int f").get()
+    check "<m:limLoc m:val=\"subSup\"/><m:subHide m:val=\"1\"/><m:supHide m:val=\"1\"/>" in integral
+    check "<m:limLow><m:e><m:r><m:rPr><m:sty m:val=\"p\"/></m:rPr><m:t>lim</m:t></m:r></m:e>" in
+      latexToOMML(r"\lim_{x \to 0} x").get()
+
+  test "Delimiters and matrices":
+    check "<m:d><m:dPr><m:begChr m:val=\"[\"/><m:endChr m:val=\"]\"/></m:dPr>" in
+      latexToOMML(r"\left[ x \right]").get()
+    let matrix = latexToOMML(r"\begin{pmatrix} a & b \\ c \end{pmatrix}").get()
+    check "<m:begChr m:val=\"(\"/>" in matrix
+    check matrix.count("<m:mr>") == 2
+    check "<m:mr><m:e><m:r><m:t>c</m:t></m:r></m:e><m:e/></m:mr>" in matrix
+
+  test "Accents and styles":
+    check "<m:acc><m:accPr><m:chr m:val=\"\u0302\"/></m:accPr>" in latexToOMML(r"\hat{x}").get()
+    check "<m:bar><m:barPr><m:pos m:val=\"top\"/></m:barPr>" in latexToOMML(r"\overline{x}").get()
+    check "<m:rPr><m:scr m:val=\"double-struck\"/><m:sty m:val=\"p\"/></m:rPr><m:t>R</m:t>" in
+      latexToOMML(r"\mathbb{R}").get()
+    check "<m:rPr><m:nor/></m:rPr><m:t>if</m:t>" in latexToOMML(r"x \text{if} y").get()
+
+  test "Text is escaped":
+    check "<m:t>&lt;</m:t>" in latexToOMML("a < b").get()
+
+  test "Parse errors are returned":
+    check latexToOMML("{a").isErr
+
+suite "Content MathML Tests":
+  proc content(latex: string): string =
+    ## Get the Content MathML of a formula without the <math> element
+    let mathml = latexToContentMathML(latex).get()
+    mathml["<math xmlns=\"http://www.w3.org/1998/Math/MathML\">".len ..< mathml.len - "</math>".len]
+
+  test "Operator precedence":
+    check content("a + 2b") == "<apply><plus/><ci>a</ci><apply><times/><cn>2</cn><ci>b</ci></apply></apply>"
+    check content(r"a + b \times c") ==
+      "<apply><plus/><ci>a</ci><apply><times/><ci>b</ci><ci>c</ci></apply></apply>"
+    check content("a + b + c") == "<apply><plus/><ci>a</ci><ci>b</ci><ci>c</ci></apply>"
+    check content("a - b - c") ==
+      "<apply><minus/><apply><minus/><ci>a</ci><ci>b</ci></apply><ci>c</ci></apply>"
+    check content("-x^2") == "<apply><minus/><apply><power/><ci>x</ci><cn>2</cn></apply></apply>"
+    check content("(a + b)c") ==
+      "<apply><times/><apply><plus/><ci>a</ci><ci>b</ci></apply><ci>c</ci></apply>"
+
+  test "Chained relations become a conjunction":
+    check content(r"a < b \le c") ==
+      "<apply><and/><apply><lt/><ci>a</ci><ci>b</ci></apply><apply><leq/><ci>b</ci><ci>c</ci></apply></apply>"
+    check content(r"x \in \mathbb{R}") == "<apply><in/><ci>x</ci><reals/></apply>"
+
+  test "Fractions, roots and numbers":
+    check content(r"\frac{1}{2}") == "<apply><divide/><cn>1</cn><cn>2</cn></apply>"
+    check content(r"\sqrt[3]{x}") == "<apply><root/><degree><cn>3</cn></degree><ci>x</ci></apply>"
+    check content("n!") == "<apply><factorial/><ci>n</ci></apply>"
+    check content("1.5e-10") == "<cn type=\"e-notation\">1.5<sep/>-10</cn>"
+
+  test "Function application":
+    check content(r"\sin x \cos x") ==
+      "<apply><times/><apply><sin/><ci>x</ci></apply><apply><cos/><ci>x</ci></apply></apply>"
+    check content(r"\sin 2x") == "<apply><sin/><apply><times/><cn>2</cn><ci>x</ci></apply></apply>"
+    check content("f(x, y)") == "<apply><ci type=\"function\">f</ci><ci>x</ci><ci>y</ci></apply>"
+    check content(r"\log_2 x") == "<apply><log/><logbase><cn>2</cn></logbase><ci>x</ci></apply>"
+
+  test "Big operators bind variables":
+    check content(r"\sum_{i=1}^{n} i^2") ==
+      "<apply><sum/><bvar><ci>i</ci></bvar><lowlimit><cn>1</cn></lowlimit><uplimit><ci>n</ci></uplimit>" &
+      "<apply><power/><ci>i</ci><cn>2</cn></apply></apply>"
+    check content(r"\int_0^1 x \, dx") ==
+      "<apply><int/><bvar><ci>x</ci></bvar><lowlimit><cn>0</cn></lowlimit><uplimit><cn>1</cn></uplimit><ci>x</ci></apply>"
+    check content(r"\lim_{x \to 0} x") ==
+      "<apply><limit/><bvar><ci>x</ci></bvar><lowlimit><cn>0</cn></lowlimit><ci>x</ci></apply>"
+
+  test "Fences, matrices and cases":
+    check content(r"\left| x \right|") == "<apply><abs/><ci>x</ci></apply>"
+    check content(r"\begin{pmatrix} 1 & 0 \\ 0 & 1 \end{pmatrix}") ==
+      "<matrix><matrixrow><cn>1</cn><cn>0</cn></matrixrow><matrixrow><cn>0</cn><cn>1</cn></matrixrow></matrix>"
+    check content(r"\begin{cases} x & x \geq 0 \\ -x & \text{otherwise} \end{cases}") ==
+      "<piecewise><piece><ci>x</ci><apply><geq/><ci>x</ci><cn>0</cn></apply></piece>" &
+      "<otherwise><apply><minus/><ci>x</ci></apply></otherwise></piecewise>"
+
+  test "Parse errors are returned":
+    check latexToContentMathML("{a").isErr
+
+suite "Semantic Tree Tests":
+  proc semantic(latex: string): string =
+    $parseSemantic(latex).get()
+
+  test "Binary operators are grouped by precedence":
+    check semantic(r"a + b \times c") == "(plus a (times b c))"
+    check semantic("a + 2b") == "(plus a (times 2 b))"
+    check semantic("a - b - c") == "(minus (minus a b) c)"
+    check semantic(r"\frac{a}{b} + c") == "(plus (divide a b) c)"
+    check semantic(r"a = b \lor c") == "(or (eq a b) c)"
+
+  test "Function applications and products":
+    check semantic(r"\sin x \cos x") == "(times (sin x) (cos x))"
+    check semantic("f(x) + 1") == "(plus (f x) 1)"
+    check semantic("a(b + c)") == "(times a (plus b c))"
+    check semantic(r"\log_2 x") == "(log (logbase 2) x)"
+
+  test "Tree structure":
+    let tree = parseSemantic("x^2 + 1").get()
+    check tree.kind == smApply
+    check tree.children.len == 3
+    check tree.children[0].kind == smOperator
+    check tree.children[0].name == "plus"
+    check tree.children[1].kind == smApply
+    check tree.children[2].kind == smNumber
+    check parseSemantic(r"\pi").get().kind == smConstant
+    check parseSemantic(r"\int x").get().children[0].name == "int"
+
+  test "Presentation output is unchanged":
+    let ast = parse(r"a + b \times c").get()
+    let before = generateMathML(ast)
+    discard semanticTree(ast)
+    check generateMathML(ast) == before
+    check ast.kind == nkRow
+    check ast.rowChildren.len == 5
+
+  test "Parse errors are returned":
+    check parseSemantic("{a").isErr
+
+suite "Evaluation Tests":
+  proc evaluated(latex: string, bindings: openArray[(string, float)] = []): float =
+    evaluateLatex(latex, bindings.toTable).get()
+
+  proc near(a, b: float): bool =
+    abs(a - b) < 1e-9
+
+  proc evalError(latex: string, bindings: openArray[(string, float)] = []): string =
+    let res = evaluateLatex(latex, bindings.toTable)
+    check res.isErr
+    check res.error.kind == ekEvaluationError
+    res.error.message
+
+  test "Arithmetic and precedence":
+    check evaluated("1 + 2 \\times 3") == 7.0
+    check evaluated("2(3 + 4)") == 14.0
+    check evaluated("2^{10}") == 1024.0
+    check evaluated("-3^2") == -9.0
+    check evaluated(r"\frac{1}{4}") == 0.25
+    check evaluated("5!") == 120.0
+
+  test "Variables and constants":
+    check evaluated("2x + y", {"x": 3.0, "y": 1.0}) == 7.0
+    check evaluated(r"\frac{a}{b}", {"a": 1.0, "b": 8.0}) == 0.125
+    check near(evaluated(r"\pi"), 3.141592653589793)
+    check near(evaluated("e^2"), 7.38905609893065)
+    check evaluated("e", {"e": 2.0}) == 2.0
+
+  test "Roots":
+    check evaluated(r"\sqrt{16}") == 4.0
+    check near(evaluated(r"\sqrt[3]{27}"), 3.0)
+    check near(evaluated(r"\sqrt[3]{-8}"), -2.0)
+
+  test "Functions":
+    check near(evaluated(r"\sin \frac{\pi}{2}"), 1.0)
+    check near(evaluated(r"\cos 0 + \tan 0"), 1.0)
+    check near(evaluated(r"\sin^2 x + \cos^2 x", {"x": 0.7}), 1.0)
+    check near(evaluated(r"\ln e"), 1.0)
+    check near(evaluated(r"\log 1000"), 3.0)
+    check near(evaluated(r"\log_2 8"), 3.0)
+    check near(evaluated(r"\exp(1)"), 2.718281828459045)
+    check near(evaluated(r"\sin^{-1} 1"), 1.5707963267948966)
+
+  test "Finite sums and products":
+    check evaluated(r"\sum_{i=1}^{n} i^2", {"n": 3.0}) == 14.0
+    check evaluated(r"\prod_{k=1}^{5} k") == 120.0
+    check evaluated(r"\sum_{i=1}^{0} i") == 0.0
+    check evaluated(r"\sum_{i=1}^{3} i + 1") == 7.0
+
+  test "Errors":
+    check evalError("x + 1") == "Unbound variable: x"
+    check evalError(r"\frac{1}{0}") == "Division by zero"
+    check evalError(r"\ln 0") == "ln is not defined at 0"
+    check evalError(r"\sqrt{-4}") == "Root of degree 2 of -4 is not real"
+    check evalError("f(2)") == "Unknown function: f"
+    check evalError(r"\int_0^1 x \, dx") == "Cannot evaluate int"
+    check evalError(r"\sum_{i=1}^{2.5} i") == "Limits of a sum or product must be integers"
+    check evalError(r"10^{300} \cdot 10^{300}") == "Result is too large"
+    check evalError(r"10^{300} + 10^{308} \cdot 10") == "Result is too large"
+    check evalError(r"\prod_{i=1}^{400} 10") == "Result is too large"
+
+  test "Term limit is shared by nested sums":
+    check evaluated(r"\sum_{i=1}^{100} \sum_{j=1}^{100} 1") == 10000.0
+    check evalError(r"\sum_{i=1}^{999999} \sum_{j=1}^{999999} 1") ==
+      "Sums and products may have at most 1000000 terms in all"
+    check evalError(r"\sum_{i=1}^{2000000} i") ==
+      "Sums and products may have at most 1000000 terms in all"
+    check evaluateLatex("{a").error.kind != ekEvaluationError
+
+suite "Cancellation Tests":
+  test "Strike notations":
+    let cancel = latexToMathML(r"\cancel{x}").get()
+    check "<menclose notation=\"updiagonalstrike\" class=\"tml-cancel\">" in cancel
+    check "<mi>x</mi></menclose>" in cancel
+    check "notation=\"downdiagonalstrike\" class=\"tml-bcancel\"" in latexToMathML(r"\bcancel{x}").get()
+    check "notation=\"updiagonalstrike downdiagonalstrike\" class=\"tml-xcancel\"" in
+      latexToMathML(r"\xcancel{x}").get()
+    check "notation=\"horizontalstrike\" class=\"tml-sout\"" in latexToMathML(r"\sout{x}").get()
+
+  test "Cancel to a value":
+    let mathml = latexToMathML(r"\cancelto{0}{x}").get()
+    check "<msup><menclose notation=\"updiagonalarrow\" class=\"tml-cancelto\">" in mathml
+    check "</menclose><mn>0</mn></msup>" in mathml
+
+  test "AST":
+    let ast = latexToAst(r"\cancelto{0}{x + 1}").get()
+    check ast.kind == nkEnclose
+    check ast.encloseKind == encUpDiagonalStrike
+    check ast.encloseTo.kind == nkNumber
+    check latexToAst(r"\sout{x}").get().encloseTo == nil
+    check latexToMathML(r"\cancel").isErr
+
+  test "Other outputs":
+    check latexToText(r"\cancel{x}").get() == "x\u0338"
+    check latexToText(r"\cancelto{0}{x}").get() == "x\u0338→0"
+    check latexToSpeech(r"\cancel{x}").get() == "crossed out x end crossed out"
+    check astToLatex(latexToAst(r"\cancelto{0}{x}").get()) == r"\cancelto{0}{x}"
+    check "<m:strikeBLTR m:val=\"1\"/>" in latexToOMML(r"\cancel{x}").get()
+    check $parseSemantic(r"\cancel{2} x").get() == "(times 2 x)"
+    check "menclose" in asciiMathToMathML("cancel(x)").get()
+
+suite "Box Tests":
+  test "Framed math and text":
+    check "<menclose notation=\"box\" class=\"tml-box\" style=\"padding: 3pt\"><mi>x</mi></menclose>" in
+      latexToMathML(r"\boxed{x}").get()
+    let fbox = latexToMathML(r"\fbox{if x}").get()
+    check "<menclose notation=\"box\" class=\"tml-box\" style=\"padding: 3pt\"><mtext>if\u00A0x</mtext></menclose>" in fbox
+
+  test "Background colors":
+    let colorbox = latexToMathML(r"\colorbox{yellow}{hi}").get()
+    check "<mpadded mathbackground=\"yellow\" style=\"padding: 3pt\"><mtext>hi</mtext></mpadded>" in colorbox
+    let fcolorbox = latexToMathML(r"\fcolorbox{red}{yellow}{hi}").get()
+    check "<menclose notation=\"box\" class=\"tml-box\" mathbackground=\"yellow\" " &
+      "style=\"padding: 3pt; border-color: red\">" in fcolorbox
+
+  test "bbox options":
+    let ast = latexToAst(r"\bbox[yellow, 5px, border: 1px solid red]{x}").get()
+    check ast.kind == nkBox
+    check ast.boxFrame
+    check ast.boxFrameColor == "red"
+    check ast.boxBackground == "yellow"
+    check ast.boxPadding == "5px"
+    let plain = latexToAst(r"\bbox{x}").get()
+    check not plain.boxFrame
+    check plain.boxPadding == ""
+    check "<mpadded mathbackground=\"yellow\"><mi>x</mi></mpadded>" in latexToMathML(r"\bbox[yellow]{x}").get()
+
+  test "Colors resolve as in textcolor":
+    let output = latexToMathMLWithDiagnostics(r"\colorbox{yelow}{hi}").get()
+    check output.diagnostics.len == 1
+    check output.diagnostics[0].code == "unknown_color"
+    check latexToMathMLWithDiagnostics(r"\fcolorbox{#ff0000}{Yellow}{hi}").get().diagnostics.len == 0
+    check latexToMathMLWithDiagnostics(r"\bbox[yelow]{x}").get().diagnostics.len == 1
+
+  test "Errors":
+    check latexToMathML(r"\fbox").isErr
+    check latexToMathML(r"\colorbox{red}").isErr
+    check latexToMathML(r"\bbox[red{x}").isErr
+
+  test "Other outputs":
+    check latexToText(r"\boxed{x}").get() == "x"
+    check latexToSpeech(r"\boxed{x}").get() == "box x end box"
+    check latexToSpeech(r"\colorbox{yellow}{hi}").get() == "hi"
+    check "<m:borderBox>" in latexToOMML(r"\boxed{x}").get()
+    check "borderBox" notin latexToOMML(r"\colorbox{yellow}{hi}").get()
+    check $parseSemantic(r"\boxed{2} x").get() == "(times 2 x)"
+
+  test "LaTeX round trip":
+    for latex in [r"\boxed{x}", r"\fbox{if x}", r"\colorbox{yellow}{hi}", r"\fcolorbox{red}{yellow}{hi}",
+                  r"\bbox[yellow, 5px, border: 1px solid red]{x}", r"\bbox{x}"]:
+      check astToLatex(latexToAst(latex).get()) == latex
+
+suite "Array Tests":
+  test "Column alignment":
+    let mathml = latexToMathML(r"\begin{array}{lcr} a & b & c \end{array}").get()
+    check "<mtable columnalign=\"left center right\">" in mathml
+    check "<mtd class=\"tml-left\"><mi>a</mi></mtd><mtd class=\"tml-center\"><mi>b</mi></mtd>" in mathml
+    let ast = latexToAst(r"\begin{array}{lcr} a & b & c \\ d & e & f \end{array}").get()
+    check ast.kind == nkArray
+    check ast.arrayAlignment == "lcr"
+    check ast.arrayRows.len == 2
+
+  test "Vertical rules":
+    let mathml = latexToMathML(r"\begin{array}{|c||c|} a & b \end{array}").get()
+    check "<mtd class=\"tml-center\" style=\"border-left:0.06em solid;border-right:0.22em double\"><mi>a</mi></mtd>" in mathml
+    check "<mtd class=\"tml-center\" style=\"border-right:0.06em solid\"><mi>b</mi></mtd>" in mathml
+    let augmented = latexToMathML(r"\left[\begin{array}{cc|c} 1 & 2 & 3 \\ 4 & 5 & 6 \end{array}\right]").get()
+    check augmented.count("border-right:0.06em solid") == 2
+
+  test "Separators and paragraph columns":
+    let mathml = latexToMathML(r"\begin{array}{r@{.}l} 3 & 14 \end{array}").get()
+    check "<mtd class=\"tml-right\" style=\"padding-right:0\"><mn>3</mn></mtd>" in mathml
+    check "<mtd style=\"padding-left:0;padding-right:0\">" in mathml
+    check "<mtd class=\"tml-left\" style=\"padding-left:0\"><mn>14</mn></mtd>" in mathml
+    check latexToAst(r"\begin{array}{r@{.}l} 3 & 14 \end{array}").get().arraySeparators.len == 1
+    check "<mtd class=\"tml-left\" style=\"width:2cm\">" in latexToMathML(r"\begin{array}{p{2cm}c} a & b \end{array}").get()
+
+  test "@ outside a column specification":
+    let strict = latexToMathML("a @ b")
+    check strict.isErr
+    check strict.error.message == "Unexpected character: @"
+    let recovered = latexToMathMLRecovering("a @ b").get()
+    check recovered.errors.len == 1
+    check "<mtext>@</mtext>" in recovered.mathml
+
+  test "Column specification from a macro":
+    let ctx = newContext(r"\def\tbl{\begin{array}{|c||c|} a & b \end{array}}").get()
+    let mathml = ctx.latexToMathML(r"x + \tbl").get()
+    check "<mtd class=\"tml-center\" style=\"border-left:0.06em solid;border-right:0.22em double\"><mi>a</mi></mtd>" in mathml
+
+  test "Horizontal rules":
+    let ast = latexToAst(r"\begin{array}{cc} \hline a & b \\ \hdashline c & d \\ \hline \end{array}").get()
+    check ast.arrayRules.len == 3
+    check not ast.arrayRules[0][0].dashed
+    check ast.arrayRules[1][0].dashed
+    check ast.arrayRules[2].len == 1
+    let mathml = latexToMathML(r"\begin{array}{cc} \hline a & b \\ \hdashline c & d \\ \hline \end{array}").get()
+    check mathml.count("border-top:0.06em solid") == 2
+    check mathml.count("border-top:0.06em dashed;border-bottom:0.06em solid") == 2
+    check latexToMathML(r"\begin{array}{c} \hline\hline a \end{array}").get().count("border-top:0.22em double") == 1
+
+  test "Partial rules":
+    let ast = latexToAst(r"\begin{array}{ccc} a & b & c \\ \cline{2-3} d & e & f \end{array}").get()
+    check ast.arrayRules[1][0].first == 2
+    check ast.arrayRules[1][0].last == 3
+    let mathml = latexToMathML(r"\begin{array}{ccc} a & b & c \\ \cline{2-3} d & e & f \end{array}").get()
+    check "<mtd class=\"tml-center\"><mi>d</mi></mtd>" in mathml
+    check "<mtd class=\"tml-center\" style=\"border-top:0.06em solid\"><mi>e</mi></mtd>" in mathml
+
+  test "Errors":
+    check latexToMathML(r"\begin{array}{cx} a & b \end{array}").isErr
+    check latexToMathML(r"\begin{array}{} a \end{array}").isErr
+    check latexToMathML(r"\begin{array}{p} a \end{array}").isErr
+    check latexToMathML(r"\begin{array}{c} a & b \end{array}").isErr
+    check latexToMathML(r"\begin{array}{cc} a \hline & b \end{array}").isErr
+    check latexToMathML(r"\begin{array}{cc} \cline{3-2} a & b \end{array}").isErr
+    check latexToMathML(r"\begin{array} a \end{array}").isErr
+
+  test "Other outputs":
+    let latex = r"\begin{array}{r@{.}l} \hline 3 & 14 \\ \cline{1-2} 2 & 72 \\ \hdashline \end{array}"
+    check astToLatex(latexToAst(latex).get()) == latex
+    let omml = latexToOMML(r"\begin{array}{p{1cm}r} a & b \end{array}").get()
+    check "<m:mcJc m:val=\"left\"/>" in omml
+    check "<m:mcJc m:val=\"center\"/>" notin omml
+
+suite "Equation Number Tests":
+  test "Rows are numbered":
+    let mathml = latexToMathML(r"\begin{align} a &= b \\ c &= d \end{align}").get()
+    check "<mtd class=\"tml-right\" style=\"padding:0;width:50%\"><mtext>(1)</mtext></mtd>" in mathml
+    check "<mtext>(2)</mtext>" in mathml
+    let gather = latexToMathML(r"\begin{gather} x \\ y \\ z \end{gather}").get()
+    check "<mtext>(3)</mtext>" in gather
+    check "<mtext>" notin latexToMathML(r"\begin{align*} a &= b \\ c &= d \end{align*}").get()
+    check "<mtext>" notin latexToMathML(r"\begin{aligned} a &= b \\ c &= d \end{aligned}").get()
+
+  test "Notag and nonumber":
+    let mathml = latexToMathML(r"\begin{align} a &= b \notag \\ c &= d \\ e &= f \nonumber \end{align}").get()
+    check mathml.count("<mtext>") == 1
+    check "<mtext>(1)</mtext>" in mathml
+    check latexToAst(r"\begin{align} a &= b \notag \end{align}").get().matrixTags[0].numbered == false
+
+  test "Tags":
+    let mathml = latexToMathML(r"\begin{align} a &= b \tag{A} \\ c &= d \\ e &= f \tag*{B} \end{align}").get()
+    check "<mtext>(A)</mtext>" in mathml
+    check "<mtext>(1)</mtext>" in mathml
+    check "<mtext>B</mtext>" in mathml
+    check "<mtext>(2)</mtext>" notin mathml
+    check "<mtext>(A)</mtext>" in latexToMathML(r"\begin{equation*} x = 1 \tag{A} \end{equation*}").get()
+    check "<mtext>(&lt;)</mtext>" in latexToMathML(r"\begin{equation} x \tag{<} \end{equation}").get()
+
+  test "Tags in display math":
+    let mathml = latexToMathML(r"E = mc^2 \tag{1}", true).get()
+    check "<mtext>(1)</mtext>" in mathml
+    check mathml.find("<mi>E</mi>") < mathml.find("<mtext>(1)</mtext>")
+    check "<mtext>A</mtext>" in latexToMathML(r"x \tag*{A}", true).get()
+    var options = defaultOptions()
+    options.displayStyle = true
+    let output = latexToMathMLWithDiagnostics(r"x = 1 \tag{A}", options).get()
+    check output.equations.len == 1
+    check output.equations[0].number == "A"
+    check output.equations[0].tagged
+    check "<mtable" notin latexToMathML(r"x = 1", true).get()
+
+  test "Invalid tags":
+    let outside = latexToMathML(r"x \tag{1}")
+    check outside.isErr
+    check outside.error.kind == ekInvalidCommand
+    check latexToMathML(r"\begin{pmatrix} a \tag{1} \end{pmatrix}", true).isErr
+    check latexToMathML(r"x \tag{1} \tag{2}", true).isErr
+    check latexToMathML(r"\begin{pmatrix} a \tag{1} \end{pmatrix}").isErr
+    check latexToMathML(r"\begin{align} a \tag{1} \tag{2} \end{align}").isErr
+    check latexToMathML(r"\begin{align} a \label{x} \label{y} \end{align}").isErr
+    check latexToMathML(r"\begin{align} a \tag{} \end{align}").isErr
+
+  test "Labels":
+    let output = latexToMathMLWithDiagnostics(r"\begin{align} a &= b \\ c &= d \label{first} \end{align}").get()
+    check "<mtr id=\"eq:first\">" in output.mathml
+    check output.diagnostics.len == 0
+    check output.equations.len == 2
+    check output.equations[1].number == "2"
+    check output.equations[1].label == "first"
+    check output.equations[1].row == 1
+    check not output.equations[1].tagged
+    let tagged = latexToMathMLWithDiagnostics(r"\begin{align*} a \tag{T} \label{t} \\ b \label{u} \end{align*}").get()
+    check tagged.equations.len == 2
+    check tagged.equations[0].number == "T"
+    check tagged.equations[0].tagged
+    check tagged.equations[1].number == ""
+    check tagged.equations[1].label == "u"
+    let ctx = newContext(r"\def\numbered{\begin{align} a \label{eq:macro} \end{align}}").get()
+    let expanded = ctx.latexToMathMLWithDiagnostics(r"\numbered").get()
+    check expanded.equations[0].label == "eq:macro"
+
+  test "Options":
+    var options = defaultOptions()
+    options.firstEquationNumber = 5
+    let mathml = latexToMathML(r"\begin{align} a \\ b \end{align} \begin{equation} c \end{equation}", options).get()
+    check "<mtext>(5)</mtext>" in mathml
+    check "<mtext>(7)</mtext>" in mathml
+    options.equationNumbers = false
+    let output = latexToMathMLWithDiagnostics(r"\begin{align} a \\ b \end{align}", options).get()
+    check "<mtext>" notin output.mathml
+    check output.equations.len == 2
+    check output.equations[0].number == "5"
+
+  test "Single numbers":
+    let multline = latexToMathML(r"\begin{multline} a + b \\ + c \label{m} \\ + d \end{multline}").get()
+    check multline.count("<mtext>") == 1
+    check multline.find("<mtext>(1)</mtext>") > multline.find("<mi>d</mi>")
+    check "<mtr id=\"eq:m\">" in multline
+    let split = latexToMathML(r"\begin{equation} \begin{split} a &= b \\ &= c \tag{S} \end{split} \end{equation}").get()
+    check split.count("<mtext>") == 1
+    check "<mtext>(S)</mtext>" in split
+    check latexToMathML(r"\begin{equation} a \tag{1} \\ b \tag{2} \end{equation}").isErr
+
+  test "LaTeX output":
+    let latex = r"\begin{align} a & b \label{x} \\ c & d \notag \\ e & f \tag{A} \\ g & h \tag*{B} \end{align}"
+    check astToLatex(latexToAst(latex).get()) == latex
+    check astToLatex(latexToAst(r"\begin{align*} a & b \end{align*}").get()) == r"\begin{align*} a & b \end{align*}"
+
 suite "Compile-Time Tests":
   test "Static conversion":
     # TODO: Fix compile-time execution (requires compile-time table initialization)